@@ -1,15 +1,25 @@
 import React, { useState, useEffect } from 'react';
+import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import Header from './components/common/Header';
 import Footer from './components/common/Footer';
 import Dashboard from './components/dashboard/Dashboard';
+import ComparisonView from './components/compare/ComparisonView';
 import LoadingSpinner from './components/common/LoadingSpinner';
+import NotFoundPage from './components/common/NotFoundPage';
+import CommandPalette from './components/common/CommandPalette';
+import OfflineBanner from './components/common/OfflineBanner';
+import SchemaOverlay from './components/common/SchemaOverlay';
 import { ErrorToast } from './components/common/ErrorMessage';
+import { useTheme } from './hooks/useTheme';
 import apiService from './services/api';
-import { APP_INFO, FEATURES } from './services/constants';
+import alertStore from './services/alerts';
+import networkStatus from './services/network';
+import { APP_INFO, FEATURES, ROUTES, SCHEMA_CONFIG } from './services/constants';
 import './styles/index.css';
 
 function App() {
+  const { isDark } = useTheme();
   const [isLoading, setIsLoading] = useState(true);
   const [appHealth, setAppHealth] = useState({
     status: 'unknown',
@@ -86,6 +96,22 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
+  // Evaluate alert rules for as long as the app is open
+  useEffect(() => {
+    if (!FEATURES.ENABLE_ALERTS) return undefined;
+
+    alertStore.start();
+    return () => alertStore.stop();
+  }, []);
+
+  // Track connectivity so cached data can be shown and refreshed
+  useEffect(() => {
+    if (!FEATURES.ENABLE_OFFLINE) return undefined;
+
+    networkStatus.start();
+    return () => networkStatus.stop();
+  }, []);
+
   // Show loading screen during initialization
   if (isLoading) {
     return (
@@ -99,23 +125,39 @@ function App() {
   }
 
   return (
-    <div className="min-h-screen bg-gray-50 flex flex-col">
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex flex-col">
       {/* Header */}
       <Header />
+      {FEATURES.ENABLE_OFFLINE && <OfflineBanner />}
 
       {/* Main Content */}
       <main className="flex-1" id="main-content">
-        <Dashboard />
+        <Routes>
+          <Route path={ROUTES.HOME} element={<Dashboard />} />
+          <Route path={ROUTES.SEARCH} element={<Dashboard />} />
+          <Route path={ROUTES.COMPANY} element={<Dashboard />} />
+          <Route path={ROUTES.COMPANY_FILINGS} element={<Dashboard />} />
+          <Route path={ROUTES.COMPARE} element={<ComparisonView />} />
+          <Route path={ROUTES.NOT_FOUND} element={<NotFoundPage />} />
+          <Route path="*" element={<NotFoundPage />} />
+        </Routes>
       </main>
 
       {/* Footer */}
       <Footer />
 
+      {/* Command Palette and Keyboard Shortcuts */}
+      <CommandPalette />
+
+      {/* API Schema Mismatches (development) */}
+      {SCHEMA_CONFIG.SHOW_OVERLAY && <SchemaOverlay />}
+
       {/* Toast Notifications */}
       <Toaster
         position="top-right"
         toastOptions={{
           duration: 5000,
+          style: isDark ? { background: '#1f2937', color: '#f3f4f6' } : undefined,
           success: {
             className: 'toast-success',
             iconTheme: {
@@ -175,19 +217,19 @@ class AppErrorBoundary extends React.Component {
   render() {
     if (this.state.hasError) {
       return (
-        <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
-          <div className="max-w-md w-full bg-white rounded-xl shadow-strong p-8 text-center">
-            <div className="w-16 h-16 bg-danger-100 rounded-full flex items-center justify-center mx-auto mb-4">
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 flex items-center justify-center px-4">
+          <div className="max-w-md w-full bg-white dark:bg-gray-800 rounded-xl shadow-strong p-8 text-center">
+            <div className="w-16 h-16 bg-danger-100 dark:bg-danger-900/40 rounded-full flex items-center justify-center mx-auto mb-4">
               <svg className="w-8 h-8 text-danger-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" />
               </svg>
             </div>
             
-            <h1 className="text-xl font-bold text-gray-900 mb-2">
+            <h1 className="text-xl font-bold text-gray-900 dark:text-gray-100 mb-2">
               Something went wrong
             </h1>
             
-            <p className="text-gray-600 mb-6">
+            <p className="text-gray-600 dark:text-gray-400 mb-6">
               We're sorry, but something unexpected happened. Please try refreshing the page.
             </p>
 
@@ -206,11 +248,13 @@ class AppErrorBoundary extends React.Component {
   }
 }
 
-// Wrap App with Error Boundary
+// Wrap App with Error Boundary and Router
 function AppWithErrorBoundary() {
   return (
     <AppErrorBoundary>
-      <App />
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
     </AppErrorBoundary>
   );
 }
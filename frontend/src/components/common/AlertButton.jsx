@@ -0,0 +1,178 @@
+import React, { Fragment, useState } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import { BellIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { BellAlertIcon } from '@heroicons/react/24/solid';
+import clsx from 'clsx';
+import { FieldError } from './ErrorMessage';
+import { useAlerts } from '../../hooks/useAlerts';
+import { describeAlertRule, getAlertType } from '../../utils/alerts';
+import { ALERTS_CONFIG, ALERT_TYPES, CHART_FILING_MARKERS } from '../../services/constants';
+
+const DEFAULT_VALUES = {
+  [ALERT_TYPES.PRICE_ABOVE.id]: '',
+  [ALERT_TYPES.PRICE_BELOW.id]: '',
+  [ALERT_TYPES.PERCENT_CHANGE.id]: '5',
+  [ALERT_TYPES.VOLUME_SPIKE.id]: String(ALERTS_CONFIG.DEFAULT_VOLUME_MULTIPLIER),
+  [ALERT_TYPES.NEW_FILING.id]: '8-K',
+};
+
+// Rule editor for a single company
+const AlertRuleForm = ({ company }) => {
+  const { addRule } = useAlerts();
+  const [type, setType] = useState(ALERT_TYPES.PRICE_ABOVE.id);
+  const [value, setValue] = useState(DEFAULT_VALUES[ALERT_TYPES.PRICE_ABOVE.id]);
+  const [error, setError] = useState(null);
+
+  const alertType = getAlertType(type);
+  const isFiling = type === ALERT_TYPES.NEW_FILING.id;
+  const typeOptions = Object.values(ALERT_TYPES).filter(option => company.cik || option.source !== 'filings');
+
+  const handleTypeChange = (event) => {
+    setType(event.target.value);
+    setValue(DEFAULT_VALUES[event.target.value]);
+    setError(null);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const result = addRule({ ...company, type, value });
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+
+    setError(null);
+    setValue(DEFAULT_VALUES[type]);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <label htmlFor={`alert-type-${company.ticker}`} className="block text-xs font-medium text-gray-500 dark:text-gray-400">
+        Alert me when
+      </label>
+      <select
+        id={`alert-type-${company.ticker}`}
+        value={type}
+        onChange={handleTypeChange}
+        className="w-full text-sm border border-gray-300 dark:border-gray-600 rounded-md px-2 py-1.5 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        {typeOptions.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+
+      <div className="flex items-start space-x-2">
+        <div className="flex-1">
+          <label htmlFor={`alert-value-${company.ticker}`} className="sr-only">{alertType.valueLabel}</label>
+          <input
+            id={`alert-value-${company.ticker}`}
+            type={isFiling ? 'text' : 'number'}
+            list={isFiling ? `alert-forms-${company.ticker}` : undefined}
+            min={isFiling ? undefined : '0'}
+            step="any"
+            value={value}
+            onChange={(event) => setValue(event.target.value)}
+            placeholder={alertType.valueLabel}
+            aria-invalid={Boolean(error)}
+            className={clsx(
+              'w-full text-sm border rounded-md px-2 py-1.5 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-primary-500',
+              error ? 'border-danger-500' : 'border-gray-300 dark:border-gray-600'
+            )}
+          />
+          {isFiling && (
+            <datalist id={`alert-forms-${company.ticker}`}>
+              {CHART_FILING_MARKERS.map(form => <option key={form} value={form} />)}
+            </datalist>
+          )}
+        </div>
+        <button type="submit" className="btn btn-primary btn-sm">
+          Add
+        </button>
+      </div>
+
+      <FieldError error={error} />
+    </form>
+  );
+};
+
+const AlertButton = ({ company, size = 'md', className }) => {
+  const { rules, removeRule, toggleRule, activeCount } = useAlerts(company?.ticker);
+
+  if (!company?.ticker) {
+    return null;
+  }
+
+  const Icon = activeCount > 0 ? BellAlertIcon : BellIcon;
+  const label = activeCount > 0
+    ? `${activeCount} active alert${activeCount === 1 ? '' : 's'} for ${company.ticker}`
+    : `Set an alert for ${company.ticker}`;
+
+  // Alert buttons live inside clickable cards
+  return (
+    <Popover className={clsx('relative', className)} onClick={(event) => event.stopPropagation()}>
+      <Popover.Button
+        aria-label={label}
+        title={label}
+        className={clsx(
+          'rounded-full p-1 transition-colors duration-200',
+          'focus:outline-none focus:ring-2 focus:ring-primary-400',
+          activeCount > 0 ? 'text-primary-600 hover:text-primary-700' : 'text-gray-400 hover:text-primary-600'
+        )}
+      >
+        <Icon className={size === 'sm' ? 'w-4 h-4' : 'w-5 h-5'} />
+      </Popover.Button>
+
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Popover.Panel className="absolute right-0 mt-2 w-72 origin-top-right bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong p-4 z-30 text-left">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">
+            Alerts for {company.ticker}
+          </h4>
+
+          <AlertRuleForm company={company} />
+
+          {rules.length > 0 && (
+            <ul className="mt-4 pt-3 border-t border-gray-100 dark:border-gray-700 space-y-2">
+              {rules.map(rule => (
+                <li key={rule.id} className="flex items-center space-x-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={() => toggleRule(rule.id)}
+                    aria-label={`${rule.enabled ? 'Pause' : 'Resume'} alert: ${describeAlertRule(rule)}`}
+                    className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                  />
+                  <span className={clsx(
+                    'flex-1',
+                    rule.enabled ? 'text-gray-700 dark:text-gray-300' : 'text-gray-400 dark:text-gray-500 line-through'
+                  )}>
+                    {describeAlertRule(rule)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeRule(rule.id)}
+                    className="text-gray-400 hover:text-danger-600 transition-colors duration-200"
+                    title="Delete alert"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                    <span className="sr-only">Delete alert</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Popover.Panel>
+      </Transition>
+    </Popover>
+  );
+};
+
+export default AlertButton;
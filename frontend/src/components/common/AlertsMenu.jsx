@@ -0,0 +1,205 @@
+import React, { Fragment, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Popover, Transition } from '@headlessui/react';
+import { BellIcon, TrashIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { useAlerts } from '../../hooks/useAlerts';
+import { describeAlertRule } from '../../utils/alerts';
+import { formatters } from '../../utils/formatters';
+import { buildCompanyPath } from '../../utils/routes';
+
+const VIEWS = [
+  { id: 'history', label: 'History' },
+  { id: 'rules', label: 'Rules' },
+];
+
+const PILL_CLASSES = 'px-2.5 py-1 text-xs font-medium rounded-full border transition-colors duration-200';
+const PILL_ACTIVE = 'bg-primary-600 border-primary-600 text-white';
+const PILL_INACTIVE = 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700';
+
+const NotificationPrompt = ({ permission, onRequest }) => {
+  if (permission === 'granted' || permission === 'unsupported') {
+    return null;
+  }
+
+  return (
+    <div className="px-4 py-3 bg-gray-50 dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700 text-xs text-gray-600 dark:text-gray-400">
+      {permission === 'denied' ? (
+        'Browser notifications are blocked, so alerts only show while this tab is open.'
+      ) : (
+        <>
+          Get notified while this tab is in the background.{' '}
+          <button type="button" onClick={onRequest} className="filing-link font-medium">
+            Enable notifications
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const AlertHistory = ({ history, onClear, onNavigate }) => {
+  if (history.length === 0) {
+    return (
+      <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+        No alerts have fired yet.
+      </p>
+    );
+  }
+
+  return (
+    <>
+      <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+        {history.map(entry => (
+          <li key={entry.id}>
+            <Link
+              to={buildCompanyPath(entry.ticker)}
+              onClick={onNavigate}
+              className={clsx(
+                'block px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700',
+                !entry.read && 'bg-primary-50/60 dark:bg-primary-900/20'
+              )}
+            >
+              <div className="text-sm text-gray-900 dark:text-gray-100">{entry.message}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                {entry.title} · {formatters.relativeTime(entry.triggeredAt)}
+              </div>
+            </Link>
+          </li>
+        ))}
+      </ul>
+      <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-right">
+        <button type="button" onClick={onClear} className="btn btn-ghost btn-sm">
+          Clear history
+        </button>
+      </div>
+    </>
+  );
+};
+
+const AlertRules = ({ rules, onToggle, onRemove }) => {
+  if (rules.length === 0) {
+    return (
+      <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+        Use the bell on a company to set up an alert.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+      {rules.map(rule => (
+        <li key={rule.id} className="flex items-center space-x-3 px-4 py-3 text-sm">
+          <input
+            type="checkbox"
+            checked={rule.enabled}
+            onChange={() => onToggle(rule.id)}
+            aria-label={`${rule.enabled ? 'Pause' : 'Resume'} alert: ${describeAlertRule(rule)}`}
+            className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+          />
+          <div className="flex-1 min-w-0">
+            <div className={clsx(
+              rule.enabled ? 'text-gray-900 dark:text-gray-100' : 'text-gray-400 dark:text-gray-500 line-through'
+            )}>
+              {describeAlertRule(rule)}
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {rule.lastTriggeredAt
+                ? `Last fired ${formatters.relativeTime(rule.lastTriggeredAt)}`
+                : 'Not fired yet'}
+            </div>
+          </div>
+          <button
+            type="button"
+            onClick={() => onRemove(rule.id)}
+            className="text-gray-400 hover:text-danger-600 transition-colors duration-200"
+            title="Delete alert"
+          >
+            <TrashIcon className="w-4 h-4" />
+            <span className="sr-only">Delete alert</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const AlertsMenu = ({ className }) => {
+  const {
+    rules,
+    history,
+    permission,
+    removeRule,
+    toggleRule,
+    markHistoryRead,
+    clearHistory,
+    requestPermission,
+    unreadCount,
+  } = useAlerts();
+
+  const [view, setView] = useState('history');
+
+  return (
+    <Popover className={clsx('relative', className)}>
+      {({ close }) => (
+        <>
+          <Popover.Button
+            className="relative p-2 rounded-lg text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-700 transition-colors duration-200"
+            title="Alerts"
+          >
+            <BellIcon className="w-5 h-5" />
+            {unreadCount > 0 && (
+              <span className="absolute top-1 right-1 min-w-[1rem] h-4 px-1 rounded-full bg-danger-600 text-white text-[10px] font-semibold leading-4 text-center">
+                {unreadCount > 9 ? '9+' : unreadCount}
+              </span>
+            )}
+            <span className="sr-only">
+              Alerts{unreadCount > 0 ? `, ${unreadCount} unread` : ''}
+            </span>
+          </Popover.Button>
+
+          <Transition
+            as={Fragment}
+            enter="transition ease-out duration-100"
+            enterFrom="transform opacity-0 scale-95"
+            enterTo="transform opacity-100 scale-100"
+            leave="transition ease-in duration-75"
+            leaveFrom="transform opacity-100 scale-100"
+            leaveTo="transform opacity-0 scale-95"
+            afterLeave={markHistoryRead}
+          >
+            <Popover.Panel className="absolute right-0 mt-2 w-96 max-w-[calc(100vw-2rem)] origin-top-right bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong z-50 overflow-hidden">
+              <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Alerts</h3>
+                <div className="flex items-center gap-2" role="group" aria-label="Alerts view">
+                  {VIEWS.map(option => (
+                    <button
+                      key={option.id}
+                      type="button"
+                      onClick={() => setView(option.id)}
+                      aria-pressed={view === option.id}
+                      className={clsx(PILL_CLASSES, view === option.id ? PILL_ACTIVE : PILL_INACTIVE)}
+                    >
+                      {option.label}
+                      {option.id === 'rules' && rules.length > 0 && ` (${rules.length})`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <NotificationPrompt permission={permission} onRequest={requestPermission} />
+
+              {view === 'history' ? (
+                <AlertHistory history={history} onClear={clearHistory} onNavigate={close} />
+              ) : (
+                <AlertRules rules={rules} onToggle={toggleRule} onRemove={removeRule} />
+              )}
+            </Popover.Panel>
+          </Transition>
+        </>
+      )}
+    </Popover>
+  );
+};
+
+export default AlertsMenu;
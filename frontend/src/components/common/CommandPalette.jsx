@@ -0,0 +1,409 @@
+import React, { Fragment, useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Dialog, Transition } from '@headlessui/react';
+import {
+  ArrowsRightLeftIcon,
+  BuildingOfficeIcon,
+  ClockIcon,
+  CommandLineIcon,
+  HomeIcon,
+  MagnifyingGlassIcon,
+  MoonIcon,
+  QuestionMarkCircleIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { useCommands, useCommandPalette, useShortcutListener } from '../../hooks/useCommands';
+import { useDebounce } from '../../hooks/useDebounce';
+import apiService, { isCancelledError } from '../../services/api';
+import preferencesStore from '../../services/preferences';
+import { COMMAND_GROUPS, COMMAND_PALETTE_CONFIG, FEATURES, ROUTES, SEARCH_CONFIG } from '../../services/constants';
+import { buildCompanyPath, buildSearchPath } from '../../utils/routes';
+import { filterCommands, formatShortcut } from '../../utils/shortcuts';
+
+// Rendered key caps for a shortcut such as "mod+k"
+export const ShortcutKeys = ({ shortcut, className }) => (
+  <span className={clsx('inline-flex items-center space-x-1', className)}>
+    {formatShortcut(shortcut).map(key => (
+      <kbd
+        key={key}
+        className="min-w-[1.5rem] px-1.5 py-0.5 text-xs font-sans font-medium text-center text-gray-600 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded"
+      >
+        {key}
+      </kbd>
+    ))}
+  </span>
+);
+
+const OverlayDialog = ({ open, onClose, initialFocus, afterLeave, children }) => (
+  <Transition.Root show={open} as={Fragment} afterLeave={afterLeave}>
+    <Dialog as="div" className="relative z-50" onClose={onClose} initialFocus={initialFocus}>
+      <Transition.Child
+        as={Fragment}
+        enter="ease-out duration-150"
+        enterFrom="opacity-0"
+        enterTo="opacity-100"
+        leave="ease-in duration-100"
+        leaveFrom="opacity-100"
+        leaveTo="opacity-0"
+      >
+        <div className="fixed inset-0 bg-gray-900/50 transition-opacity" />
+      </Transition.Child>
+
+      <div className="fixed inset-0 overflow-y-auto p-4 pt-[12vh]">
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-150"
+          enterFrom="opacity-0 scale-95"
+          enterTo="opacity-100 scale-100"
+          leave="ease-in duration-100"
+          leaveFrom="opacity-100 scale-100"
+          leaveTo="opacity-0 scale-95"
+        >
+          <Dialog.Panel className="mx-auto max-w-xl bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong overflow-hidden">
+            {children}
+          </Dialog.Panel>
+        </Transition.Child>
+      </div>
+    </Dialog>
+  </Transition.Root>
+);
+
+// Every registered shortcut, grouped the same way as the palette
+const ShortcutsHelp = ({ open, commands, onClose }) => {
+  const groups = commands
+    .filter(command => command.shortcut)
+    .reduce((acc, command) => {
+      acc[command.group] = [...(acc[command.group] || []), command];
+      return acc;
+    }, {});
+
+  return (
+    <OverlayDialog open={open} onClose={onClose}>
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <Dialog.Title className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+          Keyboard Shortcuts
+        </Dialog.Title>
+      </div>
+
+      <div className="px-6 py-4 max-h-[60vh] overflow-y-auto space-y-5">
+        {Object.entries(groups).map(([group, groupCommands]) => (
+          <section key={group}>
+            <h3 className="text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400 mb-2">
+              {group}
+            </h3>
+            <dl className="space-y-2">
+              {groupCommands.map(command => (
+                <div key={command.id} className="flex items-center justify-between text-sm">
+                  <dt className="text-gray-700 dark:text-gray-300">{command.label}</dt>
+                  <dd><ShortcutKeys shortcut={command.shortcut} /></dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+
+      <div className="px-6 py-3 border-t border-gray-200 dark:border-gray-700 text-right">
+        <button type="button" onClick={onClose} className="btn btn-ghost btn-sm">
+          Close
+        </button>
+      </div>
+    </OverlayDialog>
+  );
+};
+
+// Company suggestions for the palette query
+const usePaletteSuggestions = (query, enabled) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const debouncedQuery = useDebounce(query.trim(), COMMAND_PALETTE_CONFIG.DEBOUNCE_DELAY);
+
+  useEffect(() => {
+    if (!enabled || debouncedQuery.length < SEARCH_CONFIG.MIN_QUERY_LENGTH) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    apiService.getSearchSuggestions(debouncedQuery, {
+      limit: SEARCH_CONFIG.MAX_SUGGESTIONS,
+      signal: controller.signal,
+    })
+      .then(response => {
+        if (response.status === 'success') {
+          setSuggestions(response.data.suggestions);
+        }
+      })
+      .catch(error => {
+        if (isCancelledError(error)) return;
+
+        console.error('Palette suggestions error:', error);
+        setSuggestions([]);
+      });
+
+    return () => controller.abort();
+  }, [debouncedQuery, enabled]);
+
+  return suggestions;
+};
+
+const CommandPalette = () => {
+  const navigate = useNavigate();
+  const { commands, isPaletteOpen, isHelpOpen, togglePalette, openHelp, close } = useCommandPalette();
+
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const pendingItemRef = useRef(null);
+
+  useShortcutListener();
+
+  const suggestions = usePaletteSuggestions(query, isPaletteOpen);
+
+  // Commands that are available everywhere in the app
+  const globalCommands = useMemo(() => [
+    {
+      id: 'palette.open',
+      label: 'Open command palette',
+      group: COMMAND_GROUPS.GENERAL,
+      shortcut: 'mod+k',
+      global: true,
+      palette: false,
+      run: togglePalette,
+    },
+    {
+      id: 'help.shortcuts',
+      label: 'Show keyboard shortcuts',
+      group: COMMAND_GROUPS.GENERAL,
+      shortcut: '?',
+      keywords: ['help', 'keys'],
+      icon: QuestionMarkCircleIcon,
+      run: openHelp,
+    },
+    {
+      id: 'navigate.home',
+      label: 'Go to home',
+      group: COMMAND_GROUPS.NAVIGATION,
+      keywords: ['dashboard', 'start'],
+      icon: HomeIcon,
+      run: () => navigate(ROUTES.HOME),
+    },
+    {
+      id: 'navigate.compare',
+      label: 'Compare companies',
+      group: COMMAND_GROUPS.NAVIGATION,
+      icon: ArrowsRightLeftIcon,
+      run: () => navigate(ROUTES.COMPARE),
+    },
+    ...(FEATURES.ENABLE_DARK_MODE ? [{
+      id: 'theme.toggle',
+      label: 'Toggle dark mode',
+      group: COMMAND_GROUPS.GENERAL,
+      keywords: ['theme', 'light'],
+      icon: MoonIcon,
+      run: () => preferencesStore.toggleTheme(),
+    }] : []),
+    {
+      id: 'cache.clear',
+      label: 'Clear cache',
+      group: COMMAND_GROUPS.GENERAL,
+      keywords: ['refresh', 'reset'],
+      icon: TrashIcon,
+      run: async () => {
+        try {
+          await apiService.clearCache();
+          toast.success('Cache cleared');
+        } catch (error) {
+          console.error('Failed to clear cache:', error);
+          toast.error('Failed to clear cache');
+        }
+      },
+    },
+  ], [navigate, togglePalette, openHelp]);
+
+  useCommands(globalCommands);
+
+  // Start fresh every time the palette opens
+  useEffect(() => {
+    if (isPaletteOpen) {
+      setQuery('');
+      setActiveIndex(0);
+      setRecentSearches(apiService.getRecentSearches());
+    }
+  }, [isPaletteOpen]);
+
+  const items = useMemo(() => {
+    const trimmed = query.trim();
+
+    const companyItems = suggestions.map((suggestion, index) => {
+      const text = typeof suggestion === 'string' ? suggestion : suggestion.text;
+      const ticker = typeof suggestion === 'string' ? null : suggestion.ticker;
+
+      return {
+        id: `company.${ticker || text}.${index}`,
+        label: ticker && suggestion.company_name ? `${ticker} · ${suggestion.company_name}` : text,
+        group: 'Companies',
+        icon: BuildingOfficeIcon,
+        run: () => navigate(ticker ? buildCompanyPath(ticker) : buildSearchPath(text)),
+      };
+    });
+
+    const recentItems = trimmed
+      ? []
+      : recentSearches.slice(0, COMMAND_PALETTE_CONFIG.RECENT_SEARCH_LIMIT).map(recentQuery => ({
+        id: `recent.${recentQuery}`,
+        label: recentQuery,
+        group: 'Recent searches',
+        icon: ClockIcon,
+        run: () => navigate(buildSearchPath(recentQuery)),
+      }));
+
+    // Searching for the raw query is always an option once something is typed
+    const searchItem = trimmed.length >= SEARCH_CONFIG.MIN_QUERY_LENGTH ? [{
+      id: 'search.query',
+      label: `Search for "${trimmed}"`,
+      group: 'Companies',
+      icon: MagnifyingGlassIcon,
+      run: () => navigate(buildSearchPath(trimmed)),
+    }] : [];
+
+    const commandItems = filterCommands(
+      commands.filter(command => command.palette !== false),
+      trimmed
+    );
+
+    return [...companyItems, ...searchItem, ...recentItems, ...commandItems];
+  }, [query, suggestions, recentSearches, commands, navigate]);
+
+  // Keep the highlight on a real item as the list changes
+  useEffect(() => {
+    setActiveIndex(index => Math.min(index, Math.max(items.length - 1, 0)));
+  }, [items.length]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runItem = (item) => {
+    if (!item) return;
+
+    pendingItemRef.current = item;
+    close();
+  };
+
+  // Run once the dialog has handed focus back, so commands that move focus keep it
+  const handleAfterLeave = () => {
+    const item = pendingItemRef.current;
+    pendingItemRef.current = null;
+    if (item) setTimeout(item.run, 0);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex(index => (items.length ? (index + 1) % items.length : 0));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex(index => (items.length ? (index - 1 + items.length) % items.length : 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      runItem(items[activeIndex]);
+    }
+  };
+
+  let lastGroup = null;
+
+  return (
+    <>
+      <OverlayDialog open={isPaletteOpen} onClose={close} initialFocus={inputRef} afterLeave={handleAfterLeave}>
+        <Dialog.Title className="sr-only">Command palette</Dialog.Title>
+
+        <div className="relative border-b border-gray-200 dark:border-gray-700">
+          <CommandLineIcon className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(event) => {
+              setQuery(event.target.value);
+              setActiveIndex(0);
+            }}
+            onKeyDown={handleKeyDown}
+            placeholder="Jump to a company or run a command..."
+            role="combobox"
+            aria-expanded={items.length > 0}
+            aria-controls="command-palette-list"
+            aria-activedescendant={items[activeIndex] ? `command-palette-item-${activeIndex}` : undefined}
+            aria-autocomplete="list"
+            className="w-full bg-transparent border-0 py-4 pl-12 pr-4 text-gray-900 dark:text-gray-100 placeholder-gray-400 focus:outline-none focus:ring-0"
+          />
+        </div>
+
+        {items.length > 0 ? (
+          <ul
+            ref={listRef}
+            id="command-palette-list"
+            role="listbox"
+            aria-label="Commands"
+            className="max-h-96 overflow-y-auto py-2"
+          >
+            {items.map((item, index) => {
+              const Icon = item.icon || CommandLineIcon;
+              const showGroup = item.group !== lastGroup;
+              lastGroup = item.group;
+
+              return (
+                <Fragment key={item.id}>
+                  {showGroup && (
+                    <li role="presentation" className="px-4 pt-3 pb-1 text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">
+                      {item.group}
+                    </li>
+                  )}
+                  <li
+                    id={`command-palette-item-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    data-index={index}
+                    onMouseMove={() => setActiveIndex(index)}
+                    onClick={() => runItem(item)}
+                    className={clsx(
+                      'flex items-center px-4 py-2 mx-2 rounded-lg cursor-pointer text-sm',
+                      index === activeIndex
+                        ? 'bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                        : 'text-gray-700 dark:text-gray-300'
+                    )}
+                  >
+                    <Icon className="w-4 h-4 mr-3 flex-shrink-0 text-gray-400" />
+                    <span className="flex-1 truncate">{item.label}</span>
+                    {item.shortcut && <ShortcutKeys shortcut={item.shortcut} className="ml-3" />}
+                  </li>
+                </Fragment>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="px-4 py-8 text-center text-sm text-gray-500 dark:text-gray-400">
+            No matching companies or commands.
+          </p>
+        )}
+
+        <div className="flex items-center justify-between px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+          <span>↑↓ to move, Enter to select, Esc to close</span>
+          <button type="button" onClick={openHelp} className="filing-link font-medium">
+            Keyboard shortcuts
+          </button>
+        </div>
+      </OverlayDialog>
+
+      <ShortcutsHelp open={isHelpOpen} commands={commands} onClose={close} />
+    </>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { useCircuitBreaker } from '../../hooks/useCircuitBreaker';
+import { CIRCUIT_BREAKER_CONFIG, CIRCUIT_STATES } from '../../services/constants';
+
+// Stands in for a card whose backend dependency is down, so the rest of the
+// page keeps working around it. `compact` renders a single line for use
+// under an input, with `children` as the explanation.
+const DependencyUnavailable = ({ family, title, onRetry, compact = false, className, children }) => {
+  const circuit = useCircuitBreaker(family);
+  const label = CIRCUIT_BREAKER_CONFIG.LABELS[family] || 'This data';
+  const isOpen = circuit?.status === CIRCUIT_STATES.OPEN;
+
+  if (compact) {
+    return (
+      <p role="status" className={clsx('flex items-center text-sm text-warning-700 dark:text-warning-300', className)}>
+        <ExclamationTriangleIcon className="w-4 h-4 mr-1.5 flex-shrink-0" aria-hidden="true" />
+        <span>
+          {label} is temporarily unavailable.{children && <> {children}</>}
+        </span>
+      </p>
+    );
+  }
+
+  return (
+    <div
+      role="status"
+      className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm p-6', className)}
+    >
+      {title && (
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+          {title}
+        </h3>
+      )}
+      <div className="flex items-start p-4 rounded-lg bg-warning-50 dark:bg-warning-900/30 text-warning-800 dark:text-warning-200">
+        <ExclamationTriangleIcon className="w-5 h-5 mr-3 flex-shrink-0" aria-hidden="true" />
+        <div className="text-sm">
+          <p className="font-medium">{label} temporarily unavailable</p>
+          <p className="mt-1">
+            {isOpen
+              ? 'The service isn\'t responding. This section will come back on its own once it recovers.'
+              : 'This section couldn\'t be loaded. The rest of the page is unaffected.'}
+          </p>
+          {!isOpen && onRetry && (
+            <button type="button" onClick={onRetry} className="btn btn-secondary btn-sm mt-3">
+              Try Again
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyUnavailable;
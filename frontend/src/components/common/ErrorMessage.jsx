@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   ExclamationTriangleIcon,
   XCircleIcon,
@@ -8,6 +8,7 @@ import {
   XMarkIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
+import { useRateLimit } from '../../hooks/useRateLimit';
 
 const ErrorMessage = ({ 
   title,
@@ -26,38 +27,38 @@ const ErrorMessage = ({
   const typeConfig = {
     error: {
       icon: XCircleIcon,
-      bgColor: 'bg-danger-50',
-      borderColor: 'border-danger-200',
+      bgColor: 'bg-danger-50 dark:bg-danger-900/30',
+      borderColor: 'border-danger-200 dark:border-danger-800',
       iconColor: 'text-danger-400',
-      titleColor: 'text-danger-900',
-      messageColor: 'text-danger-700',
+      titleColor: 'text-danger-900 dark:text-danger-100',
+      messageColor: 'text-danger-700 dark:text-danger-300',
       buttonColor: 'btn-danger',
     },
     warning: {
       icon: ExclamationTriangleIcon,
-      bgColor: 'bg-warning-50',
-      borderColor: 'border-warning-200',
+      bgColor: 'bg-warning-50 dark:bg-warning-900/30',
+      borderColor: 'border-warning-200 dark:border-warning-800',
       iconColor: 'text-warning-400',
-      titleColor: 'text-warning-900',
-      messageColor: 'text-warning-700',
+      titleColor: 'text-warning-900 dark:text-warning-100',
+      messageColor: 'text-warning-700 dark:text-warning-300',
       buttonColor: 'btn-warning',
     },
     info: {
       icon: InformationCircleIcon,
-      bgColor: 'bg-primary-50',
-      borderColor: 'border-primary-200',
+      bgColor: 'bg-primary-50 dark:bg-primary-900/30',
+      borderColor: 'border-primary-200 dark:border-primary-800',
       iconColor: 'text-primary-400',
-      titleColor: 'text-primary-900',
-      messageColor: 'text-primary-700',
+      titleColor: 'text-primary-900 dark:text-primary-100',
+      messageColor: 'text-primary-700 dark:text-primary-300',
       buttonColor: 'btn-primary',
     },
     success: {
       icon: ExclamationCircleIcon,
-      bgColor: 'bg-success-50',
-      borderColor: 'border-success-200',
+      bgColor: 'bg-success-50 dark:bg-success-900/30',
+      borderColor: 'border-success-200 dark:border-success-800',
       iconColor: 'text-success-400',
-      titleColor: 'text-success-900',
-      messageColor: 'text-success-700',
+      titleColor: 'text-success-900 dark:text-success-100',
+      messageColor: 'text-success-700 dark:text-success-300',
       buttonColor: 'btn-success',
     },
   };
@@ -168,7 +169,7 @@ const ErrorMessage = ({
             <button
               type="button"
               onClick={onDismiss}
-              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200"
             >
               <span className="sr-only">Dismiss</span>
               <XMarkIcon className="w-5 h-5" />
@@ -191,27 +192,61 @@ export const NetworkError = ({ onRetry, onDismiss }) => (
   />
 );
 
-export const NotFoundError = ({ resource = 'resource', onRetry, onDismiss }) => (
+export const NotFoundError = ({ resource = 'resource', identifier, onRetry, onDismiss }) => (
   <ErrorMessage
     type="warning"
     title={`${resource} Not Found`}
-    message={`The ${resource.toLowerCase()} you're looking for could not be found. It may have been moved or deleted.`}
+    message={identifier
+      ? `We couldn't find a ${resource.toLowerCase()} matching "${identifier}". Check the spelling or try another search.`
+      : `The ${resource.toLowerCase()} you're looking for could not be found. It may have been moved or deleted.`}
     onRetry={onRetry}
     onDismiss={onDismiss}
     retryText="Search Again"
   />
 );
 
-export const RateLimitError = ({ retryAfter, onDismiss }) => {
-  const message = retryAfter 
-    ? `Too many requests. Please wait ${retryAfter} seconds before trying again.`
-    : 'Too many requests. Please wait a moment before trying again.';
+// Counts down to the end of the server's Retry-After (or the rate limit group's
+// block, whichever is later) and calls onRetry when it runs out
+export const RateLimitError = ({ retryAfter, group, onRetry, onDismiss }) => {
+  const rateLimit = useRateLimit(group);
+  const [fallbackUntil] = useState(() => (retryAfter ? Date.now() + retryAfter * 1000 : null));
+  const [now, setNow] = useState(() => Date.now());
+  const retriedRef = useRef(false);
+
+  const retryAt = Math.max(rateLimit?.blockedUntil || 0, fallbackUntil || 0) || null;
+  const secondsLeft = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+  const waiting = secondsLeft > 0;
+
+  useEffect(() => {
+    if (!waiting) return undefined;
+
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [waiting]);
+
+  useEffect(() => {
+    if (retryAt && !waiting && onRetry && !retriedRef.current) {
+      retriedRef.current = true;
+      onRetry();
+    }
+  }, [retryAt, waiting, onRetry]);
+
+  let message = 'Too many requests. Please wait a moment before trying again.';
+  if (waiting) {
+    message = onRetry
+      ? `Too many requests. Retrying automatically in ${secondsLeft} ${secondsLeft === 1 ? 'second' : 'seconds'}.`
+      : `Too many requests. Please wait ${secondsLeft} ${secondsLeft === 1 ? 'second' : 'seconds'} before trying again.`;
+  } else if (retryAt) {
+    message = onRetry ? 'Retrying now…' : 'You can try again now.';
+  }
 
   return (
     <ErrorMessage
       type="warning"
       title="Rate Limit Exceeded"
-      message={message}
+      message={<p role="timer" aria-live="polite">{message}</p>}
+      onRetry={onRetry}
+      retryText="Retry Now"
       onDismiss={onDismiss}
     />
   );
@@ -262,11 +297,11 @@ export const EmptyState = ({
     'text-center py-12 px-6',
     className
   )}>
-    <Icon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-    <h3 className="text-lg font-semibold text-gray-900 mb-2">
+    <Icon className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+    <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
       {title}
     </h3>
-    <p className="text-gray-600 mb-6 max-w-sm mx-auto">
+    <p className="text-gray-600 dark:text-gray-400 mb-6 max-w-sm mx-auto">
       {message}
     </p>
     {action && (
@@ -310,15 +345,15 @@ export const ErrorToast = ({
   }, [autoClose, onClose, duration]);
 
   return (
-    <div className="fixed top-4 right-4 max-w-sm w-full bg-white border border-danger-200 rounded-xl shadow-strong z-50 animate-slide-down">
+    <div className="fixed top-4 right-4 max-w-sm w-full bg-white dark:bg-gray-800 border border-danger-200 dark:border-danger-800 rounded-xl shadow-strong z-50 animate-slide-down">
       <div className="p-4">
         <div className="flex items-start">
           <XCircleIcon className="w-5 h-5 text-danger-400 flex-shrink-0 mt-0.5" />
           <div className="ml-3 flex-1">
-            <p className="text-sm font-medium text-danger-900">
+            <p className="text-sm font-medium text-danger-900 dark:text-danger-100">
               Error
             </p>
-            <p className="text-sm text-danger-700 mt-1">
+            <p className="text-sm text-danger-700 dark:text-danger-300 mt-1">
               {message}
             </p>
           </div>
@@ -0,0 +1,46 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { RateLimitError } from './ErrorMessage';
+import rateLimiter from '../../services/rateLimiter';
+import { RATE_LIMIT_GROUPS } from '../../services/constants';
+
+describe('RateLimitError', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    rateLimiter.configure(RATE_LIMIT_GROUPS.SEARCH);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts down Retry-After and retries when it runs out', () => {
+    const onRetry = jest.fn();
+    render(<RateLimitError retryAfter={3} onRetry={onRetry} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('Retrying automatically in 3 seconds');
+
+    act(() => {
+      jest.advanceTimersByTime(2000);
+    });
+    expect(screen.getByRole('timer')).toHaveTextContent('Retrying automatically in 1 second.');
+    expect(onRetry).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(onRetry).toHaveBeenCalledTimes(1);
+  });
+
+  it('waits for the rate limit group when it is blocked for longer', () => {
+    rateLimiter.block(RATE_LIMIT_GROUPS.SEARCH, 10);
+    render(<RateLimitError retryAfter={2} group={RATE_LIMIT_GROUPS.SEARCH} />);
+
+    expect(screen.getByRole('timer')).toHaveTextContent('Please wait 10 seconds');
+
+    act(() => {
+      jest.advanceTimersByTime(10000);
+    });
+    expect(screen.getByRole('timer')).toHaveTextContent('You can try again now.');
+  });
+});
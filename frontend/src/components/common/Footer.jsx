@@ -4,12 +4,13 @@ import {
   DocumentTextIcon,
   ChatBubbleLeftRightIcon
 } from '@heroicons/react/24/outline';
+import { isMockApiEnabled } from '../../mocks/mockOptions';
 
 const Footer = () => {
   const currentYear = new Date().getFullYear();
 
   return (
-    <footer className="bg-gray-900 text-white mt-auto">
+    <footer className="bg-gray-900 dark:bg-gray-950 text-white mt-auto">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
         {/* Brand Section */}
         <div className="text-center mb-8">
@@ -63,7 +64,11 @@ const Footer = () => {
             </div>
             
             <div className="text-gray-400 text-sm text-center md:text-right">
-              <p>Data provided by SEC EDGAR and Yahoo Finance.</p>
+              {isMockApiEnabled() ? (
+                <p className="text-warning-400">Showing mock data; no backend is being called.</p>
+              ) : (
+                <p>Data provided by SEC EDGAR and Yahoo Finance.</p>
+              )}
               <p className="mt-1">For informational purposes only. Not investment advice.</p>
             </div>
           </div>
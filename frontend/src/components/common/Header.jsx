@@ -1,30 +1,86 @@
 import React from 'react';
-import { ChartBarIcon } from '@heroicons/react/24/outline';
+import { Link, NavLink } from 'react-router-dom';
+import { ArrowsRightLeftIcon, ChartBarIcon, CommandLineIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import ThemeToggle from './ThemeToggle';
+import AlertsMenu from './AlertsMenu';
+import { ShortcutKeys } from './CommandPalette';
+import { useCommandPalette } from '../../hooks/useCommands';
+import { useQuoteStreamStatus } from '../../hooks/useLiveQuote';
+import { CONNECTION_STATES, FEATURES, ROUTES } from '../../services/constants';
+
+const CONNECTION_BADGES = {
+  [CONNECTION_STATES.CONNECTING]: { label: 'Connecting', dot: 'bg-warning-400 animate-pulse' },
+  [CONNECTION_STATES.LIVE]: { label: 'Live Data', dot: 'bg-green-400' },
+  [CONNECTION_STATES.POLLING]: { label: 'Polling', dot: 'bg-warning-400' },
+  [CONNECTION_STATES.DISCONNECTED]: { label: 'Disconnected', dot: 'bg-danger-500' },
+};
 
 const Header = () => {
+  const { connectionState } = useQuoteStreamStatus();
+  const { openPalette } = useCommandPalette();
+  // No badge while nothing on the page needs quote updates
+  const badge = connectionState === CONNECTION_STATES.IDLE
+    ? null
+    : CONNECTION_BADGES[connectionState] || CONNECTION_BADGES[CONNECTION_STATES.DISCONNECTED];
+
   return (
-    <header className="bg-white border-b border-gray-200 shadow-sm sticky top-0 z-40">
+    <header className="bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 shadow-sm sticky top-0 z-40">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <nav className="flex items-center justify-between h-16">
           {/* Logo and Brand */}
           <div className="flex items-center">
-            <div className="flex-shrink-0 flex items-center space-x-3">
+            <Link to={ROUTES.HOME} className="flex-shrink-0 flex items-center space-x-3">
               <div className="w-8 h-8 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-lg flex items-center justify-center">
                 <ChartBarIcon className="w-5 h-5 text-white" />
               </div>
-              <div className="text-xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 bg-clip-text text-transparent">
+              <div className="text-xl font-bold bg-gradient-to-r from-gray-900 to-gray-600 dark:from-white dark:to-gray-300 bg-clip-text text-transparent">
                 FinanceHub
               </div>
-            </div>
+            </Link>
           </div>
 
           {/* Right side items */}
           <div className="flex items-center space-x-4">
+            <NavLink
+              to={ROUTES.COMPARE}
+              className={({ isActive }) => clsx(
+                'flex items-center text-sm font-medium transition-colors duration-200',
+                isActive
+                  ? 'text-primary-600'
+                  : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100'
+              )}
+            >
+              <ArrowsRightLeftIcon className="w-4 h-4 mr-1" />
+              Compare
+            </NavLink>
+
             {/* Status Indicator */}
-            <div className="flex items-center space-x-2 text-sm text-gray-500">
-              <div className="w-2 h-2 bg-green-400 rounded-full"></div>
-              <span>Live Data</span>
-            </div>
+            {badge && (
+              <div
+                className="flex items-center space-x-2 text-sm text-gray-500 dark:text-gray-400"
+                role="status"
+                title={`Quote updates: ${badge.label}`}
+              >
+                <div className={clsx('w-2 h-2 rounded-full', badge.dot)}></div>
+                <span>{badge.label}</span>
+              </div>
+            )}
+
+            <button
+              type="button"
+              onClick={openPalette}
+              className="hidden md:inline-flex items-center text-sm text-gray-500 dark:text-gray-400 border border-gray-200 dark:border-gray-700 rounded-lg pl-2 pr-1 py-1 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors duration-200"
+              title="Command palette"
+            >
+              <CommandLineIcon className="w-4 h-4 mr-1.5" />
+              <span className="mr-2">Commands</span>
+              <ShortcutKeys shortcut="mod+k" />
+            </button>
+
+            {FEATURES.ENABLE_ALERTS && <AlertsMenu />}
+
+            <ThemeToggle />
           </div>
         </nav>
       </div>
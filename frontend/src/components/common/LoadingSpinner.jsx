@@ -20,12 +20,12 @@ const LoadingSpinner = ({
 
   // Color mappings
   const colorClasses = {
-    primary: 'border-primary-200 border-t-primary-600',
-    secondary: 'border-gray-200 border-t-gray-600',
-    white: 'border-gray-300 border-t-white',
-    success: 'border-success-200 border-t-success-600',
-    danger: 'border-danger-200 border-t-danger-600',
-    warning: 'border-warning-200 border-t-warning-600',
+    primary: 'border-primary-200 dark:border-primary-800 border-t-primary-600',
+    secondary: 'border-gray-200 dark:border-gray-700 border-t-gray-600',
+    white: 'border-gray-300 dark:border-gray-600 border-t-white',
+    success: 'border-success-200 dark:border-success-800 border-t-success-600',
+    danger: 'border-danger-200 dark:border-danger-800 border-t-danger-600',
+    warning: 'border-warning-200 dark:border-warning-800 border-t-warning-600',
   };
 
   const spinnerClasses = clsx(
@@ -36,7 +36,7 @@ const LoadingSpinner = ({
 
   const textColorClasses = {
     primary: 'text-primary-600',
-    secondary: 'text-gray-600',
+    secondary: 'text-gray-600 dark:text-gray-400',
     white: 'text-white',
     success: 'text-success-600',
     danger: 'text-danger-600',
@@ -64,7 +64,7 @@ const LoadingSpinner = ({
   // Full screen loading
   if (fullScreen) {
     return (
-      <div className="fixed inset-0 z-50 bg-white">
+      <div className="fixed inset-0 z-50 bg-white dark:bg-gray-800">
         {content}
       </div>
     );
@@ -73,7 +73,7 @@ const LoadingSpinner = ({
   // Overlay loading
   if (overlay) {
     return (
-      <div className="absolute inset-0 z-10 bg-white bg-opacity-75 backdrop-blur-sm">
+      <div className="absolute inset-0 z-10 bg-white dark:bg-gray-800 bg-opacity-75 backdrop-blur-sm">
         {content}
       </div>
     );
@@ -85,7 +85,7 @@ const LoadingSpinner = ({
 
 // Skeleton loading components
 export const SkeletonLine = ({ width = 'full', height = '4' }) => (
-  <div className={`h-${height} bg-gray-200 rounded animate-pulse w-${width}`} />
+  <div className={`h-${height} bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-${width}`} />
 );
 
 export const SkeletonCard = ({ lines = 3, showAvatar = false }) => (
@@ -153,7 +153,7 @@ export const ChartLoading = () => (
     <div className="chart-header">
       <SkeletonLine width="1/3" />
     </div>
-    <div className="h-64 bg-gray-100 rounded animate-pulse flex items-center justify-center">
+    <div className="h-64 bg-gray-100 dark:bg-gray-700 rounded animate-pulse flex items-center justify-center">
       <LoadingSpinner size="lg" color="secondary" />
     </div>
   </div>
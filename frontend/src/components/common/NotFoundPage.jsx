@@ -0,0 +1,28 @@
+import React from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { NotFoundError } from './ErrorMessage';
+import { ROUTES } from '../../services/constants';
+
+const NotFoundPage = ({ resource = 'Page' }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Redirects carry the missing resource in router state (e.g. an unknown ticker)
+  const { resource: missingResource = resource, identifier } = location.state || {};
+
+  // Only offer "back" when there is an in-app history entry to return to
+  const canGoBack = (window.history.state?.idx ?? 0) > 0;
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+      <NotFoundError
+        resource={missingResource}
+        identifier={identifier}
+        onRetry={() => navigate(ROUTES.HOME)}
+        onDismiss={canGoBack ? () => navigate(-1) : undefined}
+      />
+    </div>
+  );
+};
+
+export default NotFoundPage;
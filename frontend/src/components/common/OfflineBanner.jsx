@@ -0,0 +1,29 @@
+import React from 'react';
+import { SignalSlashIcon } from '@heroicons/react/24/outline';
+import { useNetworkStatus } from '../../hooks/useNetworkStatus';
+import { formatRelativeTime } from '../../utils/formatters';
+
+// Shown under the header while the browser is offline
+const OfflineBanner = () => {
+  const { online, offlineSince } = useNetworkStatus();
+
+  if (online) return null;
+
+  return (
+    <div
+      role="status"
+      className="bg-warning-50 dark:bg-warning-900/30 border-b border-warning-200 dark:border-warning-800"
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center text-sm text-warning-800 dark:text-warning-200">
+        <SignalSlashIcon className="w-5 h-5 mr-2 flex-shrink-0" aria-hidden="true" />
+        <p>
+          <span className="font-medium">You're offline</span>
+          {offlineSince && <span> since {formatRelativeTime(new Date(offlineSince))}</span>}
+          . Companies you've viewed are shown from saved data and will refresh when you reconnect.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default OfflineBanner;
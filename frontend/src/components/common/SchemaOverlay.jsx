@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { CodeBracketIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { useSchemaMismatches } from '../../hooks/useSchemaMismatches';
+import schemaMonitor from '../../services/schemaMonitor';
+import { SCHEMA_ISSUES } from '../../services/constants';
+import { formatRelativeTime } from '../../utils/formatters';
+
+const ISSUE_LABELS = {
+  [SCHEMA_ISSUES.MISSING]: 'missing',
+  [SCHEMA_ISSUES.UNKNOWN]: 'unknown field',
+  [SCHEMA_ISSUES.TYPE]: 'wrong type',
+};
+
+const describeIssue = (issue) => {
+  if (issue.kind === SCHEMA_ISSUES.UNKNOWN) return issue.received;
+  return `expected ${issue.expected}, got ${issue.received}`;
+};
+
+// Development-only list of API responses that didn't match their schema
+const SchemaOverlay = () => {
+  const { mismatches } = useSchemaMismatches();
+  const [expanded, setExpanded] = useState(false);
+
+  if (mismatches.length === 0) return null;
+
+  const blockingCount = mismatches.filter(mismatch => mismatch.blocking).length;
+
+  if (!expanded) {
+    return (
+      <button
+        type="button"
+        onClick={() => setExpanded(true)}
+        className={clsx(
+          'fixed bottom-4 left-4 z-40 inline-flex items-center px-3 py-2 rounded-full shadow-lg text-sm font-medium text-white',
+          blockingCount > 0 ? 'bg-danger-600 hover:bg-danger-700' : 'bg-warning-600 hover:bg-warning-700'
+        )}
+      >
+        <CodeBracketIcon className="w-4 h-4 mr-1.5" aria-hidden="true" />
+        {mismatches.length} schema {mismatches.length === 1 ? 'mismatch' : 'mismatches'}
+      </button>
+    );
+  }
+
+  return (
+    <section
+      aria-label="API schema mismatches"
+      className="fixed bottom-4 left-4 z-40 w-[28rem] max-w-[calc(100vw-2rem)] max-h-[60vh] flex flex-col bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong"
+    >
+      <header className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Schema mismatches</h2>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {blockingCount} failed {blockingCount === 1 ? 'request' : 'requests'}, shown in development only
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => schemaMonitor.clear()}
+            className="text-xs font-medium text-primary-600 dark:text-primary-400 hover:text-primary-700"
+          >
+            Clear
+          </button>
+          <button
+            type="button"
+            onClick={() => setExpanded(false)}
+            className="p-1 rounded-md text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+          >
+            <XMarkIcon className="w-5 h-5" aria-hidden="true" />
+            <span className="sr-only">Minimize</span>
+          </button>
+        </div>
+      </header>
+
+      <ul className="flex-1 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700">
+        {mismatches.map(mismatch => (
+          <li key={mismatch.key} className="px-4 py-3">
+            <div className="flex items-center justify-between">
+              <span className="font-mono text-xs font-semibold text-gray-900 dark:text-gray-100">
+                {mismatch.endpoint}
+              </span>
+              <span className={clsx(
+                'px-2 py-0.5 rounded-full text-xs font-medium',
+                mismatch.blocking
+                  ? 'bg-danger-100 dark:bg-danger-900/40 text-danger-800 dark:text-danger-200'
+                  : 'bg-warning-100 dark:bg-warning-900/40 text-warning-800 dark:text-warning-200'
+              )}>
+                {mismatch.blocking ? 'Request failed' : 'Reported'}
+              </span>
+            </div>
+            <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+              {mismatch.label} · {mismatch.count}× · {formatRelativeTime(new Date(mismatch.lastSeen))}
+            </div>
+
+            <ul className="mt-2 space-y-1">
+              {mismatch.issues.map(issue => (
+                <li key={`${issue.kind}:${issue.path}`} className="text-xs">
+                  <code className="text-gray-900 dark:text-gray-100">{issue.path}</code>
+                  <span className={clsx(
+                    'ml-1.5 font-medium',
+                    issue.kind === SCHEMA_ISSUES.UNKNOWN ? 'text-warning-600' : 'text-danger-600'
+                  )}>
+                    {ISSUE_LABELS[issue.kind]}
+                  </span>
+                  <span className="ml-1.5 text-gray-500 dark:text-gray-400">{describeIssue(issue)}</span>
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+export default SchemaOverlay;
@@ -0,0 +1,67 @@
+import React, { Fragment } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import { SunIcon, MoonIcon, ComputerDesktopIcon, CheckIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { useTheme } from '../../hooks/useTheme';
+import { THEME_MODES } from '../../services/constants';
+
+const THEME_OPTIONS = [
+  { mode: THEME_MODES.LIGHT, label: 'Light', icon: SunIcon },
+  { mode: THEME_MODES.DARK, label: 'Dark', icon: MoonIcon },
+  { mode: THEME_MODES.SYSTEM, label: 'System', icon: ComputerDesktopIcon },
+];
+
+const ThemeToggle = ({ className }) => {
+  const { theme, isDark, isEnabled, setTheme } = useTheme();
+
+  if (!isEnabled) {
+    return null;
+  }
+
+  const CurrentIcon = isDark ? MoonIcon : SunIcon;
+
+  return (
+    <Menu as="div" className={clsx('relative', className)}>
+      <Menu.Button
+        className="p-2 rounded-lg text-gray-500 hover:text-gray-700 hover:bg-gray-100 dark:text-gray-400 dark:hover:text-gray-200 dark:hover:bg-gray-700 transition-colors duration-200"
+        title="Change theme"
+      >
+        <CurrentIcon className="w-5 h-5" />
+        <span className="sr-only">Change theme</span>
+      </Menu.Button>
+
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 mt-2 w-40 origin-top-right bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong py-1 z-50 focus:outline-none">
+          {THEME_OPTIONS.map(({ mode, label, icon: Icon }) => (
+            <Menu.Item key={mode}>
+              {({ active }) => (
+                <button
+                  type="button"
+                  onClick={() => setTheme(mode)}
+                  className={clsx(
+                    'w-full flex items-center px-3 py-2 text-sm text-gray-700 dark:text-gray-200',
+                    active && 'bg-gray-50 dark:bg-gray-700'
+                  )}
+                >
+                  <Icon className="w-4 h-4 mr-2 text-gray-400" />
+                  <span className="flex-1 text-left">{label}</span>
+                  {theme === mode && <CheckIcon className="w-4 h-4 text-primary-600 dark:text-primary-400" />}
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+};
+
+export default ThemeToggle;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { StarIcon as StarOutlineIcon } from '@heroicons/react/24/outline';
+import { StarIcon as StarSolidIcon } from '@heroicons/react/24/solid';
+import clsx from 'clsx';
+import { useWatchlist } from '../../hooks/useWatchlist';
+
+const WatchlistStar = ({ company, size = 'md', className }) => {
+  const { activeList, isWatched, toggleCompany } = useWatchlist();
+
+  if (!company?.ticker) {
+    return null;
+  }
+
+  const watched = isWatched(company.ticker);
+  const Icon = watched ? StarSolidIcon : StarOutlineIcon;
+  const label = watched
+    ? `Remove ${company.ticker} from ${activeList.name}`
+    : `Add ${company.ticker} to ${activeList.name}`;
+
+  const handleClick = (event) => {
+    // Stars live inside clickable cards
+    event.stopPropagation();
+    toggleCompany(company);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={watched}
+      aria-label={label}
+      title={label}
+      className={clsx(
+        'rounded-full p-1 transition-colors duration-200',
+        'focus:outline-none focus:ring-2 focus:ring-warning-400',
+        watched ? 'text-warning-500 hover:text-warning-600' : 'text-gray-400 hover:text-warning-500',
+        className
+      )}
+    >
+      <Icon className={size === 'sm' ? 'w-4 h-4' : 'w-5 h-5'} />
+    </button>
+  );
+};
+
+export default WatchlistStar;
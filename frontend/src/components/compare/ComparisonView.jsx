@@ -0,0 +1,358 @@
+import React, { useState, useMemo, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  ArrowsRightLeftIcon,
+  ArrowPathIcon,
+  PlusIcon,
+  XMarkIcon,
+  StarIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import SearchBar from '../search/SearchBar';
+import SearchResults, { SearchResultsSkeleton } from '../search/SearchResults';
+import { EmptyState } from '../common/ErrorMessage';
+import { useCompanyComparison } from '../../hooks/useCompanyComparison';
+import { useLatestRequest } from '../../hooks/useLatestRequest';
+import { useWatchlist } from '../../hooks/useWatchlist';
+import apiService, { isCancelledError } from '../../services/api';
+import { COMPARISON_CONFIG, SEARCH_CONFIG } from '../../services/constants';
+import { buildComparisonSections } from '../../utils/comparison';
+import { formatters } from '../../utils/formatters';
+import { buildCompanyPath, buildComparePath, parseTickerList } from '../../utils/routes';
+
+const { MIN_COMPANIES, MAX_COMPANIES } = COMPARISON_CONFIG;
+
+const RANK_STYLES = {
+  best: 'bg-success-50 dark:bg-success-900/30 text-success-700 dark:text-success-300 font-semibold',
+  worst: 'bg-danger-50 dark:bg-danger-900/30 text-danger-700 dark:text-danger-300',
+};
+
+const ComparisonHeaderCell = ({ entry, onRemove, onRetry }) => {
+  const company = entry.data?.company;
+
+  return (
+    <th scope="col" className="px-4 py-3 text-left align-top min-w-[10rem]">
+      <div className="flex items-start justify-between space-x-2">
+        <div className="min-w-0">
+          <Link
+            to={buildCompanyPath(entry.ticker)}
+            className="font-semibold text-primary-600 hover:text-primary-800 dark:hover:text-primary-200"
+          >
+            {formatters.ticker(entry.ticker)}
+          </Link>
+          {company?.name ? (
+            <div className="text-xs font-normal text-gray-500 dark:text-gray-400 truncate" title={company.name}>
+              {formatters.companyName(company.name, 28)}
+            </div>
+          ) : entry.loading ? (
+            <div className="h-3 mt-1 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-24" />
+          ) : null}
+          {entry.error && (
+            <button
+              type="button"
+              onClick={onRetry}
+              className="mt-1 inline-flex items-center text-xs font-normal text-danger-600 hover:text-danger-800"
+              title={entry.error}
+            >
+              <ArrowPathIcon className="w-3 h-3 mr-1" />
+              Failed to load, retry
+            </button>
+          )}
+        </div>
+
+        <button
+          type="button"
+          onClick={() => onRemove(entry.ticker)}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200 flex-shrink-0"
+          title={`Remove ${entry.ticker}`}
+        >
+          <XMarkIcon className="w-4 h-4" />
+          <span className="sr-only">Remove {entry.ticker}</span>
+        </button>
+      </div>
+    </th>
+  );
+};
+
+const ComparisonTable = ({ entries, onRemove, onRetry }) => {
+  const sections = useMemo(() => buildComparisonSections(entries), [entries]);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="border-b border-gray-200 dark:border-gray-700">
+          <tr>
+            <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider w-40">
+              Metric
+            </th>
+            {entries.map(entry => (
+              <ComparisonHeaderCell
+                key={entry.ticker}
+                entry={entry}
+                onRemove={onRemove}
+                onRetry={onRetry}
+              />
+            ))}
+          </tr>
+        </thead>
+
+        {sections.map(section => (
+          <tbody key={section.title} className="divide-y divide-gray-100 dark:divide-gray-700">
+            <tr className="bg-gray-50 dark:bg-gray-900">
+              <th
+                scope="colgroup"
+                colSpan={entries.length + 1}
+                className="px-4 py-2 text-left text-xs font-semibold text-gray-600 dark:text-gray-400 uppercase tracking-wider"
+              >
+                {section.title}
+              </th>
+            </tr>
+
+            {section.rows.map(row => (
+              <tr key={row.key}>
+                <th scope="row" className="px-4 py-2 text-left font-medium text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                  {row.label}
+                </th>
+                {row.cells.map(cell => (
+                  <td
+                    key={cell.ticker}
+                    className={clsx(
+                      'px-4 py-2 whitespace-nowrap',
+                      RANK_STYLES[cell.rank] || 'text-gray-900 dark:text-gray-100'
+                    )}
+                  >
+                    {cell.display === null ? (
+                      <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-16" />
+                    ) : (
+                      <>
+                        {cell.display}
+                        {cell.rank && <span className="sr-only"> ({cell.rank})</span>}
+                      </>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+    </div>
+  );
+};
+
+const ComparisonView = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const tickersParam = searchParams.get('tickers') || '';
+
+  const tickers = useMemo(() => parseTickerList(tickersParam), [tickersParam]);
+  const { entries, loading, retry } = useCompanyComparison(tickers);
+  const { items: watchlistItems } = useWatchlist();
+
+  const [search, setSearch] = useState({ query: '', results: [], loading: false, error: null });
+  const searchRequest = useLatestRequest();
+
+  const isFull = tickers.length >= MAX_COMPANIES;
+
+  // The comparison set lives in the URL so it can be shared and restored
+  const updateTickers = useCallback((nextTickers) => {
+    navigate(buildComparePath(nextTickers));
+  }, [navigate]);
+
+  const addTicker = useCallback((ticker) => {
+    const symbol = ticker?.toUpperCase();
+    if (!symbol) return;
+
+    if (tickers.includes(symbol)) {
+      toast(`${symbol} is already in the comparison`);
+      return;
+    }
+
+    if (tickers.length >= MAX_COMPANIES) {
+      toast.error(`You can compare up to ${MAX_COMPANIES} companies`);
+      return;
+    }
+
+    updateTickers([...tickers, symbol]);
+  }, [tickers, updateTickers]);
+
+  const removeTicker = useCallback((ticker) => {
+    updateTickers(tickers.filter(item => item !== ticker));
+  }, [tickers, updateTickers]);
+
+  const handleSearchResult = useCallback(async ({ query }) => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      searchRequest.abort();
+      setSearch({ query: '', results: [], loading: false, error: null });
+      return;
+    }
+
+    const controller = searchRequest.start();
+    setSearch({ query: trimmed, results: [], loading: true, error: null });
+
+    try {
+      const response = await apiService.searchCompanies(trimmed, {
+        limit: SEARCH_CONFIG.MAX_RESULTS,
+        signal: controller.signal,
+      });
+      if (!searchRequest.isLatest(controller)) return;
+
+      const results = response.status === 'success' ? response.data.results : [];
+      setSearch({
+        query: trimmed,
+        results: results.filter(result => result.ticker),
+        loading: false,
+        error: response.status === 'success' ? null : response.message || 'Search failed',
+      });
+    } catch (error) {
+      if (isCancelledError(error) || !searchRequest.isLatest(controller)) return;
+      setSearch({ query: trimmed, results: [], loading: false, error: error.message || 'Search failed' });
+    }
+  }, [searchRequest]);
+
+  const handleResultSelect = useCallback((result) => {
+    addTicker(result.ticker);
+    searchRequest.abort();
+    setSearch({ query: '', results: [], loading: false, error: null });
+  }, [addTicker, searchRequest]);
+
+  const watchlistCandidates = watchlistItems.filter(item => !tickers.includes(item.ticker));
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {/* Title */}
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 flex items-center">
+              <ArrowsRightLeftIcon className="w-7 h-7 mr-3 text-primary-600" />
+              Compare Companies
+            </h1>
+            <p className="text-gray-600 dark:text-gray-400 mt-2">
+              Add {MIN_COMPANIES} to {MAX_COMPANIES} companies to compare them side by side. The best and worst value in each row is highlighted.
+            </p>
+          </div>
+
+          {tickers.length > 0 && (
+            <button
+              type="button"
+              onClick={retry}
+              disabled={loading}
+              className="btn btn-secondary btn-sm inline-flex items-center flex-shrink-0"
+            >
+              <ArrowPathIcon className={clsx('w-4 h-4 mr-1', loading && 'animate-spin')} />
+              Refresh
+            </button>
+          )}
+        </div>
+
+        {/* Add Companies */}
+        <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+              <PlusIcon className="w-5 h-5 mr-2" />
+              Add Companies
+            </h2>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {tickers.length} / {MAX_COMPANIES}
+            </span>
+          </div>
+
+          {isFull ? (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              The comparison is full. Remove a company to add another.
+            </p>
+          ) : (
+            <>
+              <SearchBar
+                onSearchResult={handleSearchResult}
+                placeholder="Search a company to add (e.g., MSFT, Alphabet)"
+                showRecentSearches={false}
+                size="md"
+              />
+
+              {watchlistCandidates.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="text-sm text-gray-500 dark:text-gray-400 flex items-center">
+                    <StarIcon className="w-4 h-4 mr-1 text-warning-500" />
+                    From watchlist:
+                  </span>
+                  {watchlistCandidates.map(item => (
+                    <button
+                      key={item.ticker}
+                      type="button"
+                      onClick={() => addTicker(item.ticker)}
+                      className="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-full border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors duration-200"
+                      title={item.name}
+                    >
+                      <PlusIcon className="w-3 h-3 mr-1" />
+                      {formatters.ticker(item.ticker)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {search.loading && <SearchResultsSkeleton rows={2} />}
+
+          {search.error && (
+            <p className="text-sm text-danger-600">{search.error}</p>
+          )}
+
+          {!search.loading && search.query && !search.error && search.results.length === 0 && (
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              No companies with a ticker match "{search.query}".
+            </p>
+          )}
+
+          {!isFull && (
+            <SearchResults
+              results={search.results}
+              query={search.query}
+              onSelect={handleResultSelect}
+            />
+          )}
+        </div>
+
+        {/* Comparison */}
+        {tickers.length === 0 ? (
+          <EmptyState
+            title="Nothing to compare yet"
+            message={`Search for companies or pick them from your watchlist. You can compare up to ${MAX_COMPANIES} at once.`}
+            icon={ArrowsRightLeftIcon}
+          />
+        ) : (
+          <div className="space-y-3">
+            {tickers.length < MIN_COMPANIES && (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Add at least one more company to see how they compare.
+              </p>
+            )}
+
+            <ComparisonTable
+              entries={entries}
+              onRemove={removeTicker}
+              onRetry={retry}
+            />
+
+            <div className="flex items-center space-x-4 text-xs text-gray-500 dark:text-gray-400">
+              <span className="flex items-center">
+                <span className={clsx('w-3 h-3 rounded mr-1', RANK_STYLES.best)} />
+                Best in row
+              </span>
+              <span className="flex items-center">
+                <span className={clsx('w-3 h-3 rounded mr-1', RANK_STYLES.worst)} />
+                Worst in row
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonView;
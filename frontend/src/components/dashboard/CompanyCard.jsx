@@ -8,9 +8,17 @@ import {
   ArrowTopRightOnSquareIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
+import WatchlistStar from '../common/WatchlistStar';
+import AlertButton from '../common/AlertButton';
 import { formatters } from '../../utils/formatters';
+import { FEATURES } from '../../services/constants';
 
-const CompanyCard = ({ company, className, showDetails = true }) => {
+const CompanyCard = ({ 
+  company, 
+  className, 
+  showDetails = true,
+  showWatchlistToggle = FEATURES.ENABLE_FAVORITES
+}) => {
   if (!company) {
     return null;
   }
@@ -59,32 +67,44 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
           <div className="flex-1 min-w-0">
             <div className="flex items-start justify-between">
               <div className="min-w-0 flex-1">
-                <h2 className="text-xl font-bold text-gray-900 truncate">
+                <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 truncate">
                   {formatters.companyName(name)}
                 </h2>
                 
                 <div className="flex items-center space-x-3 mt-1">
                   {ticker && (
-                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-sm font-medium bg-primary-100 text-primary-800">
+                    <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-sm font-medium bg-primary-100 dark:bg-primary-900/40 text-primary-800 dark:text-primary-200">
                       {formatters.ticker(ticker)}
                     </span>
                   )}
                   
                   {exchange && (
-                    <span className="text-sm text-gray-600">
+                    <span className="text-sm text-gray-600 dark:text-gray-400">
                       {exchange}
                     </span>
                   )}
                 </div>
               </div>
 
-              {/* CIK */}
-              {cik && (
-                <div className="text-right flex-shrink-0">
-                  <div className="text-xs text-gray-500">CIK</div>
-                  <div className="text-sm font-mono text-gray-900">{cik}</div>
-                </div>
-              )}
+              <div className="flex items-start space-x-3 flex-shrink-0">
+                {/* CIK */}
+                {cik && (
+                  <div className="text-right">
+                    <div className="text-xs text-gray-500 dark:text-gray-400">CIK</div>
+                    <div className="text-sm font-mono text-gray-900 dark:text-gray-100">{cik}</div>
+                  </div>
+                )}
+
+                {/* Alerts */}
+                {FEATURES.ENABLE_ALERTS && (
+                  <AlertButton company={company} />
+                )}
+
+                {/* Watchlist */}
+                {showWatchlistToggle && (
+                  <WatchlistStar company={company} />
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -96,10 +116,10 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
         <div className="grid grid-cols-2 gap-4">
           {industry && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Industry
               </div>
-              <div className="text-sm text-gray-900 mt-1">
+              <div className="text-sm text-gray-900 dark:text-gray-100 mt-1">
                 {industry}
               </div>
             </div>
@@ -107,10 +127,10 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
           {sector && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Sector
               </div>
-              <div className="text-sm text-gray-900 mt-1">
+              <div className="text-sm text-gray-900 dark:text-gray-100 mt-1">
                 {sector}
               </div>
             </div>
@@ -118,10 +138,10 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
           {market_cap && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Market Cap
               </div>
-              <div className="text-sm font-semibold text-gray-900 mt-1">
+              <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mt-1">
                 {formatters.marketCap(market_cap)}
               </div>
             </div>
@@ -129,10 +149,10 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
           {employees && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Employees
               </div>
-              <div className="text-sm text-gray-900 mt-1">
+              <div className="text-sm text-gray-900 dark:text-gray-100 mt-1">
                 {formatters.largeNumber(employees)}
               </div>
             </div>
@@ -141,11 +161,11 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
         {/* Location and Website */}
         {(headquarters || website) && (
-          <div className="space-y-3 pt-2 border-t border-gray-100">
+          <div className="space-y-3 pt-2 border-t border-gray-100 dark:border-gray-700">
             {headquarters && (
               <div className="flex items-center space-x-2">
                 <MapPinIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
-                <span className="text-sm text-gray-600">{headquarters}</span>
+                <span className="text-sm text-gray-600 dark:text-gray-400">{headquarters}</span>
               </div>
             )}
 
@@ -153,7 +173,7 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
               <button
                 type="button"
                 onClick={handleWebsiteClick}
-                className="flex items-center space-x-2 text-primary-600 hover:text-primary-800 transition-colors duration-200"
+                className="flex items-center space-x-2 text-primary-600 hover:text-primary-800 dark:hover:text-primary-200 transition-colors duration-200"
               >
                 <GlobeAltIcon className="w-4 h-4 flex-shrink-0" />
                 <span className="text-sm font-medium truncate">{website}</span>
@@ -165,14 +185,14 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
         {/* Description */}
         {description && showDetails && (
-          <div className="pt-3 border-t border-gray-100">
+          <div className="pt-3 border-t border-gray-100 dark:border-gray-700">
             <div className="flex items-start space-x-2">
               <InformationCircleIcon className="w-4 h-4 text-gray-400 flex-shrink-0 mt-0.5" />
               <div>
-                <div className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-1">
+                <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider mb-1">
                   About
                 </div>
-                <p className="text-sm text-gray-600 leading-relaxed">
+                <p className="text-sm text-gray-600 dark:text-gray-400 leading-relaxed">
                   {formatters.truncateText(description, 200)}
                 </p>
               </div>
@@ -182,31 +202,31 @@ const CompanyCard = ({ company, className, showDetails = true }) => {
 
         {/* Key Metrics (if available) */}
         {showDetails && (market_cap || employees) && (
-          <div className="pt-3 border-t border-gray-100">
+          <div className="pt-3 border-t border-gray-100 dark:border-gray-700">
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
               {market_cap && (
-                <div className="bg-gray-50 rounded-lg p-3">
+                <div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-3">
                   <div className="flex items-center space-x-2">
                     <BuildingOfficeIcon className="w-4 h-4 text-primary-500" />
-                    <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                       Market Value
                     </div>
                   </div>
-                  <div className="text-lg font-bold text-gray-900 mt-1">
+                  <div className="text-lg font-bold text-gray-900 dark:text-gray-100 mt-1">
                     {formatters.marketCap(market_cap)}
                   </div>
                 </div>
               )}
 
               {employees && (
-                <div className="bg-gray-50 rounded-lg p-3">
+                <div className="bg-gray-50 dark:bg-gray-900 rounded-lg p-3">
                   <div className="flex items-center space-x-2">
                     <UserGroupIcon className="w-4 h-4 text-success-500" />
-                    <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                       Workforce
                     </div>
                   </div>
-                  <div className="text-lg font-bold text-gray-900 mt-1">
+                  <div className="text-lg font-bold text-gray-900 dark:text-gray-100 mt-1">
                     {formatters.largeNumber(employees)}
                   </div>
                 </div>
@@ -224,17 +244,17 @@ export const CompanyCardSkeleton = ({ className }) => (
   <div className={clsx('company-card', className)}>
     <div className="company-card-header">
       <div className="flex items-start space-x-4">
-        <div className="w-12 h-12 bg-gray-200 rounded-lg animate-pulse" />
+        <div className="w-12 h-12 bg-gray-200 dark:bg-gray-700 rounded-lg animate-pulse" />
         <div className="flex-1 space-y-2">
-          <div className="h-6 bg-gray-200 rounded animate-pulse w-3/4" />
+          <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-3/4" />
           <div className="flex space-x-2">
-            <div className="h-5 bg-gray-200 rounded-full animate-pulse w-16" />
-            <div className="h-5 bg-gray-200 rounded animate-pulse w-20" />
+            <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded-full animate-pulse w-16" />
+            <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-20" />
           </div>
         </div>
         <div className="space-y-1">
-          <div className="h-3 bg-gray-200 rounded animate-pulse w-8" />
-          <div className="h-4 bg-gray-200 rounded animate-pulse w-12" />
+          <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-8" />
+          <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-12" />
         </div>
       </div>
     </div>
@@ -243,78 +263,95 @@ export const CompanyCardSkeleton = ({ className }) => (
       <div className="grid grid-cols-2 gap-4">
         {Array.from({ length: 4 }).map((_, index) => (
           <div key={index} className="space-y-2">
-            <div className="h-3 bg-gray-200 rounded animate-pulse w-16" />
-            <div className="h-4 bg-gray-200 rounded animate-pulse w-20" />
+            <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-16" />
+            <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-20" />
           </div>
         ))}
       </div>
       
-      <div className="pt-2 border-t border-gray-100 space-y-3">
-        <div className="h-4 bg-gray-200 rounded animate-pulse w-1/2" />
-        <div className="h-4 bg-gray-200 rounded animate-pulse w-2/3" />
+      <div className="pt-2 border-t border-gray-100 dark:border-gray-700 space-y-3">
+        <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-1/2" />
+        <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-2/3" />
       </div>
     </div>
   </div>
 );
 
 // Compact version for search results
-export const CompanyCardCompact = ({ company, onClick, className }) => {
+export const CompanyCardCompact = ({ 
+  company, 
+  onClick, 
+  className,
+  showWatchlistToggle = FEATURES.ENABLE_FAVORITES
+}) => {
   if (!company) return null;
 
   const { name, ticker, exchange, industry } = company;
+  const hasStar = showWatchlistToggle && ticker;
 
   return (
-    <button
-      type="button"
-      onClick={() => onClick?.(company)}
-      className={clsx(
-        'w-full text-left p-4 bg-white border border-gray-200 rounded-lg',
-        'hover:border-primary-300 hover:shadow-md transition-all duration-200',
-        'focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-opacity-20',
-        className
-      )}
-    >
-      <div className="flex items-center space-x-3">
-        <div className="w-10 h-10 bg-primary-100 rounded-lg flex items-center justify-center text-primary-600 font-bold text-sm flex-shrink-0">
-          {formatters.companyName(name)
-            ?.split(' ')
-            .map(word => word.charAt(0))
-            .join('')
-            .toUpperCase()
-            .slice(0, 2) || '??'}
-        </div>
+    <div className={clsx('relative', className)}>
+      <button
+        type="button"
+        onClick={() => onClick?.(company)}
+        className={clsx(
+          'w-full text-left p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg',
+          'hover:border-primary-300 hover:shadow-md transition-all duration-200',
+          'focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-opacity-20',
+          hasStar && 'pr-16'
+        )}
+      >
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-primary-100 dark:bg-primary-900/40 rounded-lg flex items-center justify-center text-primary-600 font-bold text-sm flex-shrink-0">
+            {formatters.companyName(name)
+              ?.split(' ')
+              .map(word => word.charAt(0))
+              .join('')
+              .toUpperCase()
+              .slice(0, 2) || '??'}
+          </div>
 
-        <div className="flex-1 min-w-0">
-          <h3 className="font-semibold text-gray-900 truncate">
-            {formatters.companyName(name, 40)}
-          </h3>
+          <div className="flex-1 min-w-0">
+            <h3 className="font-semibold text-gray-900 dark:text-gray-100 truncate">
+              {formatters.companyName(name, 40)}
+            </h3>
           
-          <div className="flex items-center space-x-2 mt-1">
-            {ticker && (
-              <span className="text-sm font-medium text-primary-600">
-                {formatters.ticker(ticker)}
-              </span>
-            )}
+            <div className="flex items-center space-x-2 mt-1">
+              {ticker && (
+                <span className="text-sm font-medium text-primary-600">
+                  {formatters.ticker(ticker)}
+                </span>
+              )}
             
-            {exchange && (
-              <>
-                <span className="text-gray-300">•</span>
-                <span className="text-sm text-gray-600">{exchange}</span>
-              </>
-            )}
+              {exchange && (
+                <>
+                  <span className="text-gray-300 dark:text-gray-600">•</span>
+                  <span className="text-sm text-gray-600 dark:text-gray-400">{exchange}</span>
+                </>
+              )}
             
-            {industry && (
-              <>
-                <span className="text-gray-300">•</span>
-                <span className="text-sm text-gray-500 truncate">{industry}</span>
-              </>
-            )}
+              {industry && (
+                <>
+                  <span className="text-gray-300 dark:text-gray-600">•</span>
+                  <span className="text-sm text-gray-500 dark:text-gray-400 truncate">{industry}</span>
+                </>
+              )}
+            </div>
           </div>
+
+          <ArrowTopRightOnSquareIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
         </div>
+      </button>
 
-        <ArrowTopRightOnSquareIcon className="w-4 h-4 text-gray-400 flex-shrink-0" />
-      </div>
-    </button>
+      {/* Watchlist star sits beside the card button, not inside it */}
+      {hasStar && (
+        <WatchlistStar
+          company={company}
+          size="sm"
+          className="absolute right-10 top-1/2 transform -translate-y-1/2"
+        />
+      )}
+    </div>
   );
 };
 
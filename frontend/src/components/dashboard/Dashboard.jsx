@@ -1,88 +1,530 @@
-import React, { useState, useCallback } from 'react';
-import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { Tab } from '@headlessui/react';
+import {
+  ArrowDownTrayIcon,
+  ArrowsRightLeftIcon,
+  ClockIcon,
+  DocumentTextIcon,
+  MagnifyingGlassIcon,
+  StarIcon,
+  TableCellsIcon,
+  UserGroupIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
 import SearchBar from '../search/SearchBar';
 import CompanyCard, { CompanyCardSkeleton } from './CompanyCard';
 import StockCard, { StockCardSkeleton } from './StockCard';
 import FilingsTable from './FilingsTable';
-import { NetworkError, NotFoundError, EmptyState } from '../common/ErrorMessage';
-import LoadingSpinner from '../common/LoadingSpinner';
-import apiService from '../../services/api';
+import FinancialStatements from './FinancialStatements';
+import InsidersPanel from './InsidersPanel';
+import WatchlistPanel from './WatchlistPanel';
+import ExportMenu from './ExportMenu';
+import SearchResults, { SearchResultsSkeleton } from '../search/SearchResults';
+import { NetworkError, NotFoundError, RateLimitError, EmptyState } from '../common/ErrorMessage';
+import DependencyUnavailable from '../common/DependencyUnavailable';
+import { useFilingsHistory } from '../../hooks/useFilingsHistory';
+import { useInsiderTransactions } from '../../hooks/useInsiderTransactions';
+import { useCommands } from '../../hooks/useCommands';
+import { useWatchlist } from '../../hooks/useWatchlist';
+import { useNetworkStatus } from '../../hooks/useNetworkStatus';
+import { useCircuitBreaker } from '../../hooks/useCircuitBreaker';
+import apiService, { isCancelledError } from '../../services/api';
+import circuitBreaker, { isOutageError } from '../../services/circuitBreaker';
+import {
+  CIRCUIT_FAMILIES,
+  CIRCUIT_STATES,
+  COMMAND_GROUPS,
+  ERROR_TYPES,
+  EXPORT_FORMATS,
+  FEATURES,
+  FILING_FORMS,
+  ROUTES,
+  SEARCH_CONFIG,
+} from '../../services/constants';
+import { exportCompanyData } from '../../utils/exporters';
+import { formatRelativeTime } from '../../utils/formatters';
+import {
+  buildCompanyPath,
+  buildComparePath,
+  buildFilingsPath,
+  buildSearchPath,
+  parseFilingsFilters,
+} from '../../utils/routes';
+import { getDirectLookup, parseSearchQuery } from '../../utils/searchQuery';
+
+// Well-known forms stay selectable even before a matching filing is loaded
+const FILING_FORM_OPTIONS = Object.keys(FILING_FORMS);
+
+const COMPANY_TABS = [
+  { id: 'filings', label: 'SEC Filings', icon: DocumentTextIcon },
+  { id: 'financials', label: 'Financials', icon: TableCellsIcon },
+  { id: 'insiders', label: 'Insiders', icon: UserGroupIcon },
+];
+
+// Look up full company details, leaving out sections whose dependency has an
+// open circuit breaker. `unavailable` lists the families shown as placeholders.
+const fetchCompanyDetails = async (query, company, options) => {
+  const unavailable = new Set(
+    [CIRCUIT_FAMILIES.STOCK, CIRCUIT_FAMILIES.FILINGS].filter(family => !circuitBreaker.isAvailable(family))
+  );
+
+  try {
+    const response = await apiService.lookupCompany(query, {
+      ...options,
+      includeStock: !unavailable.has(CIRCUIT_FAMILIES.STOCK),
+      includeFilings: !unavailable.has(CIRCUIT_FAMILIES.FILINGS),
+    });
+
+    if (response.status !== 'success') {
+      return response;
+    }
+
+    return { ...response, data: { ...response.data, unavailable: [...unavailable] } };
+  } catch (error) {
+    // With the profile already loaded, only the analysis has to go missing
+    if (!company || !isOutageError(error)) throw error;
+
+    let stockQuote = null;
+    if (!unavailable.has(CIRCUIT_FAMILIES.STOCK)) {
+      try {
+        stockQuote = (await apiService.getStockQuote(company.ticker, options)).data;
+      } catch (quoteError) {
+        if (isCancelledError(quoteError)) throw quoteError;
+      }
+    }
+
+    if (!stockQuote) unavailable.add(CIRCUIT_FAMILIES.STOCK);
+    unavailable.add(CIRCUIT_FAMILIES.ANALYSIS);
+
+    return {
+      status: 'success',
+      data: { company, stock_quote: stockQuote, unavailable: [...unavailable] },
+    };
+  }
+};
+
+// Resolve a ticker from the URL into full company details. The profile comes
+// from search, so when search is down the lookup has to resolve the ticker alone.
+const fetchCompanyByTicker = async (ticker, options) => {
+  let company;
+  try {
+    company = await apiService.getCompanyByTicker(ticker, options);
+  } catch (error) {
+    if (!isOutageError(error)) throw error;
+    return fetchCompanyDetails(ticker, null, options);
+  }
+
+  if (company.status !== 'success') {
+    return company;
+  }
+
+  return fetchCompanyDetails(ticker, company.data, options);
+};
+
+// Search a free-text query from the URL and return every match
+const fetchSearchResults = async (query, options) => {
+  const search = await apiService.searchCompanies(query, {
+    ...options,
+    limit: SEARCH_CONFIG.MAX_RESULTS,
+  });
+
+  if (search.status !== 'success') {
+    return search;
+  }
+
+  return { status: 'success', data: search.data.results, cachedAt: search.cachedAt };
+};
+
+// Find a result whose ticker is exactly the query (e.g. "aapl" or "ticker:aapl" -> AAPL)
+const findExactTickerMatch = (results, query) => {
+  const normalized = (parseSearchQuery(query).filters.ticker || query).trim().toUpperCase();
+  return results.find(result => result.ticker?.toUpperCase() === normalized);
+};
 
 const Dashboard = () => {
+  const navigate = useNavigate();
+  const { ticker } = useParams();
+  const [searchParams] = useSearchParams();
+
+  const query = searchParams.get('q') || '';
+  const selectedCik = searchParams.get('cik') || '';
+  const searchString = searchParams.toString();
+  const filingsFilters = useMemo(
+    () => parseFilingsFilters(new URLSearchParams(searchString)),
+    [searchString]
+  );
+
   const [searchState, setSearchState] = useState({
     query: '',
     loading: false,
     error: null,
+    rateLimit: null,
+    circuit: null,
     hasSearched: false,
   });
 
   const [companyData, setCompanyData] = useState(null);
+  const [searchResults, setSearchResults] = useState([]);
   const [loadingDetails, setLoadingDetails] = useState(false);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [filingsView, setFilingsView] = useState({ filings: null, view: null });
+  const [insidersOpened, setInsidersOpened] = useState(false);
+  const [companyTab, setCompanyTab] = useState(0);
+  // When the data on screen was fetched, if it came from cache while offline
+  const [dataAsOf, setDataAsOf] = useState(null);
+  const searchBarRef = useRef(null);
+  const refreshRef = useRef(false);
+  const handledRefreshRef = useRef(null);
+  const { activeList, isWatched, toggleCompany } = useWatchlist();
+  const { refreshedAt } = useNetworkStatus();
+  const circuits = useCircuitBreaker();
+  const previousCircuitsRef = useRef(circuits);
 
-  const handleSearchResult = useCallback(async (searchResult) => {
-    const { query, results, hasResults, error } = searchResult;
-    
-    setSearchState({
-      query,
-      loading: false,
-      error,
-      hasSearched: true,
-    });
+  // Hydrate the dashboard from the current route
+  useEffect(() => {
+    if (!ticker && !query) {
+      setSearchState({
+        query: '',
+        loading: false,
+        error: null,
+        rateLimit: null,
+        circuit: null,
+        hasSearched: false,
+      });
+      setCompanyData(null);
+      setSearchResults([]);
+      setDataAsOf(null);
+      return undefined;
+    }
+
+    // Leaving the route aborts whatever it was still loading
+    const controller = new AbortController();
+    const { signal } = controller;
+    const requestOptions = { signal, refresh: refreshRef.current };
+    let redirecting = false;
+    refreshRef.current = false;
 
-    // If we have results, get detailed information for the first result
-    if (hasResults && results.length > 0) {
+    const loadFromRoute = async () => {
+      setSearchState({
+        query: ticker || query,
+        loading: false,
+        error: null,
+        rateLimit: null,
+        circuit: null,
+        hasSearched: true,
+      });
       setLoadingDetails(true);
-      
+
       try {
-        const response = await apiService.lookupCompany(query);
-        
+        // A bare search shows every match so the user can pick the right entity
+        if (!ticker && !selectedCik) {
+          const response = await fetchSearchResults(query, requestOptions);
+          if (signal.aborted) return;
+
+          setDataAsOf(response.cachedAt || null);
+
+          if (response.status !== 'success') {
+            setCompanyData(null);
+            setSearchResults([]);
+            setSearchState(prev => ({
+              ...prev,
+              error: response.message || 'Search failed'
+            }));
+            return;
+          }
+
+          const exactMatch = findExactTickerMatch(response.data, query);
+          if (exactMatch) {
+            // Keep the skeleton up while the company route takes over
+            redirecting = true;
+            navigate(buildCompanyPath(exactMatch.ticker), { replace: true });
+            return;
+          }
+
+          setCompanyData(null);
+          setSearchResults(response.data);
+          return;
+        }
+
+        // Look up the selected entity by ticker or CIK, never by the raw query
+        const response = ticker
+          ? await fetchCompanyByTicker(ticker, requestOptions)
+          : await fetchCompanyDetails(selectedCik, null, requestOptions);
+
+        if (signal.aborted) return;
+
+        setSearchResults([]);
+        setDataAsOf(response.cachedAt || null);
+
         if (response.status === 'success') {
           setCompanyData(response.data);
         } else {
+          setCompanyData(null);
           setSearchState(prev => ({
             ...prev,
             error: response.message || 'Failed to load company details'
           }));
         }
       } catch (err) {
+        if (signal.aborted || isCancelledError(err)) return;
+
+        // Unknown tickers get a dedicated route instead of an inline error
+        if (ticker && err.type === ERROR_TYPES.NOT_FOUND) {
+          navigate(ROUTES.NOT_FOUND, {
+            replace: true,
+            state: { resource: 'Company', identifier: ticker.toUpperCase() },
+          });
+          return;
+        }
+
+        setCompanyData(null);
         setSearchState(prev => ({
           ...prev,
-          error: err.message || 'Failed to load company details'
+          error: err.message || 'Failed to load company details',
+          rateLimit: err.type === ERROR_TYPES.RATE_LIMIT
+            ? { retryAfter: err.retryAfter, group: err.group }
+            : null,
+          circuit: err.type === ERROR_TYPES.CIRCUIT_OPEN ? err.family : null,
         }));
       } finally {
-        setLoadingDetails(false);
+        if (!signal.aborted && !redirecting) {
+          setLoadingDetails(false);
+        }
       }
+    };
+
+    loadFromRoute();
+
+    return () => {
+      controller.abort();
+    };
+  }, [ticker, query, selectedCik, reloadCount, navigate]);
+
+  // Reload cached data once it has been refreshed after reconnecting
+  useEffect(() => {
+    if (!refreshedAt || handledRefreshRef.current === refreshedAt) return;
+    handledRefreshRef.current = refreshedAt;
+
+    if (dataAsOf) {
+      refreshRef.current = true;
+      setReloadCount(count => count + 1);
+    }
+  }, [refreshedAt, dataAsOf]);
+
+  const handleSearchResult = useCallback((searchResult) => {
+    const { query: searchQuery } = searchResult;
+    const lookup = getDirectLookup(parseSearchQuery(searchQuery));
+
+    // Every search becomes a history entry so back/forward can restore it;
+    // "ticker:" and "cik:" on their own jump straight to the company
+    if (lookup?.ticker) {
+      navigate(buildCompanyPath(lookup.ticker));
+    } else if (lookup?.cik) {
+      navigate(buildSearchPath(searchQuery, { cik: lookup.cik }));
     } else {
-      setCompanyData(null);
+      navigate(buildSearchPath(searchQuery));
     }
-  }, []);
+  }, [navigate]);
+
+  const handleResultSelect = useCallback((result) => {
+    if (result.ticker) {
+      navigate(buildCompanyPath(result.ticker));
+    } else if (result.cik) {
+      navigate(buildSearchPath(query, { cik: result.cik }));
+    }
+  }, [query, navigate]);
 
   const handleRetrySearch = useCallback(() => {
     if (searchState.query) {
-      setSearchState(prev => ({ ...prev, loading: true, error: null }));
-      // The SearchBar will handle the retry automatically
+      setReloadCount(count => count + 1);
     }
   }, [searchState.query]);
 
   const clearResults = useCallback(() => {
-    setSearchState({
-      query: '',
-      loading: false,
-      error: null,
-      hasSearched: false,
-    });
-    setCompanyData(null);
+    navigate(ROUTES.HOME);
+  }, [navigate]);
+
+  const isPickingResult = Boolean(query) && !ticker && !selectedCik;
+
+  // Filter changes are pushed to the URL so they can be shared and restored
+  const companyTicker = ticker || companyData?.company?.ticker;
+
+  // Page through the full filings history, filtered by form and date on the server
+  const serverFilters = companyTicker ? filingsFilters : undefined;
+  const filingsHistory = useFilingsHistory(companyData?.company?.cik, {
+    formTypes: serverFilters?.forms,
+    from: serverFilters?.from,
+    to: serverFilters?.to,
+  });
+
+  // Form 4s feed both the Insiders tab and the price chart overlay, so with
+  // charts off they're only fetched once the tab is opened
+  const insiderData = useInsiderTransactions(companyData?.company?.cik, {
+    enabled: FEATURES.ENABLE_CHARTS || insidersOpened,
+  });
+
+  // Show the lookup's recent filings until the first page arrives
+  const displayedFilings = useMemo(
+    () => (filingsHistory.loaded ? filingsHistory.filings : companyData?.recent_filings || []),
+    [filingsHistory.loaded, filingsHistory.filings, companyData]
+  );
+
+  // Reload once a dependency left out of the page has stopped failing
+  useEffect(() => {
+    const previous = previousCircuitsRef.current;
+    previousCircuitsRef.current = circuits;
+
+    const recovered = Object.values(CIRCUIT_FAMILIES).filter(family =>
+      previous.families[family].status === CIRCUIT_STATES.OPEN &&
+      circuits.families[family].status !== CIRCUIT_STATES.OPEN
+    );
+
+    if (recovered.some(family => companyData?.unavailable?.includes(family))) {
+      refreshRef.current = true;
+      setReloadCount(count => count + 1);
+    }
+
+    // The filings history loads apart from the lookup, so it retries on its own
+    if (recovered.includes(CIRCUIT_FAMILIES.FILINGS) && filingsHistory.error) {
+      filingsHistory.retry();
+    }
+  }, [circuits, companyData, filingsHistory]);
+
+  // The description text filter stays local to the table, so only form and
+  // date changes produce a new URL
+  const handleFilingsFiltersChange = useCallback(({ forms, from, to }) => {
+    if (!companyTicker) return;
+
+    const path = buildFilingsPath(companyTicker, { forms, from, to });
+    if (path !== buildFilingsPath(companyTicker, filingsFilters)) {
+      navigate(path);
+    }
+  }, [companyTicker, filingsFilters, navigate]);
+
+  // Track the filings table's current sort/filter state for exports
+  const handleFilingsViewChange = useCallback((filings, view) => {
+    setFilingsView({ filings, view });
+  }, []);
+
+  // Each company opens on its filings
+  const companyCik = companyData?.company?.cik;
+  useEffect(() => {
+    setCompanyTab(0);
+  }, [companyCik]);
+
+  const focusSearch = useCallback(() => {
+    searchBarRef.current?.focus();
   }, []);
 
+  const company = companyData?.company;
+  const watched = Boolean(company?.ticker) && isWatched(company.ticker);
+
+  const dashboardCommands = useMemo(() => {
+    const commands = [
+      {
+        id: 'search.focus',
+        label: 'Focus search',
+        group: COMMAND_GROUPS.NAVIGATION,
+        shortcut: '/',
+        icon: MagnifyingGlassIcon,
+        run: focusSearch,
+      },
+    ];
+
+    if (company?.ticker && FEATURES.ENABLE_FAVORITES) {
+      commands.push({
+        id: 'company.watchlist',
+        label: watched
+          ? `Remove ${company.ticker} from ${activeList.name}`
+          : `Add ${company.ticker} to ${activeList.name}`,
+        group: COMMAND_GROUPS.COMPANY,
+        keywords: ['watchlist', 'star', 'favorite'],
+        icon: StarIcon,
+        run: () => toggleCompany(company),
+      });
+    }
+
+    if (company?.ticker) {
+      commands.push({
+        id: 'company.compare',
+        label: `Compare ${company.ticker} with other companies`,
+        group: COMMAND_GROUPS.COMPANY,
+        icon: ArrowsRightLeftIcon,
+        run: () => navigate(buildComparePath([company.ticker])),
+      });
+    }
+
+    if (companyData && FEATURES.ENABLE_EXPORT && (filingsView.filings || displayedFilings).length > 0) {
+      commands.push({
+        id: 'filings.export.csv',
+        label: 'Export filings CSV',
+        group: COMMAND_GROUPS.FILINGS,
+        keywords: ['download', 'spreadsheet'],
+        icon: ArrowDownTrayIcon,
+        run: async () => {
+          try {
+            await exportCompanyData(companyData, EXPORT_FORMATS.CSV, {
+              filings: filingsView.filings || displayedFilings,
+              filingsView: filingsView.view,
+              sections: ['Filings'],
+            });
+            toast.success('Exported filings CSV');
+          } catch (error) {
+            console.error('Export failed:', error);
+            toast.error(error.message || 'Export failed');
+          }
+        },
+      });
+    }
+
+    return commands;
+  }, [focusSearch, company, companyData, watched, activeList.name, toggleCompany, navigate, filingsView, displayedFilings]);
+
+  useCommands(dashboardCommands);
+
+  // Filings already on screen stay there; otherwise the whole table gives way
+  const filingsUnavailable = displayedFilings.length === 0 && (
+    circuits.families[CIRCUIT_FAMILIES.FILINGS].status === CIRCUIT_STATES.OPEN ||
+    Boolean(companyData?.unavailable?.includes(CIRCUIT_FAMILIES.FILINGS) && filingsHistory.error)
+  );
+
+  const filingsTable = companyData && (filingsUnavailable ? (
+    <DependencyUnavailable
+      family={CIRCUIT_FAMILIES.FILINGS}
+      title="SEC Filings"
+      onRetry={filingsHistory.retry}
+    />
+  ) : (
+    <FilingsTable
+      filings={displayedFilings}
+      loading={filingsHistory.loading && displayedFilings.length === 0}
+      showFilters={true}
+      maxHeight="500px"
+      filters={serverFilters}
+      formOptions={FILING_FORM_OPTIONS}
+      onFiltersChange={handleFilingsFiltersChange}
+      onViewChange={handleFilingsViewChange}
+      totalCount={filingsHistory.total}
+      hasMore={filingsHistory.hasMore}
+      loadingMore={filingsHistory.loadingMore}
+      loadError={filingsHistory.error}
+      onLoadMore={companyData.company?.cik ? filingsHistory.loadMore : undefined}
+      onRetry={filingsHistory.retry}
+      keyboardShortcuts={!companyCik || COMPANY_TABS[companyTab].id === 'filings'}
+    />
+  ));
+
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
         {/* Hero Section */}
         <div className="text-center mb-12">
-          <h1 className="text-4xl font-bold text-gray-900 mb-4">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-gray-100 mb-4">
             Company Financial Intelligence
           </h1>
-          <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+          <p className="text-xl text-gray-600 dark:text-gray-400 max-w-3xl mx-auto">
             Access real-time stock data, company fundamentals, and SEC filings for informed investment decisions.
           </p>
         </div>
@@ -90,7 +532,9 @@ const Dashboard = () => {
         {/* Search Section */}
         <div className="max-w-2xl mx-auto mb-12">
           <SearchBar
+            ref={searchBarRef}
             onSearchResult={handleSearchResult}
+            initialQuery={query}
             placeholder="Search companies by name or ticker (e.g., TSLA, AAPL)"
             showSuggestions={true}
             showRecentSearches={true}
@@ -101,17 +545,23 @@ const Dashboard = () => {
         {/* Results Section */}
         <div className="space-y-8">
           {/* Loading State */}
-          {loadingDetails && (
+          {loadingDetails && isPickingResult && (
+            <div className="max-w-3xl mx-auto">
+              <SearchResultsSkeleton />
+            </div>
+          )}
+
+          {loadingDetails && !isPickingResult && (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
               <div className="lg:col-span-2 space-y-6">
                 <CompanyCardSkeleton />
               </div>
               <div className="lg:col-span-1 space-y-6">
                 <StockCardSkeleton />
-                <div className="bg-white rounded-xl border border-gray-200 p-6">
+                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 p-6">
                   <div className="space-y-4">
                     {Array.from({ length: 3 }).map((_, index) => (
-                      <div key={index} className="h-4 bg-gray-200 rounded animate-pulse" />
+                      <div key={index} className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
                     ))}
                   </div>
                 </div>
@@ -122,7 +572,16 @@ const Dashboard = () => {
           {/* Error States */}
           {searchState.error && !loadingDetails && (
             <div className="max-w-2xl mx-auto">
-              {searchState.error.includes('Network') ? (
+              {searchState.rateLimit ? (
+                <RateLimitError
+                  retryAfter={searchState.rateLimit.retryAfter}
+                  group={searchState.rateLimit.group}
+                  onRetry={handleRetrySearch}
+                  onDismiss={clearResults}
+                />
+              ) : searchState.circuit ? (
+                <DependencyUnavailable family={searchState.circuit} onRetry={handleRetrySearch} />
+              ) : searchState.error.includes('Network') ? (
                 <NetworkError onRetry={handleRetrySearch} onDismiss={clearResults} />
               ) : searchState.error.includes('not found') ? (
                 <NotFoundError 
@@ -131,12 +590,12 @@ const Dashboard = () => {
                   onDismiss={clearResults}
                 />
               ) : (
-                <div className="bg-red-50 border border-red-200 rounded-xl p-6">
+                <div className="bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800 rounded-xl p-6">
                   <div className="text-center">
-                    <div className="text-lg font-semibold text-red-900 mb-2">
+                    <div className="text-lg font-semibold text-red-900 dark:text-red-100 mb-2">
                       Search Error
                     </div>
-                    <p className="text-red-700 mb-4">
+                    <p className="text-red-700 dark:text-red-300 mb-4">
                       {searchState.error}
                     </p>
                     <div className="flex justify-center space-x-3">
@@ -150,7 +609,7 @@ const Dashboard = () => {
                       <button
                         type="button"
                         onClick={clearResults}
-                        className="px-4 py-2 bg-gray-200 text-gray-800 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+                        className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors duration-200"
                       >
                         Clear Search
                       </button>
@@ -161,19 +620,74 @@ const Dashboard = () => {
             </div>
           )}
 
+          {/* Search Results Picker */}
+          {searchResults.length > 0 && !companyData && !searchState.error && !loadingDetails && (
+            <div className="max-w-3xl mx-auto">
+              <SearchResults
+                results={searchResults}
+                query={query}
+                onSelect={handleResultSelect}
+              />
+            </div>
+          )}
+
           {/* No Results State */}
-          {searchState.hasSearched && !companyData && !searchState.error && !loadingDetails && (
+          {searchState.hasSearched && !companyData && searchResults.length === 0 && !searchState.error && !loadingDetails && (
             <div className="max-w-2xl mx-auto">
               <EmptyState
                 title="No Company Found"
                 message={`We couldn't find any companies matching "${searchState.query}". Try searching with a different company name or ticker symbol.`}
                 icon={MagnifyingGlassIcon}
-                action={() => document.querySelector('input[type="text"]')?.focus()}
+                action={focusSearch}
                 actionText="Search Again"
               />
             </div>
           )}
 
+          {/* Back to the results picker for CIK-only selections */}
+          {companyData && !loadingDetails && selectedCik && query && (
+            <button
+              type="button"
+              onClick={() => navigate(buildSearchPath(query))}
+              className="text-sm font-medium text-primary-600 hover:text-primary-800 dark:hover:text-primary-200 transition-colors duration-200"
+            >
+              ← Back to results for "{query}"
+            </button>
+          )}
+
+          {/* Saved data shown while offline */}
+          {dataAsOf && !loadingDetails && (companyData || searchResults.length > 0) && (
+            <div className="flex justify-center">
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-warning-50 text-warning-700 dark:bg-warning-900/30 dark:text-warning-300">
+                <ClockIcon className="w-4 h-4 mr-1" aria-hidden="true" />
+                Data as of {formatRelativeTime(new Date(dataAsOf))}
+              </span>
+            </div>
+          )}
+
+          {/* Compare and Export */}
+          {companyData && !loadingDetails && (companyTicker || FEATURES.ENABLE_EXPORT) && (
+            <div className="flex justify-end space-x-2">
+              {companyTicker && (
+                <button
+                  type="button"
+                  onClick={() => navigate(buildComparePath([companyTicker]))}
+                  className="btn btn-secondary btn-sm inline-flex items-center"
+                >
+                  <ArrowsRightLeftIcon className="w-4 h-4 mr-1" />
+                  Compare
+                </button>
+              )}
+              {FEATURES.ENABLE_EXPORT && (
+                <ExportMenu
+                  companyData={companyData}
+                  filings={filingsView.filings || undefined}
+                  filingsView={filingsView.view}
+                />
+              )}
+            </div>
+          )}
+
           {/* Company Results */}
           {companyData && !loadingDetails && (
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
@@ -185,42 +699,98 @@ const Dashboard = () => {
                   showDetails={true}
                 />
 
-                {/* SEC Filings */}
-                {companyData.recent_filings && (
-                  <FilingsTable 
-                    filings={companyData.recent_filings}
-                    showFilters={true}
-                    maxHeight="500px"
-                  />
-                )}
+                {/* SEC Filings and XBRL financial statements */}
+                {companyData.company?.cik ? (
+                  <Tab.Group
+                    selectedIndex={companyTab}
+                    onChange={(index) => {
+                      setCompanyTab(index);
+                      if (COMPANY_TABS[index].id === 'insiders') setInsidersOpened(true);
+                    }}
+                  >
+                    <Tab.List className="flex space-x-6 border-b border-gray-200 dark:border-gray-700">
+                      {COMPANY_TABS.map(tab => (
+                        <Tab
+                          key={tab.id}
+                          className={({ selected }) => clsx(
+                            'inline-flex items-center pb-3 -mb-px border-b-2 text-sm font-medium focus:outline-none transition-colors duration-200',
+                            selected
+                              ? 'border-primary-600 text-primary-600 dark:text-primary-400'
+                              : 'border-transparent text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200'
+                          )}
+                        >
+                          <tab.icon className="w-4 h-4 mr-2" />
+                          {tab.label}
+                        </Tab>
+                      ))}
+                    </Tab.List>
+
+                    <Tab.Panels>
+                      {/* Stay mounted so sorting and scroll position survive a tab switch */}
+                      <Tab.Panel unmount={false}>
+                        {filingsTable}
+                      </Tab.Panel>
+                      <Tab.Panel>
+                        <FinancialStatements cik={companyData.company.cik} />
+                      </Tab.Panel>
+                      <Tab.Panel>
+                        <InsidersPanel
+                          transactions={insiderData.transactions}
+                          monthly={insiderData.monthly}
+                          summary={insiderData.summary}
+                          filingsCount={insiderData.filingsCount}
+                          failedCount={insiderData.failedCount}
+                          loading={!insiderData.loaded && !insiderData.error}
+                          error={insiderData.error}
+                          onRetry={insiderData.retry}
+                        />
+                      </Tab.Panel>
+                    </Tab.Panels>
+                  </Tab.Group>
+                ) : companyData.recent_filings && filingsTable}
               </div>
 
               {/* Sidebar */}
               <div className="lg:col-span-1 space-y-6">
                 {/* Stock Quote */}
-                {companyData.stock_quote && (
+                {companyData.stock_quote ? (
                   <StockCard 
                     stockData={companyData.stock_quote}
                     showExtendedData={false}
+                    filings={companyData.recent_filings}
+                    insiderActivity={insiderData.monthly}
+                  />
+                ) : companyData.unavailable?.includes(CIRCUIT_FAMILIES.STOCK) && (
+                  <DependencyUnavailable
+                    family={CIRCUIT_FAMILIES.STOCK}
+                    title="Stock Quote"
+                    onRetry={handleRetrySearch}
                   />
                 )}
 
                 {/* AI Investment Analysis */}
+                {!companyData.investment_analysis && companyData.unavailable?.includes(CIRCUIT_FAMILIES.ANALYSIS) && (
+                  <DependencyUnavailable
+                    family={CIRCUIT_FAMILIES.ANALYSIS}
+                    title="AI Investment Analysis"
+                    onRetry={handleRetrySearch}
+                  />
+                )}
                 {companyData.investment_analysis && (
-                  <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6">
-                    <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                  <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm p-6">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
                       AI Investment Analysis
                     </h3>
                     
                     {/* Overall Sentiment */}
-                    <div className="mb-4 p-4 bg-gray-50 rounded-lg">
+                    <div className="mb-4 p-4 bg-gray-50 dark:bg-gray-900 rounded-lg">
                       <div className="flex justify-between items-center">
                         <span className="font-medium">Overall Sentiment:</span>
                         <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${
                           companyData.investment_analysis.summary?.overall_sentiment === 'optimistic' || 
-                          companyData.investment_analysis.summary?.overall_sentiment === 'cautiously optimistic' ? 'bg-green-100 text-green-800' :
-                          companyData.investment_analysis.summary?.overall_sentiment === 'cautious' ? 'bg-red-100 text-red-800' :
-                          'bg-yellow-100 text-yellow-800'
+                          companyData.investment_analysis.summary?.overall_sentiment === 'cautiously optimistic' ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200' :
+                          companyData.investment_analysis.summary?.overall_sentiment === 'cautious' ? 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200' :
+                          'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-200'
                         }`}>
                           {companyData.investment_analysis.summary?.overall_sentiment || 'Neutral'}
                         </span>
@@ -234,7 +804,7 @@ const Dashboard = () => {
                         <div className="space-y-2 text-sm">
                           {Object.entries(companyData.investment_analysis.key_metrics).map(([key, value]) => (
                             <div key={key} className="flex justify-between">
-                              <span className="text-gray-600 capitalize">{key.replace('_', ' ')}:</span>
+                              <span className="text-gray-600 dark:text-gray-400 capitalize">{key.replace('_', ' ')}:</span>
                               <span className="font-medium">{value}</span>
                             </div>
                           ))}
@@ -249,7 +819,7 @@ const Dashboard = () => {
                         <div className="space-y-2 text-sm">
                           {Object.entries(companyData.investment_analysis.financial_metrics).map(([key, value]) => (
                             <div key={key} className="flex justify-between">
-                              <span className="text-gray-600 capitalize">{key.replace('_', ' ')}:</span>
+                              <span className="text-gray-600 dark:text-gray-400 capitalize">{key.replace('_', ' ')}:</span>
                               <span className="font-medium">{value}</span>
                             </div>
                           ))}
@@ -264,7 +834,7 @@ const Dashboard = () => {
                         <div className="space-y-2 text-sm">
                           {Object.entries(companyData.investment_analysis.technical_analysis).map(([key, value]) => (
                             <div key={key} className="flex justify-between">
-                              <span className="text-gray-600 capitalize">{key.replace('_', ' ')}:</span>
+                              <span className="text-gray-600 dark:text-gray-400 capitalize">{key.replace('_', ' ')}:</span>
                               <span className="font-medium">{value}</span>
                             </div>
                           ))}
@@ -279,7 +849,7 @@ const Dashboard = () => {
                         <div className="grid grid-cols-2 gap-4 text-sm">
                           {companyData.investment_analysis.performance_insights.short_term && (
                             <div>
-                              <div className="text-gray-600 mb-1">Short Term</div>
+                              <div className="text-gray-600 dark:text-gray-400 mb-1">Short Term</div>
                               {Object.entries(companyData.investment_analysis.performance_insights.short_term).map(([key, value]) => (
                                 <div key={key} className="flex justify-between text-xs">
                                   <span>{key}:</span>
@@ -290,7 +860,7 @@ const Dashboard = () => {
                           )}
                           {companyData.investment_analysis.performance_insights.long_term && (
                             <div>
-                              <div className="text-gray-600 mb-1">Long Term</div>
+                              <div className="text-gray-600 dark:text-gray-400 mb-1">Long Term</div>
                               {Object.entries(companyData.investment_analysis.performance_insights.long_term).map(([key, value]) => (
                                 <div key={key} className="flex justify-between text-xs">
                                   <span>{key}:</span>
@@ -308,11 +878,11 @@ const Dashboard = () => {
                       <h4 className="font-medium mb-2">Risk Assessment</h4>
                       <div className="text-sm">
                         <div className="flex justify-between mb-2">
-                          <span className="text-gray-600">Risk Level:</span>
+                          <span className="text-gray-600 dark:text-gray-400">Risk Level:</span>
                           <span className={`px-2 py-1 rounded text-xs font-medium capitalize ${
-                            companyData.investment_analysis.risk_assessment?.risk_level === 'high' ? 'bg-red-100 text-red-800' :
-                            companyData.investment_analysis.risk_assessment?.risk_level === 'low' ? 'bg-green-100 text-green-800' :
-                            'bg-yellow-100 text-yellow-800'
+                            companyData.investment_analysis.risk_assessment?.risk_level === 'high' ? 'bg-red-100 dark:bg-red-900/40 text-red-800 dark:text-red-200' :
+                            companyData.investment_analysis.risk_assessment?.risk_level === 'low' ? 'bg-green-100 dark:bg-green-900/40 text-green-800 dark:text-green-200' :
+                            'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-800 dark:text-yellow-200'
                           }`}>
                             {companyData.investment_analysis.risk_assessment?.risk_level}
                           </span>
@@ -321,7 +891,7 @@ const Dashboard = () => {
                         {/* Risk Factors */}
                         {companyData.investment_analysis.risk_assessment?.risk_factors?.length > 0 && (
                           <div className="mt-2">
-                            <div className="text-gray-600 mb-1">Risk Factors:</div>
+                            <div className="text-gray-600 dark:text-gray-400 mb-1">Risk Factors:</div>
                             <ul className="text-xs text-red-600 space-y-1">
                               {companyData.investment_analysis.risk_assessment.risk_factors.slice(0, 3).map((factor, index) => (
                                 <li key={index}>• {factor}</li>
@@ -333,7 +903,7 @@ const Dashboard = () => {
                         {/* Positive Indicators */}
                         {companyData.investment_analysis.risk_assessment?.positive_indicators?.length > 0 && (
                           <div className="mt-2">
-                            <div className="text-gray-600 mb-1">Positive Indicators:</div>
+                            <div className="text-gray-600 dark:text-gray-400 mb-1">Positive Indicators:</div>
                             <ul className="text-xs text-green-600 space-y-1">
                               {companyData.investment_analysis.risk_assessment.positive_indicators.slice(0, 3).map((indicator, index) => (
                                 <li key={index}>• {indicator}</li>
@@ -348,7 +918,7 @@ const Dashboard = () => {
                     {companyData.investment_analysis.recent_developments?.length > 0 && (
                       <div className="mb-4">
                         <h4 className="font-medium mb-2">Recent Developments</h4>
-                        <ul className="text-xs text-gray-600 space-y-1">
+                        <ul className="text-xs text-gray-600 dark:text-gray-400 space-y-1">
                           {companyData.investment_analysis.recent_developments.slice(0, 3).map((development, index) => (
                             <li key={index}>• {development}</li>
                           ))}
@@ -369,24 +939,24 @@ const Dashboard = () => {
                     )}
 
                     {/* Disclaimer */}
-                    <div className="text-xs text-gray-500 mt-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mt-4 p-3 bg-yellow-50 dark:bg-yellow-900/30 rounded-lg border border-yellow-200 dark:border-yellow-800">
                       <strong>Disclaimer:</strong> {companyData.investment_analysis.disclaimer}
                     </div>
                   </div>
                 )}
 
                 {/* Data Sources */}
-                <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6">
-                  <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
                     Data Sources
                   </h3>
                   <div className="space-y-3">
                     {companyData.data_sources && Object.entries(companyData.data_sources).map(([key, source]) => (
                       <div key={key} className="flex justify-between items-center text-sm">
-                        <span className="text-gray-600 capitalize">
+                        <span className="text-gray-600 dark:text-gray-400 capitalize">
                           {key.replace('_', ' ')}:
                         </span>
-                        <span className="font-medium text-gray-900">
+                        <span className="font-medium text-gray-900 dark:text-gray-100">
                           {source}
                         </span>
                       </div>
@@ -394,17 +964,22 @@ const Dashboard = () => {
                   </div>
                   
                   {companyData.last_updated && (
-                    <div className="mt-4 pt-4 border-t border-gray-100">
-                      <div className="text-xs text-gray-500">
+                    <div className="mt-4 pt-4 border-t border-gray-100 dark:border-gray-700">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
                         Last updated: {new Date(companyData.last_updated).toLocaleString()}
                       </div>
                     </div>
                   )}
                 </div>
 
+                {/* Watchlist */}
+                {FEATURES.ENABLE_FAVORITES && (
+                  <WatchlistPanel />
+                )}
+
                 {/* Quick Actions */}
-                <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-6">
-                  <h3 className="text-lg font-semibold text-gray-900 mb-4">
+                <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm p-6">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
                     Quick Actions
                   </h3>
                   <div className="space-y-3">
@@ -412,7 +987,7 @@ const Dashboard = () => {
                       <button
                         type="button"
                         onClick={() => window.open(companyData.company.website, '_blank')}
-                        className="w-full px-4 py-2 text-left bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors duration-200"
+                        className="w-full px-4 py-2 text-left bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors duration-200"
                       >
                         Visit Company Website
                       </button>
@@ -421,7 +996,7 @@ const Dashboard = () => {
                     <button
                       type="button"
                       onClick={() => window.open(`https://www.sec.gov/cgi-bin/browse-edgar?CIK=${companyData.company?.cik}`, '_blank')}
-                      className="w-full px-4 py-2 text-left bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors duration-200"
+                      className="w-full px-4 py-2 text-left bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors duration-200"
                     >
                       View All SEC Filings
                     </button>
@@ -430,7 +1005,7 @@ const Dashboard = () => {
                       <button
                         type="button"
                         onClick={() => window.open(`https://finance.yahoo.com/quote/${companyData.company.ticker}`, '_blank')}
-                        className="w-full px-4 py-2 text-left bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors duration-200"
+                        className="w-full px-4 py-2 text-left bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-lg transition-colors duration-200"
                       >
                         View on Yahoo Finance
                       </button>
@@ -446,59 +1021,59 @@ const Dashboard = () => {
             <div className="max-w-4xl mx-auto">
               <div className="grid grid-cols-1 md:grid-cols-3 gap-8 mb-12">
                 {/* Feature Cards */}
-                <div className="text-center p-6 bg-white rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow duration-200">
-                  <div className="w-12 h-12 bg-blue-100 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm hover:shadow-md transition-shadow duration-200">
+                  <div className="w-12 h-12 bg-blue-100 dark:bg-blue-900/40 rounded-xl flex items-center justify-center mx-auto mb-4">
                     <MagnifyingGlassIcon className="w-6 h-6 text-blue-600" />
                   </div>
-                  <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
                     Company Intelligence
                   </h3>
-                  <p className="text-gray-600">
+                  <p className="text-gray-600 dark:text-gray-400">
                     Search public companies by name or ticker to access comprehensive business profiles and metrics.
                   </p>
                 </div>
 
-                <div className="text-center p-6 bg-white rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow duration-200">
-                  <div className="w-12 h-12 bg-green-100 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm hover:shadow-md transition-shadow duration-200">
+                  <div className="w-12 h-12 bg-green-100 dark:bg-green-900/40 rounded-xl flex items-center justify-center mx-auto mb-4">
                     <svg className="w-6 h-6 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
                     </svg>
                   </div>
-                  <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
                     Market Data
                   </h3>
-                  <p className="text-gray-600">
+                  <p className="text-gray-600 dark:text-gray-400">
                     Real-time stock prices, market capitalization, trading volume, and key financial indicators.
                   </p>
                 </div>
 
-                <div className="text-center p-6 bg-white rounded-xl border border-gray-200 shadow-sm hover:shadow-md transition-shadow duration-200">
-                  <div className="w-12 h-12 bg-purple-100 rounded-xl flex items-center justify-center mx-auto mb-4">
+                <div className="text-center p-6 bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm hover:shadow-md transition-shadow duration-200">
+                  <div className="w-12 h-12 bg-purple-100 dark:bg-purple-900/40 rounded-xl flex items-center justify-center mx-auto mb-4">
                     <svg className="w-6 h-6 text-purple-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                     </svg>
                   </div>
-                  <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                  <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
                     Regulatory Filings
                   </h3>
-                  <p className="text-gray-600">
+                  <p className="text-gray-600 dark:text-gray-400">
                     Direct access to SEC filings including quarterly reports, annual reports, and material events.
                   </p>
                 </div>
               </div>
 
               {/* AI Analysis Feature Card */}
-              <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-xl border border-purple-200 shadow-sm p-8 mb-12">
+              <div className="bg-gradient-to-r from-purple-50 to-blue-50 dark:from-purple-900/30 dark:to-blue-900/30 rounded-xl border border-purple-200 dark:border-purple-800 shadow-sm p-8 mb-12">
                 <div className="text-center">
                   <div className="w-16 h-16 bg-gradient-to-r from-purple-600 to-blue-600 rounded-xl flex items-center justify-center mx-auto mb-4">
                     <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
                     </svg>
                   </div>
-                  <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                  <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-2">
                     AI Investment Analysis
                   </h3>
-                  <p className="text-gray-600 max-w-2xl mx-auto">
+                  <p className="text-gray-600 dark:text-gray-400 max-w-2xl mx-auto">
                     Get educational investment insights powered by artificial intelligence. Our AI analyzes technical indicators, risk factors, and market trends to provide educational perspectives on companies.
                   </p>
                   <div className="text-sm text-purple-600 mt-4 font-medium">
@@ -507,9 +1082,14 @@ const Dashboard = () => {
                 </div>
               </div>
 
+              {/* Watchlist */}
+              {FEATURES.ENABLE_FAVORITES && (
+                <WatchlistPanel className="mb-12" />
+              )}
+
               {/* Popular Searches */}
-              <div className="bg-white rounded-xl border border-gray-200 shadow-sm p-8">
-                <h3 className="text-lg font-semibold text-gray-900 mb-6 text-center">
+              <div className="bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm p-8">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-6 text-center">
                   Popular Searches
                 </h3>
                 <div className="flex flex-wrap justify-center gap-3">
@@ -517,18 +1097,8 @@ const Dashboard = () => {
                     <button
                       key={ticker}
                       type="button"
-                      onClick={() => {
-                        const searchInput = document.querySelector('input[type="text"]');
-                        if (searchInput) {
-                          searchInput.value = ticker;
-                          searchInput.dispatchEvent(new Event('input', { bubbles: true }));
-                          setTimeout(() => {
-                            searchInput.focus();
-                            searchInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
-                          }, 100);
-                        }
-                      }}
-                      className="px-4 py-2 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors duration-200 border border-blue-200"
+                      onClick={() => navigate(buildCompanyPath(ticker))}
+                      className="px-4 py-2 text-sm font-medium text-blue-600 bg-blue-50 dark:bg-blue-900/30 rounded-lg hover:bg-blue-100 dark:hover:bg-blue-900/40 transition-colors duration-200 border border-blue-200 dark:border-blue-800"
                     >
                       {ticker}
                     </button>
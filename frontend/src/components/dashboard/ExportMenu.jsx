@@ -0,0 +1,109 @@
+import React, { Fragment, useState } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import {
+  ArrowDownTrayIcon,
+  ChevronDownIcon,
+  DocumentTextIcon,
+  CodeBracketIcon,
+  TableCellsIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { ButtonLoading } from '../common/LoadingSpinner';
+import { exportCompanyData } from '../../utils/exporters';
+import { EXPORT_FORMATS } from '../../services/constants';
+
+const EXPORT_OPTIONS = [
+  {
+    format: EXPORT_FORMATS.CSV,
+    label: 'CSV',
+    description: 'Profile, quote, filings and analysis',
+    icon: DocumentTextIcon,
+  },
+  {
+    format: EXPORT_FORMATS.JSON,
+    label: 'JSON',
+    description: 'Raw data, pretty-printed',
+    icon: CodeBracketIcon,
+  },
+  {
+    format: EXPORT_FORMATS.XLSX,
+    label: 'Excel (XLSX)',
+    description: 'One sheet per section',
+    icon: TableCellsIcon,
+  },
+];
+
+const ExportMenu = ({ companyData, filings, filingsView, className }) => {
+  const [exporting, setExporting] = useState(false);
+
+  if (!companyData) {
+    return null;
+  }
+
+  const handleExport = async (exportFormat, label) => {
+    setExporting(true);
+
+    try {
+      await exportCompanyData(companyData, exportFormat, { filings, filingsView });
+      toast.success(`Exported ${label}`);
+    } catch (error) {
+      console.error('Export failed:', error);
+      toast.error(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Menu as="div" className={clsx('relative inline-block text-left', className)}>
+      <Menu.Button
+        className="btn btn-secondary btn-sm inline-flex items-center"
+        disabled={exporting}
+      >
+        {exporting ? (
+          <ButtonLoading size="sm" />
+        ) : (
+          <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+        )}
+        <span className={clsx(exporting && 'ml-1')}>Export</span>
+        <ChevronDownIcon className="w-3 h-3 ml-1" />
+      </Menu.Button>
+
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-100"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 mt-2 w-64 origin-top-right bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong py-1 z-30 focus:outline-none">
+          {EXPORT_OPTIONS.map(({ format, label, description, icon: Icon }) => (
+            <Menu.Item key={format}>
+              {({ active }) => (
+                <button
+                  type="button"
+                  onClick={() => handleExport(format, label)}
+                  className={clsx(
+                    'w-full text-left flex items-start space-x-3 px-4 py-2',
+                    active && 'bg-gray-50 dark:bg-gray-700'
+                  )}
+                >
+                  <Icon className="w-4 h-4 text-gray-400 mt-0.5 flex-shrink-0" />
+                  <div>
+                    <div className="text-sm font-medium text-gray-900 dark:text-gray-100">{label}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{description}</div>
+                  </div>
+                </button>
+              )}
+            </Menu.Item>
+          ))}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+};
+
+export default ExportMenu;
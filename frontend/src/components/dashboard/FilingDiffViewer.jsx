@@ -0,0 +1,386 @@
+import React, { Fragment, useState, useMemo } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import { XMarkIcon, ArrowsRightLeftIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useFilingDiff } from '../../hooks/useFilingDiff';
+import { getComparableFilings } from '../../utils/filingDiff';
+import { formatters } from '../../utils/formatters';
+
+const VIEW_MODES = [
+  { id: 'unified', label: 'Unified' },
+  { id: 'split', label: 'Side by side' },
+];
+
+const STATUS_BADGES = {
+  added: { label: 'New section', className: 'badge-success' },
+  removed: { label: 'Removed section', className: 'badge-danger' },
+  changed: { label: 'Changed', className: 'badge-warning' },
+  unchanged: { label: 'Unchanged', className: 'badge-secondary' },
+};
+
+const ROW_STYLES = {
+  added: 'bg-success-50 dark:bg-success-900/30 border-l-4 border-success-500 pl-3',
+  removed: 'bg-danger-50 dark:bg-danger-900/30 border-l-4 border-danger-500 pl-3 line-through decoration-danger-400',
+  changed: 'bg-warning-50 dark:bg-warning-900/20 border-l-4 border-warning-400 pl-3',
+};
+
+const getFilingId = (filing) => filing?.accession_number || filing?.filing_url || '';
+
+const getSectionId = (index) => `filing-diff-${index}`;
+
+// Runs of unchanged paragraphs collapse into a single expandable row
+const groupRows = (rows) => rows.reduce((groups, row) => {
+  const last = groups[groups.length - 1];
+
+  if (row.type !== 'equal') {
+    groups.push(row);
+  } else if (last?.type === 'unchanged') {
+    last.rows.push(row);
+  } else {
+    groups.push({ type: 'unchanged', rows: [row] });
+  }
+
+  return groups;
+}, []);
+
+const DiffStats = ({ stats, className }) => (
+  <span className={clsx('inline-flex items-center space-x-2 text-xs font-medium', className)}>
+    <span className="text-success-600" title="Paragraphs added">+{stats.added}</span>
+    <span className="text-danger-600" title="Paragraphs removed">−{stats.removed}</span>
+    <span className="text-warning-600" title="Paragraphs edited">~{stats.changed}</span>
+  </span>
+);
+
+// Word runs for one side of an edited paragraph; "both" renders the unified version
+const WordRuns = ({ words, side = 'both' }) => (
+  <>
+    {words.map((run, index) => {
+      if (run.type === 'equal') return <span key={index}>{run.text}</span>;
+      if (run.type === 'removed' && side !== 'after') {
+        return (
+          <del key={index} className="bg-danger-100 dark:bg-danger-900/50 text-danger-800 dark:text-danger-200">
+            {run.text}
+          </del>
+        );
+      }
+      if (run.type === 'added' && side !== 'before') {
+        return (
+          <ins key={index} className="bg-success-100 dark:bg-success-900/50 text-success-800 dark:text-success-200 no-underline">
+            {run.text}
+          </ins>
+        );
+      }
+      return null;
+    })}
+  </>
+);
+
+const DiffRow = ({ row, mode }) => {
+  const paragraphClass = 'py-1 text-sm leading-relaxed text-gray-800 dark:text-gray-200';
+
+  if (mode === 'unified') {
+    return (
+      <p className={clsx(paragraphClass, ROW_STYLES[row.type])}>
+        {row.type === 'changed' ? <WordRuns words={row.words} /> : row.text}
+      </p>
+    );
+  }
+
+  const placeholder = <div aria-hidden="true" />;
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {row.type === 'added' ? placeholder : (
+        <p className={clsx(paragraphClass, ROW_STYLES[row.type])}>
+          {row.type === 'changed' ? <WordRuns words={row.words} side="before" /> : row.text}
+        </p>
+      )}
+      {row.type === 'removed' ? placeholder : (
+        <p className={clsx(paragraphClass, row.type === 'changed' ? ROW_STYLES.changed : ROW_STYLES[row.type])}>
+          {row.type === 'changed' ? <WordRuns words={row.words} side="after" /> : row.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const SectionDiff = ({ section, index, mode }) => {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const groups = useMemo(() => groupRows(section.rows), [section.rows]);
+  const badge = STATUS_BADGES[section.status];
+
+  const toggleGroup = (groupIndex) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(groupIndex)) next.delete(groupIndex);
+      else next.add(groupIndex);
+      return next;
+    });
+  };
+
+  return (
+    <section id={getSectionId(index)} className="card p-0 overflow-hidden scroll-mt-4">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900">
+        <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 truncate">{section.title}</h3>
+        <div className="flex items-center space-x-3 ml-4 flex-shrink-0">
+          <DiffStats stats={section.stats} />
+          <span className={clsx('badge', badge.className)}>{badge.label}</span>
+        </div>
+      </div>
+
+      {mode === 'split' && (
+        <div className="grid grid-cols-2 gap-4 px-4 pt-3 text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">
+          <span>Before</span>
+          <span>After</span>
+        </div>
+      )}
+
+      <div className="px-4 py-3 space-y-2">
+        {groups.length === 0 && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">This section has no text.</p>
+        )}
+
+        {groups.map((group, groupIndex) => {
+          if (group.type !== 'unchanged') {
+            return <DiffRow key={groupIndex} row={group} mode={mode} />;
+          }
+
+          if (expanded.has(groupIndex)) {
+            return (
+              <div key={groupIndex} className="space-y-2">
+                {group.rows.map((row, rowIndex) => <DiffRow key={rowIndex} row={row} mode={mode} />)}
+                <button
+                  type="button"
+                  onClick={() => toggleGroup(groupIndex)}
+                  className="text-xs font-medium text-primary-600 hover:text-primary-800 dark:hover:text-primary-200"
+                >
+                  Hide unchanged paragraphs
+                </button>
+              </div>
+            );
+          }
+
+          return (
+            <button
+              key={groupIndex}
+              type="button"
+              onClick={() => toggleGroup(groupIndex)}
+              className="w-full text-center py-1 text-xs font-medium text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900 rounded hover:text-primary-600 transition-colors duration-200"
+            >
+              {group.rows.length} unchanged {group.rows.length === 1 ? 'paragraph' : 'paragraphs'}
+            </button>
+          );
+        })}
+      </div>
+    </section>
+  );
+};
+
+const FilingSelect = ({ id, label, value, options, onChange }) => (
+  <div className="flex items-center space-x-2 text-sm">
+    <label htmlFor={id} className="text-gray-500 dark:text-gray-400">{label}</label>
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(options.find(filing => getFilingId(filing) === e.target.value))}
+      className="input py-1 w-auto"
+    >
+      {options.map(filing => (
+        <option key={getFilingId(filing)} value={getFilingId(filing)}>
+          {formatters.date(filing.filing_date)}
+          {filing.period_end_date ? ` (period ${formatters.date(filing.period_end_date)})` : ''}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+const FilingDiffViewer = ({ open, base, target, filings = [], onChange, onClose }) => {
+  const { sections, totals, loading, error, retry } = useFilingDiff(open ? base : null, open ? target : null);
+
+  const [mode, setMode] = useState('unified');
+  const [changedOnly, setChangedOnly] = useState(true);
+
+  const options = useMemo(() => getComparableFilings(filings, target || base), [filings, target, base]);
+
+  // Keep each section's index stable so the jump links still land when filtering
+  const visibleSections = sections
+    .map((section, index) => ({ section, index }))
+    .filter(({ section }) => !changedOnly || section.status !== 'unchanged');
+
+  const scrollToSection = (index) => {
+    document.getElementById(getSectionId(index))?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-in-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in-out duration-300"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-900/50 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-hidden">
+          <div className="pointer-events-none fixed inset-y-0 right-0 flex max-w-full pl-10">
+            <Transition.Child
+              as={Fragment}
+              enter="transform transition ease-in-out duration-300"
+              enterFrom="translate-x-full"
+              enterTo="translate-x-0"
+              leave="transform transition ease-in-out duration-300"
+              leaveFrom="translate-x-0"
+              leaveTo="translate-x-full"
+            >
+              <Dialog.Panel className="pointer-events-auto w-screen max-w-6xl">
+                <div className="flex h-full flex-col bg-white dark:bg-gray-800 shadow-strong">
+                  {/* Header */}
+                  <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <Dialog.Title className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+                          <ArrowsRightLeftIcon className="w-5 h-5 mr-2 text-gray-400" />
+                          Compare {target?.form || base?.form} filings
+                        </Dialog.Title>
+                        {totals && (
+                          <p className="text-sm text-gray-500 dark:text-gray-400 mt-1 flex items-center">
+                            {totals.sections} of {sections.length} sections changed
+                            <DiffStats stats={totals} className="ml-3" />
+                          </p>
+                        )}
+                      </div>
+
+                      <button
+                        type="button"
+                        onClick={onClose}
+                        className="btn btn-ghost btn-sm ml-4 flex-shrink-0"
+                        title="Close"
+                      >
+                        <XMarkIcon className="w-5 h-5" />
+                        <span className="sr-only">Close</span>
+                      </button>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3 mt-4">
+                      <FilingSelect
+                        id="filing-diff-base"
+                        label="Compare"
+                        value={getFilingId(base)}
+                        options={options}
+                        onChange={(filing) => onChange?.({ base: filing, target })}
+                      />
+                      <FilingSelect
+                        id="filing-diff-target"
+                        label="with"
+                        value={getFilingId(target)}
+                        options={options}
+                        onChange={(filing) => onChange?.({ base, target: filing })}
+                      />
+
+                      <div className="flex items-center gap-2 ml-auto" role="group" aria-label="Diff layout">
+                        {VIEW_MODES.map(option => (
+                          <button
+                            key={option.id}
+                            type="button"
+                            onClick={() => setMode(option.id)}
+                            aria-pressed={mode === option.id}
+                            className={clsx(
+                              'px-2.5 py-1 text-xs font-medium rounded-full border transition-colors duration-200',
+                              mode === option.id
+                                ? 'bg-primary-600 border-primary-600 text-white'
+                                : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                            )}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+
+                      <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={changedOnly}
+                          onChange={(e) => setChangedOnly(e.target.checked)}
+                          className="rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span>Changed sections only</span>
+                      </label>
+                    </div>
+                  </div>
+
+                  {/* Body */}
+                  <div className="flex flex-1 min-h-0">
+                    {visibleSections.length > 0 && (
+                      <nav
+                        aria-label="Sections"
+                        className="hidden md:block w-64 flex-shrink-0 overflow-y-auto border-r border-gray-200 dark:border-gray-700 py-4"
+                      >
+                        <ul className="space-y-1 text-sm">
+                          {visibleSections.map(({ section, index }) => (
+                            <li key={section.key}>
+                              <button
+                                type="button"
+                                onClick={() => scrollToSection(index)}
+                                className="w-full text-left px-4 py-1 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-primary-600 transition-colors duration-150"
+                              >
+                                <span className="block truncate">{section.title}</span>
+                                <DiffStats stats={section.stats} />
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </nav>
+                    )}
+
+                    <div className="flex-1 min-w-0 overflow-y-auto bg-gray-50 dark:bg-gray-900 p-4 space-y-4">
+                      {loading && (
+                        <div className="py-24">
+                          <LoadingSpinner text="Loading both filings..." />
+                        </div>
+                      )}
+
+                      {error && (
+                        <div className="text-center py-24">
+                          <p className="text-danger-600 mb-4">{error}</p>
+                          <button type="button" onClick={retry} className="btn btn-secondary btn-sm">
+                            Try Again
+                          </button>
+                        </div>
+                      )}
+
+                      {!loading && !error && totals && visibleSections.length === 0 && (
+                        <p className="text-center py-24 text-gray-500 dark:text-gray-400">
+                          {sections.length === 0
+                            ? 'Neither filing has text to compare.'
+                            : 'No differences between these filings.'}
+                        </p>
+                      )}
+
+                      {!loading && !error && visibleSections.map(({ section, index }) => (
+                        <SectionDiff
+                          key={`${getFilingId(base)}-${getFilingId(target)}-${section.key}`}
+                          section={section}
+                          index={index}
+                          mode={mode}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default FilingDiffViewer;
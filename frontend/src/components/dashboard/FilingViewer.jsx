@@ -0,0 +1,302 @@
+import React, { Fragment, useState, useEffect, useRef } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import {
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  ChevronUpIcon,
+  ChevronDownIcon,
+  MagnifyingGlassIcon,
+  ArrowTopRightOnSquareIcon,
+  ListBulletIcon,
+} from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useFilingDocument } from '../../hooks/useFilingDocument';
+import { highlightMatches } from '../../utils/filingDocument';
+import { formatters } from '../../utils/formatters';
+import { FILING_FORMS, SEARCH_CONFIG } from '../../services/constants';
+
+const HIT_CLASS = 'bg-warning-200 text-gray-900 rounded-sm';
+const ACTIVE_HIT_CLASS = 'bg-warning-400 text-gray-900 rounded-sm ring-2 ring-warning-500';
+
+const isSameFiling = (a, b) => (
+  a === b || Boolean(a?.accession_number && a.accession_number === b?.accession_number)
+);
+
+const FilingViewer = ({ open, filing, filings = [], onNavigate, onClose }) => {
+  const { html, toc, loading, error, retry, isEmpty } = useFilingDocument(open ? filing : null);
+
+  const contentRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [hits, setHits] = useState([]);
+  const [activeHit, setActiveHit] = useState(0);
+  const [showToc, setShowToc] = useState(true);
+
+  const index = filings.findIndex(item => isSameFiling(item, filing));
+  const previousFiling = index > 0 ? filings[index - 1] : null;
+  const nextFiling = index !== -1 && index < filings.length - 1 ? filings[index + 1] : null;
+
+  // Highlighting walks the whole document, so wait for typing to settle
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedQuery(query), SEARCH_CONFIG.DEBOUNCE_DELAY);
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  // Render the sanitized document, then mark every hit for the current query
+  useEffect(() => {
+    const root = contentRef.current;
+    if (!root) return;
+
+    root.innerHTML = html;
+    root.scrollTop = 0;
+    setHits(highlightMatches(root, debouncedQuery));
+    setActiveHit(0);
+  }, [html, debouncedQuery]);
+
+  useEffect(() => {
+    hits.forEach((mark, hitIndex) => {
+      mark.className = hitIndex === activeHit ? ACTIVE_HIT_CLASS : HIT_CLASS;
+    });
+    hits[activeHit]?.scrollIntoView({ block: 'center' });
+  }, [hits, activeHit]);
+
+  const moveHit = (step) => {
+    if (hits.length === 0) return;
+    setActiveHit(current => (current + step + hits.length) % hits.length);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      moveHit(e.shiftKey ? -1 : 1);
+    }
+  };
+
+  const scrollToSection = (id) => {
+    const target = contentRef.current?.querySelector(`[id="${CSS.escape(id)}"], a[name="${CSS.escape(id)}"]`);
+    target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  // Keep the document's own "#anchor" links inside the panel
+  const handleContentClick = (e) => {
+    const link = e.target.closest('a[href^="#"]');
+    if (!link) return;
+
+    e.preventDefault();
+    scrollToSection(decodeURIComponent(link.getAttribute('href').slice(1)));
+  };
+
+  const formName = FILING_FORMS[filing?.form]?.name;
+
+  return (
+    <Transition.Root show={open} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={onClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-in-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in-out duration-300"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-gray-900/50 transition-opacity" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-hidden">
+          <div className="pointer-events-none fixed inset-y-0 right-0 flex max-w-full pl-10">
+            <Transition.Child
+              as={Fragment}
+              enter="transform transition ease-in-out duration-300"
+              enterFrom="translate-x-full"
+              enterTo="translate-x-0"
+              leave="transform transition ease-in-out duration-300"
+              leaveFrom="translate-x-0"
+              leaveTo="translate-x-full"
+            >
+              <Dialog.Panel className="pointer-events-auto w-screen max-w-5xl">
+                <div className="flex h-full flex-col bg-white dark:bg-gray-800 shadow-strong">
+                  {/* Header */}
+                  <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+                    <div className="flex items-start justify-between">
+                      <div className="min-w-0">
+                        <Dialog.Title className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+                          <span className="badge badge-primary mr-2">{filing?.form}</span>
+                          <span className="truncate">{formName || filing?.description || 'SEC Filing'}</span>
+                        </Dialog.Title>
+                        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                          Filed {formatters.date(filing?.filing_date)}
+                          {filing?.period_end_date && ` · Period ${formatters.date(filing.period_end_date)}`}
+                          {index !== -1 && ` · ${index + 1} of ${filings.length}`}
+                        </p>
+                      </div>
+
+                      <div className="flex items-center space-x-1 ml-4 flex-shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => onNavigate?.(previousFiling)}
+                          disabled={!previousFiling}
+                          className="btn btn-ghost btn-sm"
+                          title="Previous filing"
+                        >
+                          <ChevronLeftIcon className="w-4 h-4" />
+                          <span className="sr-only">Previous filing</span>
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onNavigate?.(nextFiling)}
+                          disabled={!nextFiling}
+                          className="btn btn-ghost btn-sm"
+                          title="Next filing"
+                        >
+                          <ChevronRightIcon className="w-4 h-4" />
+                          <span className="sr-only">Next filing</span>
+                        </button>
+                        {filing?.filing_url && (
+                          <a
+                            href={filing.filing_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="btn btn-ghost btn-sm"
+                            title="View filing on SEC website"
+                          >
+                            <ArrowTopRightOnSquareIcon className="w-4 h-4" />
+                            <span className="sr-only">View filing on SEC website</span>
+                          </a>
+                        )}
+                        <button
+                          type="button"
+                          onClick={onClose}
+                          className="btn btn-ghost btn-sm"
+                          title="Close"
+                        >
+                          <XMarkIcon className="w-5 h-5" />
+                          <span className="sr-only">Close</span>
+                        </button>
+                      </div>
+                    </div>
+
+                    {/* Search */}
+                    <div className="flex items-center space-x-2 mt-4">
+                      {toc.length > 0 && (
+                        <button
+                          type="button"
+                          onClick={() => setShowToc(show => !show)}
+                          aria-pressed={showToc}
+                          className="btn btn-ghost btn-sm hidden md:inline-flex"
+                          title="Table of contents"
+                        >
+                          <ListBulletIcon className="w-4 h-4" />
+                          <span className="sr-only">Table of contents</span>
+                        </button>
+                      )}
+                      <div className="relative flex-1">
+                        <MagnifyingGlassIcon className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                        <input
+                          type="search"
+                          value={query}
+                          onChange={(e) => setQuery(e.target.value)}
+                          onKeyDown={handleSearchKeyDown}
+                          placeholder="Find in document"
+                          aria-label="Find in document"
+                          className="input py-1 pl-9"
+                        />
+                      </div>
+                      <span className="text-xs text-gray-500 dark:text-gray-400 w-16 text-center" aria-live="polite">
+                        {debouncedQuery.trim() ? (hits.length > 0 ? `${activeHit + 1} of ${hits.length}` : 'No matches') : ''}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => moveHit(-1)}
+                        disabled={hits.length === 0}
+                        className="btn btn-ghost btn-sm"
+                        title="Previous match (Shift+Enter)"
+                      >
+                        <ChevronUpIcon className="w-4 h-4" />
+                        <span className="sr-only">Previous match</span>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => moveHit(1)}
+                        disabled={hits.length === 0}
+                        className="btn btn-ghost btn-sm"
+                        title="Next match (Enter)"
+                      >
+                        <ChevronDownIcon className="w-4 h-4" />
+                        <span className="sr-only">Next match</span>
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Body */}
+                  <div className="flex flex-1 min-h-0">
+                    {showToc && toc.length > 0 && !loading && (
+                      <nav
+                        aria-label="Table of contents"
+                        className="hidden md:block w-64 flex-shrink-0 overflow-y-auto border-r border-gray-200 dark:border-gray-700 py-4"
+                      >
+                        <ul className="space-y-1 text-sm">
+                          {toc.map(entry => (
+                            <li key={entry.id}>
+                              <button
+                                type="button"
+                                onClick={() => scrollToSection(entry.id)}
+                                className={clsx(
+                                  'w-full text-left px-4 py-1 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700 hover:text-primary-600 transition-colors duration-150',
+                                  entry.level > 1 && 'pl-8 text-gray-600 dark:text-gray-400'
+                                )}
+                              >
+                                {entry.text}
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      </nav>
+                    )}
+
+                    <div className="flex-1 min-w-0 overflow-y-auto bg-gray-50 dark:bg-gray-900 p-4">
+                      {loading && (
+                        <div className="py-24">
+                          <LoadingSpinner text="Loading filing..." />
+                        </div>
+                      )}
+
+                      {error && (
+                        <div className="text-center py-24">
+                          <p className="text-danger-600 mb-4">{error}</p>
+                          <button type="button" onClick={retry} className="btn btn-secondary btn-sm">
+                            Try Again
+                          </button>
+                        </div>
+                      )}
+
+                      {isEmpty && (
+                        <p className="text-center py-24 text-gray-500 dark:text-gray-400">
+                          This filing has no viewable document.
+                        </p>
+                      )}
+
+                      {/* Filings carry their own print styling, so they always render on a white page */}
+                      <div
+                        ref={contentRef}
+                        onClick={handleContentClick}
+                        className={clsx(
+                          'prose prose-sm max-w-none bg-white text-gray-900 rounded-lg shadow-soft p-8 overflow-x-auto',
+                          (loading || error || isEmpty) && 'hidden'
+                        )}
+                      />
+                    </div>
+                  </div>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition.Root>
+  );
+};
+
+export default FilingViewer;
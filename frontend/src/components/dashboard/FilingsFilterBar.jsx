@@ -0,0 +1,194 @@
+import React, { Fragment, useState, useEffect } from 'react';
+import { Popover, Transition } from '@headlessui/react';
+import {
+  FunnelIcon,
+  ChevronDownIcon,
+  MagnifyingGlassIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { FieldError } from '../common/ErrorMessage';
+import { validateDate, validateDateRange } from '../../utils/validators';
+import { FILING_FORMS, FILINGS_CONFIG } from '../../services/constants';
+
+export const EMPTY_FILINGS_FILTERS = { forms: [], from: '', to: '', text: '' };
+
+// Either end of the range may be open
+const validateRange = (from, to) => {
+  if (from && to) return validateDateRange(from, to);
+  if (from) return validateDate(from);
+  if (to) return validateDate(to);
+  return { isValid: true };
+};
+
+const sameForms = (a, b) => a.length === b.length && a.every(form => b.includes(form));
+
+const formatFormsLabel = (forms) => {
+  if (forms.length === 0) return 'All forms';
+  if (forms.length <= 2) return forms.join(', ');
+  return `${forms.length} forms`;
+};
+
+const FilingsFilterBar = ({ filters = EMPTY_FILINGS_FILTERS, formOptions = [], onChange, className }) => {
+  const { forms, from, to, text } = filters;
+
+  // Dates are edited as drafts and only applied once the range is valid
+  const [draftRange, setDraftRange] = useState({ from, to });
+  const [rangeError, setRangeError] = useState(null);
+
+  useEffect(() => {
+    setDraftRange({ from, to });
+    setRangeError(null);
+  }, [from, to]);
+
+  const update = (changes) => onChange?.({ ...filters, ...changes });
+
+  const toggleForm = (form) => {
+    update({
+      forms: forms.includes(form) ? forms.filter(item => item !== form) : [...forms, form],
+    });
+  };
+
+  const handleDateChange = (key, value) => {
+    const nextRange = { ...draftRange, [key]: value };
+    setDraftRange(nextRange);
+
+    const validation = validateRange(nextRange.from, nextRange.to);
+    if (!validation.isValid) {
+      setRangeError(validation.error);
+      return;
+    }
+
+    setRangeError(null);
+    update(nextRange);
+  };
+
+  const hasFilters = forms.length > 0 || from || to || text;
+
+  return (
+    <div className={clsx('space-y-3', className)}>
+      {/* Presets */}
+      <div className="flex flex-wrap items-center gap-2" role="group" aria-label="Filter presets">
+        {FILINGS_CONFIG.FILTER_PRESETS.map(preset => {
+          const active = sameForms(forms, preset.forms);
+
+          return (
+            <button
+              key={preset.id}
+              type="button"
+              onClick={() => update({ forms: active ? [] : preset.forms })}
+              aria-pressed={active}
+              className={clsx(
+                'px-2.5 py-1 text-xs font-medium rounded-full border transition-colors duration-200',
+                active
+                  ? 'bg-primary-600 border-primary-600 text-white'
+                  : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+              )}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={() => onChange?.(EMPTY_FILINGS_FILTERS)}
+            className="inline-flex items-center text-xs font-medium text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 transition-colors duration-200"
+          >
+            <XMarkIcon className="w-3 h-3 mr-1" />
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-start gap-3">
+        {/* Form types */}
+        <Popover className="relative">
+          <Popover.Button className="inline-flex items-center text-sm border border-gray-300 dark:border-gray-600 rounded-md px-3 py-1.5 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 focus:outline-none focus:ring-2 focus:ring-primary-500">
+            <FunnelIcon className="w-4 h-4 mr-1 text-gray-400" />
+            {formatFormsLabel(forms)}
+            <ChevronDownIcon className="w-3 h-3 ml-1" />
+          </Popover.Button>
+
+          <Transition
+            as={Fragment}
+            enter="transition ease-out duration-100"
+            enterFrom="transform opacity-0 scale-95"
+            enterTo="transform opacity-100 scale-100"
+            leave="transition ease-in duration-75"
+            leaveFrom="transform opacity-100 scale-100"
+            leaveTo="transform opacity-0 scale-95"
+          >
+            <Popover.Panel className="absolute left-0 mt-2 w-64 max-h-72 overflow-y-auto origin-top-left bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong py-1 z-30">
+              <fieldset>
+                <legend className="sr-only">Form types</legend>
+                {formOptions.map(form => (
+                  <label
+                    key={form}
+                    className="flex items-start space-x-3 px-4 py-2 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={forms.includes(form)}
+                      onChange={() => toggleForm(form)}
+                      className="mt-0.5 rounded border-gray-300 dark:border-gray-600 text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900 dark:text-gray-100">{form}</span>
+                      {FILING_FORMS[form] && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">{FILING_FORMS[form].name}</span>
+                      )}
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+            </Popover.Panel>
+          </Transition>
+        </Popover>
+
+        {/* Date range */}
+        <div>
+          <div className="flex items-center space-x-2 text-sm">
+            <label htmlFor="filings-from" className="text-gray-500 dark:text-gray-400">From</label>
+            <input
+              id="filings-from"
+              type="date"
+              value={draftRange.from}
+              max={draftRange.to || undefined}
+              onChange={(e) => handleDateChange('from', e.target.value)}
+              aria-invalid={Boolean(rangeError)}
+              className={clsx('input py-1 w-auto', rangeError && 'input-error')}
+            />
+            <label htmlFor="filings-to" className="text-gray-500 dark:text-gray-400">To</label>
+            <input
+              id="filings-to"
+              type="date"
+              value={draftRange.to}
+              min={draftRange.from || undefined}
+              onChange={(e) => handleDateChange('to', e.target.value)}
+              aria-invalid={Boolean(rangeError)}
+              className={clsx('input py-1 w-auto', rangeError && 'input-error')}
+            />
+          </div>
+          <FieldError error={rangeError} />
+        </div>
+
+        {/* Description text */}
+        <div className="relative flex-1 min-w-[12rem]">
+          <MagnifyingGlassIcon className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={text}
+            onChange={(e) => update({ text: e.target.value })}
+            placeholder="Filter descriptions"
+            aria-label="Filter filings by description"
+            className="input py-1 pl-9"
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FilingsFilterBar;
@@ -1,15 +1,23 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import {
   DocumentTextIcon,
   ArrowTopRightOnSquareIcon,
-  FunnelIcon,
   ChevronUpDownIcon,
   ChevronUpIcon,
   ChevronDownIcon,
+  ArrowPathIcon,
+  EyeIcon,
+  ArrowsRightLeftIcon,
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
+import { ButtonLoading } from '../common/LoadingSpinner';
+import FilingsFilterBar, { EMPTY_FILINGS_FILTERS } from './FilingsFilterBar';
+import FilingViewer from './FilingViewer';
+import FilingDiffViewer from './FilingDiffViewer';
 import { formatters } from '../../utils/formatters';
-import { FILING_FORMS } from '../../services/constants';
+import { findPreviousFiling } from '../../utils/filingDiff';
+import { useCommands } from '../../hooks/useCommands';
+import { COMMAND_GROUPS, FILING_FORMS, FILINGS_CONFIG } from '../../services/constants';
 
 // Helper function to get filing badge color
 const getFilingBadgeColor = (form) => {
@@ -23,21 +31,64 @@ const getFilingBadgeColor = (form) => {
   return colorMap[config.color] || 'filing-form-other';
 };
 
+const getFilingDescription = (filing) => (
+  filing.description || FILING_FORMS[filing.form]?.description || 'SEC Filing'
+);
+
+// Apply filters to the loaded rows, so placeholders and uncontrolled tables match what the server returns
+const matchesFilters = (filing, { forms, from, to, text }) => {
+  if (forms.length > 0 && !forms.includes(filing.form)) return false;
+
+  const filedOn = filing.filing_date?.slice(0, 10);
+  if (from && (!filedOn || filedOn < from)) return false;
+  if (to && (!filedOn || filedOn > to)) return false;
+
+  const needle = text.trim().toLowerCase();
+  return !needle || getFilingDescription(filing).toLowerCase().includes(needle);
+};
+
 const FilingsTable = ({ 
   filings = [], 
   loading = false, 
   className,
   showFilters = true,
-  maxHeight = '400px' 
+  maxHeight = '400px',
+  filters: controlledFilters,
+  formOptions = [],
+  onFiltersChange,
+  onViewChange,
+  totalCount,
+  hasMore = false,
+  loadingMore = false,
+  loadError,
+  onLoadMore,
+  onRetry,
+  keyboardShortcuts = false
 }) => {
   const [sortConfig, setSortConfig] = useState({ key: 'filing_date', direction: 'desc' });
-  const [filterForm, setFilterForm] = useState('all');
+  const [internalFilters, setInternalFilters] = useState(EMPTY_FILINGS_FILTERS);
+  const [viewer, setViewer] = useState({ open: false, filing: null });
+  const [diff, setDiff] = useState({ open: false, base: null, target: null });
+  const [activeIndex, setActiveIndex] = useState(null); // row picked with j/k
+  const containerRef = useRef(null);
+  const sentinelRef = useRef(null);
 
-  // Filter filings by form type
-  const filteredFilings = useMemo(() => {
-    if (filterForm === 'all') return filings;
-    return filings.filter(filing => filing.form === filterForm);
-  }, [filings, filterForm]);
+  // Form and date filters can be controlled by the parent (e.g. from the URL);
+  // the description text filter always stays local
+  const filters = useMemo(
+    () => ({ ...internalFilters, ...controlledFilters }),
+    [internalFilters, controlledFilters]
+  );
+
+  const setFilters = (nextFilters) => {
+    setInternalFilters(nextFilters);
+    onFiltersChange?.(nextFilters);
+  };
+
+  const filteredFilings = useMemo(
+    () => filings.filter(filing => matchesFilters(filing, filters)),
+    [filings, filters]
+  );
 
   // Sort filings
   const sortedFilings = useMemo(() => {
@@ -69,11 +120,66 @@ const FilingsTable = ({
     });
   }, [filteredFilings, sortConfig]);
 
-  // Get unique form types for filter
+  // Report the rows currently shown, in their sort/filter order (e.g. for exports)
+  useEffect(() => {
+    onViewChange?.(sortedFilings, { sort: sortConfig, filters });
+  }, [sortedFilings, sortConfig, filters, onViewChange]);
+
+  // A new sort or filter starts the keyboard cursor over
+  useEffect(() => {
+    setActiveIndex(null);
+  }, [sortConfig, filters]);
+
+  const activeRow = activeIndex !== null && activeIndex < sortedFilings.length ? activeIndex : null;
+
+  useEffect(() => {
+    if (activeRow === null) return;
+
+    containerRef.current
+      ?.querySelector(`[data-row-index="${activeRow}"]`)
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeRow]);
+
+  // Load the next page as the end of the table scrolls into view
+  const canLoadMore = Boolean(onLoadMore) && hasMore && !loadingMore && !loadError;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!canLoadMore || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          onLoadMore();
+        }
+      },
+      { root: containerRef.current, rootMargin: FILINGS_CONFIG.SCROLL_THRESHOLD }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [canLoadMore, onLoadMore, filings.length]);
+
+  // Known forms plus every form present, keeping selected forms selectable even
+  // when no loaded filing matches them
   const availableFormTypes = useMemo(() => {
-    const forms = [...new Set(filings.map(filing => filing.form))];
-    return forms.sort();
-  }, [filings]);
+    const forms = new Set([...formOptions, ...filings.map(filing => filing.form), ...filters.forms]);
+    return [...forms].filter(Boolean).sort();
+  }, [filings, filters.forms, formOptions]);
+
+  const hasActiveFilters = filters.forms.length > 0 || Boolean(filters.from || filters.to || filters.text.trim());
+
+  // The server's total doesn't account for the local description filter
+  const displayedCount = filters.text.trim() ? filteredFilings.length : totalCount ?? filteredFilings.length;
+
+  const filterBar = showFilters && (
+    <FilingsFilterBar
+      filters={filters}
+      formOptions={availableFormTypes}
+      onChange={setFilters}
+      className="mt-4"
+    />
+  );
 
   const handleSort = (key) => {
     setSortConfig(prev => ({
@@ -83,11 +189,65 @@ const FilingsTable = ({
   };
 
   const handleFilingClick = (filing) => {
-    if (filing.filing_url) {
-      window.open(filing.filing_url, '_blank', 'noopener,noreferrer');
+    if (filing.accession_number || filing.filing_url) {
+      setViewer({ open: true, filing });
+    }
+  };
+
+  // Keep the filing around while the panel slides out
+  const handleViewerClose = () => {
+    setViewer(prev => ({ ...prev, open: false }));
+  };
+
+  // Previous filing of the same form for each row, from everything loaded so far
+  const previousFilings = useMemo(
+    () => new Map(filings.map(filing => [filing, findPreviousFiling(filings, filing)])),
+    [filings]
+  );
+
+  const handleCompareClick = (filing) => {
+    const previous = previousFilings.get(filing);
+    if (previous) {
+      setDiff({ open: true, base: previous, target: filing });
     }
   };
 
+  const filingCommands = useMemo(() => {
+    if (!keyboardShortcuts || sortedFilings.length === 0) return null;
+
+    const lastIndex = sortedFilings.length - 1;
+
+    return [
+      {
+        id: 'filings.next',
+        label: 'Next filing',
+        group: COMMAND_GROUPS.FILINGS,
+        shortcut: 'j',
+        palette: false,
+        run: () => setActiveIndex(index => (index === null ? 0 : Math.min(index + 1, lastIndex))),
+      },
+      {
+        id: 'filings.previous',
+        label: 'Previous filing',
+        group: COMMAND_GROUPS.FILINGS,
+        shortcut: 'k',
+        palette: false,
+        run: () => setActiveIndex(index => (index === null ? 0 : Math.max(index - 1, 0))),
+      },
+      {
+        id: 'filings.open',
+        label: 'Open selected filing',
+        group: COMMAND_GROUPS.FILINGS,
+        shortcut: 'o',
+        keywords: ['view', 'filing'],
+        icon: EyeIcon,
+        run: () => handleFilingClick(sortedFilings[activeRow ?? 0]),
+      },
+    ];
+  }, [keyboardShortcuts, sortedFilings, activeRow]);
+
+  useCommands(filingCommands);
+
   const getSortIcon = (columnKey) => {
     if (sortConfig.key !== columnKey) {
       return <ChevronUpDownIcon className="w-4 h-4" />;
@@ -97,24 +257,25 @@ const FilingsTable = ({
       : <ChevronDownIcon className="w-4 h-4" />;
   };
 
-  if (loading) {
+  // Filtered views keep the header and filter bar mounted while results change
+  if (loading && !hasActiveFilters) {
     return (
-      <div className={clsx('bg-white rounded-xl border border-gray-200 shadow-soft', className)}>
-        <div className="px-6 py-4 border-b border-gray-200">
+      <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
           <div className="flex items-center justify-between">
-            <div className="h-6 bg-gray-200 rounded animate-pulse w-32" />
+            <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-32" />
             {showFilters && (
-              <div className="h-8 bg-gray-200 rounded animate-pulse w-40" />
+              <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-40" />
             )}
           </div>
         </div>
         <div className="p-6 space-y-4">
           {Array.from({ length: 5 }).map((_, index) => (
             <div key={index} className="grid grid-cols-4 gap-4">
-              <div className="h-4 bg-gray-200 rounded animate-pulse" />
-              <div className="h-4 bg-gray-200 rounded animate-pulse" />
-              <div className="h-4 bg-gray-200 rounded animate-pulse" />
-              <div className="h-4 bg-gray-200 rounded animate-pulse" />
+              <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+              <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+              <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+              <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
             </div>
           ))}
         </div>
@@ -122,153 +283,234 @@ const FilingsTable = ({
     );
   }
 
-  if (!filings || filings.length === 0) {
+  if ((!filings || filings.length === 0) && !hasActiveFilters) {
     return (
-      <div className={clsx('bg-white rounded-xl border border-gray-200 shadow-soft', className)}>
-        <div className="px-6 py-4 border-b border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+      <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
             <DocumentTextIcon className="w-5 h-5 mr-2" />
             SEC Filings
           </h3>
         </div>
         <div className="p-12 text-center">
-          <DocumentTextIcon className="w-12 h-12 text-gray-300 mx-auto mb-4" />
-          <h4 className="text-lg font-semibold text-gray-900 mb-2">
-            No SEC Filings Found
+          <DocumentTextIcon className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+          <h4 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            {loadError ? 'Filings Unavailable' : 'No SEC Filings Found'}
           </h4>
-          <p className="text-gray-600">
-            No recent SEC filings are available for this company.
+          <p className="text-gray-600 dark:text-gray-400">
+            {loadError || 'No recent SEC filings are available for this company.'}
           </p>
+          {loadError && onRetry && (
+            <button type="button" onClick={onRetry} className="btn btn-secondary btn-sm mt-4">
+              Try Again
+            </button>
+          )}
         </div>
       </div>
     );
   }
 
   return (
-    <div className={clsx('bg-white rounded-xl border border-gray-200 shadow-soft', className)}>
+    <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
       {/* Header */}
-      <div className="px-6 py-4 border-b border-gray-200">
-        <div className="flex items-center justify-between">
-          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
-            <DocumentTextIcon className="w-5 h-5 mr-2" />
-            SEC Filings ({filteredFilings.length})
-          </h3>
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <DocumentTextIcon className="w-5 h-5 mr-2" />
+          SEC Filings ({displayedCount})
+        </h3>
 
-          {/* Filter Dropdown */}
-          {showFilters && availableFormTypes.length > 0 && (
-            <div className="flex items-center space-x-2">
-              <FunnelIcon className="w-4 h-4 text-gray-400" />
-              <select
-                value={filterForm}
-                onChange={(e) => setFilterForm(e.target.value)}
-                className="text-sm border border-gray-300 rounded-md px-3 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
-              >
-                <option value="all">All Forms</option>
-                {availableFormTypes.map(form => (
-                  <option key={form} value={form}>
-                    {form} {FILING_FORMS[form] ? `- ${FILING_FORMS[form].name}` : ''}
-                  </option>
-                ))}
-              </select>
-            </div>
-          )}
-        </div>
+        {/* Filters */}
+        {filterBar}
       </div>
 
-      {/* Table */}
-      <div className="filings-table-container" style={{ maxHeight }}>
-        <table className="filings-table">
-          <thead>
-            <tr>
-              <th>
-                <button
-                  type="button"
-                  onClick={() => handleSort('form')}
-                  className="flex items-center space-x-1 hover:text-gray-700 transition-colors duration-200"
-                >
-                  <span>Form</span>
-                  {getSortIcon('form')}
-                </button>
-              </th>
-              <th>
-                <button
-                  type="button"
-                  onClick={() => handleSort('filing_date')}
-                  className="flex items-center space-x-1 hover:text-gray-700 transition-colors duration-200"
-                >
-                  <span>Filed Date</span>
-                  {getSortIcon('filing_date')}
-                </button>
-              </th>
-              <th>Description</th>
-              <th>Actions</th>
-            </tr>
-          </thead>
-          <tbody>
-            {sortedFilings.map((filing, index) => (
-              <tr key={filing.accession_number || index}>
-                <td>
-                  <span className={clsx(
-                    'filing-form-badge',
-                    getFilingBadgeColor(filing.form)
-                  )}>
-                    {filing.form}
-                  </span>
-                </td>
+      {loading ? (
+        <div className="p-6 space-y-4">
+          {Array.from({ length: 3 }).map((_, index) => (
+            <div key={index} className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+          ))}
+        </div>
+      ) : sortedFilings.length === 0 && !hasMore ? (
+        <div className="p-8 text-center">
+          <p className="text-gray-600 dark:text-gray-400">
+            {loadError || 'No filings match these filters.'}
+          </p>
+          {loadError && onRetry && (
+            <button type="button" onClick={onRetry} className="btn btn-secondary btn-sm mt-4">
+              Try Again
+            </button>
+          )}
+        </div>
+      ) : (
+        <>
+          {/* Table */}
+          <div ref={containerRef} className="filings-table-container" style={{ maxHeight }}>
+            <table className="filings-table">
+              <thead>
+                <tr>
+                  <th>
+                    <button
+                      type="button"
+                      onClick={() => handleSort('form')}
+                      className="flex items-center space-x-1 hover:text-gray-700 dark:hover:text-gray-200 transition-colors duration-200"
+                    >
+                      <span>Form</span>
+                      {getSortIcon('form')}
+                    </button>
+                  </th>
+                  <th>
+                    <button
+                      type="button"
+                      onClick={() => handleSort('filing_date')}
+                      className="flex items-center space-x-1 hover:text-gray-700 dark:hover:text-gray-200 transition-colors duration-200"
+                    >
+                      <span>Filed Date</span>
+                      {getSortIcon('filing_date')}
+                    </button>
+                  </th>
+                  <th>Description</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sortedFilings.map((filing, index) => (
+                  <tr
+                    key={filing.accession_number || index}
+                    data-row-index={index}
+                    aria-selected={keyboardShortcuts ? index === activeRow : undefined}
+                    className={clsx(index === activeRow && 'bg-primary-50 dark:bg-primary-900/20')}
+                  >
+                    <td>
+                      <span className={clsx(
+                        'filing-form-badge',
+                        getFilingBadgeColor(filing.form)
+                      )}>
+                        {filing.form}
+                      </span>
+                    </td>
                 
-                <td>
-                  <div className="text-gray-900">
-                    {formatters.date(filing.filing_date)}
-                  </div>
-                  {filing.period_end_date && (
-                    <div className="text-xs text-gray-500">
-                      Period: {formatters.date(filing.period_end_date)}
-                    </div>
-                  )}
-                </td>
+                    <td>
+                      <div className="text-gray-900 dark:text-gray-100">
+                        {formatters.date(filing.filing_date)}
+                      </div>
+                      {filing.period_end_date && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          Period: {formatters.date(filing.period_end_date)}
+                        </div>
+                      )}
+                    </td>
                 
-                <td>
-                  <div className="text-gray-900">
-                    {filing.description || FILING_FORMS[filing.form]?.description || 'SEC Filing'}
-                  </div>
-                  {filing.file_size && (
-                    <div className="text-xs text-gray-500">
-                      Size: {formatters.fileSize(filing.file_size)}
-                    </div>
-                  )}
-                </td>
+                    <td>
+                      <div className="text-gray-900 dark:text-gray-100">
+                        {getFilingDescription(filing)}
+                      </div>
+                      {filing.file_size && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          Size: {formatters.fileSize(filing.file_size)}
+                        </div>
+                      )}
+                    </td>
                 
-                <td>
+                    <td>
+                      <div className="flex items-center space-x-3">
+                        <button
+                          type="button"
+                          onClick={() => handleFilingClick(filing)}
+                          className="filing-link inline-flex items-center text-sm font-medium"
+                          title="Open filing viewer"
+                        >
+                          View Filing
+                          <EyeIcon className="w-3 h-3 ml-1" />
+                        </button>
+                        {filing.filing_url && (
+                          <a
+                            href={filing.filing_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-gray-400 hover:text-primary-600 transition-colors duration-200"
+                            title="View filing on SEC website"
+                          >
+                            <ArrowTopRightOnSquareIcon className="w-4 h-4" />
+                            <span className="sr-only">View filing on SEC website</span>
+                          </a>
+                        )}
+                        {previousFilings.get(filing) && (
+                          <button
+                            type="button"
+                            onClick={() => handleCompareClick(filing)}
+                            className="text-gray-400 hover:text-primary-600 transition-colors duration-200"
+                            title={`Compare with previous ${filing.form}`}
+                          >
+                            <ArrowsRightLeftIcon className="w-4 h-4" />
+                            <span className="sr-only">Compare with previous {filing.form}</span>
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {onLoadMore && hasMore && <div ref={sentinelRef} className="h-px" aria-hidden="true" />}
+          </div>
+
+          {/* Footer with summary info */}
+          <div className="px-6 py-3 bg-gray-50 dark:bg-gray-900 border-t border-gray-200 dark:border-gray-700 rounded-b-xl">
+            <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+              <div>
+                Showing {sortedFilings.length} of {displayedCount} filings
+              </div>
+          
+              {onLoadMore && (loadError || hasMore) ? (
+                loadError ? (
                   <button
                     type="button"
-                    onClick={() => handleFilingClick(filing)}
-                    className="filing-link inline-flex items-center text-sm font-medium"
-                    title="View filing on SEC website"
+                    onClick={onRetry}
+                    className="inline-flex items-center text-xs font-medium text-danger-600 hover:text-danger-800"
+                    title={loadError}
                   >
-                    View Filing
-                    <ArrowTopRightOnSquareIcon className="w-3 h-3 ml-1" />
+                    <ArrowPathIcon className="w-3 h-3 mr-1" />
+                    Couldn't load more, retry
                   </button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-
-      {/* Footer with summary info */}
-      <div className="px-6 py-3 bg-gray-50 border-t border-gray-200 rounded-b-xl">
-        <div className="flex items-center justify-between text-sm text-gray-600">
-          <div>
-            Showing {sortedFilings.length} of {filings.length} filings
-          </div>
-          
-          {filings.length > 0 && (
-            <div className="text-xs">
-              Latest: {formatters.date(filings[0]?.filing_date)}
+                ) : (
+                  <button
+                    type="button"
+                    onClick={onLoadMore}
+                    disabled={loadingMore}
+                    className="btn btn-ghost btn-sm inline-flex items-center"
+                  >
+                    {loadingMore && <ButtonLoading size="sm" />}
+                    <span className={clsx(loadingMore && 'ml-1')}>
+                      {loadingMore ? 'Loading…' : 'Load more'}
+                    </span>
+                  </button>
+                )
+              ) : filings.length > 0 && (
+                <div className="text-xs">
+                  Latest: {formatters.date(filings[0]?.filing_date)}
+                </div>
+              )}
             </div>
-          )}
-        </div>
-      </div>
+          </div>
+        </>
+      )}
+
+      <FilingViewer
+        open={viewer.open}
+        filing={viewer.filing}
+        filings={sortedFilings}
+        onNavigate={(filing) => filing && setViewer({ open: true, filing })}
+        onClose={handleViewerClose}
+      />
+
+      <FilingDiffViewer
+        open={diff.open}
+        base={diff.base}
+        target={diff.target}
+        filings={filings}
+        onChange={({ base, target }) => setDiff({ open: true, base, target })}
+        onClose={() => setDiff(prev => ({ ...prev, open: false }))}
+      />
     </div>
   );
 };
@@ -279,27 +521,27 @@ export const FilingsTableCompact = ({ filings = [], className, maxItems = 3 }) =
 
   if (!filings || filings.length === 0) {
     return (
-      <div className={clsx('bg-white border border-gray-200 rounded-lg p-4', className)}>
+      <div className={clsx('bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg p-4', className)}>
         <div className="text-center">
-          <DocumentTextIcon className="w-8 h-8 text-gray-300 mx-auto mb-2" />
-          <p className="text-sm text-gray-500">No recent filings</p>
+          <DocumentTextIcon className="w-8 h-8 text-gray-300 dark:text-gray-600 mx-auto mb-2" />
+          <p className="text-sm text-gray-500 dark:text-gray-400">No recent filings</p>
         </div>
       </div>
     );
   }
 
   return (
-    <div className={clsx('bg-white border border-gray-200 rounded-lg', className)}>
-      <div className="px-4 py-3 border-b border-gray-200">
-        <h4 className="text-sm font-semibold text-gray-900 flex items-center">
+    <div className={clsx('bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg', className)}>
+      <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 flex items-center">
           <DocumentTextIcon className="w-4 h-4 mr-2" />
           Recent Filings
         </h4>
       </div>
 
-      <div className="divide-y divide-gray-100">
+      <div className="divide-y divide-gray-100 dark:divide-gray-700">
         {displayFilings.map((filing, index) => (
-          <div key={filing.accession_number || index} className="px-4 py-3 hover:bg-gray-50">
+          <div key={filing.accession_number || index} className="px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700">
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-3">
                 <span className={clsx(
@@ -309,11 +551,11 @@ export const FilingsTableCompact = ({ filings = [], className, maxItems = 3 }) =
                   {filing.form}
                 </span>
                 <div>
-                  <div className="text-sm font-medium text-gray-900">
+                  <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                     {formatters.date(filing.filing_date)}
                   </div>
                   {filing.description && (
-                    <div className="text-xs text-gray-500 truncate max-w-40">
+                    <div className="text-xs text-gray-500 dark:text-gray-400 truncate max-w-40">
                       {filing.description}
                     </div>
                   )}
@@ -323,7 +565,7 @@ export const FilingsTableCompact = ({ filings = [], className, maxItems = 3 }) =
               <button
                 type="button"
                 onClick={() => window.open(filing.filing_url, '_blank', 'noopener,noreferrer')}
-                className="text-primary-600 hover:text-primary-800 transition-colors duration-200"
+                className="text-primary-600 hover:text-primary-800 dark:hover:text-primary-200 transition-colors duration-200"
               >
                 <ArrowTopRightOnSquareIcon className="w-4 h-4" />
               </button>
@@ -333,8 +575,8 @@ export const FilingsTableCompact = ({ filings = [], className, maxItems = 3 }) =
       </div>
 
       {filings.length > maxItems && (
-        <div className="px-4 py-2 bg-gray-50 border-t border-gray-100 rounded-b-lg">
-          <p className="text-xs text-gray-500 text-center">
+        <div className="px-4 py-2 bg-gray-50 dark:bg-gray-900 border-t border-gray-100 dark:border-gray-700 rounded-b-lg">
+          <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
             +{filings.length - maxItems} more filings available
           </p>
         </div>
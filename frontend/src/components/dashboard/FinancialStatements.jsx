@@ -0,0 +1,294 @@
+import React, { useState, useMemo } from 'react';
+import { TableCellsIcon, DocumentTextIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import FilingViewer from './FilingViewer';
+import { useCompanyFacts } from '../../hooks/useCompanyFacts';
+import {
+  FINANCIAL_STATEMENTS,
+  FINANCIAL_FREQUENCIES,
+  buildFinancialStatement,
+  formatFinancialValue,
+  formatGrowth,
+} from '../../utils/financials';
+import { formatters } from '../../utils/formatters';
+
+const PILL_CLASSES = 'px-2.5 py-1 text-xs font-medium rounded-full border transition-colors duration-200';
+const PILL_ACTIVE = 'bg-primary-600 border-primary-600 text-white';
+const PILL_INACTIVE = 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700';
+
+// Where a value came from, with a shortcut into the filing viewer
+const SourceDetails = ({ row, cell, onViewFiling, onClose }) => {
+  const { source } = cell;
+
+  return (
+    <div className="mx-6 mb-6 p-4 bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg text-sm">
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="font-medium text-gray-900 dark:text-gray-100">
+            {row.label}: {formatFinancialValue(cell.value, row.format)}
+          </div>
+          <div className="text-gray-500 dark:text-gray-400 mt-1">
+            {source.start ? `${formatters.date(source.start)} – ` : 'As of '}
+            {formatters.date(source.end)}
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-colors duration-200"
+          title="Close"
+        >
+          <XMarkIcon className="w-4 h-4" />
+          <span className="sr-only">Close</span>
+        </button>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-2 mt-3">
+        <div>
+          <dt className="text-xs text-gray-500 dark:text-gray-400">Accession number</dt>
+          <dd className="font-mono text-gray-900 dark:text-gray-100">{source.accession || 'N/A'}</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500 dark:text-gray-400">Source filing</dt>
+          <dd className="text-gray-900 dark:text-gray-100">
+            {source.form || 'N/A'}
+            {source.filed && `, filed ${formatters.date(source.filed)}`}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500 dark:text-gray-400">XBRL concept</dt>
+          <dd className="font-mono text-xs text-gray-900 dark:text-gray-100 break-all">us-gaap:{source.concept}</dd>
+        </div>
+        <div>
+          <dt className="text-xs text-gray-500 dark:text-gray-400">Fiscal period</dt>
+          <dd className="text-gray-900 dark:text-gray-100">
+            {[source.fiscalPeriod, source.fiscalYear].filter(Boolean).join(' ') || 'N/A'}
+          </dd>
+        </div>
+      </dl>
+
+      {source.derived && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+          Fourth quarter derived from the annual total less the first three quarters.
+        </p>
+      )}
+
+      {source.accession && (
+        <button
+          type="button"
+          onClick={() => onViewFiling(source)}
+          className="filing-link inline-flex items-center text-sm font-medium mt-3"
+        >
+          <DocumentTextIcon className="w-4 h-4 mr-1" />
+          View source filing
+        </button>
+      )}
+    </div>
+  );
+};
+
+const FinancialStatements = ({ cik, className }) => {
+  const { facts, loading, error, retry } = useCompanyFacts(cik);
+
+  const [statementId, setStatementId] = useState(FINANCIAL_STATEMENTS[0].id);
+  const [frequency, setFrequency] = useState(FINANCIAL_FREQUENCIES[0].id);
+  const [selected, setSelected] = useState(null);
+  const [viewer, setViewer] = useState({ open: false, filing: null });
+
+  const statement = useMemo(
+    () => (facts ? buildFinancialStatement(facts, statementId, frequency) : null),
+    [facts, statementId, frequency]
+  );
+
+  const selectedRow = statement?.rows.find(row => row.key === selected?.rowKey);
+  const selectedCell = selectedRow?.cells.find(cell => cell?.end === selected?.end);
+
+  const changeView = (changes) => {
+    setSelected(null);
+    if (changes.statementId) setStatementId(changes.statementId);
+    if (changes.frequency) setFrequency(changes.frequency);
+  };
+
+  const handleViewFiling = (source) => {
+    setViewer({
+      open: true,
+      filing: { accession_number: source.accession, form: source.form, filing_date: source.filed },
+    });
+  };
+
+  const header = (
+    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <TableCellsIcon className="w-5 h-5 mr-2" />
+          Financial Statements
+        </h3>
+
+        <div className="flex items-center gap-2" role="group" aria-label="Reporting period">
+          {FINANCIAL_FREQUENCIES.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => changeView({ frequency: option.id })}
+              aria-pressed={frequency === option.id}
+              className={clsx(PILL_CLASSES, frequency === option.id ? PILL_ACTIVE : PILL_INACTIVE)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mt-4" role="group" aria-label="Statement">
+        {FINANCIAL_STATEMENTS.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => changeView({ statementId: option.id })}
+            aria-pressed={statementId === option.id}
+            className={clsx(PILL_CLASSES, statementId === option.id ? PILL_ACTIVE : PILL_INACTIVE)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  let body;
+  if (loading) {
+    body = (
+      <div className="p-6 space-y-4">
+        {Array.from({ length: 6 }).map((_, index) => (
+          <div key={index} className="grid grid-cols-5 gap-4">
+            {Array.from({ length: 5 }).map((__, column) => (
+              <div key={column} className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  } else if (error) {
+    body = (
+      <div className="p-8 text-center">
+        <p className="text-gray-600 dark:text-gray-400">{error}</p>
+        <button type="button" onClick={retry} className="btn btn-secondary btn-sm mt-4">
+          Try Again
+        </button>
+      </div>
+    );
+  } else if (!statement || statement.rows.length === 0) {
+    body = (
+      <div className="p-12 text-center">
+        <TableCellsIcon className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+        <h4 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">No Financial Data</h4>
+        <p className="text-gray-600 dark:text-gray-400">
+          This company has no XBRL {statement?.label.toLowerCase() || 'financial'} data for this period.
+        </p>
+      </div>
+    );
+  } else {
+    body = (
+      <>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th scope="col" className="sticky left-0 bg-white dark:bg-gray-800 px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">
+                  {frequency === 'annual' ? 'Fiscal year' : 'Quarter'}
+                </th>
+                {statement.periods.map(period => (
+                  <th key={period.end} scope="col" className="px-4 py-3 text-right whitespace-nowrap">
+                    <div className="text-xs font-medium uppercase tracking-wider text-gray-700 dark:text-gray-300">{period.label}</div>
+                    <div className="text-xs font-normal text-gray-500 dark:text-gray-400">{formatters.date(period.end)}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {statement.rows.map(row => (
+                <tr key={row.key}>
+                  <th scope="row" className="sticky left-0 bg-white dark:bg-gray-800 px-6 py-2 text-left font-medium text-gray-700 dark:text-gray-300 whitespace-nowrap">
+                    {row.label}
+                  </th>
+                  {row.cells.map((cell, index) => {
+                    if (!cell) {
+                      return (
+                        <td key={statement.periods[index].end} className="px-4 py-2 text-right text-gray-400 dark:text-gray-500">
+                          —
+                        </td>
+                      );
+                    }
+
+                    const isSelected = selected?.rowKey === row.key && selected?.end === cell.end;
+
+                    return (
+                      <td key={cell.end} className="px-1 py-1 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setSelected(isSelected ? null : { rowKey: row.key, end: cell.end })}
+                          aria-pressed={isSelected}
+                          className={clsx(
+                            'w-full px-3 py-1 rounded text-right transition-colors duration-150',
+                            isSelected
+                              ? 'bg-primary-50 dark:bg-primary-900/30 ring-1 ring-primary-500'
+                              : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+                          )}
+                          title={cell.source.accession ? `Source: ${cell.source.accession}` : undefined}
+                        >
+                          <div className={clsx(
+                            'font-medium whitespace-nowrap',
+                            cell.value < 0 ? 'text-danger-600' : 'text-gray-900 dark:text-gray-100'
+                          )}>
+                            {formatFinancialValue(cell.value, row.format)}
+                          </div>
+                          {cell.growth !== null && (
+                            <div className={clsx(
+                              'text-xs whitespace-nowrap',
+                              cell.growth >= 0 ? 'text-success-600' : 'text-danger-600'
+                            )}>
+                              {formatGrowth(cell.growth)} YoY
+                            </div>
+                          )}
+                        </button>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <p className="px-6 py-3 text-xs text-gray-500 dark:text-gray-400">
+          Click a value to see the filing it was reported in.
+        </p>
+
+        {selectedCell && (
+          <SourceDetails
+            row={selectedRow}
+            cell={selectedCell}
+            onViewFiling={handleViewFiling}
+            onClose={() => setSelected(null)}
+          />
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+      {header}
+      {body}
+
+      <FilingViewer
+        open={viewer.open}
+        filing={viewer.filing}
+        filings={viewer.filing ? [viewer.filing] : []}
+        onClose={() => setViewer(prev => ({ ...prev, open: false }))}
+      />
+    </div>
+  );
+};
+
+export default FinancialStatements;
@@ -0,0 +1,312 @@
+import React, { useState, useMemo } from 'react';
+import { UserGroupIcon, FlagIcon, DocumentTextIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import FilingViewer from './FilingViewer';
+import { formatters } from '../../utils/formatters';
+import { INSIDER_TRANSACTION_CODES, INSIDERS_CONFIG } from '../../services/constants';
+
+const TRANSACTION_FILTERS = [
+  { id: 'all', label: 'All transactions', matches: () => true },
+  { id: 'market', label: 'Open market', matches: transaction => Boolean(transaction.direction) },
+  { id: 'large', label: 'Large only', matches: transaction => transaction.large },
+];
+
+const DIRECTION_BADGES = {
+  buy: 'badge-success',
+  sell: 'badge-danger',
+};
+
+const formatSignedCurrency = (value) => {
+  const formatted = formatters.currency(Math.abs(value), { compact: true });
+  if (value > 0) return `+${formatted}`;
+  if (value < 0) return `-${formatted}`;
+  return formatted;
+};
+
+// Net buying above the line, net selling below it
+const MonthlyActivity = ({ monthly }) => {
+  const maxValue = monthly.reduce((max, entry) => Math.max(max, Math.abs(entry.netValue)), 0);
+
+  return (
+    <div>
+      <div className="flex items-stretch h-24 gap-1" role="img" aria-label="Net insider buying and selling per month">
+        {monthly.map(entry => {
+          const height = maxValue ? `${(Math.abs(entry.netValue) / maxValue) * 100}%` : '0%';
+
+          return (
+            <div
+              key={entry.month}
+              className="flex-1 flex flex-col"
+              title={`${entry.label}: ${formatSignedCurrency(entry.netValue)} net (${entry.buys} buys, ${entry.sells} sells)`}
+            >
+              <div className="flex-1 flex items-end border-b border-gray-200 dark:border-gray-700">
+                {entry.netValue > 0 && <div className="w-full bg-success-500 rounded-t" style={{ height }} />}
+              </div>
+              <div className="flex-1 flex items-start">
+                {entry.netValue < 0 && <div className="w-full bg-danger-500 rounded-b" style={{ height }} />}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {monthly.map(entry => (
+          <span key={entry.month} className="flex-1 text-center text-[10px] text-gray-500 dark:text-gray-400">
+            {entry.label.slice(0, 3)}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const InsidersPanel = ({
+  transactions = [],
+  monthly = [],
+  summary,
+  filingsCount = 0,
+  failedCount = 0,
+  loading = false,
+  error,
+  onRetry,
+  className,
+}) => {
+  const [filter, setFilter] = useState(TRANSACTION_FILTERS[0].id);
+  const [viewer, setViewer] = useState({ open: false, filing: null });
+
+  const visibleTransactions = useMemo(() => {
+    const { matches } = TRANSACTION_FILTERS.find(option => option.id === filter);
+    return transactions.filter(matches);
+  }, [transactions, filter]);
+
+  // One entry per source filing, for next/previous in the viewer
+  const sourceFilings = useMemo(() => {
+    const byAccession = new Map();
+    transactions.forEach(transaction => {
+      const key = transaction.accessionNumber || transaction.filingUrl;
+      if (key && !byAccession.has(key)) {
+        byAccession.set(key, {
+          accession_number: transaction.accessionNumber,
+          filing_url: transaction.filingUrl,
+          form: '4',
+          filing_date: transaction.date,
+        });
+      }
+    });
+    return Array.from(byAccession.values());
+  }, [transactions]);
+
+  const openFiling = (transaction) => {
+    const key = transaction.accessionNumber || transaction.filingUrl;
+    const filing = sourceFilings.find(item => (item.accession_number || item.filing_url) === key);
+    if (filing) setViewer({ open: true, filing });
+  };
+
+  const header = (
+    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+        <UserGroupIcon className="w-5 h-5 mr-2" />
+        Insider Transactions
+      </h3>
+      <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+        Parsed from the latest {INSIDERS_CONFIG.FILINGS_LIMIT} Form 4 filings
+      </p>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+        {header}
+        <div className="p-6 space-y-4">
+          <div className="h-24 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+          {Array.from({ length: 4 }).map((_, index) => (
+            <div key={index} className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse" />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (error || transactions.length === 0) {
+    return (
+      <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+        {header}
+        <div className="p-12 text-center">
+          <UserGroupIcon className="w-12 h-12 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
+          <h4 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+            {error ? 'Insider Data Unavailable' : 'No Insider Transactions'}
+          </h4>
+          <p className="text-gray-600 dark:text-gray-400">
+            {error || (filingsCount > 0
+              ? `None of the ${filingsCount} Form 4 filings could be read.`
+              : 'No Form 4 filings were found for this company.')}
+          </p>
+          {error && onRetry && (
+            <button type="button" onClick={onRetry} className="btn btn-secondary btn-sm mt-4">
+              Try Again
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+      {header}
+
+      {/* Net activity */}
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        {summary && (
+          <dl className="grid grid-cols-3 gap-4 mb-4 text-sm">
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Net ({monthly.length} mo)</dt>
+              <dd className={clsx(
+                'text-lg font-semibold',
+                summary.netValue > 0 ? 'text-success-600' : summary.netValue < 0 ? 'text-danger-600' : 'text-gray-900 dark:text-gray-100'
+              )}>
+                {formatSignedCurrency(summary.netValue)}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Bought</dt>
+              <dd className="font-semibold text-gray-900 dark:text-gray-100">
+                {formatters.currency(summary.buyValue, { compact: true })}
+                <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">({summary.buys})</span>
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Sold</dt>
+              <dd className="font-semibold text-gray-900 dark:text-gray-100">
+                {formatters.currency(summary.sellValue, { compact: true })}
+                <span className="ml-1 text-xs font-normal text-gray-500 dark:text-gray-400">({summary.sells})</span>
+              </dd>
+            </div>
+          </dl>
+        )}
+        <MonthlyActivity monthly={monthly} />
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 px-6 pt-4" role="group" aria-label="Transaction filter">
+        {TRANSACTION_FILTERS.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => setFilter(option.id)}
+            aria-pressed={filter === option.id}
+            className={clsx(
+              'px-2.5 py-1 text-xs font-medium rounded-full border transition-colors duration-200',
+              filter === option.id
+                ? 'bg-primary-600 border-primary-600 text-white'
+                : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+            )}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Transactions */}
+      <div className="overflow-x-auto mt-2" style={{ maxHeight: '500px' }}>
+        <table className="min-w-full text-sm">
+          <thead className="sticky top-0 bg-white dark:bg-gray-800">
+            <tr className="border-b border-gray-200 dark:border-gray-700 text-xs font-medium uppercase tracking-wider text-gray-500 dark:text-gray-400">
+              <th scope="col" className="px-6 py-3 text-left">Insider</th>
+              <th scope="col" className="px-3 py-3 text-left">Date</th>
+              <th scope="col" className="px-3 py-3 text-left">Transaction</th>
+              <th scope="col" className="px-3 py-3 text-right">Shares</th>
+              <th scope="col" className="px-3 py-3 text-right">Price</th>
+              <th scope="col" className="px-3 py-3 text-right">Value</th>
+              <th scope="col" className="px-3 py-3 text-right">Held after</th>
+              <th scope="col" className="px-3 py-3"><span className="sr-only">Filing</span></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {visibleTransactions.map(transaction => {
+              const code = INSIDER_TRANSACTION_CODES[transaction.code];
+              const sign = transaction.acquiredDisposed === 'D' ? '-' : '+';
+
+              return (
+                <tr
+                  key={transaction.id}
+                  className={clsx(transaction.large && 'bg-warning-50 dark:bg-warning-900/20')}
+                >
+                  <td className="px-6 py-2">
+                    <div className="font-medium text-gray-900 dark:text-gray-100 flex items-center">
+                      {transaction.large && (
+                        <FlagIcon className="w-4 h-4 mr-1 text-warning-600 flex-shrink-0" title="Large transaction" />
+                      )}
+                      {transaction.insider}
+                    </div>
+                    {transaction.roles.length > 0 && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{transaction.roles.join(', ')}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">
+                    {formatters.date(transaction.date)}
+                  </td>
+                  <td className="px-3 py-2">
+                    <span className={clsx('badge', DIRECTION_BADGES[transaction.direction] || 'badge-secondary')}>
+                      {transaction.code || '?'}
+                    </span>
+                    <span className="ml-2 text-gray-700 dark:text-gray-300">{code?.label || 'Unknown'}</span>
+                    {transaction.derivative && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">{transaction.security || 'Derivative'}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-gray-900 dark:text-gray-100">
+                    {transaction.shares !== null ? `${sign}${formatters.number(transaction.shares, { maximumFractionDigits: 0 })}` : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-gray-700 dark:text-gray-300">
+                    {transaction.price ? formatters.currency(transaction.price) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap font-medium text-gray-900 dark:text-gray-100">
+                    {transaction.value !== null ? formatters.currency(transaction.value, { compact: true }) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap text-gray-700 dark:text-gray-300">
+                    {transaction.sharesAfter !== null ? formatters.largeNumber(transaction.sharesAfter) : '—'}
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => openFiling(transaction)}
+                      className="text-gray-400 hover:text-primary-600 transition-colors duration-200"
+                      title="Open Form 4"
+                    >
+                      <DocumentTextIcon className="w-4 h-4" />
+                      <span className="sr-only">Open Form 4</span>
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        {visibleTransactions.length === 0 && (
+          <p className="p-8 text-center text-gray-600 dark:text-gray-400">No transactions match this filter.</p>
+        )}
+      </div>
+
+      {/* Footer */}
+      <div className="px-6 py-3 bg-gray-50 dark:bg-gray-900 border-t border-gray-200 dark:border-gray-700 rounded-b-xl text-sm text-gray-600 dark:text-gray-400 flex items-center justify-between">
+        <span>Showing {visibleTransactions.length} of {transactions.length} transactions</span>
+        {failedCount > 0 && (
+          <span className="text-xs">{failedCount} of {filingsCount} filings couldn't be read</span>
+        )}
+      </div>
+
+      <FilingViewer
+        open={viewer.open}
+        filing={viewer.filing}
+        filings={sourceFilings}
+        onNavigate={(filing) => filing && setViewer({ open: true, filing })}
+        onClose={() => setViewer(prev => ({ ...prev, open: false }))}
+      />
+    </div>
+  );
+};
+
+export default InsidersPanel;
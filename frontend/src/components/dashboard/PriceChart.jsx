@@ -0,0 +1,317 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Bar,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine,
+  Cell,
+} from 'recharts';
+import { format, addMonths } from 'date-fns';
+import clsx from 'clsx';
+import { ChartLoading } from '../common/LoadingSpinner';
+import { useStockHistory } from '../../hooks/useStockHistory';
+import { formatters } from '../../utils/formatters';
+import { CHART_RANGES, CHART_FILING_MARKERS, COLORS, DATE_FORMATS } from '../../services/constants';
+
+const INTRADAY_RANGES = ['1D', '5D'];
+
+// Marker colors match the filing badges in FilingsTable
+const MARKER_COLORS = {
+  '10-K': COLORS.PRIMARY[600],
+  '10-Q': COLORS.SUCCESS[600],
+  '8-K': '#d97706',
+};
+
+// Snap each filing to the first chart point on or after its filing date
+const attachFilingMarkers = (points, filings) => {
+  if (points.length === 0) return { points, markers: [] };
+
+  const first = points[0].time;
+  const last = points[points.length - 1].time;
+  const byIndex = {};
+
+  filings
+    .filter(filing => CHART_FILING_MARKERS.includes(filing.form))
+    .forEach(filing => {
+      const filedAt = new Date(filing.filing_date).getTime();
+      if (isNaN(filedAt) || filedAt < first || filedAt > last) return;
+
+      const index = points.findIndex(point => point.time >= filedAt);
+      if (index === -1) return;
+
+      byIndex[index] = [...(byIndex[index] || []), filing];
+    });
+
+  const markers = Object.entries(byIndex).map(([index, markerFilings]) => ({
+    time: points[index].time,
+    filings: markerFilings,
+  }));
+
+  return {
+    points: points.map((point, index) => (
+      byIndex[index] ? { ...point, filings: byIndex[index] } : point
+    )),
+    markers,
+  };
+};
+
+// Put each month's net insider activity on the first chart point inside that month
+const attachInsiderActivity = (points, monthly) => {
+  if (points.length === 0 || monthly.length === 0) return points;
+
+  const byIndex = {};
+
+  monthly.forEach(entry => {
+    if (!entry.netValue) return;
+
+    const monthEnd = addMonths(entry.time, 1).getTime();
+    const index = points.findIndex(point => point.time >= entry.time && point.time < monthEnd);
+    if (index !== -1) byIndex[index] = entry;
+  });
+
+  return points.map((point, index) => (
+    byIndex[index] ? { ...point, insiderNet: byIndex[index].netValue, insiderMonth: byIndex[index] } : point
+  ));
+};
+
+const ChartTooltip = ({ active, payload, currency, intraday }) => {
+  if (!active || !payload || payload.length === 0) {
+    return null;
+  }
+
+  const point = payload[0].payload;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-medium px-3 py-2 text-xs space-y-1">
+      <div className="font-medium text-gray-900 dark:text-gray-100">
+        {formatters.date(new Date(point.time), intraday ? DATE_FORMATS.DATETIME : DATE_FORMATS.DISPLAY)}
+      </div>
+      <div className="flex justify-between space-x-4">
+        <span className="text-gray-500 dark:text-gray-400">Close</span>
+        <span className="font-medium text-gray-900 dark:text-gray-100">{formatters.currency(point.close, { currency })}</span>
+      </div>
+      <div className="flex justify-between space-x-4">
+        <span className="text-gray-500 dark:text-gray-400">Volume</span>
+        <span className="font-medium text-gray-900 dark:text-gray-100">{formatters.volume(point.volume)}</span>
+      </div>
+      {point.insiderMonth && (
+        <div className="pt-1 border-t border-gray-100 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+          Insiders in {point.insiderMonth.label}: {point.insiderNet > 0 ? 'net buying' : 'net selling'} {formatters.currency(Math.abs(point.insiderNet), { compact: true })}
+        </div>
+      )}
+      {point.filings?.map(filing => (
+        <div key={filing.accession_number || filing.filing_date} className="pt-1 border-t border-gray-100 dark:border-gray-700 text-gray-700 dark:text-gray-300">
+          Filed {filing.form} on {formatters.date(filing.filing_date)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const PriceChart = ({ ticker, filings = [], insiderActivity = [], currency = 'USD', defaultRange = '1M', className }) => {
+  const [range, setRange] = useState(defaultRange);
+  const { points, loading, error, hasData } = useStockHistory(ticker, range);
+
+  const intraday = INTRADAY_RANGES.includes(range);
+
+  // Monthly insider activity means nothing on an intraday chart
+  const chart = useMemo(() => {
+    const withFilings = attachFilingMarkers(points, filings);
+    if (intraday) return withFilings;
+
+    return { ...withFilings, points: attachInsiderActivity(withFilings.points, insiderActivity) };
+  }, [points, filings, insiderActivity, intraday]);
+
+  const maxInsiderNet = useMemo(
+    () => chart.points.reduce((max, point) => Math.max(max, Math.abs(point.insiderNet || 0)), 0),
+    [chart.points]
+  );
+
+  // Performance over the selected range
+  const rangeChange = useMemo(() => {
+    if (points.length < 2) return null;
+
+    const first = points[0].close;
+    const last = points[points.length - 1].close;
+    return formatters.stockChange(last - first, first ? ((last - first) / first) * 100 : 0);
+  }, [points]);
+
+  const maxVolume = useMemo(
+    () => points.reduce((max, point) => Math.max(max, point.volume || 0), 0),
+    [points]
+  );
+
+  const strokeColor = rangeChange?.isNegative ? COLORS.DANGER[500] : COLORS.SUCCESS[500];
+
+  const formatTick = (time) => {
+    if (intraday) return format(time, range === '1D' ? 'HH:mm' : 'MMM d');
+    return format(time, range === '5Y' ? 'MMM yyyy' : 'MMM d');
+  };
+
+  return (
+    <div className={clsx('space-y-3', className)}>
+      {/* Range Selector */}
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1" role="group" aria-label="Chart range">
+          {Object.keys(CHART_RANGES).map(key => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setRange(key)}
+              aria-pressed={range === key}
+              className={clsx(
+                'px-2 py-1 text-xs font-medium rounded-md transition-colors duration-200',
+                range === key
+                  ? 'bg-primary-600 text-white'
+                  : 'text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+              )}
+            >
+              {CHART_RANGES[key].label}
+            </button>
+          ))}
+        </div>
+
+        {rangeChange && (
+          <span className={clsx(
+            'text-xs font-medium',
+            {
+              'text-success-600': rangeChange.isPositive,
+              'text-danger-600': rangeChange.isNegative,
+              'text-gray-600 dark:text-gray-400': rangeChange.isNeutral,
+            }
+          )}>
+            {rangeChange.percent}
+          </span>
+        )}
+      </div>
+
+      {/* Chart */}
+      {loading ? (
+        <ChartLoading />
+      ) : error ? (
+        <div className="h-48 flex items-center justify-center text-sm text-danger-600 bg-danger-50 dark:bg-danger-900/30 rounded-lg">
+          {error}
+        </div>
+      ) : !hasData ? (
+        <div className="h-48 flex items-center justify-center text-sm text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900 rounded-lg">
+          No price history available for this range
+        </div>
+      ) : (
+        <div className="h-56">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={chart.points} margin={{ top: 16, right: 0, bottom: 0, left: 0 }}>
+              <defs>
+                <linearGradient id={`price-fill-${ticker}`} x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="0%" stopColor={strokeColor} stopOpacity={0.25} />
+                  <stop offset="100%" stopColor={strokeColor} stopOpacity={0} />
+                </linearGradient>
+              </defs>
+
+              <XAxis
+                dataKey="time"
+                type="number"
+                scale="time"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={formatTick}
+                tick={{ fontSize: 10, fill: '#6b7280' }}
+                tickLine={false}
+                axisLine={false}
+                minTickGap={24}
+              />
+              <YAxis
+                yAxisId="price"
+                orientation="right"
+                domain={['auto', 'auto']}
+                tickFormatter={(value) => formatters.number(value, { maximumFractionDigits: 0 })}
+                tick={{ fontSize: 10, fill: '#6b7280' }}
+                tickLine={false}
+                axisLine={false}
+                width={40}
+              />
+              {/* Keep volume bars in the bottom quarter of the chart */}
+              <YAxis yAxisId="volume" hide domain={[0, maxVolume * 4 || 1]} />
+              {/* Insider bars grow up (net buying) or down (net selling) from mid-chart */}
+              {maxInsiderNet > 0 && (
+                <YAxis yAxisId="insiders" hide domain={[-maxInsiderNet * 2, maxInsiderNet * 2]} />
+              )}
+
+              <Tooltip
+                content={<ChartTooltip currency={currency} intraday={intraday} />}
+                cursor={{ stroke: '#9ca3af', strokeDasharray: '3 3' }}
+              />
+
+              <Bar
+                yAxisId="volume"
+                dataKey="volume"
+                fill="#cbd5e1"
+                isAnimationActive={false}
+              />
+              {maxInsiderNet > 0 && (
+                <Bar
+                  yAxisId="insiders"
+                  dataKey="insiderNet"
+                  barSize={6}
+                  isAnimationActive={false}
+                >
+                  {chart.points.map(point => (
+                    <Cell
+                      key={point.time}
+                      fill={point.insiderNet < 0 ? COLORS.DANGER[500] : COLORS.SUCCESS[500]}
+                      fillOpacity={0.7}
+                    />
+                  ))}
+                </Bar>
+              )}
+              <Area
+                yAxisId="price"
+                type="monotone"
+                dataKey="close"
+                stroke={strokeColor}
+                strokeWidth={2}
+                fill={`url(#price-fill-${ticker})`}
+                dot={false}
+                activeDot={{ r: 3 }}
+                isAnimationActive={false}
+              />
+
+              {chart.markers.map(marker => (
+                <ReferenceLine
+                  key={marker.time}
+                  yAxisId="price"
+                  x={marker.time}
+                  stroke={MARKER_COLORS[marker.filings[0].form]}
+                  strokeDasharray="2 2"
+                  label={{
+                    value: marker.filings.map(filing => filing.form).join(', '),
+                    position: 'top',
+                    fontSize: 9,
+                    fill: MARKER_COLORS[marker.filings[0].form],
+                  }}
+                />
+              ))}
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {!loading && !error && hasData && maxInsiderNet > 0 && (
+        <div className="flex items-center space-x-3 text-xs text-gray-500 dark:text-gray-400">
+          <span className="flex items-center">
+            <span className="w-2 h-2 rounded-sm bg-success-500 mr-1" />
+            Net insider buying
+          </span>
+          <span className="flex items-center">
+            <span className="w-2 h-2 rounded-sm bg-danger-500 mr-1" />
+            Net insider selling
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PriceChart;
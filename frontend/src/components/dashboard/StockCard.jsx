@@ -8,20 +8,29 @@ import {
   EyeIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
+import PriceChart from './PriceChart';
+import { useLiveQuote } from '../../hooks/useLiveQuote';
 import { formatters } from '../../utils/formatters';
+import { FEATURES } from '../../services/constants';
 
 const StockCard = ({ 
   stockData, 
   className, 
   showExtendedData = false,
+  showChart = FEATURES.ENABLE_CHARTS,
+  filings = [],
+  insiderActivity,
+  live = true,
   onViewDetails 
 }) => {
+  // stockData is the canonical quote (see normalizeQuote in services/schemas);
+  // keep it updating from the stream after the first load
+  const { quote, flash } = useLiveQuote(stockData, { enabled: live });
+
   if (!stockData) {
     return null;
   }
 
-  // Handle both StockQuote and StockData formats
-  const quote = stockData.quote || stockData;
   const {
     symbol,
     price,
@@ -34,7 +43,7 @@ const StockCard = ({
     market_state
   } = quote;
 
-  // Extended data (only available in StockData format)
+  // Extended data (null where the API didn't send it)
   const {
     open_price,
     high_price,
@@ -54,10 +63,10 @@ const StockCard = ({
   // Determine market state display
   const getMarketStateInfo = (state) => {
     const stateMap = {
-      'REGULAR': { text: 'Market Open', color: 'text-success-600', bgColor: 'bg-success-100' },
-      'CLOSED': { text: 'Market Closed', color: 'text-gray-600', bgColor: 'bg-gray-100' },
-      'PRE': { text: 'Pre-Market', color: 'text-warning-600', bgColor: 'bg-warning-100' },
-      'POST': { text: 'After Hours', color: 'text-warning-600', bgColor: 'bg-warning-100' },
+      'REGULAR': { text: 'Market Open', color: 'text-success-600', bgColor: 'bg-success-100 dark:bg-success-900/40' },
+      'CLOSED': { text: 'Market Closed', color: 'text-gray-600 dark:text-gray-400', bgColor: 'bg-gray-100 dark:bg-gray-700' },
+      'PRE': { text: 'Pre-Market', color: 'text-warning-600', bgColor: 'bg-warning-100 dark:bg-warning-900/40' },
+      'POST': { text: 'After Hours', color: 'text-warning-600', bgColor: 'bg-warning-100 dark:bg-warning-900/40' },
     };
     
     return stateMap[state] || stateMap.CLOSED;
@@ -68,7 +77,7 @@ const StockCard = ({
   return (
     <div className={clsx('stock-card', className)}>
       {/* Header */}
-      <div className="px-6 py-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50">
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 bg-gradient-to-r from-blue-50 to-indigo-50 dark:from-blue-900/30 dark:to-indigo-900/30">
         <div className="flex items-center justify-between">
           <div className="flex items-center space-x-3">
             <div className="w-10 h-10 bg-blue-600 rounded-lg flex items-center justify-center">
@@ -76,10 +85,10 @@ const StockCard = ({
             </div>
             
             <div>
-              <h3 className="text-lg font-bold text-gray-900">
+              <h3 className="text-lg font-bold text-gray-900 dark:text-gray-100">
                 {formatters.ticker(symbol)}
               </h3>
-              <div className="text-sm text-gray-600">Stock Quote</div>
+              <div className="text-sm text-gray-600 dark:text-gray-400">Stock Quote</div>
             </div>
           </div>
 
@@ -99,7 +108,13 @@ const StockCard = ({
         <div className="flex items-center justify-between mb-4">
           {/* Current Price */}
           <div>
-            <div className="text-3xl font-bold text-gray-900">
+            <div className={clsx(
+              'text-3xl font-bold text-gray-900 dark:text-gray-100 -mx-1 px-1 rounded-md transition-colors duration-700',
+              {
+                'bg-success-100 dark:bg-success-900/40': flash === 'up',
+                'bg-danger-100 dark:bg-danger-900/40': flash === 'down',
+              }
+            )}>
               {formatters.currency(price, { currency })}
             </div>
             
@@ -156,10 +171,10 @@ const StockCard = ({
         <div className="grid grid-cols-2 gap-4 mb-4">
           {volume && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Volume
               </div>
-              <div className="text-sm font-semibold text-gray-900 mt-1">
+              <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mt-1">
                 {formatters.volume(volume)}
               </div>
             </div>
@@ -167,30 +182,42 @@ const StockCard = ({
 
           {market_cap && (
             <div>
-              <div className="text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <div className="text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                 Market Cap
               </div>
-              <div className="text-sm font-semibold text-gray-900 mt-1">
+              <div className="text-sm font-semibold text-gray-900 dark:text-gray-100 mt-1">
                 {formatters.marketCap(market_cap)}
               </div>
             </div>
           )}
         </div>
 
+        {/* Price History */}
+        {showChart && symbol && (
+          <div className="pt-4 mb-4 border-t border-gray-100 dark:border-gray-700">
+            <PriceChart
+              ticker={symbol}
+              filings={filings}
+              insiderActivity={insiderActivity}
+              currency={currency}
+            />
+          </div>
+        )}
+
         {/* Extended Data */}
         {showExtendedData && (
-          <div className="space-y-4 pt-4 border-t border-gray-100">
+          <div className="space-y-4 pt-4 border-t border-gray-100 dark:border-gray-700">
             {/* Price Range */}
             {(high_price || low_price || open_price || previous_close) && (
               <div>
-                <h4 className="text-sm font-semibold text-gray-900 mb-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">
                   Today's Range
                 </h4>
                 <div className="grid grid-cols-2 gap-4">
                   {open_price && (
                     <div>
-                      <div className="text-xs text-gray-500">Open</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Open</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.currency(open_price, { currency })}
                       </div>
                     </div>
@@ -198,8 +225,8 @@ const StockCard = ({
                   
                   {previous_close && (
                     <div>
-                      <div className="text-xs text-gray-500">Prev. Close</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Prev. Close</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.currency(previous_close, { currency })}
                       </div>
                     </div>
@@ -207,7 +234,7 @@ const StockCard = ({
                   
                   {high_price && (
                     <div>
-                      <div className="text-xs text-gray-500">Day High</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Day High</div>
                       <div className="text-sm font-medium text-success-600">
                         {formatters.currency(high_price, { currency })}
                       </div>
@@ -216,7 +243,7 @@ const StockCard = ({
                   
                   {low_price && (
                     <div>
-                      <div className="text-xs text-gray-500">Day Low</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Day Low</div>
                       <div className="text-sm font-medium text-danger-600">
                         {formatters.currency(low_price, { currency })}
                       </div>
@@ -229,13 +256,13 @@ const StockCard = ({
             {/* 52-Week Range */}
             {(fifty_two_week_high || fifty_two_week_low) && (
               <div>
-                <h4 className="text-sm font-semibold text-gray-900 mb-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">
                   52-Week Range
                 </h4>
                 <div className="grid grid-cols-2 gap-4">
                   {fifty_two_week_low && (
                     <div>
-                      <div className="text-xs text-gray-500">52W Low</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">52W Low</div>
                       <div className="text-sm font-medium text-danger-600">
                         {formatters.currency(fifty_two_week_low, { currency })}
                       </div>
@@ -244,7 +271,7 @@ const StockCard = ({
                   
                   {fifty_two_week_high && (
                     <div>
-                      <div className="text-xs text-gray-500">52W High</div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">52W High</div>
                       <div className="text-sm font-medium text-success-600">
                         {formatters.currency(fifty_two_week_high, { currency })}
                       </div>
@@ -257,14 +284,14 @@ const StockCard = ({
             {/* Financial Metrics */}
             {(pe_ratio || eps || dividend_yield || beta) && (
               <div>
-                <h4 className="text-sm font-semibold text-gray-900 mb-3">
+                <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-3">
                   Key Metrics
                 </h4>
                 <div className="grid grid-cols-2 gap-4">
                   {pe_ratio && (
                     <div>
-                      <div className="text-xs text-gray-500">P/E Ratio</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">P/E Ratio</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.peRatio(pe_ratio)}
                       </div>
                     </div>
@@ -272,8 +299,8 @@ const StockCard = ({
                   
                   {eps && (
                     <div>
-                      <div className="text-xs text-gray-500">EPS</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">EPS</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.currency(eps, { currency })}
                       </div>
                     </div>
@@ -281,8 +308,8 @@ const StockCard = ({
                   
                   {dividend_yield && (
                     <div>
-                      <div className="text-xs text-gray-500">Dividend Yield</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Dividend Yield</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.percentage(dividend_yield)}
                       </div>
                     </div>
@@ -290,8 +317,8 @@ const StockCard = ({
                   
                   {beta && (
                     <div>
-                      <div className="text-xs text-gray-500">Beta</div>
-                      <div className="text-sm font-medium text-gray-900">
+                      <div className="text-xs text-gray-500 dark:text-gray-400">Beta</div>
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
                         {formatters.number(beta)}
                       </div>
                     </div>
@@ -304,9 +331,9 @@ const StockCard = ({
 
         {/* Last Updated */}
         {last_updated && (
-          <div className="flex items-center justify-center space-x-2 pt-4 mt-4 border-t border-gray-100">
+          <div className="flex items-center justify-center space-x-2 pt-4 mt-4 border-t border-gray-100 dark:border-gray-700">
             <ClockIcon className="w-4 h-4 text-gray-400" />
-            <span className="text-xs text-gray-500">
+            <span className="text-xs text-gray-500 dark:text-gray-400">
               Updated {formatters.relativeTime(last_updated)}
             </span>
           </div>
@@ -319,26 +346,26 @@ const StockCard = ({
 // Skeleton loading state
 export const StockCardSkeleton = ({ className }) => (
   <div className={clsx('stock-card', className)}>
-    <div className="px-6 py-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50">
+    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 bg-gradient-to-r from-blue-50 to-indigo-50 dark:from-blue-900/30 dark:to-indigo-900/30">
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-3">
-          <div className="w-10 h-10 bg-gray-200 rounded-lg animate-pulse" />
+          <div className="w-10 h-10 bg-gray-200 dark:bg-gray-700 rounded-lg animate-pulse" />
           <div className="space-y-1">
-            <div className="h-5 bg-gray-200 rounded animate-pulse w-16" />
-            <div className="h-4 bg-gray-200 rounded animate-pulse w-20" />
+            <div className="h-5 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-16" />
+            <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-20" />
           </div>
         </div>
-        <div className="h-6 bg-gray-200 rounded-full animate-pulse w-24" />
+        <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded-full animate-pulse w-24" />
       </div>
     </div>
 
     <div className="px-6 py-6 space-y-4">
       <div className="flex items-center justify-between">
         <div className="space-y-2">
-          <div className="h-8 bg-gray-200 rounded animate-pulse w-32" />
+          <div className="h-8 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-32" />
           <div className="flex space-x-2">
-            <div className="h-6 bg-gray-200 rounded-full animate-pulse w-20" />
-            <div className="h-6 bg-gray-200 rounded-full animate-pulse w-16" />
+            <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded-full animate-pulse w-20" />
+            <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded-full animate-pulse w-16" />
           </div>
         </div>
       </div>
@@ -346,8 +373,8 @@ export const StockCardSkeleton = ({ className }) => (
       <div className="grid grid-cols-2 gap-4">
         {Array.from({ length: 4 }).map((_, index) => (
           <div key={index} className="space-y-1">
-            <div className="h-3 bg-gray-200 rounded animate-pulse w-16" />
-            <div className="h-4 bg-gray-200 rounded animate-pulse w-20" />
+            <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-16" />
+            <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-20" />
           </div>
         ))}
       </div>
@@ -359,30 +386,29 @@ export const StockCardSkeleton = ({ className }) => (
 export const StockCardCompact = ({ stockData, className, onClick }) => {
   if (!stockData) return null;
 
-  const quote = stockData.quote || stockData;
-  const { symbol, price, currency, change, change_percent } = quote;
+  const { symbol, price, currency, change, change_percent } = stockData;
   const stockChange = formatters.stockChange(change, change_percent);
 
   return (
     <div className={clsx(
-      'flex items-center justify-between p-4 bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow duration-200',
+      'flex items-center justify-between p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg hover:shadow-md transition-shadow duration-200',
       onClick && 'cursor-pointer hover:border-primary-300',
       className
     )} onClick={onClick}>
       <div className="flex items-center space-x-3">
-        <div className="w-8 h-8 bg-blue-100 rounded-lg flex items-center justify-center">
+        <div className="w-8 h-8 bg-blue-100 dark:bg-blue-900/40 rounded-lg flex items-center justify-center">
           <ChartBarIcon className="w-4 h-4 text-blue-600" />
         </div>
         <div>
-          <div className="font-semibold text-gray-900">
+          <div className="font-semibold text-gray-900 dark:text-gray-100">
             {formatters.ticker(symbol)}
           </div>
-          <div className="text-sm text-gray-500">Stock</div>
+          <div className="text-sm text-gray-500 dark:text-gray-400">Stock</div>
         </div>
       </div>
 
       <div className="text-right">
-        <div className="font-semibold text-gray-900">
+        <div className="font-semibold text-gray-900 dark:text-gray-100">
           {formatters.currency(price, { currency })}
         </div>
         <div className={clsx(
@@ -390,7 +416,7 @@ export const StockCardCompact = ({ stockData, className, onClick }) => {
           {
             'text-success-600': stockChange.isPositive,
             'text-danger-600': stockChange.isNegative,
-            'text-gray-600': stockChange.isNeutral,
+            'text-gray-600 dark:text-gray-400': stockChange.isNeutral,
           }
         )}>
           {stockChange.percent}
@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  StarIcon,
+  ArrowPathIcon,
+  ArrowsRightLeftIcon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  XMarkIcon,
+  Bars3Icon,
+} from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { useWatchlist, useWatchlistQuotes } from '../../hooks/useWatchlist';
+import { formatters } from '../../utils/formatters';
+import { buildCompanyPath, buildComparePath } from '../../utils/routes';
+import { COMPARISON_CONFIG, WATCHLIST_CONFIG } from '../../services/constants';
+
+const { SORT_OPTIONS } = WATCHLIST_CONFIG;
+
+const SORT_LABELS = {
+  [SORT_OPTIONS.MANUAL]: 'My order',
+  [SORT_OPTIONS.CHANGE_PERCENT]: 'Change %',
+  [SORT_OPTIONS.MARKET_CAP]: 'Market cap',
+  [SORT_OPTIONS.NAME]: 'Name',
+};
+
+const WatchlistPanel = ({ className }) => {
+  const navigate = useNavigate();
+  const {
+    lists,
+    activeList,
+    items,
+    createList,
+    renameList,
+    deleteList,
+    setActiveList,
+    removeCompany,
+    moveCompany,
+    canCreateList,
+    canDeleteList,
+    isEmpty,
+  } = useWatchlist();
+
+  const [sortBy, setSortBy] = useState(SORT_OPTIONS.MANUAL);
+  const [editMode, setEditMode] = useState(null); // 'create' | 'rename' | null
+  const [draftName, setDraftName] = useState('');
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const {
+    quotes,
+    sortedItems,
+    loading,
+    error,
+    lastUpdated,
+    refresh,
+  } = useWatchlistQuotes(items, sortBy);
+
+  // Refresh every quote whenever the set of tickers changes
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const canReorder = sortBy === SORT_OPTIONS.MANUAL && items.length > 1;
+
+  const startEditing = (mode) => {
+    setEditMode(mode);
+    setDraftName(mode === 'rename' ? activeList.name : '');
+  };
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault();
+
+    if (editMode === 'create') {
+      createList(draftName);
+    } else if (editMode === 'rename') {
+      renameList(activeList.id, draftName);
+    }
+
+    setEditMode(null);
+    setDraftName('');
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the "${activeList.name}" watchlist?`)) {
+      deleteList(activeList.id);
+    }
+  };
+
+  const handleDrop = (index) => {
+    if (dragIndex !== null) {
+      moveCompany(dragIndex, index);
+    }
+    setDragIndex(null);
+  };
+
+  return (
+    <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-sm', className)}>
+      {/* Header */}
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+            <StarIcon className="w-5 h-5 mr-2 text-warning-500" />
+            Watchlist
+          </h3>
+
+          <div className="flex items-center">
+            <button
+              type="button"
+              onClick={() => navigate(buildComparePath(sortedItems.map(item => item.ticker)))}
+              disabled={items.length < COMPARISON_CONFIG.MIN_COMPANIES}
+              className="btn btn-ghost btn-sm inline-flex items-center"
+              title={`Compare the first ${COMPARISON_CONFIG.MAX_COMPANIES} companies`}
+            >
+              <ArrowsRightLeftIcon className="w-4 h-4" />
+              <span className="sr-only">Compare companies</span>
+            </button>
+            <button
+              type="button"
+              onClick={refresh}
+              disabled={loading || isEmpty}
+              className="btn btn-ghost btn-sm inline-flex items-center"
+              title="Refresh all quotes"
+            >
+              <ArrowPathIcon className={clsx('w-4 h-4', loading && 'animate-spin')} />
+              <span className="sr-only">Refresh all quotes</span>
+            </button>
+          </div>
+        </div>
+
+        {/* List selector and management */}
+        {editMode ? (
+          <form onSubmit={handleNameSubmit} className="flex items-center space-x-2 mt-3">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder={editMode === 'create' ? 'New list name' : 'List name'}
+              aria-label="Watchlist name"
+              maxLength={40}
+              className="input py-1"
+              autoFocus
+            />
+            <button type="submit" className="btn btn-primary btn-sm" disabled={!draftName.trim()}>
+              Save
+            </button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditMode(null)}>
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div className="flex items-center space-x-2 mt-3">
+            <select
+              value={activeList.id}
+              onChange={(e) => setActiveList(e.target.value)}
+              aria-label="Active watchlist"
+              className="flex-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md px-3 py-1 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {lists.map(list => (
+                <option key={list.id} value={list.id}>
+                  {list.name} ({list.items.length})
+                </option>
+              ))}
+            </select>
+
+            <button
+              type="button"
+              onClick={() => startEditing('create')}
+              disabled={!canCreateList}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-50 transition-colors duration-200"
+              title="New watchlist"
+            >
+              <PlusIcon className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => startEditing('rename')}
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200"
+              title="Rename watchlist"
+            >
+              <PencilSquareIcon className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={!canDeleteList}
+              className="text-gray-400 hover:text-danger-600 disabled:opacity-50 transition-colors duration-200"
+              title="Delete watchlist"
+            >
+              <TrashIcon className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        {/* Sort */}
+        {!isEmpty && (
+          <div className="flex items-center justify-between mt-3 text-sm">
+            <label htmlFor="watchlist-sort" className="text-gray-500 dark:text-gray-400">Sort by</label>
+            <select
+              id="watchlist-sort"
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+              className="text-sm border border-gray-300 dark:border-gray-600 rounded-md px-3 py-1 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {Object.entries(SORT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Items */}
+      {isEmpty ? (
+        <div className="px-6 py-8 text-center">
+          <StarIcon className="w-8 h-8 text-gray-300 dark:text-gray-600 mx-auto mb-2" />
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Star a company to add it to this list.
+          </p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {sortedItems.map((item, index) => {
+            const quote = quotes[item.ticker];
+            const stockChange = formatters.stockChange(quote?.change, quote?.change_percent);
+
+            return (
+              <li
+                key={item.ticker}
+                draggable={canReorder}
+                onDragStart={() => setDragIndex(index)}
+                onDragOver={(e) => canReorder && e.preventDefault()}
+                onDrop={() => handleDrop(index)}
+                onDragEnd={() => setDragIndex(null)}
+                className={clsx(
+                  'flex items-center px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors duration-150',
+                  dragIndex === index && 'opacity-50'
+                )}
+              >
+                {canReorder && (
+                  <Bars3Icon className="w-4 h-4 text-gray-300 dark:text-gray-600 mr-2 cursor-move flex-shrink-0" aria-hidden="true" />
+                )}
+
+                <button
+                  type="button"
+                  onClick={() => navigate(buildCompanyPath(item.ticker))}
+                  className="flex-1 min-w-0 flex items-center justify-between text-left"
+                >
+                  <div className="min-w-0">
+                    <div className="font-semibold text-gray-900 dark:text-gray-100">
+                      {formatters.ticker(item.ticker)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {formatters.companyName(item.name, 28)}
+                    </div>
+                  </div>
+
+                  <div className="text-right ml-3 flex-shrink-0">
+                    <div className="text-sm font-semibold text-gray-900 dark:text-gray-100">
+                      {quote ? formatters.currency(quote.price, { currency: quote.currency || 'USD' }) : '—'}
+                    </div>
+                    <div className={clsx(
+                      'text-xs font-medium',
+                      {
+                        'text-success-600': stockChange.isPositive,
+                        'text-danger-600': stockChange.isNegative,
+                        'text-gray-500 dark:text-gray-400': !stockChange.isPositive && !stockChange.isNegative,
+                      }
+                    )}>
+                      {quote ? stockChange.percent : ''}
+                      {sortBy === SORT_OPTIONS.MARKET_CAP && quote?.market_cap && (
+                        <span className="text-gray-500 dark:text-gray-400 ml-1">· {formatters.marketCap(quote.market_cap)}</span>
+                      )}
+                    </div>
+                  </div>
+                </button>
+
+                <button
+                  type="button"
+                  onClick={() => removeCompany(item.ticker)}
+                  className="ml-3 text-gray-300 dark:text-gray-600 hover:text-danger-600 transition-colors duration-200 flex-shrink-0"
+                  title={`Remove ${item.ticker}`}
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Footer */}
+      {!isEmpty && (error || lastUpdated) && (
+        <div className="px-6 py-3 bg-gray-50 dark:bg-gray-900 border-t border-gray-200 dark:border-gray-700 rounded-b-xl text-xs">
+          {error ? (
+            <span className="text-danger-600">{error}</span>
+          ) : (
+            <span className="text-gray-500 dark:text-gray-400">Quotes updated {formatters.relativeTime(lastUpdated)}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistPanel;
@@ -1,28 +1,49 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useId, useMemo, forwardRef, useImperativeHandle } from 'react';
 import { 
   MagnifyingGlassIcon, 
   XMarkIcon,
   ClockIcon,
-  BuildingOfficeIcon 
+  BuildingOfficeIcon,
+  FunnelIcon,
+  ExclamationCircleIcon,
+  InformationCircleIcon
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
 import { useCompanySearch } from '../../hooks/useCompanySearch';
+import { useCircuitBreaker } from '../../hooks/useCircuitBreaker';
+import { CIRCUIT_FAMILIES, CIRCUIT_STATES } from '../../services/constants';
+import { getSearchCompletions, parseSearchQuery, replaceFreeText } from '../../utils/searchQuery';
 import SearchSuggestions from './SearchSuggestions';
+import SearchQueryHighlight from './SearchQueryHighlight';
 import LoadingSpinner from '../common/LoadingSpinner';
+import DependencyUnavailable from '../common/DependencyUnavailable';
 
-const SearchBar = ({ 
+// How many of each kind of option the dropdown lists
+const MAX_VISIBLE_SUGGESTIONS = 5;
+const MAX_VISIBLE_RECENT = 5;
+
+const pluralize = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+const SearchBar = forwardRef(({ 
   onSearchResult,
+  initialQuery,
   placeholder = "Search companies (e.g., Tesla, TSLA, Apple)",
   showSuggestions = true,
   showRecentSearches = true,
   autoFocus = false,
   size = 'lg',
   className 
-}) => {
+}, ref) => {
   const [focused, setFocused] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [submitted, setSubmitted] = useState(false);
   const inputRef = useRef(null);
   const dropdownRef = useRef(null);
+  const highlightRef = useRef(null);
+  const listboxId = useId();
+  const errorsId = `${listboxId}-errors`;
+  const hintsId = `${listboxId}-hints`;
 
   const {
     query,
@@ -42,6 +63,10 @@ const SearchBar = ({
     enableSuggestions: showSuggestions,
   });
 
+  // Ticker and CIK lookups don't go through search, so they keep working
+  const searchCircuit = useCircuitBreaker(CIRCUIT_FAMILIES.SEARCH);
+  const searchUnavailable = searchCircuit.status === CIRCUIT_STATES.OPEN;
+
   const [recentSearches, setRecentSearches] = useState([]);
 
   // Load recent searches on mount
@@ -51,6 +76,21 @@ const SearchBar = ({
     }
   }, [showRecentSearches, getRecentSearches]);
 
+  // Keep the input in sync with a query restored from the URL
+  useEffect(() => {
+    if (initialQuery !== undefined) {
+      setQuery(initialQuery);
+    }
+  }, [initialQuery, setQuery]);
+
+  // Let the page focus the input without reaching into the DOM
+  useImperativeHandle(ref, () => ({
+    focus: () => {
+      inputRef.current?.focus();
+      inputRef.current?.select();
+    },
+  }), []);
+
   // Auto focus
   useEffect(() => {
     if (autoFocus && inputRef.current) {
@@ -74,6 +114,64 @@ const SearchBar = ({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Structured terms ("sector:energy -exchange:OTC") are highlighted and checked as you type
+  const parsedQuery = useMemo(() => parseSearchQuery(query), [query]);
+  const completions = useMemo(
+    () => (showSuggestions ? getSearchCompletions(query) : []),
+    [query, showSuggestions]
+  );
+
+  // The term still being typed at the end is only flagged once the user tries to search
+  const visibleErrors = parsedQuery.errors.filter(item => submitted || item.end < query.length);
+  const visibleHints = parsedQuery.hints.filter(item => submitted || item.end < query.length);
+  const describedBy = [visibleErrors.length > 0 && errorsId, visibleHints.length > 0 && hintsId]
+    .filter(Boolean)
+    .join(' ');
+  const tokens = parsedQuery.tokens.map(token => ({
+    ...token,
+    invalid: token.invalid && visibleErrors.some(item => token.start < item.end && token.end > item.start),
+  }));
+
+  // Options the arrow keys move through: field completions, suggestions, then recent searches
+  const visibleSuggestions = showSuggestions && hasSuggestions
+    ? suggestions.slice(0, MAX_VISIBLE_SUGGESTIONS)
+    : [];
+  const visibleRecent = showRecentSearches && !query.trim()
+    ? recentSearches.slice(0, MAX_VISIBLE_RECENT)
+    : [];
+  const suggestionsOffset = completions.length;
+  const recentOffset = suggestionsOffset + visibleSuggestions.length;
+  const optionCount = recentOffset + visibleRecent.length;
+  const isExpanded = showDropdown && optionCount > 0;
+
+  const getCompletionId = (index) => `${listboxId}-completion-${index}`;
+  const getSuggestionId = (index) => `${listboxId}-suggestion-${index}`;
+  const getRecentId = (index) => `${listboxId}-recent-${index}`;
+  const getOptionId = (index) => {
+    if (index < suggestionsOffset) return getCompletionId(index);
+    if (index < recentOffset) return getSuggestionId(index - suggestionsOffset);
+    return getRecentId(index - recentOffset);
+  };
+
+  // Start over whenever the options change or the dropdown closes
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions, recentSearches, query]);
+
+  useEffect(() => {
+    if (!showDropdown) setActiveIndex(-1);
+  }, [showDropdown]);
+
+  const activeOptionId = isExpanded && activeIndex >= 0 && activeIndex < optionCount
+    ? getOptionId(activeIndex)
+    : undefined;
+
+  // Keep the active option in view when the list scrolls
+  useEffect(() => {
+    if (!activeOptionId) return;
+    document.getElementById(activeOptionId)?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeOptionId]);
+
   // Size configurations
   const sizeConfig = {
     sm: {
@@ -98,6 +196,7 @@ const SearchBar = ({
   const handleInputChange = (e) => {
     const value = e.target.value;
     setQuery(value);
+    setSubmitted(false);
     
     // Show dropdown when typing
     if (value.trim() && (showSuggestions || showRecentSearches)) {
@@ -118,6 +217,13 @@ const SearchBar = ({
     }
   };
 
+  // Keep the highlighted copy lined up when a long query scrolls the input
+  const syncHighlightScroll = () => {
+    if (highlightRef.current && inputRef.current) {
+      highlightRef.current.scrollLeft = inputRef.current.scrollLeft;
+    }
+  };
+
   const handleInputBlur = () => {
     setFocused(false);
     // Delay hiding dropdown to allow for clicks on suggestions
@@ -127,7 +233,14 @@ const SearchBar = ({
   };
 
   const handleSearch = async (searchQuery = query) => {
-    if (!searchQuery.trim() || !isValidQuery) return;
+    // Picked suggestions and recent searches are valid even while the typed query is not
+    if (!searchQuery.trim() || (searchQuery === query && !isValidQuery)) return;
+
+    // Show what is wrong with a structured query instead of sending it
+    if (parseSearchQuery(searchQuery).errors.length > 0) {
+      setSubmitted(true);
+      return;
+    }
 
     try {
       const searchResults = await search(searchQuery);
@@ -162,14 +275,77 @@ const SearchBar = ({
     }
   };
 
+  const selectOption = (index) => {
+    if (index < suggestionsOffset) {
+      handleCompletionSelect(completions[index]);
+    } else if (index < recentOffset) {
+      handleSuggestionSelect(visibleSuggestions[index - suggestionsOffset]);
+    } else {
+      handleRecentSearchSelect(visibleRecent[index - recentOffset]);
+    }
+  };
+
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      handleSearch();
-    } else if (e.key === 'Escape') {
-      setShowDropdown(false);
-      inputRef.current?.blur();
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (optionCount === 0) return;
+        e.preventDefault();
+
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        if (!showDropdown) {
+          setShowDropdown(true);
+          setActiveIndex(step > 0 ? 0 : optionCount - 1);
+          return;
+        }
+        setActiveIndex((current) => (
+          current < 0
+            ? (step > 0 ? 0 : optionCount - 1)
+            : (current + step + optionCount) % optionCount
+        ));
+        break;
+      }
+      case 'Home':
+      case 'End':
+        if (!isExpanded) return;
+        e.preventDefault();
+        setActiveIndex(e.key === 'Home' ? 0 : optionCount - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        if (activeOptionId) {
+          selectOption(activeIndex);
+        } else {
+          handleSearch();
+        }
+        break;
+      case 'Escape':
+        // First press closes the list, the next one leaves the field
+        if (showDropdown) {
+          e.preventDefault();
+          setShowDropdown(false);
+        } else {
+          inputRef.current?.blur();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const getAnnouncement = () => {
+    if (!showDropdown || loading) return '';
+
+    const available = [
+      completions.length > 0 && pluralize(completions.length, 'filter', 'filters'),
+      visibleSuggestions.length > 0 && pluralize(visibleSuggestions.length, 'suggestion', 'suggestions'),
+      visibleRecent.length > 0 && pluralize(visibleRecent.length, 'recent search', 'recent searches'),
+    ].filter(Boolean);
+
+    if (available.length > 0) {
+      return `${available.join(', ')} available`;
     }
+    return query.trim() ? 'No suggestions available' : '';
   };
 
   const handleClear = () => {
@@ -189,11 +365,23 @@ const SearchBar = ({
   };
 
   const handleSuggestionSelect = (suggestion) => {
-    const searchText = typeof suggestion === 'string' ? suggestion : suggestion.text;
+    const suggestionText = typeof suggestion === 'string' ? suggestion : suggestion.text;
+    // Suggestions stand in for the free text; filters and exclusions stay
+    const searchText = parsedQuery.terms.some(term => term.field || term.negated)
+      ? replaceFreeText(parsedQuery, suggestionText)
+      : suggestionText;
     setQuery(searchText);
     handleSearch(searchText);
   };
 
+  // Completing a field name or value keeps the user typing rather than searching
+  const handleCompletionSelect = (completion) => {
+    setQuery(completion.query);
+    setSubmitted(false);
+    setShowDropdown(true);
+    inputRef.current?.focus();
+  };
+
   const handleRecentSearchSelect = (recentQuery) => {
     setQuery(recentQuery);
     handleSearch(recentQuery);
@@ -220,13 +408,26 @@ const SearchBar = ({
           onFocus={handleInputFocus}
           onBlur={handleInputBlur}
           onKeyDown={handleKeyDown}
+          onScroll={syncHighlightScroll}
+          onSelect={syncHighlightScroll}
           placeholder={placeholder}
+          role="combobox"
+          aria-label={placeholder}
+          aria-expanded={isExpanded}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={activeOptionId}
+          aria-invalid={visibleErrors.length > 0}
+          aria-describedby={describedBy || undefined}
+          autoComplete="off"
+          spellCheck={false}
           className={clsx(
-            'search-input block w-full border border-gray-300 rounded-xl shadow-sm transition-all duration-200',
+            'search-input block w-full bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 border border-gray-300 dark:border-gray-600 rounded-xl shadow-sm transition-all duration-200',
             'focus:ring-2 focus:ring-blue-500 focus:border-blue-500',
             'placeholder-gray-400',
             config.input,
             {
+              '!text-transparent caret-gray-900 dark:caret-gray-100': parsedQuery.isStructured,
               'ring-2 ring-blue-500 border-blue-500': focused,
               'border-danger-300 focus:border-danger-500 focus:ring-danger-500': error,
             }
@@ -234,6 +435,20 @@ const SearchBar = ({
           disabled={loading}
         />
 
+        {/* Highlighted copy of a structured query, drawn over the transparent input text */}
+        {parsedQuery.isStructured && (
+          <div
+            ref={highlightRef}
+            aria-hidden="true"
+            className={clsx(
+              'absolute inset-0 border border-transparent rounded-xl overflow-hidden whitespace-pre pointer-events-none',
+              config.input
+            )}
+          >
+            <SearchQueryHighlight tokens={tokens} />
+          </div>
+        )}
+
         {/* Loading Spinner or Clear Button */}
         <div className={clsx(
           'absolute right-4 top-1/2 transform -translate-y-1/2',
@@ -247,7 +462,8 @@ const SearchBar = ({
             <button
               type="button"
               onClick={handleClear}
-              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+              aria-label="Clear search"
+              className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors duration-200"
             >
               <XMarkIcon className={config.clearIcon} />
             </button>
@@ -255,6 +471,42 @@ const SearchBar = ({
         </div>
       </div>
 
+      {/* Query Errors */}
+      {visibleErrors.length > 0 && (
+        <ul id={errorsId} className="mt-2 space-y-1">
+          {visibleErrors.map(item => (
+            <li
+              key={`${item.start}-${item.message}`}
+              className="flex items-center text-sm text-danger-600 dark:text-danger-400"
+            >
+              <ExclamationCircleIcon className="w-4 h-4 mr-1.5 flex-shrink-0" aria-hidden="true" />
+              {item.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Query Hints (searching still works) */}
+      {visibleHints.length > 0 && (
+        <ul id={hintsId} className="mt-2 space-y-1">
+          {visibleHints.map(item => (
+            <li
+              key={`${item.start}-${item.message}`}
+              className="flex items-center text-sm text-gray-500 dark:text-gray-400"
+            >
+              <InformationCircleIcon className="w-4 h-4 mr-1.5 flex-shrink-0" aria-hidden="true" />
+              {item.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {searchUnavailable && (
+        <DependencyUnavailable family={CIRCUIT_FAMILIES.SEARCH} compact className="mt-2">
+          You can still open a company with <code>ticker:AAPL</code> or <code>cik:320193</code>.
+        </DependencyUnavailable>
+      )}
+
       {/* Search Button (for mobile) */}
       <button
         type="button"
@@ -265,53 +517,112 @@ const SearchBar = ({
         {loading ? <LoadingSpinner size="sm" color="white" /> : 'Search'}
       </button>
 
+      {/* Announce what the dropdown offers to screen readers */}
+      <div role="status" aria-live="polite" className="sr-only">
+        {getAnnouncement()}
+      </div>
+
       {/* Dropdown with Suggestions and Recent Searches */}
-      {showDropdown && (focused || showDropdown) && (
+      {showDropdown && (
         <div 
           ref={dropdownRef}
-          className="search-suggestions absolute top-full left-0 right-0 bg-white border border-gray-200 rounded-xl shadow-strong mt-2 max-h-80 overflow-y-auto z-50"
+          className="search-suggestions absolute top-full left-0 right-0 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-strong mt-2 max-h-80 overflow-y-auto z-50"
         >
           {/* Error Message */}
           {error && (
-            <div className="px-4 py-3 text-sm text-danger-600 bg-danger-50 border-b border-danger-200">
+            <div className="px-4 py-3 text-sm text-danger-600 bg-danger-50 dark:bg-danger-900/30 border-b border-danger-200 dark:border-danger-800">
               {error}
             </div>
           )}
 
-          {/* Suggestions */}
-          {showSuggestions && hasSuggestions && (
-            <SearchSuggestions
-              suggestions={suggestions}
-              onSelect={handleSuggestionSelect}
-              query={query}
-            />
-          )}
-
-          {/* Recent Searches */}
-          {showRecentSearches && recentSearches.length > 0 && !query.trim() && (
-            <div className="py-2">
-              <div className="px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-100">
-                Recent Searches
+          <div id={listboxId} role="listbox" aria-label="Search suggestions">
+            {/* Field Completions */}
+            {completions.length > 0 && (
+              <div className="py-2" role="group" aria-labelledby={getCompletionId('heading')}>
+                <div
+                  id={getCompletionId('heading')}
+                  role="presentation"
+                  className="px-4 py-2 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider border-b border-gray-100 dark:border-gray-700"
+                >
+                  Filters
+                </div>
+                {completions.map((completion, index) => (
+                  <div
+                    key={completion.id}
+                    id={getCompletionId(index)}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    onMouseDown={(event) => event.preventDefault()}
+                    onMouseMove={() => setActiveIndex(index)}
+                    onClick={() => handleCompletionSelect(completion)}
+                    className={clsx(
+                      'search-suggestion-item w-full text-left cursor-pointer flex items-center space-x-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors duration-150',
+                      index === activeIndex && 'bg-gray-50 dark:bg-gray-700'
+                    )}
+                  >
+                    <FunnelIcon className="w-4 h-4 text-gray-400" aria-hidden="true" />
+                    <span className="flex-1 text-sm font-mono text-primary-600 dark:text-primary-400">
+                      {completion.label}
+                    </span>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">{completion.description}</span>
+                  </div>
+                ))}
               </div>
-              {recentSearches.slice(0, 5).map((recentQuery, index) => (
-                <button
-                  key={index}
-                  type="button"
-                  onClick={() => handleRecentSearchSelect(recentQuery)}
-                  className="search-suggestion-item w-full text-left flex items-center space-x-3 px-4 py-3 hover:bg-gray-50 transition-colors duration-150"
+            )}
+
+            {/* Suggestions */}
+            {visibleSuggestions.length > 0 && (
+              <SearchSuggestions
+                suggestions={suggestions}
+                onSelect={handleSuggestionSelect}
+                onActivate={(index) => setActiveIndex(suggestionsOffset + index)}
+                query={parsedQuery.text}
+                maxItems={MAX_VISIBLE_SUGGESTIONS}
+                activeIndex={activeIndex - suggestionsOffset}
+                getOptionId={getSuggestionId}
+              />
+            )}
+
+            {/* Recent Searches */}
+            {visibleRecent.length > 0 && (
+              <div className="py-2" role="group" aria-labelledby={getRecentId('heading')}>
+                <div
+                  id={getRecentId('heading')}
+                  role="presentation"
+                  className="px-4 py-2 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider border-b border-gray-100 dark:border-gray-700"
                 >
-                  <ClockIcon className="w-4 h-4 text-gray-400" />
-                  <span className="text-sm text-gray-900">{recentQuery}</span>
-                </button>
-              ))}
-            </div>
-          )}
+                  Recent
+                </div>
+                {visibleRecent.map((recentQuery, index) => {
+                  const optionIndex = recentOffset + index;
+                  return (
+                    <div
+                      key={index}
+                      id={getRecentId(index)}
+                      role="option"
+                      aria-selected={optionIndex === activeIndex}
+                      onMouseDown={(event) => event.preventDefault()}
+                      onMouseMove={() => setActiveIndex(optionIndex)}
+                      onClick={() => handleRecentSearchSelect(recentQuery)}
+                      className={clsx(
+                        'search-suggestion-item w-full text-left cursor-pointer flex items-center space-x-3 px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors duration-150',
+                        optionIndex === activeIndex && 'bg-gray-50 dark:bg-gray-700'
+                      )}
+                    >
+                      <ClockIcon className="w-4 h-4 text-gray-400" aria-hidden="true" />
+                      <span className="text-sm text-gray-900 dark:text-gray-100">{recentQuery}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
 
           {/* No Results */}
-          {!loading && !hasSuggestions && !recentSearches.length && query.trim() && (
+          {!loading && optionCount === 0 && query.trim() && (
             <div className="px-4 py-8 text-center">
-              <BuildingOfficeIcon className="w-8 h-8 text-gray-300 mx-auto mb-2" />
-              <p className="text-sm text-gray-500">
+              <BuildingOfficeIcon className="w-8 h-8 text-gray-300 dark:text-gray-600 mx-auto mb-2" />
+              <p className="text-sm text-gray-500 dark:text-gray-400">
                 No suggestions found for "{query}"
               </p>
               <p className="text-xs text-gray-400 mt-1">
@@ -331,19 +642,23 @@ const SearchBar = ({
 
       {/* Search Tips (hidden by default, can be shown based on props) */}
       {focused && !query && !showDropdown && (
-        <div className="absolute top-full left-0 right-0 bg-white border border-gray-200 rounded-xl shadow-soft mt-2 p-4 z-40">
-          <div className="text-sm text-gray-600">
+        <div className="absolute top-full left-0 right-0 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-soft mt-2 p-4 z-40">
+          <div className="text-sm text-gray-600 dark:text-gray-400">
             <p className="font-medium mb-2">Search Tips:</p>
             <ul className="space-y-1 text-xs">
               <li>• Try company names: "Tesla", "Apple", "Microsoft"</li>
               <li>• Or ticker symbols: "TSLA", "AAPL", "MSFT"</li>
               <li>• Use partial names: "micro" will find "Microsoft"</li>
+              <li>• Filter with ticker:, cik:, exchange:, sector: or industry:, e.g. sector:energy exchange:NYSE</li>
+              <li>• Quote phrases ("bank of") and exclude terms with a minus (-exchange:OTC)</li>
             </ul>
           </div>
         </div>
       )}
     </div>
   );
-};
+});
+
+SearchBar.displayName = 'SearchBar';
 
 export default SearchBar;
\ No newline at end of file
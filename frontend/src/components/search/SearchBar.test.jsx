@@ -0,0 +1,263 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SearchBar from './SearchBar';
+
+const mockRecentSearches = ['Tesla', 'Apple', 'Microsoft'];
+const mockSuggestionPool = [
+  { text: 'AAPL', type: 'ticker', ticker: 'AAPL', company_name: 'Apple Inc.' },
+  { text: 'Apple Inc.', type: 'company_name', ticker: 'AAPL', company_name: 'Apple Inc.' },
+  { text: 'Applied Materials', type: 'company_name', ticker: 'AMAT', company_name: 'Applied Materials' },
+  { text: 'AppLovin', type: 'company_name', ticker: 'APP', company_name: 'AppLovin Corp' },
+  { text: 'Appian', type: 'company_name', ticker: 'APPN', company_name: 'Appian Corp' },
+  { text: 'Apple Hospitality', type: 'company_name', ticker: 'APLE', company_name: 'Apple Hospitality REIT' },
+];
+// react-scripts resets mocks before every test, so search gets its
+// implementation in beforeEach; getRecentSearches must stay referentially stable
+const mockSearch = jest.fn();
+const mockGetRecentSearches = () => mockRecentSearches;
+
+// A minimal stand-in for the hook: suggestions for the query's free text come from
+// the pool above instead of the API, so the dropdown updates synchronously while typing
+jest.mock('../../hooks/useCompanySearch', () => {
+  const { useState, useMemo, useCallback } = require('react');
+  const { parseSearchQuery } = require('../../utils/searchQuery');
+
+  return {
+    useCompanySearch: () => {
+      const [query, setQuery] = useState('');
+      const suggestions = useMemo(() => {
+        const text = parseSearchQuery(query).text.toLowerCase();
+        return text ? mockSuggestionPool.filter(item => item.text.toLowerCase().includes(text)) : [];
+      }, [query]);
+
+      return {
+        query,
+        setQuery,
+        search: mockSearch,
+        results: [],
+        suggestions,
+        loading: false,
+        error: null,
+        hasSearched: false,
+        clearSearch: useCallback(() => setQuery(''), []),
+        getRecentSearches: mockGetRecentSearches,
+        isValidQuery: query.trim().length > 0,
+        hasSuggestions: suggestions.length > 0,
+      };
+    },
+  };
+});
+
+const renderSearchBar = (props = {}) => {
+  const user = userEvent.setup();
+  const onSearchResult = jest.fn();
+  render(<SearchBar onSearchResult={onSearchResult} {...props} />);
+  return { user, onSearchResult, input: screen.getByRole('combobox') };
+};
+
+const getOptions = () => within(screen.getByRole('listbox')).getAllByRole('option');
+
+describe('SearchBar combobox', () => {
+  beforeEach(() => {
+    mockSearch.mockResolvedValue([]);
+  });
+
+  it('renders a collapsed combobox', () => {
+    const { input } = renderSearchBar();
+
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(input).toHaveAttribute('aria-autocomplete', 'list');
+    expect(input).not.toHaveAttribute('aria-activedescendant');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  it('lists recent searches in their own group on focus', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.click(input);
+
+    const listbox = screen.getByRole('listbox');
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    expect(input).toHaveAttribute('aria-controls', listbox.id);
+
+    const recent = screen.getByRole('group', { name: 'Recent' });
+    expect(within(recent).getAllByRole('option').map(option => option.textContent))
+      .toEqual(mockRecentSearches);
+    expect(screen.getByRole('status')).toHaveTextContent('3 recent searches available');
+  });
+
+  it('groups suggestions and announces how many are available', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'ap');
+
+    const group = screen.getByRole('group', { name: 'Suggestions' });
+    expect(within(group).getAllByRole('option')).toHaveLength(5);
+    expect(screen.queryByRole('group', { name: 'Recent' })).not.toBeInTheDocument();
+    expect(screen.getByRole('status')).toHaveTextContent('5 suggestions available');
+  });
+
+  it('announces when nothing matches', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'zzz');
+
+    expect(screen.getByRole('status')).toHaveTextContent('No suggestions available');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  it('moves the active option with the arrow keys, Home and End', async () => {
+    const { user, input } = renderSearchBar();
+    await user.type(input, 'ap');
+    const options = getOptions();
+
+    const expectActive = (index) => {
+      expect(input).toHaveAttribute('aria-activedescendant', options[index].id);
+      options.forEach((option, i) => {
+        expect(option).toHaveAttribute('aria-selected', String(i === index));
+      });
+    };
+
+    await user.keyboard('{ArrowDown}');
+    expectActive(0);
+
+    await user.keyboard('{ArrowDown}{ArrowDown}');
+    expectActive(2);
+
+    await user.keyboard('{ArrowUp}');
+    expectActive(1);
+
+    await user.keyboard('{End}');
+    expectActive(4);
+
+    // Wraps around at either end
+    await user.keyboard('{ArrowDown}');
+    expectActive(0);
+
+    await user.keyboard('{ArrowUp}');
+    expectActive(4);
+
+    await user.keyboard('{Home}');
+    expectActive(0);
+  });
+
+  it('reopens the list from the keyboard after it was closed', async () => {
+    const { user, input } = renderSearchBar();
+    await user.click(input);
+
+    await user.keyboard('{Escape}');
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+
+    await user.keyboard('{ArrowUp}');
+    const options = getOptions();
+    expect(input).toHaveAttribute('aria-activedescendant', options[options.length - 1].id);
+  });
+
+  it('selects the active suggestion with Enter', async () => {
+    const { user, input, onSearchResult } = renderSearchBar();
+    await user.type(input, 'ap');
+
+    await user.keyboard('{ArrowDown}{ArrowDown}{Enter}');
+
+    expect(mockSearch).toHaveBeenCalledWith('Apple Inc.');
+    expect(input).toHaveValue('Apple Inc.');
+    await waitFor(() => {
+      expect(onSearchResult).toHaveBeenCalledWith(expect.objectContaining({ query: 'Apple Inc.' }));
+    });
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+  });
+
+  it('selects the active recent search with Enter', async () => {
+    const { user, input } = renderSearchBar();
+    await user.click(input);
+
+    await user.keyboard('{End}{Enter}');
+
+    expect(mockSearch).toHaveBeenCalledWith('Microsoft');
+  });
+
+  it('searches the typed query when no option is active', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'ap{Enter}');
+
+    expect(mockSearch).toHaveBeenCalledWith('ap');
+  });
+
+  it('selects an option on click', async () => {
+    const { user, input } = renderSearchBar();
+    await user.type(input, 'ap');
+
+    await user.click(getOptions().find(option => option.textContent.includes('AppLovin')));
+
+    expect(mockSearch).toHaveBeenCalledWith('AppLovin');
+  });
+
+  it('closes the list with Escape and keeps focus in the input', async () => {
+    const { user, input } = renderSearchBar();
+    await user.type(input, 'ap');
+    await user.keyboard('{ArrowDown}');
+
+    await user.keyboard('{Escape}');
+
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(input).toHaveAttribute('aria-expanded', 'false');
+    expect(input).not.toHaveAttribute('aria-activedescendant');
+    expect(input).toHaveFocus();
+
+    // A second Escape leaves the field
+    await user.keyboard('{Escape}');
+    expect(input).not.toHaveFocus();
+  });
+});
+
+describe('SearchBar structured queries', () => {
+  beforeEach(() => {
+    mockSearch.mockResolvedValue([]);
+  });
+
+  it('completes field names and values', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'apple exch');
+    const filters = screen.getByRole('group', { name: 'Filters' });
+    expect(within(filters).getAllByRole('option').map(option => option.textContent))
+      .toEqual([expect.stringContaining('exchange:')]);
+    expect(screen.getByRole('status')).toHaveTextContent('1 filter available');
+
+    await user.keyboard('{ArrowDown}{Enter}');
+    expect(input).toHaveValue('apple exchange:');
+    expect(mockSearch).not.toHaveBeenCalled();
+
+    await user.type(input, 'nas');
+    await user.keyboard('{ArrowDown}{Enter}');
+    expect(input).toHaveValue('apple exchange:NASDAQ ');
+  });
+
+  it('shows inline errors instead of searching an invalid query', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'cik:abc');
+    expect(input).toHaveAttribute('aria-invalid', 'false');
+
+    await user.keyboard('{Enter}');
+
+    expect(mockSearch).not.toHaveBeenCalled();
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+    expect(input).toHaveAccessibleDescription('CIK must contain digits');
+
+    await user.type(input, '{Backspace}{Backspace}{Backspace}320193{Enter}');
+    expect(input).toHaveAttribute('aria-invalid', 'false');
+    expect(mockSearch).toHaveBeenCalledWith('cik:320193');
+  });
+
+  it('keeps filters when a suggestion is picked', async () => {
+    const { user, input } = renderSearchBar();
+
+    await user.type(input, 'sector:technology appl');
+    await user.click(getOptions().find(option => option.textContent.includes('Applied Materials')));
+
+    expect(mockSearch).toHaveBeenCalledWith('Applied Materials sector:Technology');
+  });
+});
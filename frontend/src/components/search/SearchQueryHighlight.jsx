@@ -0,0 +1,31 @@
+import React from 'react';
+import clsx from 'clsx';
+
+const TOKEN_CLASSES = {
+  field: 'text-primary-600 dark:text-primary-400',
+  value: 'text-success-700 dark:text-success-400',
+  phrase: 'text-warning-700 dark:text-warning-400',
+  operator: 'text-danger-600 dark:text-danger-400',
+  text: 'text-gray-900 dark:text-gray-100',
+  whitespace: '',
+};
+
+// Colored copy of a structured query, laid over the search input whose own text
+// is transparent; tokens come from parseSearchQuery and cover the whole input
+const SearchQueryHighlight = ({ tokens = [] }) => (
+  <>
+    {tokens.map(token => (
+      <span
+        key={token.start}
+        className={clsx(
+          TOKEN_CLASSES[token.type],
+          token.invalid && 'underline decoration-wavy decoration-danger-500'
+        )}
+      >
+        {token.text}
+      </span>
+    ))}
+  </>
+);
+
+export default SearchQueryHighlight;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import clsx from 'clsx';
+import { CompanyCardCompact } from '../dashboard/CompanyCard';
+
+const SearchResults = ({ results = [], query = '', onSelect, className }) => {
+  if (!results || results.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+      {/* Header */}
+      <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <MagnifyingGlassIcon className="w-5 h-5 mr-2" />
+          Search Results ({results.length})
+        </h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+          {results.length === 1 ? 'One company matches' : `${results.length} companies match`} "{query}". Select a company to view its details.
+        </p>
+      </div>
+
+      {/* Result Items */}
+      <ul className="p-4 space-y-3">
+        {results.map((result, index) => (
+          <li key={result.cik || result.ticker || index}>
+            <CompanyCardCompact
+              company={result}
+              onClick={onSelect}
+            />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Skeleton loading state
+export const SearchResultsSkeleton = ({ rows = 4, className }) => (
+  <div className={clsx('bg-white dark:bg-gray-800 rounded-xl border border-gray-200 dark:border-gray-700 shadow-soft', className)}>
+    <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 space-y-2">
+      <div className="h-6 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-40" />
+      <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-64" />
+    </div>
+
+    <div className="p-4 space-y-3">
+      {Array.from({ length: rows }).map((_, index) => (
+        <div key={index} className="flex items-center space-x-3 p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
+          <div className="w-10 h-10 bg-gray-200 dark:bg-gray-700 rounded-lg animate-pulse" />
+          <div className="flex-1 space-y-2">
+            <div className="h-4 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-1/2" />
+            <div className="h-3 bg-gray-200 dark:bg-gray-700 rounded animate-pulse w-1/3" />
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default SearchResults;
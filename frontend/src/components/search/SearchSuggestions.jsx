@@ -6,7 +6,17 @@ import {
 } from '@heroicons/react/24/outline';
 import clsx from 'clsx';
 
-const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems = 5 }) => {
+// A "Suggestions" group inside SearchBar's listbox; SearchBar owns focus and the
+// active option, this renders options with ids it can point aria-activedescendant at
+const SearchSuggestions = ({
+  suggestions = [],
+  onSelect,
+  onActivate,
+  query = '',
+  maxItems = 5,
+  activeIndex = -1,
+  getOptionId = (index) => `search-suggestion-${index}`,
+}) => {
   if (!suggestions || suggestions.length === 0) {
     return null;
   }
@@ -51,7 +61,7 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
       return (
         <span
           key={index}
-          className={isMatch ? 'font-semibold text-primary-600 bg-primary-50 px-1 rounded' : ''}
+          className={isMatch ? 'font-semibold text-primary-600 bg-primary-50 dark:bg-primary-900/30 px-1 rounded' : ''}
         >
           {part}
         </span>
@@ -59,15 +69,21 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
     });
   };
 
+  const headingId = getOptionId('heading');
+
   return (
-    <div className="py-2">
+    <div className="py-2" role="group" aria-labelledby={headingId}>
       {/* Header */}
-      <div className="px-4 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider border-b border-gray-100">
+      <div
+        id={headingId}
+        role="presentation"
+        className="px-4 py-2 text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider border-b border-gray-100 dark:border-gray-700"
+      >
         Suggestions
       </div>
 
       {/* Suggestion Items */}
-      <div className="max-h-64 overflow-y-auto">
+      <div className="max-h-64 overflow-y-auto" role="presentation">
         {displaySuggestions.map((suggestion, index) => {
           const Icon = getIconForType(suggestion.type);
           const isString = typeof suggestion === 'string';
@@ -78,16 +94,22 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
           const companyName = isString ? null : suggestion.company_name;
 
           return (
-            <button
+            <div
               key={index}
-              type="button"
+              id={getOptionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the dropdown stays open
+              onMouseDown={(event) => event.preventDefault()}
+              onMouseMove={() => onActivate?.(index)}
               onClick={() => onSelect(suggestion)}
               className={clsx(
-                'search-suggestion-item w-full text-left',
+                'search-suggestion-item w-full text-left cursor-pointer',
                 'flex items-center space-x-3 px-4 py-3',
-                'hover:bg-gray-50 focus:bg-gray-50 focus:outline-none',
+                'hover:bg-gray-50 dark:hover:bg-gray-700',
                 'transition-colors duration-150',
-                'border-b border-gray-100 last:border-b-0'
+                'border-b border-gray-100 dark:border-gray-700 last:border-b-0',
+                index === activeIndex && 'bg-gray-50 dark:bg-gray-700'
               )}
             >
               {/* Icon */}
@@ -99,7 +121,7 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
               <div className="flex-1 min-w-0">
                 <div className="flex items-center justify-between">
                   {/* Main text */}
-                  <div className="text-sm font-medium text-gray-900 truncate">
+                  <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
                     {highlightMatch(text, query)}
                   </div>
 
@@ -107,9 +129,9 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
                   <span className={clsx(
                     'ml-2 px-2 py-1 text-xs font-medium rounded-full flex-shrink-0',
                     {
-                      'bg-blue-100 text-blue-800': type === 'ticker',
-                      'bg-gray-100 text-gray-800': type === 'company_name',
-                      'bg-purple-100 text-purple-800': type === 'suggestion',
+                      'bg-blue-100 dark:bg-blue-900/40 text-blue-800 dark:text-blue-200': type === 'ticker',
+                      'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200': type === 'company_name',
+                      'bg-purple-100 dark:bg-purple-900/40 text-purple-800 dark:text-purple-200': type === 'suggestion',
                     }
                   )}>
                     {getTypeLabel(type)}
@@ -118,7 +140,7 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
 
                 {/* Additional info */}
                 {(ticker || companyName) && (
-                  <div className="text-xs text-gray-500 mt-1 truncate">
+                  <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 truncate">
                     {type === 'ticker' && companyName ? (
                       <span>Company: {companyName}</span>
                     ) : type === 'company_name' && ticker ? (
@@ -134,22 +156,15 @@ const SearchSuggestions = ({ suggestions = [], onSelect, query = '', maxItems =
                   </div>
                 )}
               </div>
-
-              {/* Keyboard shortcut hint */}
-              {index < 9 && (
-                <div className="flex-shrink-0 text-xs text-gray-400 font-mono">
-                  {index + 1}
-                </div>
-              )}
-            </button>
+            </div>
           );
         })}
       </div>
 
       {/* Show more indicator */}
       {suggestions.length > maxItems && (
-        <div className="px-4 py-2 text-center border-t border-gray-100">
-          <span className="text-xs text-gray-500">
+        <div role="presentation" className="px-4 py-2 text-center border-t border-gray-100 dark:border-gray-700">
+          <span className="text-xs text-gray-500 dark:text-gray-400">
             +{suggestions.length - maxItems} more suggestions
           </span>
         </div>
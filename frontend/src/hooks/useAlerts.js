@@ -0,0 +1,38 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import alertStore from '../services/alerts';
+
+/**
+ * Custom hook for alert rules, the alert history log and notification permission
+ *
+ * @param {string} ticker - Optional ticker to narrow rules down to one company
+ * @returns {Object} - Rules, history and methods
+ */
+export function useAlerts(ticker = null) {
+  const state = useSyncExternalStore(alertStore.subscribe, alertStore.getSnapshot);
+
+  const symbol = ticker?.toUpperCase();
+  const rules = symbol ? state.rules.filter(rule => rule.ticker === symbol) : state.rules;
+
+  return {
+    // State
+    rules,
+    history: state.history,
+    permission: state.permission,
+
+    // Rule actions
+    addRule: useCallback((rule) => alertStore.addRule(rule), []),
+    removeRule: useCallback((ruleId) => alertStore.removeRule(ruleId), []),
+    toggleRule: useCallback((ruleId) => alertStore.toggleRule(ruleId), []),
+
+    // History actions
+    markHistoryRead: useCallback(() => alertStore.markHistoryRead(), []),
+    clearHistory: useCallback(() => alertStore.clearHistory(), []),
+    requestPermission: useCallback(() => alertStore.requestPermission(), []),
+
+    // Computed values
+    unreadCount: state.history.filter(entry => !entry.read).length,
+    activeCount: rules.filter(rule => rule.enabled).length,
+  };
+}
+
+export default useAlerts;
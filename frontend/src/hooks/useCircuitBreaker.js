@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from 'react';
+import circuitBreaker from '../services/circuitBreaker';
+
+/**
+ * Custom hook for the circuit breaker state of backend dependencies
+ *
+ * @param {string} family - Optional CIRCUIT_FAMILIES entry to narrow the state to
+ * @returns {Object} - { status, failures, openedAt, nextCheckAt, lastError } for
+ *   the family, or { families } for every dependency
+ */
+export function useCircuitBreaker(family) {
+  const state = useSyncExternalStore(circuitBreaker.subscribe, circuitBreaker.getSnapshot);
+  return family ? state.families[family] : state;
+}
+
+export default useCircuitBreaker;
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useId, useSyncExternalStore } from 'react';
+import commandRegistry from '../services/commands';
+import { hasModifier, isEditableTarget, matchesShortcut } from '../utils/shortcuts';
+
+/**
+ * Register commands for the palette and keyboard shortcuts while a component is mounted
+ * Pass a memoized list; a new array re-registers every command
+ *
+ * @param {Array} commands - [{ id, label, group, shortcut, global, keywords, icon, run, palette }]
+ */
+export function useCommands(commands) {
+  const sourceId = useId();
+
+  useEffect(() => {
+    if (!commands || commands.length === 0) return undefined;
+    return commandRegistry.register(sourceId, commands);
+  }, [sourceId, commands]);
+}
+
+/**
+ * Custom hook for the registered commands and the open overlay
+ *
+ * @returns {Object} - Commands, overlay state and methods
+ */
+export function useCommandPalette() {
+  const state = useSyncExternalStore(commandRegistry.subscribe, commandRegistry.getSnapshot);
+
+  return {
+    commands: state.commands,
+    overlay: state.overlay,
+    isPaletteOpen: state.overlay === 'palette',
+    isHelpOpen: state.overlay === 'help',
+    openPalette: useCallback(() => commandRegistry.openPalette(), []),
+    togglePalette: useCallback(() => commandRegistry.togglePalette(), []),
+    openHelp: useCallback(() => commandRegistry.openHelp(), []),
+    close: useCallback(() => commandRegistry.closeOverlay(), []),
+  };
+}
+
+/**
+ * Run registered commands from their keyboard shortcuts; mount once near the root
+ * Plain-key shortcuts are skipped while typing, and all but global ones while a dialog is open
+ */
+export function useShortcutListener() {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.repeat) return;
+
+      const { commands, overlay } = commandRegistry.getSnapshot();
+      const editable = isEditableTarget(event.target);
+      const inDialog = Boolean(overlay || event.target.closest?.('[role="dialog"]'));
+
+      const command = commands.find(item => (
+        item.shortcut &&
+        (!inDialog || item.global) &&
+        (!editable || hasModifier(item.shortcut)) &&
+        matchesShortcut(event, item.shortcut)
+      ));
+      if (!command) return;
+
+      event.preventDefault();
+      command.run();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
+
+export default useCommands;
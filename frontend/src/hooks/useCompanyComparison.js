@@ -0,0 +1,116 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { COMPARISON_CONFIG } from '../services/constants';
+
+/**
+ * Load company details and the latest periodic filings for one ticker
+ */
+async function fetchComparisonEntry(ticker, signal) {
+  const company = await apiService.getCompanyByTicker(ticker, { signal });
+  if (company.status !== 'success') {
+    throw new Error(company.message || `Company not found: ${ticker}`);
+  }
+
+  const lookup = await apiService.lookupCompany(ticker, { signal });
+  if (lookup.status !== 'success') {
+    throw new Error(lookup.message || `Failed to load ${ticker}`);
+  }
+
+  const data = lookup.data;
+  let filings = data.recent_filings || [];
+
+  // Recent filings are mostly 8-Ks, so ask for the periodic reports directly
+  const cik = data.company?.cik;
+  if (cik) {
+    try {
+      const response = await apiService.getCompanyFilings(cik, {
+        formTypes: COMPARISON_CONFIG.FILING_FORMS,
+        limit: COMPARISON_CONFIG.FILINGS_LIMIT,
+        signal,
+      });
+
+      if (response.status === 'success') {
+        filings = [...filings, ...response.data.filings];
+      }
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      console.warn(`Periodic filings unavailable for ${ticker}:`, error.message);
+    }
+  }
+
+  return { data, filings };
+}
+
+/**
+ * Custom hook for loading a set of companies side by side
+ *
+ * @param {Array} tickers - Tickers in column order
+ * @returns {Object} - Entries in column order plus loading state
+ */
+export function useCompanyComparison(tickers) {
+  const [results, setResults] = useState({}); // ticker -> { data, filings, loading, error }
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const tickersKey = tickers.join(',');
+
+  useEffect(() => {
+    const list = tickersKey ? tickersKey.split(',') : [];
+    const controllers = [];
+
+    // Drop companies that left the comparison, keep the rest while they refresh
+    setResults(prev => list.reduce((next, ticker) => {
+      next[ticker] = { ...prev[ticker], loading: true, error: null };
+      return next;
+    }, {}));
+
+    list.forEach(ticker => {
+      const controller = new AbortController();
+      controllers.push(controller);
+
+      fetchComparisonEntry(ticker, controller.signal)
+        .then(({ data, filings }) => {
+          if (controller.signal.aborted) return;
+          setResults(prev => ({ ...prev, [ticker]: { data, filings, loading: false, error: null } }));
+        })
+        .catch(error => {
+          if (controller.signal.aborted || isCancelledError(error)) return;
+
+          console.error(`Comparison load failed for ${ticker}:`, error);
+          setResults(prev => ({
+            ...prev,
+            [ticker]: { ...prev[ticker], loading: false, error: error.message || `Failed to load ${ticker}` },
+          }));
+        });
+    });
+
+    // Abort outstanding requests when the comparison set changes
+    return () => {
+      controllers.forEach(controller => controller.abort());
+    };
+  }, [tickersKey, reloadCount]);
+
+  const entries = useMemo(
+    () => tickers.map(ticker => ({
+      ticker,
+      data: null,
+      filings: [],
+      loading: true,
+      error: null,
+      ...results[ticker],
+    })),
+    [tickers, results]
+  );
+
+  const retry = useCallback(() => {
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return {
+    entries,
+    loading: entries.some(entry => entry.loading),
+    loadedCount: entries.filter(entry => entry.data).length,
+    retry,
+  };
+}
+
+export default useCompanyComparison;
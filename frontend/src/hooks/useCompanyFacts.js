@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+
+const INITIAL_STATE = {
+  facts: null,
+  loading: false,
+  error: null,
+};
+
+/**
+ * Custom hook for loading a company's XBRL facts
+ *
+ * @param {string} cik - Company CIK
+ * @returns {Object} - { facts, loading, error, retry }
+ */
+export function useCompanyFacts(cik) {
+  const [state, setState] = useState(INITIAL_STATE);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    if (!cik) {
+      setState(INITIAL_STATE);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    const loadFacts = async () => {
+      setState({ ...INITIAL_STATE, loading: true });
+
+      try {
+        const response = await apiService.getCompanyFacts(cik, { signal: controller.signal });
+
+        if (controller.signal.aborted) return;
+
+        if (response.status === 'success') {
+          setState({ facts: response.data, loading: false, error: null });
+        } else {
+          setState({ ...INITIAL_STATE, error: response.message || 'Failed to load financial data' });
+        }
+      } catch (err) {
+        if (controller.signal.aborted || isCancelledError(err)) return;
+
+        console.error('Company facts error:', err);
+        setState({ ...INITIAL_STATE, error: err.message || 'Failed to load financial data' });
+      }
+    };
+
+    loadFacts();
+
+    return () => {
+      controller.abort();
+    };
+  }, [cik, reloadCount]);
+
+  const retry = useCallback(() => {
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return {
+    ...state,
+    retry,
+  };
+}
+
+export default useCompanyFacts;
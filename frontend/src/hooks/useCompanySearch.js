@@ -1,7 +1,9 @@
 import { useState, useEffect, useCallback } from 'react';
-import apiService from '../services/api';
+import apiService, { isCancelledError } from '../services/api';
 import { useDebounce } from './useDebounce';
+import { useLatestRequest } from './useLatestRequest';
 import { SEARCH_CONFIG } from '../services/constants';
+import { parseSearchQuery } from '../utils/searchQuery';
 
 /**
  * Custom hook for company search functionality
@@ -30,15 +32,24 @@ export function useCompanySearch(options = {}) {
   // Debounced query for API calls
   const debouncedQuery = useDebounce(query, debounceDelay);
 
+  // Newer requests abort the ones they supersede
+  const searchRequest = useLatestRequest();
+  const suggestionsRequest = useLatestRequest();
+  const lookupRequest = useLatestRequest();
+
   // Search function
   const performSearch = useCallback(async (searchQuery, options = {}) => {
     if (!searchQuery || searchQuery.length < minQueryLength) {
+      searchRequest.abort();
+      setLoading(false);
       setResults([]);
       setError(null);
       setHasSearched(false);
       return;
     }
 
+    const controller = searchRequest.start();
+
     setLoading(true);
     setError(null);
 
@@ -46,14 +57,14 @@ export function useCompanySearch(options = {}) {
       const response = await apiService.searchCompanies(searchQuery, {
         limit: maxResults,
         ...options,
+        signal: controller.signal,
       });
 
       console.log('Full API response:', response);
       console.log('Response data:', response.data);
 
       if (response.status === 'success') {
-        // FIXED: Access the results from the correct path
-        const searchResults = response.data?.results || [];
+        const searchResults = response.data.results;
         console.log('Search results:', searchResults);
         
         setResults(searchResults);
@@ -69,40 +80,52 @@ export function useCompanySearch(options = {}) {
         setHasSearched(true);
       }
     } catch (err) {
+      if (isCancelledError(err)) return;
+
       console.error('Search error:', err);
       setError(err.message || 'Search failed. Please try again.');
       setResults([]);
       setHasSearched(true);
     } finally {
-      setLoading(false);
+      if (searchRequest.isLatest(controller)) {
+        setLoading(false);
+      }
     }
-  }, [minQueryLength, maxResults]);
+  }, [minQueryLength, maxResults, searchRequest]);
 
   // Get search suggestions
   const getSuggestions = useCallback(async (searchQuery) => {
-    if (!enableSuggestions || !searchQuery || searchQuery.length < minQueryLength) {
+    // Only the free text of a structured query ("appl exchange:NASDAQ") is worth suggesting for
+    const suggestionQuery = searchQuery ? parseSearchQuery(searchQuery).text : '';
+
+    if (!enableSuggestions || suggestionQuery.length < minQueryLength) {
+      suggestionsRequest.abort();
       setSuggestions([]);
       return;
     }
 
+    const controller = suggestionsRequest.start();
+
     try {
-      const response = await apiService.getSearchSuggestions(searchQuery, {
+      const response = await apiService.getSearchSuggestions(suggestionQuery, {
         limit: SEARCH_CONFIG.MAX_SUGGESTIONS,
+        signal: controller.signal,
       });
 
       console.log('Suggestions response:', response);
 
       if (response.status === 'success') {
-        // Access suggestions from the correct path
-        const suggestionList = response.data?.suggestions || [];
+        const suggestionList = response.data.suggestions;
         console.log('Suggestions list:', suggestionList);
         setSuggestions(suggestionList);
       }
     } catch (err) {
+      if (isCancelledError(err)) return;
+
       console.error('Suggestions error:', err);
       setSuggestions([]);
     }
-  }, [enableSuggestions, minQueryLength]);
+  }, [enableSuggestions, minQueryLength, suggestionsRequest]);
 
   // Auto search when debounced query changes
   useEffect(() => {
@@ -129,12 +152,15 @@ export function useCompanySearch(options = {}) {
 
   // Clear search results
   const clearSearch = useCallback(() => {
+    searchRequest.abort();
+    suggestionsRequest.abort();
+    setLoading(false);
     setQuery('');
     setResults([]);
     setSuggestions([]);
     setError(null);
     setHasSearched(false);
-  }, []);
+  }, [searchRequest, suggestionsRequest]);
 
   // Set query without triggering search
   const setQueryOnly = useCallback((newQuery) => {
@@ -159,11 +185,15 @@ export function useCompanySearch(options = {}) {
 
   // Company lookup function (for detailed company info)
   const lookupCompany = useCallback(async (searchQuery = query) => {
+    const controller = lookupRequest.start();
+
     setLoading(true);
     setError(null);
 
     try {
-      const response = await apiService.lookupCompany(searchQuery);
+      const response = await apiService.lookupCompany(searchQuery, {
+        signal: controller.signal,
+      });
       console.log('Company lookup response:', response);
       
       if (response.status === 'success') {
@@ -172,13 +202,17 @@ export function useCompanySearch(options = {}) {
         throw new Error(response.message || 'Company lookup failed');
       }
     } catch (err) {
-      console.error('Company lookup error:', err);
-      setError(err.message || 'Company lookup failed. Please try again.');
+      if (!isCancelledError(err)) {
+        console.error('Company lookup error:', err);
+        setError(err.message || 'Company lookup failed. Please try again.');
+      }
       throw err;
     } finally {
-      setLoading(false);
+      if (lookupRequest.isLatest(controller)) {
+        setLoading(false);
+      }
     }
-  }, [query]);
+  }, [query, lookupRequest]);
 
   return {
     // State
@@ -236,13 +270,19 @@ export function useCompanyLookup() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  const lookupRequest = useLatestRequest();
+
   const lookupCompany = useCallback(async (query) => {
+    const controller = lookupRequest.start();
+
     setLoading(true);
     setError(null);
     setCompany(null);
 
     try {
-      const response = await apiService.lookupCompany(query);
+      const response = await apiService.lookupCompany(query, {
+        signal: controller.signal,
+      });
       console.log('Company lookup response:', response);
       
       if (response.status === 'success') {
@@ -252,18 +292,24 @@ export function useCompanyLookup() {
         throw new Error(response.message || 'Company lookup failed');
       }
     } catch (err) {
-      console.error('Company lookup error:', err);
-      setError(err.message || 'Company lookup failed. Please try again.');
+      if (!isCancelledError(err)) {
+        console.error('Company lookup error:', err);
+        setError(err.message || 'Company lookup failed. Please try again.');
+      }
       throw err;
     } finally {
-      setLoading(false);
+      if (lookupRequest.isLatest(controller)) {
+        setLoading(false);
+      }
     }
-  }, []);
+  }, [lookupRequest]);
 
   const clearCompany = useCallback(() => {
+    lookupRequest.abort();
+    setLoading(false);
     setCompany(null);
     setError(null);
-  }, []);
+  }, [lookupRequest]);
 
   return {
     company,
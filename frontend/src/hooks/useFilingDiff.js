@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { splitFilingSections, getDocumentContent } from '../utils/filingDocument';
+import { compareFilingSections, summarizeSectionDiffs } from '../utils/filingDiff';
+
+const INITIAL_STATE = {
+  sections: [],
+  totals: null,
+  loading: false,
+  error: null,
+};
+
+/**
+ * Custom hook for diffing two filings section by section
+ *
+ * @param {Object} baseFiling - Older filing
+ * @param {Object} targetFiling - Newer filing
+ * @returns {Object} - { sections, totals, loading, error, retry }
+ */
+export function useFilingDiff(baseFiling, targetFiling) {
+  const [state, setState] = useState(INITIAL_STATE);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const baseAccession = baseFiling?.accession_number;
+  const baseUrl = baseFiling?.filing_url;
+  const targetAccession = targetFiling?.accession_number;
+  const targetUrl = targetFiling?.filing_url;
+
+  useEffect(() => {
+    if (!(baseAccession || baseUrl) || !(targetAccession || targetUrl)) {
+      setState(INITIAL_STATE);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    // Both documents come through the cached document endpoint
+    const fetchSections = async (accessionNumber, filingUrl) => {
+      const response = await apiService.getFilingDocument(
+        { accession_number: accessionNumber, filing_url: filingUrl },
+        { signal: controller.signal }
+      );
+
+      if (response.status !== 'success') {
+        throw new Error(response.message || 'Failed to load filing');
+      }
+
+      const { content, contentType } = getDocumentContent(response.data);
+      return splitFilingSections(content, contentType);
+    };
+
+    const loadDiff = async () => {
+      setState({ ...INITIAL_STATE, loading: true });
+
+      try {
+        const [baseSections, targetSections] = await Promise.all([
+          fetchSections(baseAccession, baseUrl),
+          fetchSections(targetAccession, targetUrl),
+        ]);
+
+        if (controller.signal.aborted) return;
+
+        const sections = compareFilingSections(baseSections, targetSections);
+        setState({
+          sections,
+          totals: summarizeSectionDiffs(sections),
+          loading: false,
+          error: null,
+        });
+      } catch (err) {
+        if (controller.signal.aborted || isCancelledError(err)) return;
+
+        console.error('Filing diff error:', err);
+        setState({ ...INITIAL_STATE, error: err.message || 'Failed to compare filings' });
+      }
+    };
+
+    loadDiff();
+
+    return () => {
+      controller.abort();
+    };
+  }, [baseAccession, baseUrl, targetAccession, targetUrl, reloadCount]);
+
+  const retry = useCallback(() => {
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return {
+    ...state,
+    retry,
+  };
+}
+
+export default useFilingDiff;
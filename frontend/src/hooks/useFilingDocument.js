@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { prepareFilingDocument, getDocumentContent } from '../utils/filingDocument';
+
+const EMPTY_DOCUMENT = { html: '', toc: [] };
+
+/**
+ * Custom hook for loading a filing's full document, sanitized for display
+ *
+ * @param {Object} filing - Filing with accession_number and/or filing_url
+ * @returns {Object} - { html, toc, loading, error, retry }
+ */
+export function useFilingDocument(filing) {
+  const [prepared, setPrepared] = useState(EMPTY_DOCUMENT);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const accessionNumber = filing?.accession_number;
+  const filingUrl = filing?.filing_url;
+
+  useEffect(() => {
+    setPrepared(EMPTY_DOCUMENT);
+    setError(null);
+
+    if (!accessionNumber && !filingUrl) {
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    const loadDocument = async () => {
+      setLoading(true);
+
+      try {
+        const response = await apiService.getFilingDocument(
+          { accession_number: accessionNumber, filing_url: filingUrl },
+          { signal: controller.signal }
+        );
+
+        if (controller.signal.aborted) return;
+
+        if (response.status === 'success') {
+          const { content, contentType } = getDocumentContent(response.data);
+          setPrepared(prepareFilingDocument(content, contentType));
+        } else {
+          setError(response.message || 'Failed to load filing');
+        }
+      } catch (err) {
+        if (controller.signal.aborted || isCancelledError(err)) return;
+
+        console.error('Filing document error:', err);
+        setError(err.message || 'Failed to load filing');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadDocument();
+
+    // Abort the request when the viewer moves to another filing
+    return () => {
+      controller.abort();
+    };
+  }, [accessionNumber, filingUrl, reloadCount]);
+
+  const retry = useCallback(() => {
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return {
+    ...prepared,
+    loading,
+    error,
+    retry,
+    isEmpty: !loading && !error && !prepared.html,
+  };
+}
+
+export default useFilingDocument;
@@ -0,0 +1,165 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { FILINGS_CONFIG } from '../services/constants';
+
+const INITIAL_STATE = {
+  filings: [],
+  total: null,
+  hasMore: false,
+  loading: false,
+  loadingMore: false,
+  loaded: false,
+  error: null,
+};
+
+/**
+ * Paging details for a filings page
+ * has_more is optional, so fall back to the cursor, the total or a full page
+ */
+function toFilingsPage(data, offset, limit) {
+  const { filings } = data;
+  const total = data.total ?? null;
+  const nextCursor = data.next_cursor ?? null;
+
+  let hasMore = data.has_more;
+  if (hasMore === undefined || hasMore === null) {
+    if (nextCursor) hasMore = true;
+    else if (total !== null) hasMore = offset + filings.length < total;
+    else hasMore = filings.length >= limit;
+  }
+
+  return { filings, total, nextCursor, hasMore: Boolean(hasMore) };
+}
+
+// Offsets can shift when a new filing lands between pages, so drop repeats
+function appendFilings(existing, incoming) {
+  const seen = new Set(existing.map(filing => filing.accession_number).filter(Boolean));
+  return [
+    ...existing,
+    ...incoming.filter(filing => !filing.accession_number || !seen.has(filing.accession_number)),
+  ];
+}
+
+/**
+ * Custom hook for paging through a company's filings history
+ *
+ * @param {string} cik - Company CIK
+ * @param {Object} options - { formTypes, from, to, pageSize }
+ * @returns {Object} - Loaded filings, total count and paging controls
+ */
+export function useFilingsHistory(cik, options = {}) {
+  const { formTypes, from, to, pageSize = FILINGS_CONFIG.PAGE_SIZE } = options;
+  const formKey = formTypes?.length ? formTypes.join(',') : '';
+
+  const [state, setState] = useState(INITIAL_STATE);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const controllerRef = useRef(null);
+  const pageRef = useRef({ offset: 0, cursor: null, hasMore: false, loading: false });
+
+  const fetchPage = useCallback(async (signal) => {
+    const { offset, cursor } = pageRef.current;
+
+    const response = await apiService.getCompanyFilings(cik, {
+      formTypes: formKey ? formKey.split(',') : undefined,
+      from: from || undefined,
+      to: to || undefined,
+      limit: pageSize,
+      offset,
+      cursor,
+      signal,
+    });
+
+    if (response.status !== 'success') {
+      throw new Error(response.message || 'Failed to load filings');
+    }
+
+    const page = toFilingsPage(response.data, offset, pageSize);
+    pageRef.current = {
+      offset: offset + page.filings.length,
+      cursor: page.nextCursor,
+      hasMore: page.hasMore && page.filings.length > 0,
+      loading: false,
+    };
+
+    return page;
+  }, [cik, formKey, from, to, pageSize]);
+
+  const loadPage = useCallback(async (controller, isFirstPage) => {
+    pageRef.current.loading = true;
+    setState(prev => ({
+      ...prev,
+      loading: isFirstPage,
+      loadingMore: !isFirstPage,
+      error: null,
+    }));
+
+    try {
+      const page = await fetchPage(controller.signal);
+      if (controller.signal.aborted) return;
+
+      setState(prev => ({
+        filings: isFirstPage ? page.filings : appendFilings(prev.filings, page.filings),
+        total: page.total ?? prev.total,
+        hasMore: pageRef.current.hasMore,
+        loading: false,
+        loadingMore: false,
+        loaded: true,
+        error: null,
+      }));
+    } catch (err) {
+      if (controller.signal.aborted || isCancelledError(err)) return;
+
+      console.error('Filings history error:', err);
+      pageRef.current.loading = false;
+      setState(prev => ({
+        ...prev,
+        loading: false,
+        loadingMore: false,
+        error: err.message || 'Failed to load filings',
+      }));
+    }
+  }, [fetchPage]);
+
+  // Start over from the first page whenever the company or filters change
+  useEffect(() => {
+    pageRef.current = { offset: 0, cursor: null, hasMore: false, loading: false };
+    setState(INITIAL_STATE);
+
+    if (!cik) return undefined;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    loadPage(controller, true);
+
+    return () => {
+      controller.abort();
+    };
+  }, [cik, loadPage, reloadCount]);
+
+  const loadMore = useCallback(() => {
+    const controller = controllerRef.current;
+    const { hasMore, loading } = pageRef.current;
+
+    if (!controller || controller.signal.aborted || !hasMore || loading) return;
+    loadPage(controller, false);
+  }, [loadPage]);
+
+  // Retry the page that failed, or start over if the first page never loaded
+  const retry = useCallback(() => {
+    if (state.loaded) {
+      pageRef.current.hasMore = true;
+      loadMore();
+    } else {
+      setReloadCount(count => count + 1);
+    }
+  }, [state.loaded, loadMore]);
+
+  return {
+    ...state,
+    loadMore,
+    retry,
+  };
+}
+
+export default useFilingsHistory;
@@ -0,0 +1,133 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { getDocumentContent } from '../utils/filingDocument';
+import {
+  parseOwnershipDocument,
+  toInsiderTransactions,
+  aggregateMonthlyActivity,
+  summarizeInsiderActivity,
+} from '../utils/insiders';
+import { INSIDERS_CONFIG } from '../services/constants';
+
+const INITIAL_STATE = {
+  transactions: [],
+  filingsCount: 0,
+  failedCount: 0,
+  loading: false,
+  loaded: false,
+  error: null,
+};
+
+// Run tasks a few at a time so a long insider history doesn't flood the API
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Custom hook for loading and parsing a company's Form 4 insider transactions
+ *
+ * @param {string} cik - Company CIK
+ * @param {Object} options - { enabled }
+ * @returns {Object} - Transactions, monthly net activity, totals and load state
+ */
+export function useInsiderTransactions(cik, options = {}) {
+  const { enabled = true } = options;
+
+  const [state, setState] = useState(INITIAL_STATE);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    setState(INITIAL_STATE);
+
+    if (!cik || !enabled) return undefined;
+
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    // A filing that can't be fetched or parsed is counted, not fatal
+    const loadFiling = async (filing) => {
+      try {
+        const response = await apiService.getFilingDocument(filing, { signal });
+        if (response.status !== 'success') return null;
+
+        const ownership = parseOwnershipDocument(getDocumentContent(response.data).content);
+        return ownership ? toInsiderTransactions(ownership, filing) : null;
+      } catch (err) {
+        if (signal.aborted || isCancelledError(err)) throw err;
+        return null;
+      }
+    };
+
+    const loadTransactions = async () => {
+      setState({ ...INITIAL_STATE, loading: true });
+
+      try {
+        const response = await apiService.getCompanyFilings(cik, {
+          formTypes: INSIDERS_CONFIG.FORMS,
+          limit: INSIDERS_CONFIG.FILINGS_LIMIT,
+          signal,
+        });
+
+        if (response.status !== 'success') {
+          throw new Error(response.message || 'Failed to load insider filings');
+        }
+
+        const { filings } = response.data;
+        const parsed = await mapWithConcurrency(filings, INSIDERS_CONFIG.CONCURRENCY, loadFiling);
+
+        if (signal.aborted) return;
+
+        setState({
+          transactions: parsed
+            .filter(Boolean)
+            .flat()
+            .sort((a, b) => (b.date || '').localeCompare(a.date || '')),
+          filingsCount: filings.length,
+          failedCount: parsed.filter(result => result === null).length,
+          loading: false,
+          loaded: true,
+          error: null,
+        });
+      } catch (err) {
+        if (signal.aborted || isCancelledError(err)) return;
+
+        console.error('Insider transactions error:', err);
+        setState({ ...INITIAL_STATE, error: err.message || 'Failed to load insider transactions' });
+      }
+    };
+
+    loadTransactions();
+
+    return () => {
+      controller.abort();
+    };
+  }, [cik, enabled, reloadCount]);
+
+  const monthly = useMemo(() => aggregateMonthlyActivity(state.transactions), [state.transactions]);
+  const summary = useMemo(() => summarizeInsiderActivity(monthly), [monthly]);
+
+  const retry = useCallback(() => {
+    setReloadCount(count => count + 1);
+  }, []);
+
+  return {
+    ...state,
+    monthly,
+    summary,
+    retry,
+  };
+}
+
+export default useInsiderTransactions;
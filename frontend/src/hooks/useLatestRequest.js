@@ -0,0 +1,34 @@
+import { useRef, useEffect, useCallback, useMemo } from 'react';
+
+/**
+ * Custom hook for tracking the latest request of a kind
+ * Starting a new request aborts the superseded one, and any pending request
+ * is aborted when the component unmounts.
+ *
+ * @returns {Object} - { start, abort, isLatest }
+ */
+export function useLatestRequest() {
+  const controllerRef = useRef(null);
+
+  // Abort the previous request and return a controller for the next one
+  const start = useCallback(() => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    return controller;
+  }, []);
+
+  const abort = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+  }, []);
+
+  // Whether a controller still belongs to the most recent request
+  const isLatest = useCallback((controller) => controllerRef.current === controller, []);
+
+  useEffect(() => abort, [abort]);
+
+  return useMemo(() => ({ start, abort, isLatest }), [start, abort, isLatest]);
+}
+
+export default useLatestRequest;
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import quoteStream from '../services/quoteStream';
+import { STREAMING_CONFIG } from '../services/constants';
+
+/**
+ * Custom hook for a quote that keeps updating from the quote stream
+ *
+ * @param {Object} quote - Quote from the initial lookup (must include symbol)
+ * @param {Object} options - { enabled }
+ * @returns {Object} - Latest quote and the direction of the last price change
+ */
+export function useLiveQuote(quote, options = {}) {
+  const { enabled = true } = options;
+  const symbol = quote?.symbol?.toUpperCase();
+
+  const [liveQuote, setLiveQuote] = useState(null);
+  const [flash, setFlash] = useState(null); // { direction: 'up' | 'down', at }
+
+  // The lookup quote seeds the stream without re-subscribing on every render
+  const seedRef = useRef(quote);
+  const lastPriceRef = useRef(quote?.price);
+  seedRef.current = quote;
+
+  // A fresh lookup replaces whatever the stream delivered before it
+  useEffect(() => {
+    setLiveQuote(null);
+    lastPriceRef.current = quote?.price;
+  }, [quote]);
+
+  useEffect(() => {
+    if (!enabled || !symbol) return undefined;
+
+    return quoteStream.subscribeQuote(symbol, (update) => {
+      const previous = lastPriceRef.current;
+      const next = update.price;
+
+      if (previous != null && next != null && next !== previous) {
+        setFlash({ direction: next > previous ? 'up' : 'down', at: Date.now() });
+      }
+
+      lastPriceRef.current = next ?? previous;
+      setLiveQuote(update);
+    }, seedRef.current);
+  }, [symbol, enabled]);
+
+  // Clear the flash once it has played
+  useEffect(() => {
+    if (!flash) return undefined;
+
+    const timeoutId = setTimeout(() => setFlash(null), STREAMING_CONFIG.FLASH_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [flash]);
+
+  return {
+    quote: liveQuote ? { ...quote, ...liveQuote } : quote,
+    flash: flash?.direction || null,
+    flashKey: flash?.at || null,
+    isLive: Boolean(liveQuote),
+  };
+}
+
+/**
+ * Custom hook for the quote stream connection state
+ * Only reads the state; the stream runs while quotes are subscribed
+ *
+ * @returns {Object} - { connectionState, transport }
+ */
+export function useQuoteStreamStatus() {
+  return useSyncExternalStore(quoteStream.subscribe, quoteStream.getSnapshot);
+}
+
+export default useLiveQuote;
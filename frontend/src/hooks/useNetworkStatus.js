@@ -0,0 +1,14 @@
+import { useSyncExternalStore } from 'react';
+import networkStatus from '../services/network';
+
+/**
+ * Custom hook for the browser's connectivity
+ *
+ * @returns {Object} - { online, offlineSince, refreshedAt }
+ *   refreshedAt changes when cached data has been refreshed after reconnecting
+ */
+export function useNetworkStatus() {
+  return useSyncExternalStore(networkStatus.subscribe, networkStatus.getSnapshot);
+}
+
+export default useNetworkStatus;
@@ -0,0 +1,16 @@
+import { useSyncExternalStore } from 'react';
+import rateLimiter from '../services/rateLimiter';
+
+/**
+ * Custom hook for the client-side rate limit state
+ *
+ * @param {string} group - Optional RATE_LIMIT_GROUPS entry to narrow the state to
+ * @returns {Object} - { available, queued, blockedUntil, ... } for the group, or
+ *   { groups, blockedUntil } for every group
+ */
+export function useRateLimit(group) {
+  const state = useSyncExternalStore(rateLimiter.subscribe, rateLimiter.getSnapshot);
+  return group ? state.groups[group] : state;
+}
+
+export default useRateLimit;
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import schemaMonitor from '../services/schemaMonitor';
+
+/**
+ * Custom hook for the API responses that didn't match their schema
+ *
+ * @returns {Object} - { mismatches } newest first, each with endpoint, issues and count
+ */
+export function useSchemaMismatches() {
+  return useSyncExternalStore(schemaMonitor.subscribe, schemaMonitor.getSnapshot);
+}
+
+export default useSchemaMismatches;
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { CHART_RANGES } from '../services/constants';
+
+/**
+ * Normalize a history response into chart points sorted by time
+ * Accepts { prices: [...] }, { history: [...] } or a bare array
+ */
+function toChartPoints(data) {
+  const rows = Array.isArray(data) ? data : data?.prices || data?.history || [];
+
+  return rows
+    .map(row => {
+      const time = new Date(row.timestamp || row.date || row.time).getTime();
+      const close = row.close ?? row.price;
+
+      return {
+        time,
+        open: row.open ?? null,
+        high: row.high ?? null,
+        low: row.low ?? null,
+        close: close ?? null,
+        volume: row.volume ?? 0,
+      };
+    })
+    .filter(point => !isNaN(point.time) && point.close !== null)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Custom hook for historical prices of a ticker over a chart range
+ *
+ * @param {string} ticker - Stock ticker symbol
+ * @param {string} range - One of the CHART_RANGES keys
+ * @returns {Object} - Chart points and loading state
+ */
+export function useStockHistory(ticker, range = '1M') {
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!ticker) {
+      setPoints([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    const loadHistory = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await apiService.getStockHistory(ticker, {
+          range,
+          interval: CHART_RANGES[range]?.interval,
+          signal: controller.signal,
+        });
+
+        if (controller.signal.aborted) return;
+
+        if (response.status === 'success') {
+          setPoints(toChartPoints(response.data));
+        } else {
+          setPoints([]);
+          setError(response.message || 'Failed to load price history');
+        }
+      } catch (err) {
+        if (controller.signal.aborted || isCancelledError(err)) return;
+
+        console.error('Stock history error:', err);
+        setPoints([]);
+        setError(err.message || 'Failed to load price history');
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+
+    // Abort the request when the ticker or range changes
+    return () => {
+      controller.abort();
+    };
+  }, [ticker, range]);
+
+  return {
+    points,
+    loading,
+    error,
+    hasData: points.length > 0,
+  };
+}
+
+export default useStockHistory;
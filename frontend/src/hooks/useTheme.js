@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react';
+import preferencesStore from '../services/preferences';
+import { FEATURES, THEME_MODES } from '../services/constants';
+
+/**
+ * Custom hook for the color theme
+ * Follows prefers-color-scheme until the user picks light or dark explicitly
+ *
+ * @returns {Object} - Theme preference, resolved theme and setters
+ */
+export function useTheme() {
+  const { theme, resolvedTheme } = useSyncExternalStore(
+    preferencesStore.subscribe,
+    preferencesStore.getSnapshot
+  );
+
+  return {
+    theme,
+    resolvedTheme,
+    isDark: resolvedTheme === THEME_MODES.DARK,
+    isEnabled: FEATURES.ENABLE_DARK_MODE,
+    setTheme: (mode) => preferencesStore.setTheme(mode),
+    toggleTheme: () => preferencesStore.toggleTheme(),
+  };
+}
+
+export default useTheme;
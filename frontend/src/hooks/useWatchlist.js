@@ -0,0 +1,163 @@
+import { useState, useCallback, useMemo, useSyncExternalStore } from 'react';
+import apiService, { isCancelledError } from '../services/api';
+import { useLatestRequest } from './useLatestRequest';
+import watchlistStore from '../services/watchlist';
+import { WATCHLIST_CONFIG } from '../services/constants';
+
+const { SORT_OPTIONS } = WATCHLIST_CONFIG;
+
+/**
+ * Index batch quotes by ticker symbol
+ */
+function indexQuotesBySymbol(quotes) {
+  return Object.fromEntries(quotes.map(quote => [quote.symbol, quote]));
+}
+
+/**
+ * Sort watchlist items by the selected option, keeping missing values last
+ */
+function sortItems(items, quotes, sortBy) {
+  if (sortBy === SORT_OPTIONS.MANUAL) return items;
+
+  if (sortBy === SORT_OPTIONS.NAME) {
+    return [...items].sort((a, b) => (a.name || a.ticker).localeCompare(b.name || b.ticker));
+  }
+
+  const getValue = (item) => {
+    const value = quotes[item.ticker]?.[sortBy];
+    return value === null || value === undefined || isNaN(value) ? null : value;
+  };
+
+  return [...items].sort((a, b) => {
+    const aValue = getValue(a);
+    const bValue = getValue(b);
+
+    if (aValue === null && bValue === null) return 0;
+    if (aValue === null) return 1;
+    if (bValue === null) return -1;
+    return bValue - aValue;
+  });
+}
+
+/**
+ * Custom hook for the persisted watchlists
+ * Exposes the active list, list management and star toggles
+ *
+ * @returns {Object} - Watchlist state and methods
+ */
+export function useWatchlist() {
+  const state = useSyncExternalStore(watchlistStore.subscribe, watchlistStore.getSnapshot);
+
+  const activeList = state.lists.find(list => list.id === state.activeListId) || state.lists[0];
+
+  const isWatched = useCallback((ticker) => {
+    if (!ticker) return false;
+    return activeList.items.some(item => item.ticker === ticker.toUpperCase());
+  }, [activeList]);
+
+  const toggleCompany = useCallback((company) => {
+    watchlistStore.toggleCompany(company, activeList.id);
+  }, [activeList.id]);
+
+  const removeCompany = useCallback((ticker) => {
+    watchlistStore.removeCompany(ticker, activeList.id);
+  }, [activeList.id]);
+
+  const moveCompany = useCallback((fromIndex, toIndex) => {
+    watchlistStore.moveCompany(activeList.id, fromIndex, toIndex);
+  }, [activeList.id]);
+
+  return {
+    // State
+    lists: state.lists,
+    activeList,
+    items: activeList.items,
+
+    // List actions
+    createList: useCallback((name) => watchlistStore.createList(name), []),
+    renameList: useCallback((listId, name) => watchlistStore.renameList(listId, name), []),
+    deleteList: useCallback((listId) => watchlistStore.deleteList(listId), []),
+    setActiveList: useCallback((listId) => watchlistStore.setActiveList(listId), []),
+
+    // Item actions
+    isWatched,
+    toggleCompany,
+    removeCompany,
+    moveCompany,
+
+    // Computed values
+    canCreateList: state.lists.length < WATCHLIST_CONFIG.MAX_LISTS,
+    canDeleteList: state.lists.length > 1,
+    isEmpty: activeList.items.length === 0,
+  };
+}
+
+/**
+ * Hook for loading quotes for every company in a watchlist at once
+ *
+ * @param {Array} items - Watchlist items
+ * @param {string} sortBy - One of WATCHLIST_CONFIG.SORT_OPTIONS
+ * @returns {Object} - Sorted items, quotes and refresh method
+ */
+export function useWatchlistQuotes(items, sortBy = SORT_OPTIONS.MANUAL) {
+  const [quotes, setQuotes] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const quotesRequest = useLatestRequest();
+
+  const tickerKey = items.map(item => item.ticker).join(',');
+
+  const refresh = useCallback(async () => {
+    const tickers = tickerKey ? tickerKey.split(',') : [];
+    if (tickers.length === 0) {
+      quotesRequest.abort();
+      setLoading(false);
+      setQuotes({});
+      return;
+    }
+
+    const controller = quotesRequest.start();
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiService.getBatchStockQuotes(tickers, {
+        signal: controller.signal,
+      });
+
+      if (response.status === 'success') {
+        setQuotes(indexQuotesBySymbol(response.data.quotes));
+        setLastUpdated(new Date());
+      } else {
+        setError(response.message || 'Failed to refresh quotes');
+      }
+    } catch (err) {
+      if (isCancelledError(err)) return;
+
+      console.error('Watchlist quotes error:', err);
+      setError(err.message || 'Failed to refresh quotes');
+    } finally {
+      if (quotesRequest.isLatest(controller)) {
+        setLoading(false);
+      }
+    }
+  }, [tickerKey, quotesRequest]);
+
+  const sortedItems = useMemo(
+    () => sortItems(items, quotes, sortBy),
+    [items, quotes, sortBy]
+  );
+
+  return {
+    quotes,
+    sortedItems,
+    loading,
+    error,
+    lastUpdated,
+    refresh,
+  };
+}
+
+export default useWatchlist;
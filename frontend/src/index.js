@@ -1,6 +1,8 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
+import toast from 'react-hot-toast';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import { APP_INFO, FEATURES } from './services/constants';
 
 // Remove initial loading screen
@@ -115,6 +117,37 @@ const initializeApp = () => {
   }
 };
 
+// Service worker for offline support and installing as an app
+const setupServiceWorker = () => {
+  if (!FEATURES.ENABLE_OFFLINE) {
+    serviceWorkerRegistration.unregister();
+    return;
+  }
+
+  serviceWorkerRegistration.register({
+    onUpdate: (registration) => {
+      toast(
+        (t) => (
+          <span className="flex items-center">
+            A new version is available.
+            <button
+              type="button"
+              onClick={() => {
+                toast.dismiss(t.id);
+                serviceWorkerRegistration.applyUpdate(registration);
+              }}
+              className="ml-3 font-semibold text-primary-600 hover:text-primary-800"
+            >
+              Reload
+            </button>
+          </span>
+        ),
+        { id: 'app-update', duration: Infinity }
+      );
+    },
+  });
+};
+
 // Check for required environment variables
 const validateEnvironment = () => {
   const requiredEnvVars = [];
@@ -207,7 +240,10 @@ const startApp = async () => {
     // 6. Initialize React app
     initializeApp();
     
-    // 7. Log welcome message
+    // 7. Register the service worker
+    setupServiceWorker();
+    
+    // 8. Log welcome message
     logWelcomeMessage();
     
   } catch (error) {
@@ -0,0 +1,781 @@
+import { addDays, addMonths, format, startOfDay, subDays, subMonths } from 'date-fns';
+import { DATE_FORMATS, MARKET_STATUS } from '../services/constants';
+
+// Companies served by the mock API. Figures are rounded, roughly current values
+// (revenue in dollars for the last full fiscal year, growth per year) that seed
+// every generated quote, price history, filing and XBRL fact below.
+export const MOCK_COMPANIES = [
+  {
+    ticker: 'AAPL',
+    cik: '320193',
+    name: 'Apple Inc.',
+    exchange: 'NASDAQ',
+    sector: 'Technology',
+    industry: 'Consumer Electronics',
+    headquarters: 'Cupertino, CA',
+    website: 'https://www.apple.com',
+    employees: 161000,
+    description: 'Apple Inc. designs, manufactures and markets smartphones, personal computers, tablets, wearables and accessories, and sells a variety of related services.',
+    price: 189.5,
+    shares: 15.5e9,
+    eps: 6.42,
+    dividendYield: 0.51,
+    beta: 1.29,
+    revenue: 383e9,
+    growth: 0.05,
+    grossMargin: 0.44,
+    netMargin: 0.25,
+  },
+  {
+    ticker: 'MSFT',
+    cik: '789019',
+    name: 'Microsoft Corporation',
+    exchange: 'NASDAQ',
+    sector: 'Technology',
+    industry: 'Software—Infrastructure',
+    headquarters: 'Redmond, WA',
+    website: 'https://www.microsoft.com',
+    employees: 221000,
+    description: 'Microsoft Corporation develops and supports software, services, devices and solutions, including Azure cloud services, Office, Windows and Xbox.',
+    price: 415.2,
+    shares: 7.43e9,
+    eps: 11.8,
+    dividendYield: 0.72,
+    beta: 0.9,
+    revenue: 245e9,
+    growth: 0.14,
+    grossMargin: 0.69,
+    netMargin: 0.36,
+  },
+  {
+    ticker: 'GOOGL',
+    cik: '1652044',
+    name: 'Alphabet Inc.',
+    exchange: 'NASDAQ',
+    sector: 'Communication Services',
+    industry: 'Internet Content & Information',
+    headquarters: 'Mountain View, CA',
+    website: 'https://abc.xyz',
+    employees: 182000,
+    description: 'Alphabet Inc. offers search, advertising, cloud, hardware and subscription services through Google, and invests in emerging businesses through Other Bets.',
+    price: 165.4,
+    shares: 12.3e9,
+    eps: 7.5,
+    dividendYield: 0.48,
+    beta: 1.05,
+    revenue: 307e9,
+    growth: 0.12,
+    grossMargin: 0.57,
+    netMargin: 0.24,
+  },
+  {
+    ticker: 'AMZN',
+    cik: '1018724',
+    name: 'Amazon.com, Inc.',
+    exchange: 'NASDAQ',
+    sector: 'Consumer Cyclical',
+    industry: 'Internet Retail',
+    headquarters: 'Seattle, WA',
+    website: 'https://www.amazon.com',
+    employees: 1525000,
+    description: 'Amazon.com, Inc. sells consumer products and subscriptions through online and physical stores, and provides cloud computing services through Amazon Web Services.',
+    price: 180.3,
+    shares: 10.4e9,
+    eps: 2.9,
+    dividendYield: null,
+    beta: 1.15,
+    revenue: 575e9,
+    growth: 0.11,
+    grossMargin: 0.47,
+    netMargin: 0.053,
+  },
+  {
+    ticker: 'NVDA',
+    cik: '1045810',
+    name: 'NVIDIA Corporation',
+    exchange: 'NASDAQ',
+    sector: 'Technology',
+    industry: 'Semiconductors',
+    headquarters: 'Santa Clara, CA',
+    website: 'https://www.nvidia.com',
+    employees: 29600,
+    description: 'NVIDIA Corporation designs graphics processors, data center accelerators and networking products used in gaming, professional visualization, AI and automotive markets.',
+    price: 121.8,
+    shares: 24.5e9,
+    eps: 1.9,
+    dividendYield: 0.03,
+    beta: 1.7,
+    revenue: 61e9,
+    growth: 0.45,
+    grossMargin: 0.73,
+    netMargin: 0.49,
+  },
+  {
+    ticker: 'META',
+    cik: '1326801',
+    name: 'Meta Platforms, Inc.',
+    exchange: 'NASDAQ',
+    sector: 'Communication Services',
+    industry: 'Internet Content & Information',
+    headquarters: 'Menlo Park, CA',
+    website: 'https://about.meta.com',
+    employees: 67317,
+    description: 'Meta Platforms, Inc. builds social and messaging apps including Facebook, Instagram, Messenger and WhatsApp, and develops virtual and augmented reality products.',
+    price: 502.1,
+    shares: 2.54e9,
+    eps: 14.9,
+    dividendYield: 0.4,
+    beta: 1.2,
+    revenue: 135e9,
+    growth: 0.16,
+    grossMargin: 0.81,
+    netMargin: 0.29,
+  },
+  {
+    ticker: 'TSLA',
+    cik: '1318605',
+    name: 'Tesla, Inc.',
+    exchange: 'NASDAQ',
+    sector: 'Consumer Cyclical',
+    industry: 'Auto Manufacturers',
+    headquarters: 'Austin, TX',
+    website: 'https://www.tesla.com',
+    employees: 140473,
+    description: 'Tesla, Inc. designs, manufactures and sells electric vehicles and energy generation and storage systems, and offers related services.',
+    price: 241.6,
+    shares: 3.19e9,
+    eps: 3.1,
+    dividendYield: null,
+    beta: 2.3,
+    revenue: 97e9,
+    growth: 0.19,
+    grossMargin: 0.18,
+    netMargin: 0.15,
+  },
+  {
+    ticker: 'BRK.A',
+    cik: '1067983',
+    name: 'Berkshire Hathaway Inc.',
+    exchange: 'NYSE',
+    sector: 'Financial Services',
+    industry: 'Insurance—Diversified',
+    headquarters: 'Omaha, NE',
+    website: 'https://www.berkshirehathaway.com',
+    employees: 396500,
+    description: 'Berkshire Hathaway Inc. is a holding company owning subsidiaries in insurance, freight rail, utilities, manufacturing, services and retailing.',
+    price: 621000,
+    shares: 1.44e6,
+    eps: 62000,
+    dividendYield: null,
+    beta: 0.88,
+    revenue: 364e9,
+    growth: 0.08,
+    grossMargin: 0.3,
+    netMargin: 0.26,
+  },
+  {
+    ticker: 'JPM',
+    cik: '19617',
+    name: 'JPMorgan Chase & Co.',
+    exchange: 'NYSE',
+    sector: 'Financial Services',
+    industry: 'Banks—Diversified',
+    headquarters: 'New York, NY',
+    website: 'https://www.jpmorganchase.com',
+    employees: 309926,
+    description: 'JPMorgan Chase & Co. provides consumer and community banking, corporate and investment banking, commercial banking and asset and wealth management services.',
+    price: 201.3,
+    shares: 2.87e9,
+    eps: 16.2,
+    dividendYield: 2.3,
+    beta: 1.1,
+    revenue: 158e9,
+    growth: 0.09,
+    grossMargin: 0.6,
+    netMargin: 0.31,
+  },
+  {
+    ticker: 'XOM',
+    cik: '34088',
+    name: 'Exxon Mobil Corporation',
+    exchange: 'NYSE',
+    sector: 'Energy',
+    industry: 'Oil & Gas Integrated',
+    headquarters: 'Spring, TX',
+    website: 'https://corporate.exxonmobil.com',
+    employees: 62000,
+    description: 'Exxon Mobil Corporation explores for and produces crude oil and natural gas, and manufactures and markets fuels, lubricants and chemicals.',
+    price: 114.9,
+    shares: 3.96e9,
+    eps: 8.9,
+    dividendYield: 3.3,
+    beta: 0.9,
+    revenue: 344e9,
+    growth: 0.03,
+    grossMargin: 0.3,
+    netMargin: 0.11,
+  },
+  {
+    ticker: 'KO',
+    cik: '21344',
+    name: 'The Coca-Cola Company',
+    exchange: 'NYSE',
+    sector: 'Consumer Defensive',
+    industry: 'Beverages—Non-Alcoholic',
+    headquarters: 'Atlanta, GA',
+    website: 'https://www.coca-colacompany.com',
+    employees: 79100,
+    description: 'The Coca-Cola Company manufactures and sells nonalcoholic beverage concentrates, syrups and finished beverages in more than 200 countries.',
+    price: 62.4,
+    shares: 4.31e9,
+    eps: 2.47,
+    dividendYield: 3.1,
+    beta: 0.6,
+    revenue: 45.8e9,
+    growth: 0.06,
+    grossMargin: 0.6,
+    netMargin: 0.23,
+  },
+  {
+    ticker: 'JNJ',
+    cik: '200406',
+    name: 'Johnson & Johnson',
+    exchange: 'NYSE',
+    sector: 'Healthcare',
+    industry: 'Drug Manufacturers—General',
+    headquarters: 'New Brunswick, NJ',
+    website: 'https://www.jnj.com',
+    employees: 131900,
+    description: 'Johnson & Johnson researches, develops, manufactures and sells pharmaceutical products and medical devices.',
+    price: 155.7,
+    shares: 2.4e9,
+    eps: 14,
+    dividendYield: 3.1,
+    beta: 0.55,
+    revenue: 85e9,
+    growth: 0.04,
+    grossMargin: 0.69,
+    netMargin: 0.41,
+  },
+];
+
+const FILING_YEARS = 5;
+const FORM4_MONTHS = 24;
+
+const INSIDER_NAMES = [
+  { name: 'Morgan Avery', title: 'Chief Executive Officer' },
+  { name: 'Jordan Ellis', title: 'Chief Financial Officer' },
+  { name: 'Casey Nguyen', title: 'General Counsel' },
+  { name: 'Riley Okafor', director: true },
+];
+
+const RANGE_POINTS = {
+  '1D': { count: 78, step: (date, i) => new Date(date.getTime() - i * 5 * 60 * 1000) },
+  '5D': { count: 65, step: (date, i) => new Date(date.getTime() - i * 30 * 60 * 1000) },
+  '1M': { count: 22, step: (date, i) => subDays(date, i) },
+  '6M': { count: 126, step: (date, i) => subDays(date, i) },
+  '1Y': { count: 52, step: (date, i) => subDays(date, i * 7) },
+  '5Y': { count: 60, step: (date, i) => subMonths(date, i) },
+};
+
+// Utility Functions
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Seeded PRNG (mulberry32), so the same seed always produces the same fixture
+const createRandom = (seed) => {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toISODate = (date) => format(date, DATE_FORMATS.ISO);
+
+const formatBillions = (value) => `$${round(value / 1e9, 1)}B`;
+
+const formatSignedPercent = (value) => `${value >= 0 ? '+' : ''}${round(value, 1)}%`;
+
+// US market session from UTC time (ignores holidays and daylight saving)
+const getMarketState = (now) => {
+  const day = now.getUTCDay();
+  if (day === 0 || day === 6) return MARKET_STATUS.CLOSED;
+
+  const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+  if (minutes >= 13 * 60 + 30 && minutes < 20 * 60) return MARKET_STATUS.REGULAR;
+  if (minutes >= 8 * 60 && minutes < 13 * 60 + 30) return MARKET_STATUS.PRE;
+  if (minutes >= 20 * 60) return MARKET_STATUS.POST;
+  return MARKET_STATUS.CLOSED;
+};
+
+/**
+ * Find a mock company by ticker, CIK (with or without leading zeros) or exact name
+ */
+export const findMockCompany = (identifier) => {
+  const value = String(identifier || '').trim();
+  if (!value) return null;
+
+  const upper = value.toUpperCase();
+  const cik = value.replace(/^0+/, '');
+
+  return MOCK_COMPANIES.find(company => (
+    company.ticker === upper ||
+    company.ticker.replace('.', '-') === upper ||
+    company.cik === cik ||
+    company.name.toUpperCase() === upper
+  )) || null;
+};
+
+/**
+ * Company profile as returned by the company endpoints
+ */
+export const buildCompanyProfile = (company) => ({
+  name: company.name,
+  ticker: company.ticker,
+  cik: company.cik,
+  exchange: company.exchange,
+  sector: company.sector,
+  industry: company.industry,
+  description: company.description,
+  website: company.website,
+  headquarters: company.headquarters,
+  employees: company.employees,
+  market_cap: Math.round(company.price * company.shares),
+});
+
+/**
+ * Quote with extended data; the price drifts minute by minute so polling shows movement
+ */
+export const buildStockData = (company, now = new Date()) => {
+  const daily = createRandom(`${company.ticker}:${toISODate(now)}`);
+  const minute = Math.floor(now.getTime() / 60000);
+  const tick = createRandom(`${company.ticker}:${minute}`)();
+
+  const previousClose = round(company.price * (1 + (daily() - 0.5) * 0.04));
+  const openPrice = round(previousClose * (1 + (daily() - 0.5) * 0.01));
+  const drift = Math.sin(minute / 7 + hashString(company.ticker)) * 0.006 + (tick - 0.5) * 0.004;
+  const price = round(previousClose * (1 + (daily() - 0.5) * 0.03 + drift));
+  const change = round(price - previousClose);
+
+  return {
+    quote: {
+      symbol: company.ticker,
+      price,
+      currency: 'USD',
+      change,
+      change_percent: round((change / previousClose) * 100),
+      volume: Math.round(company.shares * (0.003 + daily() * 0.004)),
+      market_cap: Math.round(price * company.shares),
+      last_updated: now.toISOString(),
+      market_state: getMarketState(now),
+    },
+    open_price: openPrice,
+    high_price: round(Math.max(openPrice, price) * (1 + daily() * 0.01)),
+    low_price: round(Math.min(openPrice, price) * (1 - daily() * 0.01)),
+    previous_close: previousClose,
+    fifty_two_week_high: round(company.price * (1.1 + daily() * 0.2)),
+    fifty_two_week_low: round(company.price * (0.65 + daily() * 0.15)),
+    pe_ratio: round(price / company.eps),
+    eps: company.eps,
+    dividend_yield: company.dividendYield,
+    beta: company.beta,
+  };
+};
+
+/**
+ * Price history for a chart range, walking back from the current price
+ */
+export const buildPriceHistory = (company, range, now = new Date()) => {
+  const { count, step } = RANGE_POINTS[range] || RANGE_POINTS['1M'];
+  const random = createRandom(`${company.ticker}:${range}:${toISODate(now)}`);
+  const volatility = range === '1D' || range === '5D' ? 0.003 : 0.015 + company.beta * 0.005;
+
+  let close = buildStockData(company, now).quote.price;
+  const prices = [];
+
+  for (let i = 0; i < count; i++) {
+    const open = round(close * (1 + (random() - 0.5) * volatility));
+    prices.push({
+      timestamp: step(now, i).toISOString(),
+      open,
+      high: round(Math.max(open, close) * (1 + random() * volatility / 2)),
+      low: round(Math.min(open, close) * (1 - random() * volatility / 2)),
+      close,
+      volume: Math.round(company.shares * (0.002 + random() * 0.005)),
+    });
+    close = round(open * (1 + (random() - 0.5) * volatility));
+  }
+
+  return prices.reverse();
+};
+
+const buildAccessionNumber = (company, date, sequence) => (
+  `${company.cik.padStart(10, '0')}-${format(date, 'yy')}-${String(sequence).padStart(6, '0')}`
+);
+
+// Accession numbers derive from the filing itself, so they stay stable as new filings appear
+const buildFiling = (company, { form, filingDate, periodEnd, description, document }) => {
+  const sequence = hashString(`${company.cik}:${form}:${toISODate(filingDate)}`) % 999999 + 1;
+  const accessionNumber = buildAccessionNumber(company, filingDate, sequence);
+  return {
+    accession_number: accessionNumber,
+    form,
+    filing_date: toISODate(filingDate),
+    period_end_date: periodEnd ? toISODate(periodEnd) : null,
+    description,
+    filing_url: `https://www.sec.gov/Archives/edgar/data/${company.cik}/${accessionNumber.replace(/-/g, '')}/${document}`,
+    file_size: form === '4' ? 4800 + sequence % 900 : 250000 + (sequence * 7919) % 900000,
+  };
+};
+
+/**
+ * Five years of 10-K, 10-Q, 8-K and two years of Form 4 filings, newest first
+ * Fiscal years follow the calendar year.
+ */
+export const buildFilings = (company, now = new Date()) => {
+  const random = createRandom(`${company.ticker}:filings`);
+  const today = startOfDay(now);
+  const entries = [];
+
+  for (let yearsAgo = 0; yearsAgo <= FILING_YEARS; yearsAgo++) {
+    const year = now.getFullYear() - yearsAgo;
+    const slug = company.ticker.toLowerCase().replace('.', '');
+
+    entries.push({
+      form: '10-K',
+      filingDate: new Date(year, 1, 20 + Math.floor(random() * 8)),
+      periodEnd: new Date(year - 1, 11, 31),
+      description: `Annual report for fiscal year ${year - 1}`,
+      document: `${slug}-${year - 1}1231.htm`,
+    });
+
+    [1, 2, 3].forEach((quarter) => {
+      const periodEnd = new Date(year, quarter * 3, 0);
+      entries.push({
+        form: '10-Q',
+        filingDate: new Date(year, quarter * 3, 25 + Math.floor(random() * 5)),
+        periodEnd,
+        description: `Quarterly report for Q${quarter} ${year}`,
+        document: `${slug}-${format(periodEnd, 'yyyyMMdd')}.htm`,
+      });
+    });
+
+    [1, 4, 7, 10].forEach((month) => {
+      entries.push({
+        form: '8-K',
+        filingDate: new Date(year, month, 1 + Math.floor(random() * 25)),
+        periodEnd: null,
+        description: 'Current report: results of operations and financial condition',
+        document: `${slug}-8k.htm`,
+      });
+    });
+  }
+
+  for (let monthsAgo = 0; monthsAgo < FORM4_MONTHS; monthsAgo++) {
+    const filingDate = addDays(subMonths(today, monthsAgo), -Math.floor(random() * 20));
+    entries.push({
+      form: '4',
+      filingDate,
+      periodEnd: subDays(filingDate, 2),
+      description: 'Statement of changes in beneficial ownership of securities',
+      document: 'form4.xml',
+    });
+  }
+
+  return entries
+    .filter(entry => entry.filingDate <= today)
+    .sort((a, b) => b.filingDate - a.filingDate)
+    .map(entry => buildFiling(company, entry));
+};
+
+/**
+ * Find a generated filing by accession number or URL across every mock company
+ */
+export const findMockFiling = ({ accessionNumber, url }, now = new Date()) => {
+  for (const company of MOCK_COMPANIES) {
+    const filing = buildFilings(company, now).find(candidate => (
+      (accessionNumber && candidate.accession_number === accessionNumber) ||
+      (url && candidate.filing_url === url)
+    ));
+    if (filing) return { company, filing };
+  }
+  return null;
+};
+
+const buildForm4Document = (company, filing) => {
+  const random = createRandom(filing.accession_number);
+  const insider = INSIDER_NAMES[Math.floor(random() * INSIDER_NAMES.length)];
+  const selling = random() < 0.7;
+  const shares = Math.round((company.price > 10000 ? 5 : 2000) + random() * (company.price > 10000 ? 40 : 60000));
+  const price = round(company.price * (0.9 + random() * 0.2));
+  const sharesAfter = Math.round(shares * (3 + random() * 20));
+  const relationship = insider.director
+    ? '<isDirector>1</isDirector>'
+    : `<isOfficer>1</isOfficer><officerTitle>${insider.title}</officerTitle>`;
+
+  return `<?xml version="1.0"?>
+<ownershipDocument>
+  <documentType>4</documentType>
+  <periodOfReport>${filing.period_end_date}</periodOfReport>
+  <issuer>
+    <issuerCik>${company.cik.padStart(10, '0')}</issuerCik>
+    <issuerName>${company.name.replace(/&/g, '&amp;')}</issuerName>
+    <issuerTradingSymbol>${company.ticker}</issuerTradingSymbol>
+  </issuer>
+  <reportingOwner>
+    <reportingOwnerId>
+      <rptOwnerCik>${String(1900000 + hashString(insider.name) % 90000).padStart(10, '0')}</rptOwnerCik>
+      <rptOwnerName>${insider.name}</rptOwnerName>
+    </reportingOwnerId>
+    <reportingOwnerRelationship>${relationship}</reportingOwnerRelationship>
+  </reportingOwner>
+  <nonDerivativeTable>
+    <nonDerivativeTransaction>
+      <securityTitle><value>Common Stock</value></securityTitle>
+      <transactionDate><value>${filing.period_end_date}</value></transactionDate>
+      <transactionCoding><transactionFormType>4</transactionFormType><transactionCode>${selling ? 'S' : 'P'}</transactionCode></transactionCoding>
+      <transactionAmounts>
+        <transactionShares><value>${shares}</value></transactionShares>
+        <transactionPricePerShare><value>${price}</value></transactionPricePerShare>
+        <transactionAcquiredDisposedCode><value>${selling ? 'D' : 'A'}</value></transactionAcquiredDisposedCode>
+      </transactionAmounts>
+      <postTransactionAmounts>
+        <sharesOwnedFollowingTransaction><value>${sharesAfter}</value></sharesOwnedFollowingTransaction>
+      </postTransactionAmounts>
+      <ownershipNature><directOrIndirectOwnership><value>D</value></directOrIndirectOwnership></ownershipNature>
+    </nonDerivativeTransaction>
+  </nonDerivativeTable>
+</ownershipDocument>`;
+};
+
+// Paragraphs vary by filing so consecutive reports produce a readable diff
+const buildReportDocument = (company, filing) => {
+  const random = createRandom(filing.accession_number);
+  const annual = filing.form === '10-K';
+  const period = filing.period_end_date;
+  const growth = round((company.growth + (random() - 0.5) * 0.06) * 100, 1);
+  const pick = (options) => options[Math.floor(random() * options.length)];
+
+  const sections = annual
+    ? [
+      ['Part I', null],
+      ['Item 1. Business', `${company.description} The company had approximately ${company.employees.toLocaleString('en-US')} employees as of ${period}.`],
+      ['Item 1A. Risk Factors', `Our results depend on ${pick(['global economic conditions', 'consumer demand', 'the pace of technology change'])}. ${pick(['Competition in our markets is intense.', 'We face significant competition from larger and smaller companies.'])} ${pick(['Supply chain disruptions could harm our operations.', 'Changes in regulation could increase our costs.', 'Cybersecurity incidents could damage our reputation.'])}`],
+      ['Item 2. Properties', `Our headquarters are located in ${company.headquarters}.`],
+      ['Part II', null],
+      ['Item 7. Management\'s Discussion and Analysis of Financial Condition and Results of Operations', `Net sales ${growth >= 0 ? 'increased' : 'decreased'} ${Math.abs(growth)}% compared with the prior year, driven by ${pick(['higher volumes', 'pricing', 'growth in services', 'new product launches'])}. ${pick(['Operating expenses grew more slowly than revenue.', 'We continued to invest in research and development.'])}`],
+      ['Item 8. Financial Statements and Supplementary Data', 'The consolidated financial statements are included in this report.'],
+    ]
+    : [
+      ['Part I — Financial Information', null],
+      ['Item 1. Financial Statements', `Condensed consolidated financial statements for the quarter ended ${period}.`],
+      ['Item 2. Management\'s Discussion and Analysis of Financial Condition and Results of Operations', `Revenue ${growth >= 0 ? 'grew' : 'declined'} ${Math.abs(growth)}% year over year. ${pick(['Gross margin was stable.', 'Gross margin improved on mix.', 'Gross margin declined on higher costs.'])}`],
+      ['Part II — Other Information', null],
+      ['Item 1A. Risk Factors', 'There have been no material changes to the risk factors disclosed in our most recent annual report.'],
+    ];
+
+  const body = sections
+    .map(([heading, text]) => (text ? `<h3>${heading}</h3>\n<p>${text}</p>` : `<h2>${heading}</h2>`))
+    .join('\n');
+
+  return `<html><body>
+<h1>${company.name.replace(/&/g, '&amp;')}</h1>
+<p>Form ${filing.form} for the ${annual ? 'fiscal year' : 'quarterly period'} ended ${period}</p>
+${body}
+</body></html>`;
+};
+
+/**
+ * Document body for a generated filing: Form 4 XML or a report in HTML
+ */
+export const buildFilingDocument = (company, filing) => {
+  if (filing.form === '4') {
+    return { content: buildForm4Document(company, filing), content_type: 'application/xml' };
+  }
+
+  if (filing.form === '8-K') {
+    return {
+      content: `<html><body><h1>${company.name.replace(/&/g, '&amp;')}</h1><h3>Item 2.02. Results of Operations and Financial Condition</h3><p>On ${filing.filing_date} the company announced its financial results. A copy of the press release is furnished as Exhibit 99.1.</p></body></html>`,
+      content_type: 'text/html',
+    };
+  }
+
+  return { content: buildReportDocument(company, filing), content_type: 'text/html' };
+};
+
+const addFact = (facts, concept, unit, fact) => {
+  if (!facts[concept]) facts[concept] = { label: concept, units: {} };
+  if (!facts[concept].units[unit]) facts[concept].units[unit] = [];
+  facts[concept].units[unit].push(fact);
+};
+
+/**
+ * XBRL company facts (SEC companyfacts shape) reported by the generated 10-K and 10-Q filings
+ */
+export const buildCompanyFacts = (company, now = new Date()) => {
+  const reports = buildFilings(company, now).filter(filing => filing.form === '10-K' || filing.form === '10-Q');
+  const latestYear = Math.max(...reports
+    .filter(filing => filing.form === '10-K')
+    .map(filing => Number(filing.period_end_date.slice(0, 4))));
+  const gaap = {};
+
+  reports.forEach((filing) => {
+    const end = new Date(`${filing.period_end_date}T00:00:00`);
+    const year = end.getFullYear();
+    const annual = filing.form === '10-K';
+    const quarter = annual ? 4 : Math.round((end.getMonth() + 1) / 3);
+    const random = createRandom(`${filing.accession_number}:facts`);
+
+    const yearRevenue = company.revenue / (1 + company.growth) ** (latestYear - year);
+    const seasonality = [0.24, 0.245, 0.25, 0.265][quarter - 1];
+    const revenue = Math.round((annual ? yearRevenue : yearRevenue * seasonality) * (1 + (random() - 0.5) * 0.04));
+    const grossProfit = Math.round(revenue * company.grossMargin);
+    const research = Math.round(revenue * 0.08);
+    const administrative = Math.round(revenue * 0.07);
+    const netIncome = Math.round(revenue * company.netMargin * (1 + (random() - 0.5) * 0.1));
+    const dilutedShares = Math.round(company.shares * (1 + (latestYear - year) * 0.01));
+    const operatingCashFlow = Math.round(netIncome * (1.1 + random() * 0.3));
+    const capex = Math.round(revenue * (0.03 + random() * 0.04));
+    const dividends = Math.round((company.dividendYield || 0) / 100 * company.price * company.shares * (annual ? 1 : 0.25));
+    const assets = Math.round(yearRevenue * (1.1 + random() * 0.2));
+    const liabilities = Math.round(assets * 0.6);
+
+    const start = annual ? new Date(year, 0, 1) : addMonths(end, -3);
+    const base = {
+      end: filing.period_end_date,
+      accn: filing.accession_number,
+      fy: annual ? year : end.getFullYear(),
+      fp: annual ? 'FY' : `Q${quarter}`,
+      form: filing.form,
+      filed: filing.filing_date,
+    };
+    const duration = { ...base, start: toISODate(addDays(start, annual ? 0 : 1)) };
+
+    [
+      ['Revenues', revenue],
+      ['CostOfRevenue', revenue - grossProfit],
+      ['GrossProfit', grossProfit],
+      ['ResearchAndDevelopmentExpense', research],
+      ['SellingGeneralAndAdministrativeExpense', administrative],
+      ['OperatingIncomeLoss', grossProfit - research - administrative],
+      ['NetIncomeLoss', netIncome],
+      ['NetCashProvidedByUsedInOperatingActivities', operatingCashFlow],
+      ['PaymentsToAcquirePropertyPlantAndEquipment', capex],
+      ['NetCashProvidedByUsedInInvestingActivities', -Math.round(capex * 1.3)],
+      ['NetCashProvidedByUsedInFinancingActivities', -Math.round(dividends + operatingCashFlow * 0.4)],
+      ['PaymentsOfDividends', dividends],
+      ['PaymentsForRepurchaseOfCommonStock', Math.round(operatingCashFlow * 0.3)],
+    ].forEach(([concept, val]) => addFact(gaap, concept, 'USD', { ...duration, val }));
+
+    addFact(gaap, 'EarningsPerShareBasic', 'USD/shares', { ...duration, val: round(netIncome / (dilutedShares * 0.99)) });
+    addFact(gaap, 'EarningsPerShareDiluted', 'USD/shares', { ...duration, val: round(netIncome / dilutedShares) });
+    addFact(gaap, 'WeightedAverageNumberOfDilutedSharesOutstanding', 'shares', { ...duration, val: dilutedShares });
+
+    [
+      ['CashAndCashEquivalentsAtCarryingValue', Math.round(assets * 0.12)],
+      ['AssetsCurrent', Math.round(assets * 0.35)],
+      ['Assets', assets],
+      ['LiabilitiesCurrent', Math.round(liabilities * 0.4)],
+      ['LongTermDebtNoncurrent', Math.round(liabilities * 0.3)],
+      ['Liabilities', liabilities],
+      ['StockholdersEquity', assets - liabilities],
+    ].forEach(([concept, val]) => addFact(gaap, concept, 'USD', { ...base, val }));
+  });
+
+  return {
+    cik: Number(company.cik),
+    entityName: company.name,
+    facts: { 'us-gaap': gaap },
+  };
+};
+
+/**
+ * Educational analysis block shown beside the company card
+ */
+export const buildInvestmentAnalysis = (company, stockData) => {
+  const { quote } = stockData;
+  const yearReturn = ((quote.price - company.price * 0.85) / (company.price * 0.85)) * 100;
+  const sentiment = quote.change_percent > 1
+    ? 'optimistic'
+    : quote.change_percent < -1 ? 'cautious' : 'neutral';
+  const riskLevel = company.beta > 1.5 ? 'high' : company.beta < 0.8 ? 'low' : 'moderate';
+
+  return {
+    summary: { overall_sentiment: sentiment },
+    key_metrics: {
+      market_cap: formatBillions(quote.market_cap),
+      pe_ratio: String(stockData.pe_ratio),
+      dividend_yield: company.dividendYield ? `${company.dividendYield}%` : 'None',
+    },
+    financial_metrics: {
+      revenue: formatBillions(company.revenue),
+      net_margin: `${round(company.netMargin * 100, 1)}%`,
+      revenue_growth: formatSignedPercent(company.growth * 100),
+    },
+    technical_analysis: {
+      trend: quote.price >= stockData.previous_close ? 'Upward' : 'Downward',
+      volatility: riskLevel === 'high' ? 'High' : riskLevel === 'low' ? 'Low' : 'Moderate',
+      beta: String(company.beta),
+    },
+    performance_insights: {
+      short_term: {
+        '1D': formatSignedPercent(quote.change_percent),
+        '1M': formatSignedPercent((hashString(`${company.ticker}:1M`) % 120) / 10 - 6),
+      },
+      long_term: {
+        '1Y': formatSignedPercent(yearReturn),
+        '5Y': formatSignedPercent(((1 + company.growth) ** 5 - 1) * 100),
+      },
+    },
+    risk_assessment: {
+      risk_level: riskLevel,
+      risk_factors: [
+        `Competition in ${company.industry.toLowerCase()}`,
+        'Macroeconomic conditions affecting demand',
+        'Regulatory and legal proceedings',
+      ],
+      positive_indicators: [
+        `Revenue of ${formatBillions(company.revenue)} in the last fiscal year`,
+        `${round(company.netMargin * 100, 1)}% net margin`,
+      ],
+    },
+    recent_developments: [
+      `Filed its annual report for fiscal year ${new Date().getFullYear() - 1}`,
+      'Reported quarterly results in line with its outlook',
+    ],
+    educational_considerations: [
+      'Compare valuation multiples with industry peers',
+      'Review risk factors in the latest 10-K',
+      'Consider how interest rates affect the sector',
+    ],
+    disclaimer: 'This analysis is generated mock data for development and is not investment advice.',
+  };
+};
+
+/**
+ * Search suggestion entry for a company
+ */
+export const buildSuggestion = (company, query) => {
+  const lower = query.toLowerCase();
+  const tickerMatch = company.ticker.toLowerCase().startsWith(lower);
+
+  return {
+    text: tickerMatch ? company.ticker : company.name,
+    type: tickerMatch ? 'ticker' : 'company_name',
+    ticker: company.ticker,
+    company_name: company.name,
+    match_score: tickerMatch ? 1 : round(lower.length / company.name.length),
+  };
+};
@@ -0,0 +1,327 @@
+import { API_ENDPOINTS, APP_INFO, HTTP_STATUS } from '../services/constants';
+import {
+  MOCK_COMPANIES,
+  buildCompanyFacts,
+  buildCompanyProfile,
+  buildFilingDocument,
+  buildFilings,
+  buildInvestmentAnalysis,
+  buildPriceHistory,
+  buildStockData,
+  buildSuggestion,
+  findMockCompany,
+  findMockFiling,
+} from './fixtures';
+
+const SEARCH_FILTER_FIELDS = ['ticker', 'cik', 'exchange', 'sector', 'industry'];
+// Routes served by each backend dependency, keyed as in /health/dependencies
+const DEPENDENCY_PATHS = {
+  search: [API_ENDPOINTS.SEARCH, API_ENDPOINTS.COMPANY_BY_TICKER],
+  stock: [API_ENDPOINTS.STOCK_QUOTE],
+  filings: [API_ENDPOINTS.FILINGS, API_ENDPOINTS.COMPANY_FACTS],
+  analysis: [API_ENDPOINTS.COMPANY_LOOKUP],
+};
+const DEPENDENCIES = Object.keys(DEPENDENCY_PATHS);
+
+// Utility Functions
+const success = (data) => ({
+  status: HTTP_STATUS.OK,
+  data: { status: 'success', data, timestamp: new Date().toISOString() },
+});
+
+const failure = (status, message) => ({
+  status,
+  data: { status: 'error', message },
+});
+
+const notFound = (message) => failure(HTTP_STATUS.NOT_FOUND, message);
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.flatMap(toList);
+  return String(value ?? '').split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const isTrue = (value, fallback = true) => (value === undefined ? fallback : value === true || value === 'true');
+
+// Free text is split into words, keeping "quoted phrases" together
+const getSearchTerms = (text = '') => (
+  (text.match(/"[^"]*"|\S+/g) || []).map(term => term.replace(/"/g, '').toLowerCase()).filter(Boolean)
+);
+
+const matchesText = (company, term) => (
+  company.name.toLowerCase().includes(term) || company.ticker.toLowerCase().startsWith(term)
+);
+
+const matchesField = (company, field, value) => {
+  const expected = String(value).toLowerCase();
+  const actual = String(company[field] || '').toLowerCase();
+  return field === 'industry' ? actual.includes(expected) : actual === expected.replace(/^0+/, '');
+};
+
+const searchCompanies = (params) => {
+  const terms = getSearchTerms(params.q);
+  const excludedTerms = getSearchTerms(toList(params.exclude).join(' '));
+
+  return MOCK_COMPANIES.filter(company => (
+    terms.every(term => matchesText(company, term)) &&
+    !excludedTerms.some(term => matchesText(company, term)) &&
+    SEARCH_FILTER_FIELDS.every(field => (
+      params[field] === undefined || matchesField(company, field, params[field])
+    )) &&
+    SEARCH_FILTER_FIELDS.every(field => (
+      !toList(params[`exclude_${field}`]).some(value => matchesField(company, field, value))
+    ))
+  ));
+};
+
+// Filings pages are addressed by offset or by an opaque cursor wrapping one
+const encodeCursor = (offset) => btoa(`offset:${offset}`);
+
+const decodeCursor = (cursor) => {
+  try {
+    const offset = Number(atob(cursor).replace('offset:', ''));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Route Handlers
+const handleHealth = () => ({
+  status: HTTP_STATUS.OK,
+  data: {
+    status: 'healthy',
+    version: `${APP_INFO.VERSION}-mock`,
+    timestamp: new Date().toISOString(),
+    services: Object.fromEntries(DEPENDENCIES.map(name => [name, 'healthy'])),
+  },
+});
+
+const handleHealthSimple = () => ({
+  status: HTTP_STATUS.OK,
+  data: { status: 'ok' },
+});
+
+// Dependencies whose routes are failing on purpose report as unhealthy
+const handleHealthDependencies = ({ failingPath }) => {
+  const isFailing = (name) => Boolean(failingPath) &&
+    DEPENDENCY_PATHS[name].some(path => path.startsWith(failingPath));
+  const dependencies = Object.fromEntries(DEPENDENCIES.map(name => [
+    name,
+    { status: isFailing(name) ? 'unhealthy' : 'healthy', response_time_ms: 20 + (name.length * 7) % 40 },
+  ]));
+
+  return {
+    status: HTTP_STATUS.OK,
+    data: {
+      status: DEPENDENCIES.some(isFailing) ? 'degraded' : 'healthy',
+      dependencies,
+      timestamp: new Date().toISOString(),
+    },
+  };
+};
+
+const handleSearch = ({ params }) => {
+  const hasCriteria = params.q || params.exclude ||
+    SEARCH_FILTER_FIELDS.some(field => params[field] !== undefined || params[`exclude_${field}`] !== undefined);
+  if (!hasCriteria) {
+    return failure(HTTP_STATUS.BAD_REQUEST, 'A search query or filter is required.');
+  }
+
+  const matches = searchCompanies(params);
+  const limit = Number(params.limit) || matches.length;
+
+  return success({
+    query: params.q || '',
+    results: matches.slice(0, limit).map(buildCompanyProfile),
+    total: matches.length,
+  });
+};
+
+const handleSuggestions = ({ params }) => {
+  const query = String(params.q || '').trim();
+  const limit = Number(params.limit) || 5;
+  const suggestions = query
+    ? searchCompanies({ q: query }).slice(0, limit).map(company => buildSuggestion(company, query))
+    : [];
+
+  return success({ query, suggestions });
+};
+
+const handleValidate = ({ params }) => {
+  const query = String(params.q || '').trim();
+
+  if (!query) {
+    return success({ query, is_valid: false, message: 'Search query cannot be empty' });
+  }
+  if (query.length > 100) {
+    return success({ query, is_valid: false, message: 'Search query is too long' });
+  }
+  return success({ query, is_valid: true });
+};
+
+const handleCompanyLookup = ({ params, now }) => {
+  const company = findMockCompany(params.q) || searchCompanies({ q: params.q })[0];
+  if (!company) {
+    return notFound(`No company found for "${params.q}".`);
+  }
+
+  const stockData = buildStockData(company, now);
+  const data = {
+    company: buildCompanyProfile(company),
+    investment_analysis: buildInvestmentAnalysis(company, stockData),
+    data_sources: {
+      company_info: 'Mock SEC EDGAR',
+      stock_data: 'Mock market data',
+    },
+    last_updated: now.toISOString(),
+  };
+
+  if (isTrue(params.include_stock)) {
+    data.stock_quote = stockData;
+  }
+  if (isTrue(params.include_filings)) {
+    data.recent_filings = buildFilings(company, now).slice(0, Number(params.filings_limit) || 5);
+  }
+
+  return success(data);
+};
+
+const handleCompanyFacts = ({ match, now }) => {
+  const company = findMockCompany(match[1]);
+  if (!company) return notFound(`No company facts for CIK ${match[1]}.`);
+
+  return success(buildCompanyFacts(company, now));
+};
+
+const handleCompanyByTicker = ({ match }) => {
+  const company = findMockCompany(decodeURIComponent(match[1]));
+  if (!company) return notFound(`Company "${decodeURIComponent(match[1])}" not found.`);
+
+  return success(buildCompanyProfile(company));
+};
+
+const handleStockBatch = ({ params, now }) => {
+  const tickers = toList(params.tickers).map(ticker => ticker.toUpperCase());
+  if (tickers.length === 0) {
+    return failure(HTTP_STATUS.BAD_REQUEST, 'At least one ticker is required.');
+  }
+
+  const quotes = [];
+  const notFoundTickers = [];
+  tickers.forEach((ticker) => {
+    const company = findMockCompany(ticker);
+    if (company) {
+      quotes.push(buildStockData(company, now).quote);
+    } else {
+      notFoundTickers.push(ticker);
+    }
+  });
+
+  return success({ quotes, not_found: notFoundTickers });
+};
+
+const handleStockHistory = ({ match, params, now }) => {
+  const company = findMockCompany(decodeURIComponent(match[1]));
+  if (!company) return notFound(`No price history for "${decodeURIComponent(match[1])}".`);
+
+  const range = params.range || '1M';
+  return success({
+    ticker: company.ticker,
+    range,
+    interval: params.interval || null,
+    prices: buildPriceHistory(company, range, now),
+  });
+};
+
+const handleStockQuote = ({ match, now }) => {
+  const company = findMockCompany(decodeURIComponent(match[1]));
+  if (!company) return notFound(`No quote for "${decodeURIComponent(match[1])}".`);
+
+  return success(buildStockData(company, now));
+};
+
+const handleFilingDocument = ({ params, now }) => {
+  const found = findMockFiling({ accessionNumber: params.accession_number, url: params.url }, now);
+  if (!found) return notFound('Filing document not found.');
+
+  return success({
+    accession_number: found.filing.accession_number,
+    ...buildFilingDocument(found.company, found.filing),
+  });
+};
+
+const handleFilings = ({ match, params, now }) => {
+  const company = findMockCompany(match[1]);
+  if (!company) return notFound(`No filings for CIK ${match[1]}.`);
+
+  const formTypes = toList(params.form_types).map(form => form.toUpperCase());
+  const filings = buildFilings(company, now).filter(filing => (
+    (formTypes.length === 0 || formTypes.includes(filing.form)) &&
+    (!params.from_date || filing.filing_date >= params.from_date) &&
+    (!params.to_date || filing.filing_date <= params.to_date)
+  ));
+
+  const limit = Number(params.limit) || 10;
+  const offset = params.cursor ? decodeCursor(params.cursor) : Number(params.offset) || 0;
+  if (offset === null) {
+    return failure(HTTP_STATUS.BAD_REQUEST, 'Invalid filings cursor.');
+  }
+
+  const page = filings.slice(offset, offset + limit);
+  const hasMore = offset + page.length < filings.length;
+
+  return success({
+    filings: page,
+    total: filings.length,
+    offset,
+    limit,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor(offset + page.length) : null,
+  });
+};
+
+// More specific paths first: "/stock/batch" would otherwise match "/stock/:ticker"
+const ROUTES = [
+  { path: API_ENDPOINTS.HEALTH_SIMPLE, handler: handleHealthSimple },
+  { path: API_ENDPOINTS.HEALTH_DEPENDENCIES, handler: handleHealthDependencies },
+  { path: API_ENDPOINTS.HEALTH, handler: handleHealth },
+  { path: API_ENDPOINTS.SEARCH_SUGGESTIONS, handler: handleSuggestions },
+  { path: API_ENDPOINTS.SEARCH_VALIDATE, handler: handleValidate },
+  { path: API_ENDPOINTS.SEARCH, handler: handleSearch },
+  { path: API_ENDPOINTS.COMPANY_LOOKUP, handler: handleCompanyLookup },
+  { path: API_ENDPOINTS.COMPANY_FACTS, param: true, handler: handleCompanyFacts },
+  { path: API_ENDPOINTS.COMPANY_BY_TICKER, param: true, handler: handleCompanyByTicker },
+  { path: API_ENDPOINTS.STOCK_BATCH, handler: handleStockBatch },
+  { path: API_ENDPOINTS.STOCK_HISTORY, param: true, handler: handleStockHistory },
+  { path: API_ENDPOINTS.STOCK_QUOTE, param: true, handler: handleStockQuote },
+  { path: API_ENDPOINTS.FILING_DOCUMENT, handler: handleFilingDocument },
+  { path: API_ENDPOINTS.FILINGS, param: true, handler: handleFilings },
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}${route.param ? '/([^/]+)' : ''}/?$`),
+}));
+
+/**
+ * Answer a request from the mock routes
+ *
+ * @param {Object} request - { method, path, params, failingPath }, where
+ *   failingPath is the route prefix currently failing with injected outages
+ * @returns {Object} - { status, data, headers }
+ */
+export const handleMockRequest = ({ method = 'get', path, params = {}, failingPath = null }) => {
+  if (method.toLowerCase() !== 'get') {
+    return failure(HTTP_STATUS.BAD_REQUEST, `The mock API only serves GET requests, not ${method.toUpperCase()}.`);
+  }
+
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (match) {
+      return route.handler({ match, params, failingPath, now: new Date() });
+    }
+  }
+
+  return notFound(`No mock route for ${path}.`);
+};
+
+export default handleMockRequest;
@@ -0,0 +1,155 @@
+import axios from 'axios';
+import { API_CONFIG, MOCK_API_CONFIG, MOCK_ERRORS, HTTP_STATUS } from '../services/constants';
+import { handleMockRequest } from './handlers';
+import { DEFAULT_OPTIONS, clearStoredOptions, getMockOptions, storeOptions } from './mockOptions';
+
+// Utility Functions
+// Path relative to the API base URL, e.g. "/stock/AAPL"
+function getRequestPath(config) {
+  const url = config.url || '';
+  const relative = url.startsWith(API_CONFIG.BASE_URL) ? url.slice(API_CONFIG.BASE_URL.length) : url;
+  return relative.split('?')[0] || '/';
+}
+
+function withJitter(latency) {
+  const spread = latency * MOCK_API_CONFIG.LATENCY_JITTER;
+  return Math.max(0, Math.round(latency - spread + Math.random() * spread * 2));
+}
+
+function buildInjectedResponse(error) {
+  if (error === MOCK_ERRORS.RATE_LIMIT) {
+    return {
+      status: HTTP_STATUS.TOO_MANY_REQUESTS,
+      headers: { 'retry-after': String(MOCK_API_CONFIG.RETRY_AFTER) },
+      data: { status: 'error', message: 'Rate limit exceeded (mock). Please slow down.' },
+    };
+  }
+
+  return {
+    status: HTTP_STATUS.INTERNAL_SERVER_ERROR,
+    data: { status: 'error', message: 'Internal server error (mock).' },
+  };
+}
+
+// Mock API Class
+// An axios adapter answering every API_ENDPOINTS route from fixtures, with
+// configurable latency and injected failures (429 with Retry-After, 500 and
+// timeouts). Options come from the environment, then the URL (?mock=1&
+// mock_latency=800&mock_error=429), and are kept for the rest of the session;
+// see mockOptions.js. Only loaded once the mock API is switched on.
+class MockApi {
+  constructor() {
+    this.options = getMockOptions();
+  }
+
+  isEnabled() {
+    return Boolean(this.options.enabled);
+  }
+
+  getOptions() {
+    return { ...this.options };
+  }
+
+  /**
+   * Change latency or error injection for the following requests
+   *
+   * @param {Object} changes - { latency, error, errorRate, errorPath }
+   */
+  configure(changes) {
+    this.options = { ...this.options, ...changes };
+    storeOptions(this.options);
+  }
+
+  reset() {
+    this.options = { ...DEFAULT_OPTIONS };
+    clearStoredOptions();
+  }
+
+  // The error to inject into a request, if any
+  pickError(path) {
+    const { error, errorRate, errorPath } = this.options;
+    if (!error || (errorPath && !path.startsWith(errorPath))) return null;
+    return Math.random() < errorRate ? error : null;
+  }
+
+  // Route prefix failing with injected outages, for the dependency health report
+  getFailingPath() {
+    const { error, errorRate, errorPath } = this.options;
+    const isOutage = error === MOCK_ERRORS.SERVER_ERROR || error === MOCK_ERRORS.TIMEOUT;
+    return isOutage && errorRate >= MOCK_API_CONFIG.UNHEALTHY_ERROR_RATE ? errorPath || '/' : null;
+  }
+
+  adapter = (config) => new Promise((resolve, reject) => {
+    const path = getRequestPath(config);
+    const injected = this.pickError(path);
+    const request = { mock: true, path };
+    const { signal } = config;
+
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError(null, null, config, request));
+    };
+
+    const respond = () => {
+      signal?.removeEventListener('abort', handleAbort);
+
+      // A timeout never gets a response, just like a hung backend
+      if (injected === MOCK_ERRORS.TIMEOUT) {
+        reject(new axios.AxiosError(
+          `timeout of ${config.timeout}ms exceeded (mock)`,
+          axios.AxiosError.ECONNABORTED,
+          config,
+          request
+        ));
+        return;
+      }
+
+      const result = injected
+        ? buildInjectedResponse(injected)
+        : handleMockRequest({
+          method: config.method,
+          path,
+          params: config.params || {},
+          failingPath: this.getFailingPath(),
+        });
+
+      const response = {
+        // Copy so callers can't mutate shared fixtures
+        data: JSON.parse(JSON.stringify(result.data)),
+        status: result.status,
+        statusText: result.status === HTTP_STATUS.OK ? 'OK' : 'Error',
+        headers: result.headers || {},
+        config,
+        request,
+      };
+
+      if (config.validateStatus?.(response.status) ?? response.status < 400) {
+        resolve(response);
+      } else {
+        reject(new axios.AxiosError(
+          `Request failed with status code ${response.status}`,
+          response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+          config,
+          request,
+          response
+        ));
+      }
+    };
+
+    const delay = injected === MOCK_ERRORS.TIMEOUT
+      ? config.timeout || API_CONFIG.TIMEOUT
+      : withJitter(this.options.latency);
+    const timer = setTimeout(respond, delay);
+
+    if (signal?.aborted) {
+      handleAbort();
+    } else {
+      signal?.addEventListener('abort', handleAbort, { once: true });
+    }
+  });
+}
+
+// Export singleton instance
+const mockApi = new MockApi();
+
+export default mockApi;
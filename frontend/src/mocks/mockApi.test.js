@@ -0,0 +1,138 @@
+import axios from 'axios';
+import mockApi from './mockApi';
+import { handleMockRequest } from './handlers';
+import { API_ENDPOINTS, HTTP_STATUS, MOCK_ERRORS } from '../services/constants';
+import { parseOwnershipDocument } from '../utils/insiders';
+import { buildFinancialStatement } from '../utils/financials';
+import { buildSearchParams, parseSearchQuery } from '../utils/searchQuery';
+
+const get = (path, params) => handleMockRequest({ path, params });
+
+describe('mock API routes', () => {
+  it('searches by free text and structured filters', () => {
+    const byName = get(API_ENDPOINTS.SEARCH, { q: 'apple' });
+    expect(byName.status).toBe(HTTP_STATUS.OK);
+    expect(byName.data.data.results.map(result => result.ticker)).toEqual(['AAPL']);
+
+    const params = buildSearchParams(parseSearchQuery('sector:"financial services" -ticker:JPM'));
+    const filtered = get(API_ENDPOINTS.SEARCH, params).data.data.results;
+    expect(filtered.map(result => result.ticker)).toEqual(['BRK.A']);
+  });
+
+  it('returns 404 for unknown companies', () => {
+    expect(get(`${API_ENDPOINTS.COMPANY_BY_TICKER}/NOPE`).status).toBe(HTTP_STATUS.NOT_FOUND);
+    expect(get(API_ENDPOINTS.COMPANY_LOOKUP, { q: 'NOPE' }).status).toBe(HTTP_STATUS.NOT_FOUND);
+    expect(get('/unknown').status).toBe(HTTP_STATUS.NOT_FOUND);
+  });
+
+  it('looks up a company with its quote and recent filings', () => {
+    const { data } = get(API_ENDPOINTS.COMPANY_LOOKUP, { q: 'MSFT', filings_limit: 3 }).data;
+
+    expect(data.company).toMatchObject({ ticker: 'MSFT', cik: '789019' });
+    expect(data.stock_quote.quote.symbol).toBe('MSFT');
+    expect(data.recent_filings).toHaveLength(3);
+  });
+
+  it('pages filings by cursor and filters by form', () => {
+    const first = get(`${API_ENDPOINTS.FILINGS}/320193`, { limit: 2, form_types: ['10-K'] }).data.data;
+    expect(first.filings).toHaveLength(2);
+    expect(first.filings.every(filing => filing.form === '10-K')).toBe(true);
+    expect(first.has_more).toBe(true);
+
+    const second = get(`${API_ENDPOINTS.FILINGS}/320193`, {
+      limit: 2,
+      form_types: ['10-K'],
+      cursor: first.next_cursor,
+    }).data.data;
+    expect(second.filings[0].filing_date < first.filings[1].filing_date).toBe(true);
+  });
+
+  it('serves Form 4 documents the insiders parser understands', () => {
+    const { filings } = get(`${API_ENDPOINTS.FILINGS}/1318605`, { form_types: ['4'], limit: 1 }).data.data;
+    const document = get(API_ENDPOINTS.FILING_DOCUMENT, { accession_number: filings[0].accession_number }).data.data;
+
+    const ownership = parseOwnershipDocument(document.content);
+    expect(ownership.owners).toHaveLength(1);
+    expect(ownership.transactions[0].shares).toBeGreaterThan(0);
+  });
+
+  it('serves company facts that build financial statements', () => {
+    const facts = get(`${API_ENDPOINTS.COMPANY_FACTS}/0000320193`).data.data;
+
+    const annual = buildFinancialStatement(facts, 'income', 'annual');
+    expect(annual.periods.length).toBeGreaterThanOrEqual(4);
+    expect(annual.rows.find(row => row.key === 'revenue').cells[0].value).toBeGreaterThan(0);
+
+    const quarterly = buildFinancialStatement(facts, 'income', 'quarterly');
+    expect(quarterly.periods.length).toBeGreaterThanOrEqual(4);
+  });
+});
+
+describe('mock API adapter', () => {
+  const client = axios.create({ adapter: mockApi.adapter, timeout: 1000 });
+
+  beforeEach(() => {
+    mockApi.reset();
+    mockApi.configure({ latency: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    mockApi.reset();
+  });
+
+  it('resolves successful routes', async () => {
+    const response = await client.get(`${API_ENDPOINTS.STOCK_QUOTE}/AAPL`);
+
+    expect(response.status).toBe(HTTP_STATUS.OK);
+    expect(response.data.data.quote.symbol).toBe('AAPL');
+  });
+
+  it('rejects error statuses with the response attached', async () => {
+    await expect(client.get(`${API_ENDPOINTS.STOCK_QUOTE}/NOPE`)).rejects.toMatchObject({
+      response: { status: HTTP_STATUS.NOT_FOUND },
+    });
+  });
+
+  it('injects 429s with Retry-After on matching paths only', async () => {
+    mockApi.configure({ error: MOCK_ERRORS.RATE_LIMIT, errorPath: API_ENDPOINTS.STOCK_QUOTE });
+
+    await expect(client.get(`${API_ENDPOINTS.STOCK_QUOTE}/AAPL`)).rejects.toMatchObject({
+      response: { status: HTTP_STATUS.TOO_MANY_REQUESTS, headers: { 'retry-after': '5' } },
+    });
+    await expect(client.get(API_ENDPOINTS.HEALTH_SIMPLE)).resolves.toMatchObject({ status: HTTP_STATUS.OK });
+  });
+
+  it('injects server errors', async () => {
+    mockApi.configure({ error: MOCK_ERRORS.SERVER_ERROR });
+
+    await expect(client.get(API_ENDPOINTS.HEALTH)).rejects.toMatchObject({
+      response: { status: HTTP_STATUS.INTERNAL_SERVER_ERROR },
+    });
+  });
+
+  it('times out without a response', async () => {
+    jest.useFakeTimers();
+    mockApi.configure({ error: MOCK_ERRORS.TIMEOUT });
+
+    const request = client.get(API_ENDPOINTS.HEALTH);
+    jest.advanceTimersByTime(1000);
+
+    const error = await request.catch(err => err);
+    expect(error.code).toBe('ECONNABORTED');
+    expect(error.response).toBeUndefined();
+  });
+
+  it('cancels with the request signal', async () => {
+    mockApi.configure({ latency: 1000 });
+    const controller = new AbortController();
+
+    const request = client.get(API_ENDPOINTS.HEALTH, { signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toBeInstanceOf(axios.CanceledError);
+  });
+});
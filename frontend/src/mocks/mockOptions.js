@@ -0,0 +1,96 @@
+import { MOCK_API_CONFIG, MOCK_ERRORS, STORAGE_KEYS } from '../services/constants';
+
+const { URL_PARAMS } = MOCK_API_CONFIG;
+
+export const DEFAULT_OPTIONS = {
+  enabled: MOCK_API_CONFIG.ENABLED,
+  latency: MOCK_API_CONFIG.LATENCY,
+  error: MOCK_API_CONFIG.ERROR,
+  errorRate: MOCK_API_CONFIG.ERROR_RATE,
+  errorPath: null,
+};
+
+// Utility Functions
+function readStoredOptions() {
+  try {
+    const stored = sessionStorage.getItem(STORAGE_KEYS.MOCK_API);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+export function storeOptions(options) {
+  try {
+    sessionStorage.setItem(STORAGE_KEYS.MOCK_API, JSON.stringify(options));
+  } catch (error) {
+    console.warn('Failed to save mock API options:', error);
+  }
+}
+
+export function clearStoredOptions() {
+  try {
+    sessionStorage.removeItem(STORAGE_KEYS.MOCK_API);
+  } catch (error) {
+    // Nothing stored
+  }
+}
+
+// "?mock", "?mock=1" or "?mock=true" turn the mock API on and "?mock=0" turns it off
+function readUrlOptions() {
+  if (typeof window === 'undefined') return {};
+
+  const params = new URLSearchParams(window.location.search);
+  const options = {};
+
+  if (params.has(URL_PARAMS.ENABLED)) {
+    options.enabled = !['0', 'false'].includes(params.get(URL_PARAMS.ENABLED));
+  }
+  if (params.has(URL_PARAMS.LATENCY)) {
+    options.latency = Math.max(0, Number(params.get(URL_PARAMS.LATENCY)) || 0);
+  }
+  if (params.has(URL_PARAMS.ERROR)) {
+    options.error = Object.values(MOCK_ERRORS).includes(params.get(URL_PARAMS.ERROR))
+      ? params.get(URL_PARAMS.ERROR)
+      : null;
+  }
+  if (params.has(URL_PARAMS.ERROR_RATE)) {
+    options.errorRate = Math.min(1, Math.max(0, Number(params.get(URL_PARAMS.ERROR_RATE)) || 0));
+  }
+  if (params.has(URL_PARAMS.ERROR_PATH)) {
+    options.errorPath = params.get(URL_PARAMS.ERROR_PATH) || null;
+  }
+
+  return options;
+}
+
+// Options come from the environment, then the session, then the URL. Where
+// the mock isn't allowed (production builds without REACT_APP_USE_MOCK_API)
+// the URL and session are ignored, so a shared "?mock=1" link can't switch it on.
+function loadMockOptions() {
+  if (!MOCK_API_CONFIG.ALLOWED) {
+    return { ...DEFAULT_OPTIONS, enabled: false };
+  }
+
+  const urlOptions = readUrlOptions();
+  const options = { ...DEFAULT_OPTIONS, ...readStoredOptions(), ...urlOptions };
+
+  if (Object.keys(urlOptions).length > 0) {
+    storeOptions(options);
+  }
+
+  return options;
+}
+
+// Read once: the adapter is installed, or not, when the app starts
+const pageOptions = loadMockOptions();
+
+export function getMockOptions() {
+  return { ...pageOptions };
+}
+
+// Whether this page load serves the API from fixtures. Kept apart from the
+// adapter so checking it doesn't pull the fixtures into the bundle.
+export function isMockApiEnabled() {
+  return Boolean(pageOptions.enabled);
+}
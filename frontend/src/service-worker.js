@@ -0,0 +1,127 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker built by react-scripts (InjectManifest). It precaches the app
+// shell, answers API GETs for viewed companies from cache when the network is
+// gone, and refreshes those responses from a background sync once it is back.
+
+import { clientsClaim } from 'workbox-core';
+import { CacheExpiration, ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { API_CONFIG, OFFLINE_CONFIG, SW_MESSAGES } from './services/constants';
+
+const FILE_EXTENSION_PATTERN = /\/[^/?]+\.[^/]+$/;
+const API_BASE = new URL(API_CONFIG.BASE_URL, self.location.origin).href.replace(/\/$/, '');
+
+clientsClaim();
+
+// App shell
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for client-side routes, but not for files or the API
+registerRoute(
+  ({ request, url }) => (
+    request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !FILE_EXTENSION_PATTERN.test(url.pathname) &&
+    !url.href.startsWith(API_BASE)
+  ),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Web fonts linked from index.html
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com',
+  new StaleWhileRevalidate({ cacheName: 'google-fonts-stylesheets' })
+);
+
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'google-fonts-webfonts',
+    plugins: [new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 })],
+  })
+);
+
+// API responses
+const matchesPath = (path, prefixes) => prefixes.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+const isCachedApiRequest = ({ request, url }) => {
+  if (request.method !== 'GET' || !url.href.startsWith(API_BASE)) return false;
+
+  const path = url.href.slice(API_BASE.length).split('?')[0];
+  return matchesPath(path, OFFLINE_CONFIG.CACHED_PATHS) && !matchesPath(path, OFFLINE_CONFIG.UNCACHED_PATHS);
+};
+
+// Copy a response with the time it was fetched, which the page reads back when
+// the cached copy is served in place of the network
+const stampResponse = async (response) => {
+  const headers = new Headers(response.headers);
+  headers.set(OFFLINE_CONFIG.CACHED_AT_HEADER, String(Date.now()));
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+};
+
+const API_CACHE_EXPIRATION = {
+  maxEntries: OFFLINE_CONFIG.API_CACHE_MAX_ENTRIES,
+  maxAgeSeconds: OFFLINE_CONFIG.API_CACHE_MAX_AGE,
+};
+
+registerRoute(
+  isCachedApiRequest,
+  new NetworkFirst({
+    cacheName: OFFLINE_CONFIG.API_CACHE_NAME,
+    networkTimeoutSeconds: OFFLINE_CONFIG.NETWORK_TIMEOUT_SECONDS,
+    plugins: [
+      {
+        cacheWillUpdate: async ({ response }) => (response.status === 200 ? stampResponse(response) : null),
+      },
+      new ExpirationPlugin(API_CACHE_EXPIRATION),
+    ],
+  })
+);
+
+// Background sync: refresh the most recently cached API responses, then tell
+// open pages so they can re-render from fresh data
+const refreshCachedResponses = async () => {
+  const cache = await caches.open(OFFLINE_CONFIG.API_CACHE_NAME);
+  const expiration = new CacheExpiration(OFFLINE_CONFIG.API_CACHE_NAME, API_CACHE_EXPIRATION);
+  const requests = (await cache.keys()).slice(-OFFLINE_CONFIG.SYNC_MAX_REQUESTS);
+
+  const results = await Promise.allSettled(requests.map(async (request) => {
+    const response = await fetch(request.url);
+    if (response.status !== 200) {
+      throw new Error(`Refresh failed with status ${response.status}`);
+    }
+    await cache.put(request, await stampResponse(response));
+    await expiration.updateTimestamp(request.url);
+  }));
+
+  const refreshed = results.filter(result => result.status === 'fulfilled').length;
+
+  // Still offline as far as the API is concerned; let the browser retry later
+  if (requests.length > 0 && refreshed === 0) {
+    throw new Error('Unable to refresh cached responses');
+  }
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: SW_MESSAGES.DATA_REFRESHED, refreshed }));
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OFFLINE_CONFIG.SYNC_TAG) {
+    event.waitUntil(refreshCachedResponses());
+  }
+});
+
+// Let the page activate an updated service worker right away
+self.addEventListener('message', (event) => {
+  if (event.data?.type === SW_MESSAGES.SKIP_WAITING) {
+    self.skipWaiting();
+  }
+});
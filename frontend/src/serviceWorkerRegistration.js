@@ -0,0 +1,98 @@
+// Registers the service worker built from src/service-worker.js. Only production
+// builds have one; on localhost we also check that the file really is ours, so a
+// stale worker from another project is unregistered instead of serving its cache.
+
+import { SW_MESSAGES } from './services/constants';
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+  window.location.hostname === '[::1]' ||
+  /^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/.test(window.location.hostname)
+);
+
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+
+          if (navigator.serviceWorker.controller) {
+            // New content is waiting until every tab of the old version closes
+            config?.onUpdate?.(registration);
+          } else {
+            // Everything is precached for offline use
+            config?.onSuccess?.(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error('Service worker registration failed:', error);
+    });
+}
+
+function checkValidServiceWorker(swUrl, config) {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        // No service worker here (e.g. a different app on this port); reload without one
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+    });
+}
+
+/**
+ * Register the service worker once the page has loaded
+ *
+ * @param {Object} config - { onSuccess, onUpdate } callbacks receiving the registration
+ */
+export function register(config) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker cannot control pages outside PUBLIC_URL's origin (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+}
+
+/**
+ * Activate a waiting service worker and reload once it has taken over
+ */
+export function applyUpdate(registration) {
+  if (!registration?.waiting) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  registration.waiting.postMessage({ type: SW_MESSAGES.SKIP_WAITING });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch((error) => {
+      console.error(error.message);
+    });
+}
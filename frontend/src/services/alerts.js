@@ -0,0 +1,376 @@
+import toast from 'react-hot-toast';
+import apiService, { isCancelledError } from './api';
+import quoteStream from './quoteStream';
+import { ALERTS_CONFIG, ALERT_TYPES, STORAGE_KEYS } from './constants';
+import {
+  isQuoteRule,
+  validateAlertRule,
+  describeAlertRule,
+  evaluateQuoteRule,
+  getAverageVolume,
+  findNewFilings,
+} from '../utils/alerts';
+
+// Utility Functions
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function loadList(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    const parsed = stored ? JSON.parse(stored) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.warn('Failed to load alerts:', error);
+    return [];
+  }
+}
+
+function saveList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    console.warn('Failed to save alerts:', error);
+  }
+}
+
+function getNotificationPermission() {
+  return typeof window !== 'undefined' && 'Notification' in window
+    ? window.Notification.permission
+    : 'unsupported';
+}
+
+// Alert Store Class
+// Keeps alert rules and the history of fired alerts in localStorage, and while
+// started evaluates rules against the quote stream and the filings endpoint.
+class AlertStore {
+  constructor() {
+    this.state = {
+      rules: loadList(STORAGE_KEYS.ALERT_RULES),
+      history: loadList(STORAGE_KEYS.ALERT_HISTORY),
+      permission: getNotificationPermission(),
+    };
+    this.listeners = new Set();
+
+    this.started = false;
+    this.quoteSubscriptions = new Map(); // ticker -> unsubscribe
+    this.averageVolumes = new Map(); // ticker -> { value, fetchedAt, pending }
+    this.filingsTimer = null;
+    this.checkingFilings = false;
+
+    // Keep several open tabs in sync
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEYS.ALERT_RULES || event.key === STORAGE_KEYS.ALERT_HISTORY) {
+          this.state = {
+            ...this.state,
+            rules: loadList(STORAGE_KEYS.ALERT_RULES),
+            history: loadList(STORAGE_KEYS.ALERT_HISTORY),
+          };
+          this.emit();
+          this.syncQuoteSubscriptions();
+        }
+      });
+    }
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  emit() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  setRules(updater) {
+    this.state = { ...this.state, rules: updater(this.state.rules) };
+    saveList(STORAGE_KEYS.ALERT_RULES, this.state.rules);
+    this.emit();
+  }
+
+  setHistory(updater) {
+    this.state = { ...this.state, history: updater(this.state.history) };
+    saveList(STORAGE_KEYS.ALERT_HISTORY, this.state.history);
+    this.emit();
+  }
+
+  updateRule(ruleId, changes) {
+    this.setRules(rules => rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+  }
+
+  // Rule management
+  addRule(input) {
+    const rule = {
+      ticker: input.ticker?.toUpperCase(),
+      name: input.name || input.ticker,
+      cik: input.cik || null,
+      type: input.type,
+      value: typeof input.value === 'string' ? input.value.trim() : input.value,
+    };
+
+    const validation = validateAlertRule(rule);
+    if (!validation.isValid) {
+      return { rule: null, error: validation.error };
+    }
+    if (this.state.rules.length >= ALERTS_CONFIG.MAX_RULES) {
+      return { rule: null, error: `You can keep up to ${ALERTS_CONFIG.MAX_RULES} alerts` };
+    }
+
+    const created = {
+      ...rule,
+      id: generateId('alert'),
+      value: rule.type === ALERT_TYPES.NEW_FILING.id ? rule.value.toUpperCase() : Number(rule.value),
+      enabled: true,
+      armed: true,
+      createdAt: new Date().toISOString(),
+      lastTriggeredAt: null,
+      lastAccession: null,
+      filingsCheckedAt: null,
+    };
+
+    this.setRules(rules => [...rules, created]);
+    this.syncQuoteSubscriptions();
+    if (!isQuoteRule(created)) this.checkFilings();
+
+    return { rule: created, error: null };
+  }
+
+  removeRule(ruleId) {
+    this.setRules(rules => rules.filter(rule => rule.id !== ruleId));
+    this.syncQuoteSubscriptions();
+  }
+
+  toggleRule(ruleId) {
+    const rule = this.state.rules.find(item => item.id === ruleId);
+    if (!rule) return;
+
+    // Re-arm on enable so a condition that is already true fires once more
+    this.updateRule(ruleId, { enabled: !rule.enabled, armed: true });
+    this.syncQuoteSubscriptions();
+  }
+
+  // History
+  markHistoryRead() {
+    if (!this.state.history.some(entry => !entry.read)) return;
+    this.setHistory(history => history.map(entry => (entry.read ? entry : { ...entry, read: true })));
+  }
+
+  clearHistory() {
+    this.setHistory(() => []);
+  }
+
+  // Browser notifications
+  async requestPermission() {
+    if (getNotificationPermission() === 'unsupported') return 'unsupported';
+
+    try {
+      await window.Notification.requestPermission();
+    } catch (error) {
+      console.warn('Notification permission request failed:', error);
+    }
+
+    this.state = { ...this.state, permission: getNotificationPermission() };
+    this.emit();
+    return this.state.permission;
+  }
+
+  notify(rule, message, details = {}) {
+    const entry = {
+      id: generateId('event'),
+      ruleId: rule.id,
+      ticker: rule.ticker,
+      type: rule.type,
+      title: describeAlertRule(rule),
+      message,
+      ...details,
+      triggeredAt: new Date().toISOString(),
+      read: false,
+    };
+
+    this.setHistory(history => [entry, ...history].slice(0, ALERTS_CONFIG.MAX_HISTORY));
+    this.updateRule(rule.id, { lastTriggeredAt: entry.triggeredAt });
+
+    toast(message, { id: entry.id, icon: '🔔' });
+
+    // In-app toasts go unseen while the tab is in the background
+    if (typeof document !== 'undefined' && document.hidden && getNotificationPermission() === 'granted') {
+      try {
+        const notification = new window.Notification(entry.title, { body: message, tag: rule.id });
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+      } catch (error) {
+        console.warn('Failed to show notification:', error);
+      }
+    }
+  }
+
+  // Engine lifecycle
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.syncQuoteSubscriptions();
+    this.checkQuotes();
+    this.checkFilings();
+    this.filingsTimer = setInterval(() => this.checkFilings(), ALERTS_CONFIG.FILINGS_POLL_INTERVAL);
+  }
+
+  stop() {
+    this.started = false;
+    clearInterval(this.filingsTimer);
+    this.filingsTimer = null;
+    this.quoteSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.quoteSubscriptions.clear();
+  }
+
+  getActiveQuoteTickers() {
+    return Array.from(new Set(
+      this.state.rules.filter(rule => rule.enabled && isQuoteRule(rule)).map(rule => rule.ticker)
+    ));
+  }
+
+  // Follow exactly the tickers that enabled quote rules need
+  syncQuoteSubscriptions() {
+    if (!this.started) return;
+
+    const tickers = this.getActiveQuoteTickers();
+
+    this.quoteSubscriptions.forEach((unsubscribe, ticker) => {
+      if (!tickers.includes(ticker)) {
+        unsubscribe();
+        this.quoteSubscriptions.delete(ticker);
+      }
+    });
+
+    tickers.forEach(ticker => {
+      if (!this.quoteSubscriptions.has(ticker)) {
+        this.quoteSubscriptions.set(ticker, quoteStream.subscribeQuote(ticker, this.handleQuote));
+      }
+    });
+  }
+
+  // One batch request on start, so rules don't wait for the first stream update
+  async checkQuotes() {
+    const tickers = this.getActiveQuoteTickers();
+    if (tickers.length === 0) return;
+
+    try {
+      const response = await apiService.getBatchStockQuotes(tickers);
+      if (response.status === 'success') {
+        response.data.quotes.forEach(quote => this.handleQuote(quote));
+      }
+    } catch (error) {
+      if (!isCancelledError(error)) {
+        console.warn('Alert quote check failed:', error.message);
+      }
+    }
+  }
+
+  handleQuote = (quote) => {
+    const symbol = quote?.symbol?.toUpperCase();
+    if (!symbol) return;
+
+    this.state.rules
+      .filter(rule => rule.enabled && rule.ticker === symbol && isQuoteRule(rule))
+      .forEach(rule => {
+        const averageVolume = rule.type === ALERT_TYPES.VOLUME_SPIKE.id
+          ? this.getAverageVolume(symbol)
+          : null;
+        const result = evaluateQuoteRule(rule, quote, averageVolume);
+        if (!result) return;
+
+        // Fire once when a condition becomes true, and re-arm once it no longer holds
+        if (result.met && rule.armed) {
+          this.updateRule(rule.id, { armed: false });
+          this.notify(rule, result.message, { price: quote.price ?? null });
+        } else if (!result.met && !rule.armed) {
+          this.updateRule(rule.id, { armed: true });
+        }
+      });
+  };
+
+  // Cached average daily volume; the first quote after a refresh waits for it
+  getAverageVolume(ticker) {
+    const cached = this.averageVolumes.get(ticker);
+    const fresh = cached && Date.now() - cached.fetchedAt < ALERTS_CONFIG.VOLUME_AVERAGE_TTL;
+    if (fresh || cached?.pending) return cached.value;
+
+    this.averageVolumes.set(ticker, { value: cached?.value ?? null, fetchedAt: 0, pending: true });
+
+    apiService.getStockHistory(ticker, { range: ALERTS_CONFIG.VOLUME_AVERAGE_RANGE, interval: '1d' })
+      .then(response => {
+        const data = response.status === 'success' ? response.data : null;
+        const rows = Array.isArray(data) ? data : data?.prices || data?.history || [];
+        this.averageVolumes.set(ticker, { value: getAverageVolume(rows), fetchedAt: Date.now(), pending: false });
+      })
+      .catch(error => {
+        console.warn(`Failed to load average volume for ${ticker}:`, error.message);
+        this.averageVolumes.set(ticker, { value: cached?.value ?? null, fetchedAt: Date.now(), pending: false });
+      });
+
+    return cached?.value ?? null;
+  }
+
+  async checkFilings() {
+    if (!this.started || this.checkingFilings) return;
+
+    const rules = this.state.rules.filter(rule => rule.enabled && rule.type === ALERT_TYPES.NEW_FILING.id);
+    if (rules.length === 0) return;
+
+    this.checkingFilings = true;
+
+    // Rules watching the same company and form share a request
+    const groups = rules.reduce((acc, rule) => {
+      const key = `${rule.cik}:${rule.value}`;
+      acc.set(key, [...(acc.get(key) || []), rule]);
+      return acc;
+    }, new Map());
+
+    try {
+      for (const group of groups.values()) {
+        const { cik, value: form } = group[0];
+
+        try {
+          const response = await apiService.getCompanyFilings(cik, {
+            formTypes: [form],
+            limit: ALERTS_CONFIG.FILINGS_LIMIT,
+            useCache: false,
+          });
+          if (response.status !== 'success') continue;
+
+          const { filings } = response.data;
+          const checkedAt = new Date().toISOString();
+
+          group.forEach(rule => {
+            const { latestAccession, filings: newFilings } = findNewFilings(rule, filings);
+
+            this.updateRule(rule.id, { lastAccession: latestAccession, filingsCheckedAt: checkedAt });
+            newFilings.forEach(filing => {
+              this.notify(rule, `${rule.ticker} filed a new ${filing.form}`, {
+                accessionNumber: filing.accession_number,
+                filingUrl: filing.filing_url || null,
+              });
+            });
+          });
+        } catch (error) {
+          if (!isCancelledError(error)) {
+            console.warn(`Alert filings check failed for ${group[0].ticker}:`, error.message);
+          }
+        }
+      }
+    } finally {
+      this.checkingFilings = false;
+    }
+  }
+}
+
+// Export singleton instance
+const alertStore = new AlertStore();
+
+export default alertStore;
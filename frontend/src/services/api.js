@@ -2,12 +2,27 @@ import axios from 'axios';
 import { 
   API_CONFIG, 
   API_ENDPOINTS, 
+  CIRCUIT_BREAKER_CONFIG,
+  CIRCUIT_FAMILIES,
   HTTP_STATUS, 
   ERROR_TYPES,
   DEFAULT_HEADERS,
   CACHE_CONFIG,
+  OFFLINE_CONFIG,
+  RATE_LIMIT_CONFIG,
+  RATE_LIMIT_GROUPS,
+  SCHEMA_CONFIG,
   STORAGE_KEYS 
 } from './constants';
+import responseCache from './cache';
+import circuitBreaker from './circuitBreaker';
+import networkStatus from './network';
+import rateLimiter from './rateLimiter';
+import schemaMonitor from './schemaMonitor';
+import { hasBlockingIssues, normalizeResponse, validateResponse } from './schemas';
+import { getMockOptions, isMockApiEnabled } from '../mocks/mockOptions';
+import { validateDateRange, validateDate, validateLimit, validateOffset, validateCIK } from '../utils/validators';
+import { buildSearchParams, parseSearchQuery } from '../utils/searchQuery';
 
 // Create axios instance with default configuration
 const apiClient = axios.create({
@@ -16,8 +31,16 @@ const apiClient = axios.create({
   headers: DEFAULT_HEADERS,
 });
 
-// In-memory cache for API responses
-const cache = new Map();
+// Serve every request from fixtures when the mock API is switched on. The
+// adapter is imported on demand so the fixtures stay out of the main bundle.
+if (isMockApiEnabled()) {
+  const mockApiReady = import('../mocks/mockApi').then(module => module.default);
+  apiClient.defaults.adapter = (config) => mockApiReady.then(mockApi => mockApi.adapter(config));
+  console.info('🧪 Using the mock API', getMockOptions());
+}
+
+// In-flight requests shared by every caller asking for the same cache key
+const inFlightRequests = new Map();
 
 // Request interceptor
 apiClient.interceptors.request.use(
@@ -51,9 +74,19 @@ apiClient.interceptors.response.use(
       data: response.data,
     });
     
+    // The service worker answered from its cache because the network is down
+    const cachedAt = Number(response.headers?.[OFFLINE_CONFIG.CACHED_AT_HEADER.toLowerCase()]);
+    if (cachedAt && response.data && typeof response.data === 'object') {
+      response.data = withCachedAt(response.data, cachedAt);
+    }
+    
     return response;
   },
   (error) => {
+    if (axios.isCancel(error)) {
+      return Promise.reject(transformError(error));
+    }
+    
     const duration = error.config?.metadata ? 
       new Date() - error.config.metadata.startTime : 0;
     
@@ -80,30 +113,238 @@ function getCacheKey(url, params = {}) {
   return `${url}${paramString ? `?${paramString}` : ''}`;
 }
 
-function isValidCacheEntry(entry, ttl) {
-  return entry && (Date.now() - entry.timestamp) < ttl;
+function createCancelledError(originalError = null) {
+  return {
+    type: ERROR_TYPES.CANCELLED,
+    message: 'Request was cancelled.',
+    originalError,
+  };
+}
+
+function createValidationError(message, errors = []) {
+  return {
+    type: ERROR_TYPES.VALIDATION_ERROR,
+    message,
+    errors,
+    originalError: null,
+  };
+}
+
+function createCircuitOpenError(family) {
+  const { nextCheckAt } = circuitBreaker.getSnapshot().families[family];
+  return {
+    type: ERROR_TYPES.CIRCUIT_OPEN,
+    message: `${CIRCUIT_BREAKER_CONFIG.LABELS[family]} is temporarily unavailable. Please try again shortly.`,
+    family,
+    retryAt: nextCheckAt,
+    originalError: null,
+  };
+}
+
+function createSchemaError(endpoint, label, issues) {
+  const blocking = hasBlockingIssues(issues, SCHEMA_CONFIG.STRICT);
+  return {
+    type: ERROR_TYPES.SCHEMA_ERROR,
+    message: blocking
+      ? 'The server sent data in an unexpected format.'
+      : 'The server sent fields this version does not know about.',
+    endpoint,
+    label,
+    issues,
+    blocking,
+    originalError: null,
+  };
+}
+
+/**
+ * Check a successful response against its endpoint's schema
+ * Mismatches are reported to the schema monitor; those that leave the payload
+ * unusable are thrown as a SCHEMA_ERROR. Returns the normalized payload.
+ */
+function checkResponse(payload, endpoint, label = endpoint) {
+  if (payload?.status !== 'success') {
+    return payload;
+  }
+
+  const issues = validateResponse(payload, endpoint);
+  if (issues.length > 0) {
+    const error = createSchemaError(endpoint, label, issues);
+    console.warn(`⚠️ Schema mismatch in ${label}:`, issues);
+    schemaMonitor.report(error);
+
+    if (error.blocking) {
+      throw error;
+    }
+  }
+
+  return normalizeResponse(payload, endpoint);
+}
+
+/**
+ * Seconds to wait from a Retry-After header, given in seconds or as an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Resolves after the delay, or as soon as the signal aborts
+function wait(delay, signal) {
+  return new Promise(resolve => {
+    const handleAbort = () => {
+      clearTimeout(timeoutId);
+      resolve();
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', handleAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+// Mark data served in place of the network with when it was fetched
+function withCachedAt(data, timestamp) {
+  return { ...data, cachedAt: timestamp };
+}
+
+export function isCancelledError(error) {
+  return error?.type === ERROR_TYPES.CANCELLED;
+}
+
+// Settle with a cancellation as soon as the caller's signal aborts
+function withAbortSignal(promise, signal, onAbort) {
+  if (!signal) return promise;
+
+  if (signal.aborted) {
+    onAbort();
+    return Promise.reject(createCancelledError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      onAbort();
+      reject(createCancelledError());
+    };
+
+    signal.addEventListener('abort', handleAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', handleAbort));
+  });
 }
 
-function setCache(key, data, ttl = CACHE_CONFIG.DEFAULT_TTL) {
-  cache.set(key, {
-    data,
-    timestamp: Date.now(),
-    ttl,
+/**
+ * Coalesce identical in-flight requests
+ * Every caller shares one underlying request, which is only aborted once all
+ * callers that passed a signal have aborted.
+ */
+function dedupeRequest(key, requestFn, signal) {
+  let shared = inFlightRequests.get(key);
+
+  if (!shared) {
+    const controller = new AbortController();
+    shared = { controller, subscribers: 0 };
+    shared.promise = requestFn(controller.signal).finally(() => {
+      if (inFlightRequests.get(key) === shared) {
+        inFlightRequests.delete(key);
+      }
+    });
+    inFlightRequests.set(key, shared);
+  } else {
+    console.log('🔗 Joining in-flight request:', key);
+  }
+
+  const request = shared;
+  request.subscribers += 1;
+
+  return withAbortSignal(request.promise, signal, () => {
+    request.subscribers -= 1;
+    if (request.subscribers === 0) {
+      request.controller.abort();
+      if (inFlightRequests.get(key) === request) {
+        inFlightRequests.delete(key);
+      }
+    }
   });
 }
 
-function getCache(key, ttl = CACHE_CONFIG.DEFAULT_TTL) {
-  const entry = cache.get(key);
-  if (isValidCacheEntry(entry, ttl)) {
-    return entry.data;
+/**
+ * Serve a request through the response cache
+ * Fresh entries are returned as-is; stale entries are returned immediately
+ * while a background request refreshes them. `refresh` skips both and goes to
+ * the network. When the network or the endpoint's circuit breaker is
+ * unavailable any cached entry, even an expired one, is returned with its
+ * cachedAt time.
+ */
+async function cachedRequest(cacheKey, ttl, requestFn, options = {}) {
+  const { useCache = true, refresh = false, label = cacheKey, signal } = options;
+
+  const fetchAndCache = async (requestSignal) => {
+    const result = await requestFn(requestSignal);
+
+    // Cache successful results, but not copies the service worker served offline
+    if (useCache && result.status === 'success' && !result.cachedAt) {
+      responseCache.set(cacheKey, result, ttl);
+    }
+
+    return result;
+  };
+
+  if (!useCache) {
+    return dedupeRequest(cacheKey, fetchAndCache, signal);
+  }
+
+  const cached = await responseCache.get(cacheKey, { includeExpired: true });
+
+  // The caller may have moved on while the persistent tier was read
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+
+  if (cached && !networkStatus.isOnline()) {
+    console.log('📴 Offline, serving cache for', label);
+    return withCachedAt(cached.data, cached.timestamp);
+  }
+
+  if (cached && !refresh && !cached.isStale) {
+    console.log('📦 Cache hit for', label);
+    return cached.data;
+  }
+
+  if (cached && !refresh && !cached.isExpired) {
+    console.log('♻️ Serving stale cache for', label);
+    dedupeRequest(cacheKey, fetchAndCache).catch(error => {
+      console.warn(`⚠️ Background revalidation failed for ${label}:`, error.message);
+    });
+    return cached.data;
+  }
+
+  try {
+    return await dedupeRequest(cacheKey, fetchAndCache, signal);
+  } catch (error) {
+    if (cached && (error.type === ERROR_TYPES.NETWORK_ERROR || error.type === ERROR_TYPES.CIRCUIT_OPEN)) {
+      console.log('📴 Service unavailable, serving cache for', label);
+      return withCachedAt(cached.data, cached.timestamp);
+    }
+    throw error;
   }
-  cache.delete(key);
-  return null;
 }
 
 function transformError(error) {
+  // Aborted by the caller
+  if (axios.isCancel(error)) {
+    return createCancelledError(error);
+  }
+  
   // Network error
   if (!error.response) {
+    networkStatus.reportNetworkError();
     return {
       type: ERROR_TYPES.NETWORK_ERROR,
       message: 'Network error. Please check your internet connection.',
@@ -134,7 +375,7 @@ function transformError(error) {
       return {
         type: ERROR_TYPES.RATE_LIMIT,
         message: data?.message || 'Too many requests. Please try again later.',
-        retryAfter: error.response.headers['retry-after'],
+        retryAfter: parseRetryAfter(error.response.headers?.['retry-after']),
         originalError: error,
       };
       
@@ -158,26 +399,77 @@ function transformError(error) {
 }
 
 // Retry mechanism
-async function retryRequest(requestFn, maxRetries = API_CONFIG.RETRY_ATTEMPTS) {
+// Every attempt waits for a token from its rate limit group. A 429 holds the
+// whole group for the server's Retry-After before the next attempt; other
+// failures back off exponentially. With a circuit breaker family, an open
+// breaker fails the request straight away and the outcome of all attempts
+// together counts as one success or failure for the breaker.
+async function retryRequest(requestFn, options = {}) {
+  const { maxRetries = API_CONFIG.RETRY_ATTEMPTS, group, family, signal } = options;
   let lastError;
   
+  if (family) {
+    if (!circuitBreaker.allowRequest(family)) {
+      throw createCircuitOpenError(family);
+    }
+    
+    try {
+      const response = await retryRequest(requestFn, { ...options, family: null });
+      circuitBreaker.recordSuccess(family);
+      return response;
+    } catch (error) {
+      circuitBreaker.recordFailure(family, error);
+      throw error;
+    }
+  }
+  
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    if (group) {
+      await rateLimiter.acquire(group, signal);
+    }
+    
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+    
     try {
       return await requestFn();
     } catch (error) {
       lastError = error;
       
       // Don't retry on certain error types
-      if (error.type === ERROR_TYPES.VALIDATION_ERROR || 
+      if (error.type === ERROR_TYPES.CANCELLED ||
+          error.type === ERROR_TYPES.VALIDATION_ERROR || 
           error.type === ERROR_TYPES.NOT_FOUND ||
           error.originalError?.response?.status === HTTP_STATUS.BAD_REQUEST) {
         throw error;
       }
       
+      if (error.type === ERROR_TYPES.RATE_LIMIT) {
+        const retryAfter = error.retryAfter ?? RATE_LIMIT_CONFIG.DEFAULT_RETRY_AFTER;
+        lastError = { ...error, retryAfter, group };
+        
+        if (group) {
+          rateLimiter.block(group, retryAfter);
+        }
+        
+        // Long waits are left to the user rather than holding the request open
+        if (attempt >= maxRetries || retryAfter > RATE_LIMIT_CONFIG.MAX_RETRY_AFTER) {
+          throw lastError;
+        }
+        
+        console.log(`⏳ Rate limited, retrying (attempt ${attempt + 1}/${maxRetries}) after ${retryAfter}s`);
+        // The limiter holds grouped requests until then
+        if (!group) {
+          await wait(retryAfter * 1000, signal);
+        }
+        continue;
+      }
+      
       // Wait before retrying (exponential backoff)
       if (attempt < maxRetries) {
         const delay = API_CONFIG.RETRY_DELAY * Math.pow(2, attempt - 1);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await wait(delay, signal);
         console.log(`🔄 Retrying request (attempt ${attempt + 1}/${maxRetries}) after ${delay}ms`);
       }
     }
@@ -199,50 +491,60 @@ class ApiService {
     return response.data;
   }
   
+  // Status of each backend dependency, keyed like CIRCUIT_FAMILIES
+  async checkDependencies() {
+    const response = await apiClient.get(API_ENDPOINTS.HEALTH_DEPENDENCIES);
+    return response.data;
+  }
+  
   // Search endpoints
+  // Structured queries ("sector:energy exchange:NYSE") are sent as separate params
   async searchCompanies(query, options = {}) {
-    const { limit, useCache = true } = options;
-    const params = { q: query };
+    const { limit, useCache = true, refresh = false, signal } = options;
+    const params = buildSearchParams(parseSearchQuery(query));
+    if (Object.keys(params).length === 0) params.q = query;
     if (limit) params.limit = limit;
     
     const cacheKey = getCacheKey(`search:${query}`, params);
     
-    // Check cache first
-    if (useCache) {
-      const cached = getCache(cacheKey, CACHE_CONFIG.SEARCH_TTL);
-      if (cached) {
-        console.log('📦 Cache hit for search:', query);
-        return cached;
-      }
-    }
-    
-    // Make API request with retry
-    const response = await retryRequest(() => 
-      apiClient.get(API_ENDPOINTS.SEARCH, { params })
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.SEARCH_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(API_ENDPOINTS.SEARCH, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.SEARCH, family: CIRCUIT_FAMILIES.SEARCH }
+        );
+        return checkResponse(response.data, 'SEARCH', `search ${query}`);
+      },
+      { useCache, refresh, signal, label: `search ${query}` }
     );
-    
-    const result = response.data;
-    
-    // Cache successful results
-    if (useCache && result.status === 'success') {
-      setCache(cacheKey, result, CACHE_CONFIG.SEARCH_TTL);
-    }
-    
-    return result;
   }
   
   async getSearchSuggestions(query, options = {}) {
-    const { limit = 5 } = options;
+    const { limit = 5, signal } = options;
     const params = { q: query, limit };
     
-    const response = await apiClient.get(API_ENDPOINTS.SEARCH_SUGGESTIONS, { params });
-    return response.data;
+    // Suggestions are not cached, but identical keystrokes still share a request
+    return dedupeRequest(
+      getCacheKey(`suggestions:${query}`, params),
+      async (requestSignal) => {
+        // Only the latest keystroke matters, so suggestions are never retried
+        const response = await retryRequest(
+          () => apiClient.get(API_ENDPOINTS.SEARCH_SUGGESTIONS, { params, signal: requestSignal }),
+          { maxRetries: 1, signal: requestSignal, group: RATE_LIMIT_GROUPS.SEARCH, family: CIRCUIT_FAMILIES.SEARCH }
+        );
+        return checkResponse(response.data, 'SUGGESTIONS', `suggestions ${query}`);
+      },
+      signal
+    );
   }
   
-  async validateSearchQuery(query) {
+  async validateSearchQuery(query, options = {}) {
+    const { signal } = options;
     const params = { q: query };
     
-    const response = await apiClient.get(API_ENDPOINTS.SEARCH_VALIDATE, { params });
+    const response = await apiClient.get(API_ENDPOINTS.SEARCH_VALIDATE, { params, signal });
     return response.data;
   }
   
@@ -252,7 +554,9 @@ class ApiService {
       includeStock = true, 
       includeFilings = true, 
       filingsLimit = 5,
-      useCache = true 
+      useCache = true,
+      refresh = false,
+      signal,
     } = options;
     
     const params = {
@@ -264,148 +568,229 @@ class ApiService {
     
     const cacheKey = getCacheKey(`lookup:${query}`, params);
     
-    // Check cache first
-    if (useCache) {
-      const cached = getCache(cacheKey, CACHE_CONFIG.COMPANY_TTL);
-      if (cached) {
-        console.log('📦 Cache hit for company lookup:', query);
-        return cached;
-      }
-    }
-    
-    // Make API request with retry
-    const response = await retryRequest(() => 
-      apiClient.get(API_ENDPOINTS.COMPANY_LOOKUP, { params })
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.COMPANY_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(API_ENDPOINTS.COMPANY_LOOKUP, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.SEARCH, family: CIRCUIT_FAMILIES.ANALYSIS }
+        );
+        return checkResponse(response.data, 'COMPANY_LOOKUP', `company lookup ${query}`);
+      },
+      { useCache, refresh, signal, label: `company lookup ${query}` }
     );
-    
-    const result = response.data;
-    
-    // Cache successful results
-    if (useCache && result.status === 'success') {
-      setCache(cacheKey, result, CACHE_CONFIG.COMPANY_TTL);
-    }
-    
-    return result;
   }
   
   async getCompanyByTicker(ticker, options = {}) {
-    const { useCache = true } = options;
+    const { useCache = true, refresh = false, signal } = options;
     const url = `${API_ENDPOINTS.COMPANY_BY_TICKER}/${ticker}`;
     
     const cacheKey = getCacheKey(`company:${ticker}`);
     
-    // Check cache first
-    if (useCache) {
-      const cached = getCache(cacheKey, CACHE_CONFIG.COMPANY_TTL);
-      if (cached) {
-        console.log('📦 Cache hit for company:', ticker);
-        return cached;
-      }
-    }
-    
-    const response = await retryRequest(() => apiClient.get(url));
-    const result = response.data;
-    
-    // Cache successful results
-    if (useCache && result.status === 'success') {
-      setCache(cacheKey, result, CACHE_CONFIG.COMPANY_TTL);
-    }
-    
-    return result;
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.COMPANY_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(url, { signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.SEARCH, family: CIRCUIT_FAMILIES.SEARCH }
+        );
+        return checkResponse(response.data, 'COMPANY', `company ${ticker}`);
+      },
+      { useCache, refresh, signal, label: `company ${ticker}` }
+    );
   }
   
   // Stock endpoints
   async getStockQuote(ticker, options = {}) {
-    const { detailed = false, useCache = true } = options;
+    const { detailed = false, useCache = true, signal } = options;
     const url = `${API_ENDPOINTS.STOCK_QUOTE}/${ticker}`;
     const params = { detailed };
     
     const cacheKey = getCacheKey(`stock:${ticker}`, params);
     
-    // Check cache first (shorter TTL for stock data)
-    if (useCache) {
-      const cached = getCache(cacheKey, CACHE_CONFIG.STOCK_TTL);
-      if (cached) {
-        console.log('📦 Cache hit for stock:', ticker);
-        return cached;
-      }
-    }
-    
-    const response = await retryRequest(() => 
-      apiClient.get(url, { params })
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.STOCK_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(url, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.QUOTES, family: CIRCUIT_FAMILIES.STOCK }
+        );
+        return checkResponse(response.data, 'STOCK_QUOTE', `stock ${ticker}`);
+      },
+      { useCache, signal, label: `stock ${ticker}` }
     );
-    
-    const result = response.data;
-    
-    // Cache successful results
-    if (useCache && result.status === 'success') {
-      setCache(cacheKey, result, CACHE_CONFIG.STOCK_TTL);
-    }
-    
-    return result;
   }
   
+  async getStockHistory(ticker, options = {}) {
+    const { range = '1M', interval, useCache = true, signal } = options;
+    const url = `${API_ENDPOINTS.STOCK_HISTORY}/${ticker}`;
+    const params = { range };
+    if (interval) params.interval = interval;
+    
+    const cacheKey = getCacheKey(`history:${ticker}`, params);
+    
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.HISTORY_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(url, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.QUOTES, family: CIRCUIT_FAMILIES.STOCK }
+        );
+        return response.data;
+      },
+      { useCache, signal, label: `stock history ${ticker} ${range}` }
+    );
+  }
+  
+  // Batch quotes are never cached
   async getBatchStockQuotes(tickers, options = {}) {
-    const { useCache = false } = options; // Disable cache for batch requests
+    const { signal } = options;
     const params = { tickers };
     
-    const response = await retryRequest(() => 
-      apiClient.get(API_ENDPOINTS.STOCK_BATCH, { params })
+    const response = await retryRequest(
+      () => apiClient.get(API_ENDPOINTS.STOCK_BATCH, { params, signal }),
+      { signal, group: RATE_LIMIT_GROUPS.QUOTES, family: CIRCUIT_FAMILIES.STOCK }
     );
     
-    return response.data;
+    return checkResponse(response.data, 'STOCK_BATCH', 'batch quotes');
   }
   
   // SEC filings endpoints
+  // Pages are addressed by offset, or by the cursor returned with the previous page.
+  // Form types and the filing date range (YYYY-MM-DD, either end optional) are filtered server-side.
   async getCompanyFilings(cik, options = {}) {
-    const { formTypes, limit = 10, useCache = true } = options;
+    const { formTypes, from, to, limit = 10, offset = 0, cursor, useCache = true, signal } = options;
     const url = `${API_ENDPOINTS.FILINGS}/${cik}`;
-    const params = { limit };
+    
+    const limitCheck = validateLimit(limit);
+    const offsetCheck = validateOffset(offset);
+    if (!limitCheck.isValid || !offsetCheck.isValid) {
+      throw createValidationError(
+        `Invalid filings page: ${limitCheck.error || offsetCheck.error}`,
+        [limitCheck.error, offsetCheck.error].filter(Boolean)
+      );
+    }
+    
+    const params = { limit: limitCheck.value ?? 10 };
+    
+    if (cursor) {
+      params.cursor = cursor;
+    } else if (offsetCheck.value) {
+      params.offset = offsetCheck.value;
+    }
     
     if (formTypes && formTypes.length > 0) {
       params.form_types = formTypes;
     }
     
-    const cacheKey = getCacheKey(`filings:${cik}`, params);
-    
-    // Check cache first
-    if (useCache) {
-      const cached = getCache(cacheKey, CACHE_CONFIG.FILINGS_TTL);
-      if (cached) {
-        console.log('📦 Cache hit for filings:', cik);
-        return cached;
+    if (from || to) {
+      const rangeCheck = from && to
+        ? validateDateRange(from, to)
+        : validateDate(from || to);
+      if (!rangeCheck.isValid) {
+        throw createValidationError(`Invalid filing date range: ${rangeCheck.error}`, [rangeCheck.error]);
       }
+      
+      if (from) params.from_date = from;
+      if (to) params.to_date = to;
     }
     
-    const response = await retryRequest(() => 
-      apiClient.get(url, { params })
+    // Every page gets its own cache entry
+    
+    const cacheKey = getCacheKey(`filings:${cik}`, params);
+    
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.FILINGS_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(url, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.FILINGS, family: CIRCUIT_FAMILIES.FILINGS }
+        );
+        return checkResponse(response.data, 'FILINGS', `filings ${cik}`);
+      },
+      { useCache, signal, label: `filings ${cik}` }
     );
+  }
+  
+  // Full filing document (HTML or plain text), proxied through the API
+  async getFilingDocument(filing, options = {}) {
+    const { useCache = true, signal } = options;
+    const { accession_number: accessionNumber, filing_url: filingUrl } = filing || {};
     
-    const result = response.data;
+    if (!accessionNumber && !filingUrl) {
+      throw createValidationError('A filing URL or accession number is required');
+    }
+    
+    const params = {};
+    if (accessionNumber) params.accession_number = accessionNumber;
+    if (filingUrl) params.url = filingUrl;
+    
+    const cacheKey = getCacheKey(`document:${accessionNumber || filingUrl}`);
+    
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.DOCUMENT_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(API_ENDPOINTS.FILING_DOCUMENT, { params, signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.FILINGS, family: CIRCUIT_FAMILIES.FILINGS }
+        );
+        return response.data;
+      },
+      { useCache, signal, label: `filing document ${accessionNumber || filingUrl}` }
+    );
+  }
+  
+  // XBRL company facts (every reported value, by taxonomy and concept)
+  async getCompanyFacts(cik, options = {}) {
+    const { useCache = true, signal } = options;
     
-    // Cache successful results
-    if (useCache && result.status === 'success') {
-      setCache(cacheKey, result, CACHE_CONFIG.FILINGS_TTL);
+    const cikCheck = validateCIK(cik);
+    if (!cikCheck.isValid) {
+      throw createValidationError(`Invalid CIK: ${cikCheck.error}`, [cikCheck.error]);
     }
     
-    return result;
+    const cacheKey = getCacheKey(`facts:${cikCheck.value}`);
+    
+    return cachedRequest(
+      cacheKey,
+      CACHE_CONFIG.FACTS_TTL,
+      async (requestSignal) => {
+        const response = await retryRequest(
+          () => apiClient.get(`${API_ENDPOINTS.COMPANY_FACTS}/${cikCheck.value}`, { signal: requestSignal }),
+          { signal: requestSignal, group: RATE_LIMIT_GROUPS.FILINGS, family: CIRCUIT_FAMILIES.FILINGS }
+        );
+        return response.data;
+      },
+      { useCache, signal, label: `company facts ${cikCheck.value}` }
+    );
   }
   
   // Utility methods
-  clearCache() {
-    cache.clear();
+  // Clears both the memory and IndexedDB tiers
+  async clearCache() {
+    await responseCache.clear();
     console.log('🗑️ API cache cleared');
   }
   
-  getCacheStats() {
-    return {
-      size: cache.size,
-      entries: Array.from(cache.entries()).map(([key, value]) => ({
-        key,
-        age: Date.now() - value.timestamp,
-        ttl: value.ttl,
-      })),
-    };
+  // Entry counts and byte sizes for the memory and IndexedDB tiers
+  async getCacheStats() {
+    return responseCache.getStats();
+  }
+  
+  // Tokens, queued requests and Retry-After blocks for every rate limit group
+  getRateLimitState() {
+    return rateLimiter.getSnapshot();
+  }
+  
+  // Status, failure count and next health check for every circuit breaker
+  getCircuitState() {
+    return circuitBreaker.getSnapshot();
   }
   
   // Save recent searches to localStorage
@@ -441,22 +826,31 @@ class ApiService {
 // Export singleton instance
 const apiService = new ApiService();
 
+// Open circuit breakers ask the dependency health endpoint when to retry
+circuitBreaker.setHealthCheck(() => apiService.checkDependencies());
+
 export default apiService;
 
 // Export individual methods for convenience
 export const {
   checkHealth,
   checkHealthSimple,
+  checkDependencies,
   searchCompanies,
   getSearchSuggestions,
   validateSearchQuery,
   lookupCompany,
   getCompanyByTicker,
   getStockQuote,
+  getStockHistory,
   getBatchStockQuotes,
   getCompanyFilings,
+  getFilingDocument,
+  getCompanyFacts,
   clearCache,
   getCacheStats,
+  getRateLimitState,
+  getCircuitState,
   saveRecentSearch,
   getRecentSearches,
   clearRecentSearches,
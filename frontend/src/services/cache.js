@@ -0,0 +1,333 @@
+import { CACHE_CONFIG, STORAGE_KEYS } from './constants';
+
+const DB_NAME = `${STORAGE_KEYS.CACHE_PREFIX}db`;
+// Version 2 stores responses normalized by services/schemas.js
+const DB_VERSION = 2;
+const STORE_NAME = 'responses';
+
+// Utility Functions
+function estimateSize(data) {
+  try {
+    // UTF-16 strings take two bytes per character
+    return JSON.stringify(data).length * 2;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      } else {
+        // Responses cached by an older version may not match the current shape
+        request.transaction.objectStore(STORE_NAME).clear();
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('IndexedDB unavailable, using memory cache only:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+}
+
+function isExpired(entry, now = Date.now()) {
+  return now - entry.timestamp > entry.ttl + CACHE_CONFIG.MAX_STALE_AGE;
+}
+
+// Response Cache Class
+// Two tiers: a memory Map for instant reads and IndexedDB so responses survive
+// reloads. Both tiers are evicted least-recently-used first once over budget.
+class ResponseCache {
+  constructor(options = {}) {
+    const {
+      maxMemoryBytes = CACHE_CONFIG.MEMORY_MAX_BYTES,
+      maxPersistentBytes = CACHE_CONFIG.PERSISTENT_MAX_BYTES,
+    } = options;
+
+    this.maxMemoryBytes = maxMemoryBytes;
+    this.maxPersistentBytes = maxPersistentBytes;
+
+    // Map iteration order doubles as LRU order (oldest first)
+    this.memory = new Map();
+    this.memoryBytes = 0;
+
+    // Metadata for every persisted entry, so eviction never has to scan the store
+    this.persistentIndex = new Map();
+    this.persistentBytes = 0;
+
+    this.dbPromise = null;
+  }
+
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openDatabase()
+        .then(async (db) => {
+          if (db) await this.loadIndex(db);
+          return db;
+        })
+        .catch((error) => {
+          console.warn('Failed to open response cache:', error);
+          return null;
+        });
+    }
+    return this.dbPromise;
+  }
+
+  async loadIndex(db) {
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const entries = await requestToPromise(store.getAll());
+    const now = Date.now();
+    const expiredKeys = [];
+
+    entries.forEach((entry) => {
+      if (isExpired(entry, now)) {
+        expiredKeys.push(entry.key);
+      } else {
+        this.indexPersistent(entry);
+      }
+    });
+
+    if (expiredKeys.length > 0) {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      expiredKeys.forEach(key => tx.objectStore(STORE_NAME).delete(key));
+    }
+  }
+
+  // Reads
+  // Expired entries are dropped unless includeExpired asks for them, which the
+  // API client does to keep showing something while offline
+  async get(key, options = {}) {
+    const { includeExpired = false } = options;
+    let entry = this.memory.get(key);
+
+    if (entry) {
+      this.writeMemory(entry);
+    } else {
+      entry = await this.readPersistent(key);
+      if (entry) this.writeMemory(entry);
+    }
+
+    if (!entry) return null;
+
+    const now = Date.now();
+    const expired = isExpired(entry, now);
+    if (expired && !includeExpired) {
+      this.delete(key);
+      return null;
+    }
+
+    const meta = this.persistentIndex.get(key);
+    if (meta) meta.lastAccessed = now;
+
+    return {
+      data: entry.data,
+      timestamp: entry.timestamp,
+      isStale: now - entry.timestamp >= entry.ttl,
+      isExpired: expired,
+    };
+  }
+
+  async readPersistent(key) {
+    const db = await this.getDatabase();
+    if (!db || !this.persistentIndex.has(key)) return null;
+
+    try {
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      return (await requestToPromise(store.get(key))) || null;
+    } catch (error) {
+      console.warn('Failed to read cached response:', error);
+      return null;
+    }
+  }
+
+  // Writes
+  set(key, data, ttl = CACHE_CONFIG.DEFAULT_TTL) {
+    const now = Date.now();
+    const entry = {
+      key,
+      data,
+      timestamp: now,
+      ttl,
+      size: estimateSize(data),
+      lastAccessed: now,
+    };
+
+    this.writeMemory(entry);
+    this.writePersistent(entry);
+  }
+
+  writeMemory(entry) {
+    const existing = this.memory.get(entry.key);
+    if (existing) {
+      this.memoryBytes -= existing.size;
+      this.memory.delete(entry.key);
+    }
+
+    this.memory.set(entry.key, entry);
+    this.memoryBytes += entry.size;
+
+    // Evict least recently used entries, always keeping the newest one
+    while (this.memoryBytes > this.maxMemoryBytes && this.memory.size > 1) {
+      const [oldestKey, oldest] = this.memory.entries().next().value;
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.size;
+    }
+  }
+
+  async writePersistent(entry) {
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    // Too large to persist, but the older copy mustn't outlive it across reloads
+    if (entry.size > this.maxPersistentBytes) {
+      if (this.forgetPersistent(entry.key)) {
+        db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(entry.key);
+      }
+      return;
+    }
+
+    try {
+      const tx = db.transaction(STORE_NAME, 'readwrite');
+      tx.objectStore(STORE_NAME).put(entry);
+      this.indexPersistent(entry);
+      this.evictPersistent(tx.objectStore(STORE_NAME));
+    } catch (error) {
+      console.warn('Failed to persist cached response:', error);
+    }
+  }
+
+  indexPersistent(entry) {
+    const existing = this.persistentIndex.get(entry.key);
+    if (existing) {
+      this.persistentBytes -= existing.size;
+    }
+
+    this.persistentIndex.set(entry.key, {
+      size: entry.size,
+      timestamp: entry.timestamp,
+      ttl: entry.ttl,
+      lastAccessed: entry.lastAccessed,
+    });
+    this.persistentBytes += entry.size;
+  }
+
+  evictPersistent(store) {
+    if (this.persistentBytes <= this.maxPersistentBytes) return;
+
+    const byLastAccess = Array.from(this.persistentIndex.entries())
+      .sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed);
+
+    for (const [key, meta] of byLastAccess) {
+      if (this.persistentBytes <= this.maxPersistentBytes) break;
+
+      store.delete(key);
+      this.persistentIndex.delete(key);
+      this.persistentBytes -= meta.size;
+    }
+  }
+
+  async delete(key) {
+    const entry = this.memory.get(key);
+    if (entry) {
+      this.memory.delete(key);
+      this.memoryBytes -= entry.size;
+    }
+
+    if (!this.forgetPersistent(key)) return;
+
+    const db = await this.getDatabase();
+    if (db) {
+      db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).delete(key);
+    }
+  }
+
+  // Drop a key from the persisted index; true when it was there
+  forgetPersistent(key) {
+    const meta = this.persistentIndex.get(key);
+    if (!meta) return false;
+
+    this.persistentIndex.delete(key);
+    this.persistentBytes -= meta.size;
+    return true;
+  }
+
+  async clear() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+    this.persistentIndex.clear();
+    this.persistentBytes = 0;
+
+    const db = await this.getDatabase();
+    if (db) {
+      try {
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await requestToPromise(store.clear());
+      } catch (error) {
+        console.warn('Failed to clear persistent cache:', error);
+      }
+    }
+  }
+
+  async getStats() {
+    const db = await this.getDatabase();
+    const now = Date.now();
+
+    const describe = (key, meta, tier) => ({
+      key,
+      tier,
+      age: now - meta.timestamp,
+      ttl: meta.ttl,
+      size: meta.size,
+      isStale: now - meta.timestamp >= meta.ttl,
+    });
+
+    const entries = [
+      ...Array.from(this.memory.entries()).map(([key, entry]) => describe(key, entry, 'memory')),
+      ...Array.from(this.persistentIndex.entries())
+        .filter(([key]) => !this.memory.has(key))
+        .map(([key, meta]) => describe(key, meta, 'persistent')),
+    ];
+
+    return {
+      size: entries.length,
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: this.maxMemoryBytes,
+      },
+      persistent: {
+        available: Boolean(db),
+        entries: this.persistentIndex.size,
+        bytes: this.persistentBytes,
+        maxBytes: this.maxPersistentBytes,
+      },
+      entries,
+    };
+  }
+}
+
+// Create and export singleton instance; the class is exported for tests
+// that need their own budgets
+const responseCache = new ResponseCache();
+
+export { ResponseCache };
+
+export default responseCache;
@@ -0,0 +1,106 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { ResponseCache } from './cache';
+import { CACHE_CONFIG } from './constants';
+
+// Let fire-and-forget IndexedDB writes land
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Estimated bytes of a cached string, as cache.js counts them
+const sizeOf = (data) => JSON.stringify(data).length * 2;
+
+describe('response cache', () => {
+  let now;
+
+  beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    delete global.indexedDB;
+  });
+
+  it('evicts the least recently used entries from memory first', async () => {
+    const cache = new ResponseCache({ maxMemoryBytes: sizeOf('aaaa') * 2 });
+
+    cache.set('a', 'aaaa');
+    cache.set('b', 'bbbb');
+    await cache.get('a');
+    cache.set('c', 'cccc');
+
+    expect(Array.from(cache.memory.keys())).toEqual(['a', 'c']);
+  });
+
+  it('marks entries stale after their ttl and expired after the max stale age', async () => {
+    const cache = new ResponseCache();
+    cache.set('quote', { price: 190 }, 1000);
+    await settle();
+
+    expect(await cache.get('quote')).toMatchObject({ data: { price: 190 }, isStale: false, isExpired: false });
+
+    now += 1000;
+    expect(await cache.get('quote')).toMatchObject({ isStale: true, isExpired: false });
+
+    now += CACHE_CONFIG.MAX_STALE_AGE + 1;
+    expect(await cache.get('quote', { includeExpired: true })).toMatchObject({
+      data: { price: 190 },
+      isStale: true,
+      isExpired: true,
+    });
+    expect(await cache.get('quote')).toBeNull();
+    expect(await cache.get('quote', { includeExpired: true })).toBeNull();
+  });
+
+  it('serves persisted entries after a reload', async () => {
+    const cache = new ResponseCache();
+    cache.set('company', { ticker: 'AAPL' });
+    await settle();
+
+    const reloaded = new ResponseCache();
+    expect(await reloaded.get('company')).toMatchObject({ data: { ticker: 'AAPL' } });
+  });
+
+  it('evicts the least recently used persisted entries once over budget', async () => {
+    const cache = new ResponseCache({ maxPersistentBytes: sizeOf('aaaa') * 2 });
+
+    cache.set('a', 'aaaa');
+    await settle();
+    now += 1;
+    cache.set('b', 'bbbb');
+    await settle();
+    now += 1;
+    await cache.get('a');
+    cache.set('c', 'cccc');
+    await settle();
+
+    const reloaded = new ResponseCache();
+    expect(await reloaded.get('a')).not.toBeNull();
+    expect(await reloaded.get('b')).toBeNull();
+    expect(await reloaded.get('c')).not.toBeNull();
+  });
+
+  it('drops the persisted copy when a newer response is too large to persist', async () => {
+    const cache = new ResponseCache({ maxPersistentBytes: sizeOf('small') });
+
+    cache.set('filings', 'small');
+    await settle();
+    cache.set('filings', 'much larger response');
+    await settle();
+
+    expect((await cache.get('filings')).data).toBe('much larger response');
+
+    const reloaded = new ResponseCache({ maxPersistentBytes: sizeOf('small') });
+    expect(await reloaded.get('filings')).toBeNull();
+  });
+
+  it('keeps working in memory without IndexedDB', async () => {
+    delete global.indexedDB;
+    const cache = new ResponseCache();
+
+    cache.set('search', ['AAPL']);
+
+    expect(await cache.get('search')).toMatchObject({ data: ['AAPL'] });
+    expect((await cache.getStats()).persistent.available).toBe(false);
+  });
+});
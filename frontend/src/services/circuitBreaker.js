@@ -0,0 +1,218 @@
+import { CIRCUIT_BREAKER_CONFIG, CIRCUIT_FAMILIES, CIRCUIT_STATES, ERROR_TYPES } from './constants';
+import networkStatus from './network';
+
+const OUTAGE_ERRORS = [ERROR_TYPES.NETWORK_ERROR, ERROR_TYPES.TIMEOUT_ERROR, ERROR_TYPES.SERVER_ERROR];
+
+// Utility Functions
+function createCircuit() {
+  return {
+    status: CIRCUIT_STATES.CLOSED,
+    failures: 0,
+    openedAt: null,
+    nextCheckAt: null,
+    lastError: null,
+  };
+}
+
+// Dependencies may be reported as a bare status or as { status, ... }
+function isRecovered(dependency) {
+  if (!dependency) return true;
+  const status = typeof dependency === 'string' ? dependency : dependency.status;
+  return CIRCUIT_BREAKER_CONFIG.HALF_OPEN_STATUSES.includes(String(status).toLowerCase());
+}
+
+/**
+ * Whether an error means the backend dependency itself is down, or is
+ * already known to be
+ */
+export function isOutageError(error) {
+  return OUTAGE_ERRORS.includes(error?.type) || error?.type === ERROR_TYPES.CIRCUIT_OPEN;
+}
+
+// Circuit Breaker Class
+// One breaker per backend dependency (see CIRCUIT_BREAKER_CONFIG). Open
+// breakers are polled through the injected health check, which resolves with
+// the /health/dependencies payload, to decide when to half-open. The state of
+// every breaker is readable from React through useSyncExternalStore.
+class CircuitBreaker {
+  constructor() {
+    this.state = {
+      families: Object.fromEntries(Object.values(CIRCUIT_FAMILIES).map(family => [family, createCircuit()])),
+    };
+    this.listeners = new Set();
+    this.trials = new Set();
+    this.healthCheck = null;
+    this.healthTimer = null;
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  setFamily(family, changes) {
+    this.state = {
+      ...this.state,
+      families: {
+        ...this.state.families,
+        [family]: { ...this.state.families[family], ...changes },
+      },
+    };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Set the function open breakers use to ask whether their dependency is back
+   *
+   * @param {Function} healthCheck - Resolves with { dependencies: { [family]: ... } }
+   */
+  setHealthCheck(healthCheck) {
+    this.healthCheck = healthCheck;
+  }
+
+  // Whether requests for a family may be sent; doesn't claim the half-open trial
+  isAvailable(family) {
+    const circuit = this.state.families[family];
+    return !CIRCUIT_BREAKER_CONFIG.ENABLED || !circuit || circuit.status !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Ask to send a request for a family
+   * A half-open breaker lets a single trial request through at a time; its
+   * outcome must be passed to recordSuccess or recordFailure.
+   *
+   * @param {string} family - One of CIRCUIT_FAMILIES
+   * @returns {boolean} - false when the request should fail fast
+   */
+  allowRequest(family) {
+    const circuit = this.state.families[family];
+    if (!CIRCUIT_BREAKER_CONFIG.ENABLED || !circuit) return true;
+
+    if (circuit.status === CIRCUIT_STATES.OPEN) return false;
+
+    if (circuit.status === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trials.has(family)) return false;
+      this.trials.add(family);
+    }
+
+    return true;
+  }
+
+  recordSuccess(family) {
+    this.trials.delete(family);
+
+    const circuit = this.state.families[family];
+    if (!circuit || (circuit.status === CIRCUIT_STATES.CLOSED && circuit.failures === 0)) return;
+
+    if (circuit.status !== CIRCUIT_STATES.CLOSED) {
+      console.log(`✅ ${CIRCUIT_BREAKER_CONFIG.LABELS[family]} recovered, closing circuit`);
+    }
+    this.setFamily(family, createCircuit());
+    this.scheduleHealthCheck();
+  }
+
+  /**
+   * Count a failed request against its family
+   * Only outages count. Any other error the server responded with means the
+   * dependency answered; errors raised before a request left the client (a
+   * full rate limit queue, local validation) say nothing either way and only
+   * release the trial. So do errors while the browser is offline.
+   */
+  recordFailure(family, error) {
+    this.trials.delete(family);
+
+    const circuit = this.state.families[family];
+    if (!circuit || error?.type === ERROR_TYPES.CANCELLED || error?.type === ERROR_TYPES.CIRCUIT_OPEN) return;
+
+    if (!isOutageError(error)) {
+      if (error?.originalError?.response) {
+        this.recordSuccess(family);
+      }
+      return;
+    }
+
+    if (!networkStatus.isOnline()) return;
+
+    const failures = circuit.failures + 1;
+    if (circuit.status === CIRCUIT_STATES.HALF_OPEN || failures >= CIRCUIT_BREAKER_CONFIG.FAILURE_THRESHOLD) {
+      this.open(family, failures, error);
+    } else {
+      this.setFamily(family, { failures, lastError: error.message });
+    }
+  }
+
+  open(family, failures, error) {
+    const now = Date.now();
+    console.warn(`🔌 ${CIRCUIT_BREAKER_CONFIG.LABELS[family]} unavailable, opening circuit after ${failures} failure(s)`);
+
+    this.setFamily(family, {
+      status: CIRCUIT_STATES.OPEN,
+      failures,
+      openedAt: now,
+      nextCheckAt: now + CIRCUIT_BREAKER_CONFIG.OPEN_DURATION,
+      lastError: error.message,
+    });
+    this.scheduleHealthCheck();
+  }
+
+  // One timer serves every open breaker, set for whichever is due first
+  scheduleHealthCheck() {
+    clearTimeout(this.healthTimer);
+    this.healthTimer = null;
+
+    const dueTimes = Object.values(this.state.families)
+      .filter(circuit => circuit.status === CIRCUIT_STATES.OPEN)
+      .map(circuit => circuit.nextCheckAt);
+    if (dueTimes.length === 0) return;
+
+    this.healthTimer = setTimeout(() => this.checkHealth(), Math.max(0, Math.min(...dueTimes) - Date.now()));
+  }
+
+  async checkHealth() {
+    this.healthTimer = null;
+
+    const due = Object.entries(this.state.families)
+      .filter(([, circuit]) => circuit.status === CIRCUIT_STATES.OPEN && circuit.nextCheckAt <= Date.now())
+      .map(([family]) => family);
+
+    // Without a usable health check (none set, or the endpoint itself fails)
+    // the open period has passed and the trial request decides on its own
+    let dependencies = {};
+    if (this.healthCheck) {
+      try {
+        const health = await this.healthCheck();
+        dependencies = health?.dependencies || {};
+      } catch (error) {
+        console.warn('⚠️ Dependency health check failed, trying a request instead:', error.message);
+      }
+    }
+
+    due.forEach(family => {
+      if (this.state.families[family].status !== CIRCUIT_STATES.OPEN) return;
+
+      if (isRecovered(dependencies[family])) {
+        console.log(`🔌 ${CIRCUIT_BREAKER_CONFIG.LABELS[family]} reported healthy, half-opening circuit`);
+        this.setFamily(family, { status: CIRCUIT_STATES.HALF_OPEN, nextCheckAt: null });
+      } else {
+        this.setFamily(family, { nextCheckAt: Date.now() + CIRCUIT_BREAKER_CONFIG.HEALTH_CHECK_INTERVAL });
+      }
+    });
+
+    this.scheduleHealthCheck();
+  }
+
+  // Close every breaker, e.g. between tests
+  reset() {
+    clearTimeout(this.healthTimer);
+    this.healthTimer = null;
+    this.trials.clear();
+    Object.values(CIRCUIT_FAMILIES).forEach(family => this.setFamily(family, createCircuit()));
+  }
+}
+
+// Export singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+export default circuitBreaker;
@@ -0,0 +1,127 @@
+import circuitBreaker from './circuitBreaker';
+import { CIRCUIT_BREAKER_CONFIG, CIRCUIT_FAMILIES, CIRCUIT_STATES, ERROR_TYPES } from './constants';
+
+const { STOCK, FILINGS } = CIRCUIT_FAMILIES;
+
+const serverError = { type: ERROR_TYPES.SERVER_ERROR, message: 'Server error.' };
+
+// Let the health check's promise chain settle
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+};
+
+const statusOf = (family) => circuitBreaker.getSnapshot().families[family].status;
+
+const openCircuit = (family) => {
+  for (let i = 0; i < CIRCUIT_BREAKER_CONFIG.FAILURE_THRESHOLD; i++) {
+    circuitBreaker.recordFailure(family, serverError);
+  }
+};
+
+describe('circuit breaker', () => {
+  let healthCheck;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    circuitBreaker.reset();
+    healthCheck = jest.fn().mockResolvedValue({ dependencies: { stock: { status: 'healthy' } } });
+    circuitBreaker.setHealthCheck(healthCheck);
+  });
+
+  afterEach(() => {
+    circuitBreaker.reset();
+    jest.useRealTimers();
+  });
+
+  it('opens after repeated outages and fails fast for that family only', () => {
+    circuitBreaker.recordFailure(STOCK, serverError);
+    circuitBreaker.recordFailure(STOCK, {
+      type: ERROR_TYPES.NOT_FOUND,
+      message: 'Not found.',
+      originalError: { response: { status: 404 } },
+    });
+    expect(circuitBreaker.getSnapshot().families[STOCK].failures).toBe(0);
+
+    openCircuit(STOCK);
+
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.OPEN);
+    expect(circuitBreaker.allowRequest(STOCK)).toBe(false);
+    expect(circuitBreaker.allowRequest(FILINGS)).toBe(true);
+  });
+
+  it('half-opens once the dependency reports healthy and closes after a trial succeeds', async () => {
+    openCircuit(STOCK);
+
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+    await flushPromises();
+
+    expect(healthCheck).toHaveBeenCalledTimes(1);
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    expect(circuitBreaker.allowRequest(STOCK)).toBe(true);
+    expect(circuitBreaker.allowRequest(STOCK)).toBe(false);
+
+    circuitBreaker.recordSuccess(STOCK);
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('stays open while the dependency is unhealthy and checks again later', async () => {
+    healthCheck.mockResolvedValue({ dependencies: { stock: { status: 'unhealthy' } } });
+    openCircuit(STOCK);
+
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+    await flushPromises();
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.OPEN);
+
+    healthCheck.mockResolvedValue({ dependencies: { stock: 'ok' } });
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.HEALTH_CHECK_INTERVAL);
+    await flushPromises();
+
+    expect(healthCheck).toHaveBeenCalledTimes(2);
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.HALF_OPEN);
+  });
+
+  it('falls back to a trial request when the health check itself fails', async () => {
+    healthCheck.mockRejectedValue({ type: ERROR_TYPES.NOT_FOUND, message: 'Not found.' });
+    openCircuit(STOCK);
+
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+    await flushPromises();
+
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(circuitBreaker.allowRequest(STOCK)).toBe(true);
+  });
+
+  it('keeps a half-open breaker half-open when the trial never left the client', async () => {
+    openCircuit(STOCK);
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+    await flushPromises();
+
+    circuitBreaker.allowRequest(STOCK);
+    circuitBreaker.recordFailure(STOCK, {
+      type: ERROR_TYPES.RATE_LIMIT,
+      message: 'Too many requests are waiting. Please slow down.',
+      originalError: null,
+    });
+
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(circuitBreaker.allowRequest(STOCK)).toBe(true);
+  });
+
+  it('reopens when the half-open trial fails', async () => {
+    openCircuit(STOCK);
+    jest.advanceTimersByTime(CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+    await flushPromises();
+
+    circuitBreaker.allowRequest(STOCK);
+    circuitBreaker.recordFailure(STOCK, { type: ERROR_TYPES.NETWORK_ERROR, message: 'Network error.' });
+
+    expect(statusOf(STOCK)).toBe(CIRCUIT_STATES.OPEN);
+    expect(circuitBreaker.getSnapshot().families[STOCK].nextCheckAt)
+      .toBe(Date.now() + CIRCUIT_BREAKER_CONFIG.OPEN_DURATION);
+  });
+});
@@ -0,0 +1,86 @@
+import { COMMAND_GROUPS } from './constants';
+
+const GROUP_ORDER = Object.values(COMMAND_GROUPS);
+
+// Utility Functions
+function sortCommands(commands) {
+  return [...commands].sort((a, b) => GROUP_ORDER.indexOf(a.group) - GROUP_ORDER.indexOf(b.group));
+}
+
+// Command Registry Class
+// Components register the commands and shortcuts that make sense while they are
+// mounted; the command palette and the shortcut help overlay read them from here.
+class CommandRegistry {
+  constructor() {
+    this.state = {
+      commands: [],
+      overlay: null, // 'palette' | 'help' | null
+    };
+    this.sources = new Map(); // source id -> commands
+    this.listeners = new Set();
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Register commands under a source id, replacing any it registered before
+   *
+   * @param {string} sourceId - Unique id of the registering component
+   * @param {Array} commands - [{ id, label, group, shortcut, global, keywords, icon, run, palette }]
+   *   global shortcuts also work inside dialogs; palette: false hides a shortcut-only command
+   * @returns {Function} - Unregister function
+   */
+  register(sourceId, commands) {
+    this.sources.set(sourceId, commands);
+    this.setState({ commands: sortCommands(Array.from(this.sources.values()).flat()) });
+
+    return () => {
+      if (this.sources.get(sourceId) !== commands) return;
+
+      this.sources.delete(sourceId);
+      this.setState({ commands: sortCommands(Array.from(this.sources.values()).flat()) });
+    };
+  }
+
+  run(commandId) {
+    const command = this.state.commands.find(item => item.id === commandId);
+    if (!command) return false;
+
+    command.run();
+    return true;
+  }
+
+  // Overlays
+  openPalette() {
+    this.setState({ overlay: 'palette' });
+  }
+
+  togglePalette() {
+    this.setState({ overlay: this.state.overlay === 'palette' ? null : 'palette' });
+  }
+
+  openHelp() {
+    this.setState({ overlay: 'help' });
+  }
+
+  closeOverlay() {
+    if (this.state.overlay) {
+      this.setState({ overlay: null });
+    }
+  }
+}
+
+// Export singleton instance
+const commandRegistry = new CommandRegistry();
+
+export default commandRegistry;
@@ -21,13 +21,18 @@ export const API_ENDPOINTS = {
   // Company endpoints
   COMPANY_LOOKUP: '/company/lookup',
   COMPANY_BY_TICKER: '/company',
+  COMPANY_FACTS: '/company/facts',
   
   // Stock endpoints
   STOCK_QUOTE: '/stock',
   STOCK_BATCH: '/stock/batch',
+  STOCK_HISTORY: '/stock/history',
+  STOCK_STREAM: '/stock/stream',
+  STOCK_STREAM_SSE: '/stock/stream/sse',
   
   // SEC filings endpoints
   FILINGS: '/filings',
+  FILING_DOCUMENT: '/filings/document',
 };
 
 // HTTP Status Codes
@@ -65,16 +70,158 @@ export const ERROR_TYPES = {
   NOT_FOUND: 'NOT_FOUND',
   RATE_LIMIT: 'RATE_LIMIT',
   SERVER_ERROR: 'SERVER_ERROR',
+  CANCELLED: 'CANCELLED',
+  SCHEMA_ERROR: 'SCHEMA_ERROR',
+  CIRCUIT_OPEN: 'CIRCUIT_OPEN',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR',
 };
 
+// Client-side Rate Limiting
+// Each endpoint group has a token bucket holding up to CAPACITY requests that
+// refills at REFILL_PER_SECOND. Requests over budget wait in a queue instead of
+// reaching the backend. Company lookups count against the search group.
+export const RATE_LIMIT_GROUPS = {
+  SEARCH: 'search',
+  QUOTES: 'quotes',
+  FILINGS: 'filings',
+};
+
+export const RATE_LIMIT_CONFIG = {
+  ENABLED: process.env.REACT_APP_RATE_LIMIT !== 'false',
+  GROUPS: {
+    [RATE_LIMIT_GROUPS.SEARCH]: { CAPACITY: 10, REFILL_PER_SECOND: 2 },
+    [RATE_LIMIT_GROUPS.QUOTES]: { CAPACITY: 20, REFILL_PER_SECOND: 4 },
+    [RATE_LIMIT_GROUPS.FILINGS]: { CAPACITY: 10, REFILL_PER_SECOND: 2 },
+  },
+  MAX_QUEUE_LENGTH: 50, // per group; further requests fail with RATE_LIMIT
+  DEFAULT_RETRY_AFTER: 10, // seconds, when a 429 comes without Retry-After
+  MAX_RETRY_AFTER: 60, // seconds; longer waits are reported instead of retried
+};
+
+// Circuit Breakers
+// One breaker per backend dependency, named as in /health/dependencies.
+// FAILURE_THRESHOLD outage errors in a row (network, timeout, 5xx) open a
+// breaker, and its requests then fail straight away with CIRCUIT_OPEN. After
+// OPEN_DURATION the dependency's health is checked every HEALTH_CHECK_INTERVAL
+// until it reports one of HALF_OPEN_STATUSES, or straight away if the health
+// check itself fails; the breaker then half-opens and lets one trial request
+// through at a time, closing again once one succeeds.
+export const CIRCUIT_FAMILIES = {
+  STOCK: 'stock',
+  FILINGS: 'filings',
+  SEARCH: 'search',
+  ANALYSIS: 'analysis', // company lookups, which compute the investment analysis
+};
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+export const CIRCUIT_BREAKER_CONFIG = {
+  ENABLED: process.env.REACT_APP_CIRCUIT_BREAKER !== 'false',
+  FAILURE_THRESHOLD: 3,
+  OPEN_DURATION: 30 * 1000, // 30 seconds
+  HEALTH_CHECK_INTERVAL: 15 * 1000, // 15 seconds
+  HALF_OPEN_STATUSES: ['healthy', 'ok', 'degraded'],
+  LABELS: {
+    [CIRCUIT_FAMILIES.STOCK]: 'Stock data',
+    [CIRCUIT_FAMILIES.FILINGS]: 'SEC filings',
+    [CIRCUIT_FAMILIES.SEARCH]: 'Company search',
+    [CIRCUIT_FAMILIES.ANALYSIS]: 'Investment analysis',
+  },
+};
+
+// Response Schemas
+// Responses are checked against the schemas in services/schemas.js. Missing
+// fields and wrong types fail the request with a SCHEMA_ERROR; unknown fields
+// are only reported, unless strict mode is on.
+export const SCHEMA_CONFIG = {
+  STRICT: process.env.REACT_APP_STRICT_SCHEMAS === 'true',
+  SHOW_OVERLAY: process.env.NODE_ENV === 'development' && process.env.REACT_APP_SCHEMA_OVERLAY !== 'false',
+  MAX_MISMATCHES: 50,
+};
+
+export const SCHEMA_ISSUES = {
+  MISSING: 'missing',
+  UNKNOWN: 'unknown',
+  TYPE: 'type',
+};
+
 // Cache Configuration
 export const CACHE_CONFIG = {
   DEFAULT_TTL: 5 * 60 * 1000, // 5 minutes
   SEARCH_TTL: 2 * 60 * 1000, // 2 minutes
   COMPANY_TTL: 10 * 60 * 1000, // 10 minutes
   STOCK_TTL: 1 * 60 * 1000, // 1 minute
+  HISTORY_TTL: 5 * 60 * 1000, // 5 minutes
   FILINGS_TTL: 30 * 60 * 1000, // 30 minutes
+  DOCUMENT_TTL: 24 * 60 * 60 * 1000, // 24 hours, filed documents don't change
+  FACTS_TTL: 6 * 60 * 60 * 1000, // 6 hours
+  MAX_STALE_AGE: 24 * 60 * 60 * 1000, // serve stale data for up to 24 hours past TTL
+  MEMORY_MAX_BYTES: 5 * 1024 * 1024, // 5 MB
+  PERSISTENT_MAX_BYTES: 25 * 1024 * 1024, // 25 MB
+};
+
+// Offline Support
+// The service worker caches API GETs for pages the user has viewed and stamps
+// each cached response with when it was fetched
+export const OFFLINE_CONFIG = {
+  API_CACHE_NAME: 'api-responses',
+  API_CACHE_MAX_ENTRIES: 200,
+  API_CACHE_MAX_AGE: 7 * 24 * 60 * 60, // seconds
+  CACHED_PATHS: [
+    API_ENDPOINTS.COMPANY_LOOKUP,
+    API_ENDPOINTS.COMPANY_BY_TICKER,
+    API_ENDPOINTS.STOCK_QUOTE,
+    API_ENDPOINTS.FILINGS,
+  ],
+  UNCACHED_PATHS: [
+    API_ENDPOINTS.STOCK_BATCH,
+    API_ENDPOINTS.STOCK_HISTORY,
+    API_ENDPOINTS.STOCK_STREAM,
+    API_ENDPOINTS.FILING_DOCUMENT,
+  ],
+  NETWORK_TIMEOUT_SECONDS: 5,
+  CACHED_AT_HEADER: 'X-Cached-At',
+  SYNC_TAG: 'refresh-cached-data',
+  SYNC_MAX_REQUESTS: 50,
+};
+
+// Messages between the service worker and the page
+export const SW_MESSAGES = {
+  SKIP_WAITING: 'SKIP_WAITING',
+  DATA_REFRESHED: 'DATA_REFRESHED',
+};
+
+// Mock API
+// Fixture-backed responses for running the app and tests without the backend,
+// switched on with REACT_APP_USE_MOCK_API=true or ?mock=1 (see src/mocks)
+export const MOCK_API_CONFIG = {
+  ENABLED: process.env.REACT_APP_USE_MOCK_API === 'true',
+  // Production builds only honour ?mock=1 when they were built with the mock on
+  ALLOWED: process.env.NODE_ENV !== 'production' || process.env.REACT_APP_USE_MOCK_API === 'true',
+  LATENCY: Number(process.env.REACT_APP_MOCK_LATENCY ?? 300), // milliseconds
+  LATENCY_JITTER: 0.5, // +/- share of the latency
+  ERROR: process.env.REACT_APP_MOCK_ERROR || null,
+  ERROR_RATE: Number(process.env.REACT_APP_MOCK_ERROR_RATE ?? 1), // share of requests failing
+  RETRY_AFTER: 5, // seconds, sent with injected 429s
+  UNHEALTHY_ERROR_RATE: 0.5, // injected 500s or timeouts at this rate mark a dependency unhealthy
+  URL_PARAMS: {
+    ENABLED: 'mock',
+    LATENCY: 'mock_latency',
+    ERROR: 'mock_error',
+    ERROR_RATE: 'mock_error_rate',
+    ERROR_PATH: 'mock_error_path',
+  },
+};
+
+// Errors the mock API can inject
+export const MOCK_ERRORS = {
+  RATE_LIMIT: '429',
+  SERVER_ERROR: '500',
+  TIMEOUT: 'timeout',
 };
 
 // Request Headers
@@ -92,6 +239,45 @@ export const MARKET_STATUS = {
   UNKNOWN: 'UNKNOWN',
 };
 
+// Quote Streaming
+export const STREAMING_CONFIG = {
+  WS_URL: process.env.REACT_APP_QUOTES_WS_URL ||
+    `${API_CONFIG.BASE_URL.replace(/^http/, 'ws')}${API_ENDPOINTS.STOCK_STREAM}`,
+  SSE_URL: `${API_CONFIG.BASE_URL}${API_ENDPOINTS.STOCK_STREAM_SSE}`,
+  CONNECT_TIMEOUT: 5000, // 5 seconds
+  MAX_RECONNECT_ATTEMPTS: 3,
+  RECONNECT_DELAY: 2000, // doubles on every attempt
+  POLL_INTERVAL: 15000, // 15 seconds
+  STREAM_RETRY_INTERVAL: 5 * 60 * 1000, // retry streaming every 5 minutes while polling
+  CLOSED_MARKET_POLL_INTERVAL: 5 * 60 * 1000, // tickers whose market is closed are polled every 5 minutes
+  IDLE_DISCONNECT_DELAY: 10000, // close the stream 10 seconds after the last quote subscriber leaves
+  FLASH_DURATION: 1000, // price flash in milliseconds
+  // Only these market states produce new prices worth polling for
+  ACTIVE_MARKET_STATES: [MARKET_STATUS.REGULAR, MARKET_STATUS.PRE, MARKET_STATUS.POST],
+};
+
+// Quote stream connection states
+export const CONNECTION_STATES = {
+  IDLE: 'idle', // nothing subscribed, so the stream isn't running
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  POLLING: 'polling',
+  DISCONNECTED: 'disconnected',
+};
+
+// Price Chart Ranges
+export const CHART_RANGES = {
+  '1D': { label: '1D', interval: '5m' },
+  '5D': { label: '5D', interval: '30m' },
+  '1M': { label: '1M', interval: '1d' },
+  '6M': { label: '6M', interval: '1d' },
+  '1Y': { label: '1Y', interval: '1wk' },
+  '5Y': { label: '5Y', interval: '1mo' },
+};
+
+// Filing forms marked on price charts
+export const CHART_FILING_MARKERS = ['10-K', '10-Q', '8-K'];
+
 // Filing Form Types
 export const FILING_FORMS = {
   '10-K': {
@@ -119,11 +305,45 @@ export const FILING_FORMS = {
     description: 'Registration of new securities',
     color: 'orange',
   },
+  '3': {
+    name: 'Initial Insider Ownership',
+    description: 'Initial statement of beneficial ownership',
+    color: 'red',
+  },
   '4': {
     name: 'Insider Trading',
     description: 'Statement of changes in beneficial ownership',
     color: 'red',
   },
+  '5': {
+    name: 'Annual Insider Ownership',
+    description: 'Annual statement of changes in beneficial ownership',
+    color: 'red',
+  },
+};
+
+// Form 4 transaction codes; only open-market purchases and sales count as insider buying/selling
+export const INSIDER_TRANSACTION_CODES = {
+  P: { label: 'Purchase', direction: 'buy' },
+  S: { label: 'Sale', direction: 'sell' },
+  A: { label: 'Grant / award' },
+  M: { label: 'Option exercise' },
+  X: { label: 'Option exercise' },
+  C: { label: 'Conversion' },
+  F: { label: 'Tax withholding' },
+  G: { label: 'Gift' },
+  D: { label: 'Disposition to issuer' },
+  J: { label: 'Other' },
+};
+
+// Insider Transactions Configuration
+export const INSIDERS_CONFIG = {
+  FORMS: ['4'],
+  FILINGS_LIMIT: 40,
+  CONCURRENCY: 4, // documents fetched at once
+  MONTHS: 12, // months in the net activity series
+  LARGE_TRANSACTION_VALUE: 1000000, // dollars
+  LARGE_HOLDINGS_CHANGE: 0.2, // share of the insider's prior holdings
 };
 
 // Search Configuration
@@ -133,6 +353,83 @@ export const SEARCH_CONFIG = {
   DEBOUNCE_DELAY: 300, // milliseconds
   MAX_SUGGESTIONS: 5,
   MAX_RESULTS: 10,
+  MAX_COMPLETIONS: 6,
+};
+
+// Structured Search Fields
+// Typed as "field:value" in the search box, e.g. 'sector:energy exchange:NYSE'.
+// A leading "-" excludes a term; values with spaces go in quotes.
+export const SEARCH_FIELDS = {
+  TICKER: {
+    id: 'ticker',
+    label: 'Ticker',
+    description: 'Exact ticker symbol',
+    example: 'ticker:AAPL',
+  },
+  CIK: {
+    id: 'cik',
+    label: 'CIK',
+    description: 'SEC Central Index Key',
+    example: 'cik:320193',
+  },
+  EXCHANGE: {
+    id: 'exchange',
+    label: 'Exchange',
+    description: 'Listing exchange',
+    example: 'exchange:NYSE',
+    values: ['NYSE', 'NASDAQ', 'AMEX', 'ARCA', 'BATS', 'OTC'],
+  },
+  SECTOR: {
+    id: 'sector',
+    label: 'Sector',
+    description: 'Business sector',
+    example: 'sector:energy',
+    values: [
+      'Basic Materials',
+      'Communication Services',
+      'Consumer Cyclical',
+      'Consumer Defensive',
+      'Energy',
+      'Financial Services',
+      'Healthcare',
+      'Industrials',
+      'Real Estate',
+      'Technology',
+      'Utilities',
+    ],
+  },
+  INDUSTRY: {
+    id: 'industry',
+    label: 'Industry',
+    description: 'Industry, matched by name',
+    example: 'industry:semiconductors',
+  },
+};
+
+// Filings Pagination
+export const FILINGS_CONFIG = {
+  PAGE_SIZE: 20,
+  SCROLL_THRESHOLD: '200px', // start loading the next page this close to the end
+  FILTER_PRESETS: [
+    { id: 'periodic', label: 'Annual + Quarterly', forms: ['10-K', '10-Q'] },
+    { id: 'current', label: 'Current reports', forms: ['8-K'] },
+    { id: 'insider', label: 'Insider (3/4/5)', forms: ['3', '4', '5'] },
+  ],
+};
+
+// Financial Statements Configuration
+export const FINANCIALS_CONFIG = {
+  ANNUAL_PERIODS: 5,
+  QUARTERLY_PERIODS: 8,
+  ANNUAL_DAYS: { min: 350, max: 380 }, // duration of a fiscal-year fact
+  QUARTER_DAYS: { min: 80, max: 100 }, // duration of a three-month fact
+  ANNUAL_FORMS: ['10-K', '10-K/A', '20-F', '20-F/A'],
+};
+
+// Filing Diff Configuration
+export const FILING_DIFF_CONFIG = {
+  SIMILARITY_THRESHOLD: 0.5, // share of words two paragraphs need in common to count as an edit
+  MAX_DIFF_CELLS: 2000000, // above this, fall back to a plain removed/added diff
 };
 
 // UI Configuration
@@ -143,11 +440,94 @@ export const UI_CONFIG = {
   MOBILE_BREAKPOINT: 768, // pixels
 };
 
+// Watchlist Configuration
+export const WATCHLIST_CONFIG = {
+  DEFAULT_LIST_NAME: 'My Watchlist',
+  MAX_LISTS: 10,
+  MAX_ITEMS_PER_LIST: 50,
+  SORT_OPTIONS: {
+    MANUAL: 'manual',
+    CHANGE_PERCENT: 'change_percent',
+    MARKET_CAP: 'market_cap',
+    NAME: 'name',
+  },
+};
+
+// Alert rule types; the threshold label describes what `value` holds for each
+export const ALERT_TYPES = {
+  PRICE_ABOVE: { id: 'price_above', label: 'Price rises above', valueLabel: 'Price', source: 'quote' },
+  PRICE_BELOW: { id: 'price_below', label: 'Price falls below', valueLabel: 'Price', source: 'quote' },
+  PERCENT_CHANGE: { id: 'percent_change', label: 'Daily change exceeds', valueLabel: 'Change %', source: 'quote' },
+  VOLUME_SPIKE: { id: 'volume_spike', label: 'Volume spikes above average', valueLabel: 'Times average', source: 'quote' },
+  NEW_FILING: { id: 'new_filing', label: 'New filing of form', valueLabel: 'Form', source: 'filings' },
+};
+
+// Alerts Configuration
+export const ALERTS_CONFIG = {
+  MAX_RULES: 50,
+  MAX_HISTORY: 200,
+  FILINGS_POLL_INTERVAL: 10 * 60 * 1000, // 10 minutes
+  FILINGS_LIMIT: 10,
+  VOLUME_AVERAGE_RANGE: '1M', // chart range the average daily volume is taken over
+  VOLUME_AVERAGE_TTL: 60 * 60 * 1000, // 1 hour
+  DEFAULT_VOLUME_MULTIPLIER: 2,
+};
+
+// Company Comparison
+export const COMPARISON_CONFIG = {
+  MIN_COMPANIES: 2,
+  MAX_COMPANIES: 5,
+  FILING_FORMS: ['10-K', '10-Q'],
+  FILINGS_LIMIT: 20,
+};
+
+// Command palette groups, in display order
+export const COMMAND_GROUPS = {
+  NAVIGATION: 'Navigation',
+  COMPANY: 'Company',
+  FILINGS: 'Filings',
+  GENERAL: 'General',
+};
+
+// Command Palette Configuration
+export const COMMAND_PALETTE_CONFIG = {
+  RECENT_SEARCH_LIMIT: 5,
+  DEBOUNCE_DELAY: 150, // milliseconds
+};
+
+// Export Formats
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+  XLSX: 'xlsx',
+};
+
+// Theme Modes
+export const THEME_MODES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system',
+};
+
+// Application Routes
+export const ROUTES = {
+  HOME: '/',
+  SEARCH: '/search',
+  COMPANY: '/company/:ticker',
+  COMPANY_FILINGS: '/company/:ticker/filings',
+  COMPARE: '/compare',
+  NOT_FOUND: '/not-found',
+};
+
 // Local Storage Keys
 export const STORAGE_KEYS = {
   RECENT_SEARCHES: 'company_lookup_recent_searches',
   USER_PREFERENCES: 'company_lookup_user_preferences',
+  WATCHLISTS: 'company_lookup_watchlists',
+  ALERT_RULES: 'company_lookup_alert_rules',
+  ALERT_HISTORY: 'company_lookup_alert_history',
   CACHE_PREFIX: 'company_lookup_cache_',
+  MOCK_API: 'company_lookup_mock_api',
 };
 
 // Date Formats
@@ -206,6 +586,8 @@ export const FEATURES = {
   ENABLE_CHARTS: process.env.REACT_APP_ENABLE_CHARTS !== 'false',
   ENABLE_EXPORT: process.env.REACT_APP_ENABLE_EXPORT !== 'false',
   ENABLE_FAVORITES: process.env.REACT_APP_ENABLE_FAVORITES !== 'false',
+  ENABLE_ALERTS: process.env.REACT_APP_ENABLE_ALERTS !== 'false',
+  ENABLE_OFFLINE: process.env.REACT_APP_ENABLE_OFFLINE !== 'false',
   DEBUG_MODE: process.env.NODE_ENV === 'development',
 };
 
@@ -0,0 +1,114 @@
+import { OFFLINE_CONFIG, SW_MESSAGES } from './constants';
+
+// Utility Functions
+function isBrowserOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+// Only a page controlled by our service worker gets its cache refreshed by a sync
+function supportsBackgroundSync() {
+  return typeof window !== 'undefined' &&
+    'SyncManager' in window &&
+    Boolean(navigator.serviceWorker?.controller);
+}
+
+// Network Status Class
+// Tracks whether the browser is online and when cached data was last refreshed
+// after reconnecting. Refreshes come from the service worker's background sync,
+// or straight from the "online" event where background sync is unsupported.
+class NetworkStatus {
+  constructor() {
+    this.state = {
+      online: isBrowserOnline(),
+      offlineSince: isBrowserOnline() ? null : Date.now(),
+      refreshedAt: null,
+    };
+    this.listeners = new Set();
+    this.started = false;
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  isOnline() {
+    return this.state.online;
+  }
+
+  // Lifecycle
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+
+    window.addEventListener('online', this.handleOnline);
+    window.addEventListener('offline', this.handleOffline);
+    navigator.serviceWorker?.addEventListener('message', this.handleWorkerMessage);
+
+    if (!isBrowserOnline()) {
+      this.handleOffline();
+    }
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    window.removeEventListener('online', this.handleOnline);
+    window.removeEventListener('offline', this.handleOffline);
+    navigator.serviceWorker?.removeEventListener('message', this.handleWorkerMessage);
+  }
+
+  handleOnline = () => {
+    this.setState({ online: true, offlineSince: null });
+
+    // Without background sync nobody else will refresh the cached data
+    if (!supportsBackgroundSync()) {
+      this.setState({ refreshedAt: Date.now() });
+    }
+  };
+
+  handleOffline = () => {
+    if (this.state.online) {
+      this.setState({ online: false, offlineSince: Date.now() });
+    }
+    this.requestBackgroundSync();
+  };
+
+  handleWorkerMessage = (event) => {
+    if (event.data?.type === SW_MESSAGES.DATA_REFRESHED) {
+      this.setState({ refreshedAt: Date.now() });
+    }
+  };
+
+  /**
+   * Called by the API client when a request fails without a response
+   * The browser may still think it is online, so only ask for a refresh later
+   */
+  reportNetworkError() {
+    this.requestBackgroundSync();
+  }
+
+  // Ask the service worker to refresh cached responses once connectivity returns
+  requestBackgroundSync() {
+    if (!supportsBackgroundSync()) return;
+
+    navigator.serviceWorker.ready
+      .then(registration => registration.sync.register(OFFLINE_CONFIG.SYNC_TAG))
+      .catch((error) => {
+        console.warn('Background sync registration failed:', error);
+      });
+  }
+}
+
+// Export singleton instance
+const networkStatus = new NetworkStatus();
+
+export default networkStatus;
@@ -0,0 +1,123 @@
+import { FEATURES, STORAGE_KEYS, THEME_MODES } from './constants';
+
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+const DEFAULT_PREFERENCES = {
+  theme: THEME_MODES.SYSTEM,
+};
+
+// Utility Functions
+function loadPreferences() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return parsed && typeof parsed === 'object'
+      ? { ...DEFAULT_PREFERENCES, ...parsed }
+      : { ...DEFAULT_PREFERENCES };
+  } catch (error) {
+    console.warn('Failed to load user preferences:', error);
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+function savePreferences(preferences) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn('Failed to save user preferences:', error);
+  }
+}
+
+function getColorSchemeQuery() {
+  return typeof window !== 'undefined' && window.matchMedia
+    ? window.matchMedia(DARK_SCHEME_QUERY)
+    : null;
+}
+
+function resolveTheme(theme, systemPrefersDark) {
+  if (!FEATURES.ENABLE_DARK_MODE) return THEME_MODES.LIGHT;
+  if (theme === THEME_MODES.SYSTEM) {
+    return systemPrefersDark ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+  }
+  return theme === THEME_MODES.DARK ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+}
+
+// Preferences Store Class
+// Persists user preferences in localStorage and applies the resolved theme to
+// the document root, following the system color scheme unless overridden.
+class PreferencesStore {
+  constructor() {
+    this.preferences = loadPreferences();
+    this.listeners = new Set();
+    this.colorSchemeQuery = getColorSchemeQuery();
+    this.state = this.buildState();
+    this.applyTheme();
+
+    if (this.colorSchemeQuery) {
+      this.colorSchemeQuery.addEventListener?.('change', () => this.refresh());
+    }
+
+    // Keep several open tabs in sync
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEYS.USER_PREFERENCES) {
+          this.preferences = loadPreferences();
+          this.refresh();
+        }
+      });
+    }
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  buildState() {
+    const systemPrefersDark = Boolean(this.colorSchemeQuery?.matches);
+
+    return {
+      ...this.preferences,
+      resolvedTheme: resolveTheme(this.preferences.theme, systemPrefersDark),
+    };
+  }
+
+  refresh() {
+    this.state = this.buildState();
+    this.applyTheme();
+    this.listeners.forEach(listener => listener());
+  }
+
+  applyTheme() {
+    if (typeof document === 'undefined') return;
+
+    const isDark = this.state.resolvedTheme === THEME_MODES.DARK;
+    document.documentElement.classList.toggle('dark', isDark);
+    document.documentElement.style.colorScheme = isDark ? 'dark' : 'light';
+  }
+
+  update(changes) {
+    this.preferences = { ...this.preferences, ...changes };
+    savePreferences(this.preferences);
+    this.refresh();
+  }
+
+  setTheme(theme) {
+    if (!Object.values(THEME_MODES).includes(theme)) return;
+    this.update({ theme });
+  }
+
+  // Flip between light and dark, pinning the choice over the system setting
+  toggleTheme() {
+    this.setTheme(
+      this.state.resolvedTheme === THEME_MODES.DARK ? THEME_MODES.LIGHT : THEME_MODES.DARK
+    );
+  }
+}
+
+// Create and export singleton instance
+const preferencesStore = new PreferencesStore();
+
+export default preferencesStore;
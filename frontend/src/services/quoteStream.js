@@ -0,0 +1,407 @@
+import apiService, { isCancelledError } from './api';
+import { CONNECTION_STATES, STREAMING_CONFIG } from './constants';
+import { isMockApiEnabled } from '../mocks/mockOptions';
+
+const TRANSPORTS = {
+  WEBSOCKET: 'websocket',
+  SSE: 'sse',
+  POLLING: 'polling',
+};
+
+// Utility Functions
+function normalizeTicker(ticker) {
+  return ticker.toUpperCase();
+}
+
+/**
+ * Pull quotes out of a stream message or API payload
+ * Accepts a quote, { type: 'quote' | 'quotes', data }, { quotes: [...] } or a list of any of these
+ */
+function extractQuotes(payload) {
+  if (!payload) return [];
+  if (Array.isArray(payload)) return payload.flatMap(extractQuotes);
+
+  if (payload.type) {
+    return payload.type === 'quote' || payload.type === 'quotes'
+      ? extractQuotes(payload.data)
+      : []; // heartbeats and acknowledgements
+  }
+
+  const quote = payload.quote || payload;
+  if (quote.symbol) return [quote];
+
+  const nested = payload.quotes || payload.results;
+  if (!nested) return [];
+  return extractQuotes(Array.isArray(nested) ? nested : Object.values(nested));
+}
+
+function parseMessage(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.warn('Ignoring malformed quote message:', data);
+    return null;
+  }
+}
+
+// Quote Stream Class
+// Pushes quote updates to subscribers over WebSocket, then Server-Sent Events,
+// and falls back to polling the quote endpoints when neither can connect.
+class QuoteStream {
+  constructor() {
+    this.state = {
+      connectionState: CONNECTION_STATES.IDLE,
+      transport: null,
+    };
+    this.listeners = new Set();
+
+    this.quoteListeners = new Map(); // ticker -> Set of listeners
+    this.quotes = new Map(); // ticker -> latest known quote
+
+    this.started = false;
+    this.socket = null;
+    this.eventSource = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.pollTimer = null;
+    this.streamRetryTimer = null;
+    this.idleTimer = null;
+    this.polling = false;
+    this.lastClosedMarketPoll = 0;
+  }
+
+  // Connection state, read from React through useSyncExternalStore
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  setState(changes) {
+    const next = { ...this.state, ...changes };
+    if (next.connectionState === this.state.connectionState && next.transport === this.state.transport) {
+      return;
+    }
+    this.state = next;
+    this.listeners.forEach(listener => listener());
+  }
+
+  getTickers() {
+    return Array.from(this.quoteListeners.keys());
+  }
+
+  // Quote subscriptions
+  // The stream connects on the first subscription and closes a little while
+  // after the last one leaves, so moving between pages keeps it open
+  subscribeQuote(ticker, listener, initialQuote = null) {
+    const symbol = normalizeTicker(ticker);
+
+    if (initialQuote) {
+      this.quotes.set(symbol, { ...this.quotes.get(symbol), ...initialQuote });
+    }
+
+    let tickerListeners = this.quoteListeners.get(symbol);
+    if (!tickerListeners) {
+      tickerListeners = new Set();
+      this.quoteListeners.set(symbol, tickerListeners);
+      this.updateSubscription('subscribe', [symbol]);
+    }
+    tickerListeners.add(listener);
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.connect();
+
+    return () => {
+      tickerListeners.delete(listener);
+      if (tickerListeners.size === 0 && this.quoteListeners.get(symbol) === tickerListeners) {
+        this.quoteListeners.delete(symbol);
+        this.updateSubscription('unsubscribe', [symbol]);
+      }
+
+      if (this.quoteListeners.size === 0 && !this.idleTimer) {
+        this.idleTimer = setTimeout(() => {
+          this.idleTimer = null;
+          if (this.quoteListeners.size === 0) this.disconnect();
+        }, STREAMING_CONFIG.IDLE_DISCONNECT_DELAY);
+      }
+    };
+  }
+
+  publish(quote) {
+    const symbol = normalizeTicker(quote.symbol);
+    const merged = { ...this.quotes.get(symbol), ...quote };
+
+    this.quotes.set(symbol, merged);
+    this.quoteListeners.get(symbol)?.forEach(listener => listener(merged));
+  }
+
+  handleMessage(data) {
+    extractQuotes(parseMessage(data)).forEach(quote => this.publish(quote));
+  }
+
+  updateSubscription(action, tickers) {
+    if (this.socket && this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify({ action, tickers }));
+    } else if (this.eventSource) {
+      // SSE subscriptions live in the URL, so reconnect with the new ticker list
+      this.openEventSource();
+    }
+  }
+
+  // Lifecycle
+  connect() {
+    if (this.started) return;
+    this.started = true;
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('offline', this.handleOffline);
+      window.addEventListener('online', this.handleOnline);
+    }
+
+    this.openWebSocket();
+  }
+
+  disconnect() {
+    if (!this.started) return;
+    this.started = false;
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('offline', this.handleOffline);
+      window.removeEventListener('online', this.handleOnline);
+    }
+
+    this.closeTransports();
+    this.stopPolling();
+    this.reconnectAttempts = 0;
+    this.lastClosedMarketPoll = 0;
+    this.setState({ connectionState: CONNECTION_STATES.IDLE, transport: null });
+  }
+
+  handleOffline = () => {
+    this.setState({ connectionState: CONNECTION_STATES.DISCONNECTED });
+  };
+
+  handleOnline = () => {
+    if (this.state.connectionState === CONNECTION_STATES.LIVE) return;
+    this.reconnectAttempts = 0;
+    this.openWebSocket();
+  };
+
+  closeTransports() {
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+  }
+
+  handleConnected(transport) {
+    this.reconnectAttempts = 0;
+    this.stopPolling();
+    this.setState({ connectionState: CONNECTION_STATES.LIVE, transport });
+  }
+
+  // Retry a dropped stream with backoff, otherwise move on to the next transport
+  handleStreamFailure(transport, wasConnected) {
+    if (wasConnected && this.reconnectAttempts < STREAMING_CONFIG.MAX_RECONNECT_ATTEMPTS) {
+      const delay = STREAMING_CONFIG.RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts);
+      this.reconnectAttempts += 1;
+
+      // Keep prices moving while the stream reconnects
+      this.startPolling();
+      this.reconnectTimer = setTimeout(() => {
+        if (transport === TRANSPORTS.WEBSOCKET) {
+          this.openWebSocket();
+        } else {
+          this.openEventSource();
+        }
+      }, delay);
+      return;
+    }
+
+    if (transport === TRANSPORTS.WEBSOCKET) {
+      this.openEventSource();
+    } else {
+      this.startPolling({ retryStreaming: true });
+    }
+  }
+
+  openWebSocket() {
+    this.closeTransports();
+
+    // The mock API has no stream, but its quotes move between polls
+    if (isMockApiEnabled()) {
+      this.startPolling();
+      return;
+    }
+
+    if (typeof WebSocket === 'undefined') {
+      this.openEventSource();
+      return;
+    }
+
+    if (!this.pollTimer) {
+      this.setState({ connectionState: CONNECTION_STATES.CONNECTING, transport: TRANSPORTS.WEBSOCKET });
+    }
+
+    let socket;
+    try {
+      socket = new WebSocket(STREAMING_CONFIG.WS_URL);
+    } catch (error) {
+      console.warn('WebSocket quote stream unavailable:', error);
+      this.handleStreamFailure(TRANSPORTS.WEBSOCKET, false);
+      return;
+    }
+
+    let connected = false;
+    const connectTimeout = setTimeout(() => {
+      if (!connected) socket.close();
+    }, STREAMING_CONFIG.CONNECT_TIMEOUT);
+
+    socket.onopen = () => {
+      connected = true;
+      clearTimeout(connectTimeout);
+      this.handleConnected(TRANSPORTS.WEBSOCKET);
+
+      const tickers = this.getTickers();
+      if (tickers.length > 0) {
+        socket.send(JSON.stringify({ action: 'subscribe', tickers }));
+      }
+    };
+
+    socket.onmessage = (event) => this.handleMessage(event.data);
+
+    socket.onclose = () => {
+      clearTimeout(connectTimeout);
+
+      // Ignore sockets we closed ourselves
+      if (this.socket !== socket) return;
+      this.socket = null;
+
+      console.warn(connected ? '⚠️ Quote stream disconnected' : '⚠️ Quote stream unavailable over WebSocket');
+      this.handleStreamFailure(TRANSPORTS.WEBSOCKET, connected);
+    };
+
+    this.socket = socket;
+  }
+
+  openEventSource() {
+    this.closeTransports();
+
+    if (typeof EventSource === 'undefined') {
+      this.startPolling({ retryStreaming: true });
+      return;
+    }
+
+    const tickers = this.getTickers();
+    const url = `${STREAMING_CONFIG.SSE_URL}?tickers=${encodeURIComponent(tickers.join(','))}`;
+    const eventSource = new EventSource(url);
+    let connected = false;
+
+    eventSource.onopen = () => {
+      connected = true;
+      this.handleConnected(TRANSPORTS.SSE);
+    };
+
+    eventSource.onmessage = (event) => this.handleMessage(event.data);
+
+    eventSource.onerror = () => {
+      // EventSource retries on its own after a successful connection
+      if (connected && eventSource.readyState !== EventSource.CLOSED) return;
+      if (this.eventSource !== eventSource) return;
+
+      eventSource.close();
+      this.eventSource = null;
+
+      console.warn(connected ? '⚠️ Quote stream disconnected' : '⚠️ Quote stream unavailable over SSE');
+      this.handleStreamFailure(TRANSPORTS.SSE, connected);
+    };
+
+    this.eventSource = eventSource;
+  }
+
+  // Polling fallback
+  startPolling(options = {}) {
+    const { retryStreaming = false } = options;
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), STREAMING_CONFIG.POLL_INTERVAL);
+    }
+
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    this.setState({
+      connectionState: online ? CONNECTION_STATES.POLLING : CONNECTION_STATES.DISCONNECTED,
+      transport: TRANSPORTS.POLLING,
+    });
+
+    if (retryStreaming && !this.streamRetryTimer) {
+      this.streamRetryTimer = setTimeout(() => {
+        this.streamRetryTimer = null;
+        this.reconnectAttempts = 0;
+        this.openWebSocket();
+      }, STREAMING_CONFIG.STREAM_RETRY_INTERVAL);
+    }
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    clearTimeout(this.streamRetryTimer);
+    this.pollTimer = null;
+    this.streamRetryTimer = null;
+  }
+
+  // Closed markets don't move, so tickers whose market is closed are only
+  // polled every CLOSED_MARKET_POLL_INTERVAL, which is how they pick up the
+  // market opening again
+  isMarketActive(ticker) {
+    const marketState = this.quotes.get(ticker)?.market_state;
+    return !marketState || STREAMING_CONFIG.ACTIVE_MARKET_STATES.includes(marketState);
+  }
+
+  async poll() {
+    if (this.polling) return;
+
+    const now = Date.now();
+    const includeClosed = now - this.lastClosedMarketPoll >= STREAMING_CONFIG.CLOSED_MARKET_POLL_INTERVAL;
+    const tickers = this.getTickers().filter(ticker => includeClosed || this.isMarketActive(ticker));
+    if (tickers.length === 0) return;
+
+    if (includeClosed) this.lastClosedMarketPoll = now;
+    this.polling = true;
+
+    try {
+      const response = tickers.length === 1
+        ? await apiService.getStockQuote(tickers[0], { useCache: false })
+        : await apiService.getBatchStockQuotes(tickers);
+
+      if (response.status === 'success') {
+        extractQuotes(response.data).forEach(quote => this.publish(quote));
+      }
+
+      if (this.pollTimer) {
+        this.setState({ connectionState: CONNECTION_STATES.POLLING });
+      }
+    } catch (error) {
+      if (!isCancelledError(error) && this.started) {
+        console.warn('Quote polling failed:', error.message);
+        this.setState({ connectionState: CONNECTION_STATES.DISCONNECTED });
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const quoteStream = new QuoteStream();
+
+export default quoteStream;
@@ -0,0 +1,90 @@
+import apiService from './api';
+import quoteStream from './quoteStream';
+import { CONNECTION_STATES, MARKET_STATUS, STREAMING_CONFIG } from './constants';
+
+// The mock API has no stream, so the quote stream goes straight to polling
+jest.mock('../mocks/mockOptions', () => ({ isMockApiEnabled: () => true }));
+
+jest.mock('./api', () => ({
+  __esModule: true,
+  default: { getStockQuote: jest.fn(), getBatchStockQuotes: jest.fn() },
+  isCancelledError: () => false,
+}));
+
+const quoteResponse = (marketState) => ({
+  status: 'success',
+  data: { symbol: 'AAPL', price: 190, market_state: marketState },
+});
+
+// Let an in-flight poll finish
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+};
+
+const connectionState = () => quoteStream.getSnapshot().connectionState;
+
+describe('quote stream', () => {
+  let unsubscribers;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    unsubscribers = [];
+    apiService.getStockQuote.mockResolvedValue(quoteResponse(MARKET_STATUS.REGULAR));
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    jest.advanceTimersByTime(STREAMING_CONFIG.IDLE_DISCONNECT_DELAY);
+    jest.useRealTimers();
+  });
+
+  const subscribe = (ticker, listener = jest.fn(), initialQuote = null) => {
+    const unsubscribe = quoteStream.subscribeQuote(ticker, listener, initialQuote);
+    unsubscribers.push(unsubscribe);
+    return unsubscribe;
+  };
+
+  it('connects on the first subscription and closes a while after the last one leaves', () => {
+    expect(connectionState()).toBe(CONNECTION_STATES.IDLE);
+
+    const unsubscribe = subscribe('aapl');
+    expect(connectionState()).toBe(CONNECTION_STATES.POLLING);
+
+    unsubscribe();
+    jest.advanceTimersByTime(STREAMING_CONFIG.IDLE_DISCONNECT_DELAY / 2);
+    subscribe('msft');
+    jest.advanceTimersByTime(STREAMING_CONFIG.IDLE_DISCONNECT_DELAY);
+    expect(connectionState()).toBe(CONNECTION_STATES.POLLING);
+
+    unsubscribers.forEach(remove => remove());
+    jest.advanceTimersByTime(STREAMING_CONFIG.IDLE_DISCONNECT_DELAY);
+    expect(quoteStream.getSnapshot()).toEqual({ connectionState: CONNECTION_STATES.IDLE, transport: null });
+  });
+
+  it('polls closed markets less often and picks them up again once they open', async () => {
+    apiService.getStockQuote.mockResolvedValue(quoteResponse(MARKET_STATUS.CLOSED));
+    const listener = jest.fn();
+    subscribe('AAPL', listener, { symbol: 'AAPL', market_state: MARKET_STATUS.CLOSED });
+
+    jest.advanceTimersByTime(STREAMING_CONFIG.POLL_INTERVAL);
+    await flushPromises();
+    expect(apiService.getStockQuote).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(STREAMING_CONFIG.CLOSED_MARKET_POLL_INTERVAL - STREAMING_CONFIG.POLL_INTERVAL);
+    await flushPromises();
+    expect(apiService.getStockQuote).toHaveBeenCalledTimes(1);
+
+    apiService.getStockQuote.mockResolvedValue(quoteResponse(MARKET_STATUS.REGULAR));
+    jest.advanceTimersByTime(STREAMING_CONFIG.POLL_INTERVAL);
+    await flushPromises();
+    expect(apiService.getStockQuote).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({ market_state: MARKET_STATUS.REGULAR }));
+
+    jest.advanceTimersByTime(STREAMING_CONFIG.POLL_INTERVAL);
+    await flushPromises();
+    expect(apiService.getStockQuote).toHaveBeenCalledTimes(3);
+    expect(connectionState()).toBe(CONNECTION_STATES.POLLING);
+  });
+});
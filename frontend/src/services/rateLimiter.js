@@ -0,0 +1,211 @@
+import { ERROR_TYPES, RATE_LIMIT_CONFIG } from './constants';
+
+// Utility Functions
+function createBucket({ CAPACITY, REFILL_PER_SECOND }) {
+  return {
+    capacity: CAPACITY,
+    refillPerSecond: REFILL_PER_SECOND,
+    tokens: CAPACITY,
+    updatedAt: Date.now(),
+    blockedUntil: null,
+    queue: [],
+    timer: null,
+  };
+}
+
+function refill(bucket, now) {
+  // Tokens don't accumulate while the server has told us to back off
+  const since = Math.max(bucket.updatedAt, bucket.blockedUntil || 0);
+  if (now > since) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - since) / 1000) * bucket.refillPerSecond);
+  }
+  bucket.updatedAt = now;
+}
+
+// Rate Limiter Class
+// Token buckets per endpoint group (see RATE_LIMIT_CONFIG). Requests take a
+// token before they are sent and queue in order while their group is out of
+// tokens or blocked by a 429's Retry-After. The state of every group is
+// readable from React through useSyncExternalStore.
+class RateLimiter {
+  constructor() {
+    this.buckets = new Map(
+      Object.entries(RATE_LIMIT_CONFIG.GROUPS).map(([group, config]) => [group, createBucket(config)])
+    );
+    this.listeners = new Set();
+    this.state = this.buildState();
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  buildState(now = Date.now()) {
+    const groups = {};
+    let blockedUntil = null;
+
+    this.buckets.forEach((bucket, group) => {
+      refill(bucket, now);
+      const blocked = bucket.blockedUntil > now ? bucket.blockedUntil : null;
+
+      groups[group] = {
+        capacity: bucket.capacity,
+        refillPerSecond: bucket.refillPerSecond,
+        available: Math.floor(bucket.tokens),
+        queued: bucket.queue.length,
+        blockedUntil: blocked,
+      };
+      blockedUntil = Math.max(blockedUntil || 0, blocked || 0) || null;
+    });
+
+    return { groups, blockedUntil };
+  }
+
+  publish() {
+    this.state = this.buildState();
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Change a group's budget; the bucket starts full
+   *
+   * @param {string} group - One of RATE_LIMIT_GROUPS
+   * @param {Object} options - { capacity, refillPerSecond }
+   */
+  configure(group, options = {}) {
+    const previous = this.buckets.get(group);
+    const config = RATE_LIMIT_CONFIG.GROUPS[group] || {};
+    const bucket = createBucket({
+      CAPACITY: options.capacity ?? previous?.capacity ?? config.CAPACITY,
+      REFILL_PER_SECOND: options.refillPerSecond ?? previous?.refillPerSecond ?? config.REFILL_PER_SECOND,
+    });
+
+    if (previous) {
+      clearTimeout(previous.timer);
+      bucket.queue = previous.queue;
+    }
+
+    this.buckets.set(group, bucket);
+    this.drain(group);
+  }
+
+  /**
+   * Wait for a token in a group
+   * Resolves straight away for unknown groups or when rate limiting is off.
+   * An aborted signal stops the wait without taking a token; the caller
+   * checks the signal afterwards.
+   *
+   * @param {string} group - One of RATE_LIMIT_GROUPS
+   * @param {AbortSignal} signal - Optional signal to stop waiting
+   * @returns {Promise} - Rejects with RATE_LIMIT when the queue is full
+   */
+  acquire(group, signal) {
+    const bucket = this.buckets.get(group);
+    if (!RATE_LIMIT_CONFIG.ENABLED || !bucket || signal?.aborted) {
+      return Promise.resolve();
+    }
+
+    if (bucket.queue.length === 0 && this.take(bucket)) {
+      this.publish();
+      return Promise.resolve();
+    }
+
+    if (bucket.queue.length >= RATE_LIMIT_CONFIG.MAX_QUEUE_LENGTH) {
+      return Promise.reject({
+        type: ERROR_TYPES.RATE_LIMIT,
+        message: 'Too many requests are waiting. Please slow down.',
+        retryAfter: Math.ceil(this.getWaitTime(bucket) / 1000),
+        group,
+        originalError: null,
+      });
+    }
+
+    return new Promise(resolve => {
+      const waiter = { resolve };
+
+      const handleAbort = () => {
+        bucket.queue = bucket.queue.filter(entry => entry !== waiter);
+        resolve();
+        this.publish();
+      };
+
+      waiter.cleanup = () => signal?.removeEventListener('abort', handleAbort);
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      bucket.queue.push(waiter);
+      console.log(`⏳ Rate limit reached for ${group}, ${bucket.queue.length} request(s) queued`);
+      this.schedule(group);
+      this.publish();
+    });
+  }
+
+  /**
+   * Hold every request in a group until the server's Retry-After has passed
+   *
+   * @param {string} group - One of RATE_LIMIT_GROUPS
+   * @param {number} seconds - Retry-After in seconds
+   */
+  block(group, seconds) {
+    const bucket = this.buckets.get(group);
+    if (!bucket) return;
+
+    const now = Date.now();
+    refill(bucket, now);
+    bucket.blockedUntil = Math.max(bucket.blockedUntil || 0, now + seconds * 1000);
+    // Resume with a single request rather than a burst of everything queued
+    bucket.tokens = Math.min(bucket.tokens, 1);
+
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+    this.schedule(group);
+    this.publish();
+  }
+
+  // Milliseconds until the group can send the next request
+  getWaitTime(bucket, now = Date.now()) {
+    refill(bucket, now);
+    const unblockedAt = Math.max(now, bucket.blockedUntil || 0);
+    const refillTime = bucket.tokens >= 1 ? 0 : ((1 - bucket.tokens) / bucket.refillPerSecond) * 1000;
+    return unblockedAt - now + refillTime;
+  }
+
+  take(bucket, now = Date.now()) {
+    if (bucket.blockedUntil > now) return false;
+
+    refill(bucket, now);
+    if (bucket.tokens < 1) return false;
+
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  schedule(group) {
+    const bucket = this.buckets.get(group);
+    if (bucket.timer || bucket.queue.length === 0) return;
+
+    bucket.timer = setTimeout(() => this.drain(group), Math.ceil(this.getWaitTime(bucket)));
+  }
+
+  // Release queued requests, oldest first, for as long as there are tokens
+  drain(group) {
+    const bucket = this.buckets.get(group);
+    bucket.timer = null;
+
+    while (bucket.queue.length > 0 && this.take(bucket)) {
+      const waiter = bucket.queue.shift();
+      waiter.cleanup();
+      waiter.resolve();
+    }
+
+    this.schedule(group);
+    this.publish();
+  }
+}
+
+// Export singleton instance
+const rateLimiter = new RateLimiter();
+
+export default rateLimiter;
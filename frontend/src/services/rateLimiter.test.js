@@ -0,0 +1,97 @@
+import rateLimiter from './rateLimiter';
+import { ERROR_TYPES, RATE_LIMIT_CONFIG, RATE_LIMIT_GROUPS } from './constants';
+
+const { SEARCH, QUOTES } = RATE_LIMIT_GROUPS;
+
+// Collect the order in which acquired requests are let through
+const track = (released, label, signal) => rateLimiter.acquire(SEARCH, signal).then(() => released.push(label));
+
+describe('rate limiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rateLimiter.configure(SEARCH, { capacity: 2, refillPerSecond: 1 });
+    rateLimiter.configure(QUOTES, { capacity: 2, refillPerSecond: 1 });
+  });
+
+  afterEach(() => {
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+  });
+
+  it('queues requests over budget and releases them as tokens refill', async () => {
+    const released = [];
+    ['a', 'b', 'c', 'd'].forEach(label => track(released, label));
+
+    await Promise.resolve();
+    expect(released).toEqual(['a', 'b']);
+    expect(rateLimiter.getSnapshot().groups[SEARCH].queued).toBe(2);
+
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    expect(released).toEqual(['a', 'b', 'c']);
+
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    expect(released).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('keeps groups independent', async () => {
+    await rateLimiter.acquire(SEARCH);
+    await rateLimiter.acquire(SEARCH);
+
+    const released = [];
+    rateLimiter.acquire(QUOTES).then(() => released.push('quote'));
+    await Promise.resolve();
+
+    expect(released).toEqual(['quote']);
+  });
+
+  it('holds a blocked group until Retry-After has passed', async () => {
+    rateLimiter.block(SEARCH, 5);
+    const released = [];
+    track(released, 'a');
+
+    expect(rateLimiter.getSnapshot().blockedUntil).toBe(Date.now() + 5000);
+
+    jest.advanceTimersByTime(4900);
+    await Promise.resolve();
+    expect(released).toEqual([]);
+
+    jest.advanceTimersByTime(100);
+    await Promise.resolve();
+    expect(released).toEqual(['a']);
+  });
+
+  it('drops aborted requests from the queue without using a token', async () => {
+    await rateLimiter.acquire(SEARCH);
+    await rateLimiter.acquire(SEARCH);
+
+    const controller = new AbortController();
+    const released = [];
+    track(released, 'aborted', controller.signal);
+    track(released, 'next');
+
+    controller.abort();
+    await Promise.resolve();
+    expect(released).toEqual(['aborted']);
+    expect(rateLimiter.getSnapshot().groups[SEARCH].queued).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    await Promise.resolve();
+    expect(released).toEqual(['aborted', 'next']);
+  });
+
+  it('rejects with RATE_LIMIT once the queue is full', async () => {
+    rateLimiter.block(SEARCH, 1);
+    for (let i = 0; i < RATE_LIMIT_CONFIG.MAX_QUEUE_LENGTH; i++) {
+      rateLimiter.acquire(SEARCH);
+    }
+
+    await expect(rateLimiter.acquire(SEARCH)).rejects.toMatchObject({
+      type: ERROR_TYPES.RATE_LIMIT,
+      group: SEARCH,
+      retryAfter: 1,
+    });
+  });
+});
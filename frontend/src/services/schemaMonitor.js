@@ -0,0 +1,63 @@
+import { SCHEMA_CONFIG } from './constants';
+
+// Utility Functions
+function getMismatchKey(error) {
+  const paths = error.issues.map(issue => `${issue.kind}:${issue.path}`).sort();
+  return `${error.endpoint}|${paths.join(',')}`;
+}
+
+// Schema Monitor Class
+// Collects the SCHEMA_ERRORs raised while checking API responses so the dev
+// overlay can list them. Repeats of the same mismatch are counted, not listed.
+class SchemaMonitor {
+  constructor() {
+    this.state = {
+      mismatches: [], // newest first
+    };
+    this.listeners = new Set();
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  setState(changes) {
+    this.state = { ...this.state, ...changes };
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * Record a schema error
+   *
+   * @param {Object} error - SCHEMA_ERROR with endpoint, issues and blocking
+   */
+  report(error) {
+    const key = getMismatchKey(error);
+    const existing = this.state.mismatches.find(mismatch => mismatch.key === key);
+    const others = this.state.mismatches.filter(mismatch => mismatch !== existing);
+
+    const mismatch = {
+      key,
+      endpoint: error.endpoint,
+      label: error.label,
+      issues: error.issues,
+      blocking: error.blocking,
+      count: (existing?.count || 0) + 1,
+      lastSeen: Date.now(),
+    };
+
+    this.setState({ mismatches: [mismatch, ...others].slice(0, SCHEMA_CONFIG.MAX_MISMATCHES) });
+  }
+
+  clear() {
+    this.setState({ mismatches: [] });
+  }
+}
+
+// Export singleton instance
+const schemaMonitor = new SchemaMonitor();
+
+export default schemaMonitor;
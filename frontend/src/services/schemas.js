@@ -0,0 +1,303 @@
+import { SCHEMA_ISSUES } from './constants';
+
+// Schema builders
+// A schema describes one value: its type (or a list of allowed types), whether
+// it may be missing or null, and for objects either their known `fields` or,
+// for maps keyed by arbitrary names, the schema of their `values`.
+const string = (options) => ({ type: 'string', ...options });
+const number = (options) => ({ type: 'number', ...options });
+const boolean = (options) => ({ type: 'boolean', ...options });
+const scalar = (options) => ({ type: ['string', 'number', 'boolean'], ...options });
+const id = (options) => ({ type: ['string', 'number'], ...options });
+const arrayOf = (items, options) => ({ type: 'array', items, ...options });
+const shape = (fields, options) => ({ type: 'object', fields, ...options });
+const mapOf = (values, options) => ({ type: 'object', values, ...options });
+const oneOf = (variants, options) => ({ oneOf: variants, ...options });
+const optional = (schema) => ({ ...schema, optional: true });
+
+// Response Schemas
+const QUOTE_FIELDS = {
+  symbol: string(),
+  price: number(),
+  currency: optional(string()),
+  change: optional(number()),
+  change_percent: optional(number()),
+  volume: optional(number()),
+  market_cap: optional(number()),
+  last_updated: optional(string()),
+  market_state: optional(string()),
+};
+
+const EXTENDED_QUOTE_FIELDS = {
+  open_price: optional(number()),
+  high_price: optional(number()),
+  low_price: optional(number()),
+  previous_close: optional(number()),
+  fifty_two_week_high: optional(number()),
+  fifty_two_week_low: optional(number()),
+  pe_ratio: optional(number()),
+  eps: optional(number()),
+  dividend_yield: optional(number()),
+  beta: optional(number()),
+};
+
+// The API sends either a bare quote or the quote nested with extended data alongside
+const STOCK_QUOTE = oneOf([
+  shape({ quote: shape(QUOTE_FIELDS), ...EXTENDED_QUOTE_FIELDS }),
+  shape({ ...QUOTE_FIELDS, ...EXTENDED_QUOTE_FIELDS }),
+]);
+
+const COMPANY = shape({
+  name: string(),
+  ticker: optional(string()),
+  cik: optional(id()),
+  exchange: optional(string()),
+  sector: optional(string()),
+  industry: optional(string()),
+  description: optional(string()),
+  website: optional(string()),
+  headquarters: optional(string()),
+  employees: optional(number()),
+  market_cap: optional(number()),
+});
+
+const FILING = shape({
+  accession_number: string(),
+  form: string(),
+  filing_date: string(),
+  period_end_date: optional(string()),
+  description: optional(string()),
+  filing_url: optional(string()),
+  file_size: optional(number()),
+});
+
+const INVESTMENT_ANALYSIS = shape({
+  summary: optional(shape({ overall_sentiment: optional(string()) })),
+  key_metrics: optional(mapOf(scalar())),
+  financial_metrics: optional(mapOf(scalar())),
+  technical_analysis: optional(mapOf(scalar())),
+  performance_insights: optional(shape({
+    short_term: optional(mapOf(string())),
+    long_term: optional(mapOf(string())),
+  })),
+  risk_assessment: optional(shape({
+    risk_level: optional(string()),
+    risk_factors: optional(arrayOf(string())),
+    positive_indicators: optional(arrayOf(string())),
+  })),
+  recent_developments: optional(arrayOf(string())),
+  educational_considerations: optional(arrayOf(string())),
+  disclaimer: optional(string()),
+});
+
+const SUGGESTION = oneOf([
+  string(),
+  shape({
+    text: string(),
+    type: optional(string()),
+    ticker: optional(string()),
+    company_name: optional(string()),
+    match_score: optional(number()),
+  }),
+]);
+
+// The `data` of a successful response, by endpoint
+export const RESPONSE_SCHEMAS = {
+  SEARCH: shape({
+    query: optional(string()),
+    results: arrayOf(COMPANY),
+    total: optional(number()),
+  }),
+  SUGGESTIONS: shape({
+    query: optional(string()),
+    suggestions: arrayOf(SUGGESTION),
+  }),
+  COMPANY,
+  COMPANY_LOOKUP: shape({
+    company: COMPANY,
+    investment_analysis: optional(INVESTMENT_ANALYSIS),
+    stock_quote: optional(STOCK_QUOTE),
+    recent_filings: optional(arrayOf(FILING)),
+    data_sources: optional(mapOf(string())),
+    last_updated: optional(string()),
+  }),
+  STOCK_QUOTE,
+  STOCK_BATCH: shape({
+    // A list of quotes, or quotes keyed by symbol
+    quotes: oneOf([arrayOf(STOCK_QUOTE), mapOf(STOCK_QUOTE)]),
+    not_found: optional(arrayOf(string())),
+  }),
+  FILINGS: shape({
+    filings: arrayOf(FILING),
+    total: optional(number()),
+    offset: optional(number()),
+    limit: optional(number()),
+    has_more: optional(boolean()),
+    next_cursor: optional(string()),
+  }),
+  INVESTMENT_ANALYSIS,
+};
+
+// Every response wraps its payload in the same envelope
+const ENVELOPE_FIELDS = {
+  status: string(),
+  message: optional(string()),
+  timestamp: optional(string()),
+  cachedAt: optional(number()), // added when served from a cache in place of the network
+};
+
+// Utility Functions
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const describe = (schema) => (
+  schema.oneOf ? schema.oneOf.map(describe).join(' | ') : [].concat(schema.type).join(' | ')
+);
+
+// Array items share one path ("results[].name") so a bad field is reported once, not per item
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const countBlocking = (issues) => issues.filter(issue => issue.kind !== SCHEMA_ISSUES.UNKNOWN).length;
+
+/**
+ * Check a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema from the builders above
+ * @param {string} path - Path of the value, used in the issues
+ * @returns {Array} - Issues as { path, kind, expected, received }, one per path and kind
+ */
+export const validateSchema = (value, schema, path = '') => {
+  if (value === undefined || value === null) {
+    return schema.optional
+      ? []
+      : [{ path, kind: SCHEMA_ISSUES.MISSING, expected: describe(schema), received: typeOf(value) }];
+  }
+
+  // The variant with the fewest blocking issues describes the value best
+  if (schema.oneOf) {
+    return schema.oneOf
+      .map(variant => validateSchema(value, variant, path))
+      .reduce((best, issues) => (
+        countBlocking(issues) < countBlocking(best) ||
+        (countBlocking(issues) === countBlocking(best) && issues.length < best.length)
+          ? issues
+          : best
+      ));
+  }
+
+  const received = typeOf(value);
+  if (![].concat(schema.type).includes(received)) {
+    return [{ path, kind: SCHEMA_ISSUES.TYPE, expected: describe(schema), received }];
+  }
+
+  let issues = [];
+
+  if (received === 'array' && schema.items) {
+    issues = value.flatMap(item => validateSchema(item, schema.items, `${path}[]`));
+  } else if (received === 'object' && schema.fields) {
+    issues = [
+      ...Object.entries(schema.fields).flatMap(([key, field]) => (
+        validateSchema(value[key], field, joinPath(path, key))
+      )),
+      ...Object.keys(value)
+        .filter(key => !(key in schema.fields))
+        .map(key => ({ path: joinPath(path, key), kind: SCHEMA_ISSUES.UNKNOWN, received: typeOf(value[key]) })),
+    ];
+  } else if (received === 'object' && schema.values) {
+    issues = Object.entries(value).flatMap(([key, item]) => (
+      validateSchema(item, schema.values, joinPath(path, key))
+    ));
+  }
+
+  const seen = new Set();
+  return issues.filter(issue => {
+    const key = `${issue.path}:${issue.kind}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Check a response envelope and its data against the endpoint's schema
+ *
+ * @param {Object} payload - Response body ({ status, data, ... })
+ * @param {string} endpoint - Key of RESPONSE_SCHEMAS
+ * @returns {Array} - Issues, with paths starting at the envelope ("data.results[].name")
+ */
+export const validateResponse = (payload, endpoint) => (
+  validateSchema(payload, shape({ ...ENVELOPE_FIELDS, data: RESPONSE_SCHEMAS[endpoint] }))
+);
+
+/**
+ * Whether any issue leaves the payload unusable
+ * Unknown fields only count in strict mode.
+ */
+export const hasBlockingIssues = (issues, strict = false) => (
+  strict ? issues.length > 0 : countBlocking(issues) > 0
+);
+
+/**
+ * Flatten a bare quote or a quote with extended data into the canonical quote
+ * Every quote field is present (null when the API didn't send it), so
+ * components never have to guess where a field lives.
+ *
+ * @param {Object} stockData - Quote from any stock endpoint
+ * @param {Object} options - { extended } also includes open, high, low, ratios, etc.
+ * @returns {Object|null} - Canonical quote
+ */
+export const normalizeQuote = (stockData, options = {}) => {
+  const { extended = true } = options;
+  if (!stockData) return null;
+
+  const source = { ...stockData, ...(stockData.quote || {}) };
+  const fields = Object.keys(extended ? { ...QUOTE_FIELDS, ...EXTENDED_QUOTE_FIELDS } : QUOTE_FIELDS);
+  const quote = Object.fromEntries(fields.map(field => [field, source[field] ?? null]));
+
+  return {
+    ...quote,
+    symbol: quote.symbol.toUpperCase(),
+    currency: quote.currency || 'USD',
+  };
+};
+
+// Canonical shapes for the fields components read without checking
+const NORMALIZERS = {
+  COMPANY_LOOKUP: (data) => (
+    data.stock_quote ? { ...data, stock_quote: normalizeQuote(data.stock_quote) } : data
+  ),
+  STOCK_QUOTE: (data) => normalizeQuote(data),
+  STOCK_BATCH: (data) => ({
+    ...data,
+    quotes: (Array.isArray(data.quotes) ? data.quotes : Object.values(data.quotes))
+      .map(quote => normalizeQuote(quote, { extended: false })),
+    not_found: data.not_found || [],
+  }),
+};
+
+/**
+ * Give a validated response its canonical shape
+ *
+ * @param {Object} payload - Response body ({ status, data, ... })
+ * @param {string} endpoint - Key of RESPONSE_SCHEMAS
+ * @returns {Object} - Response body with normalized data
+ */
+export const normalizeResponse = (payload, endpoint) => {
+  const normalize = NORMALIZERS[endpoint];
+  return normalize ? { ...payload, data: normalize(payload.data) } : payload;
+};
+
+export const schemas = {
+  RESPONSE_SCHEMAS,
+  validateSchema,
+  validateResponse,
+  hasBlockingIssues,
+  normalizeQuote,
+  normalizeResponse,
+};
+
+export default schemas;
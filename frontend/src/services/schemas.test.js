@@ -0,0 +1,85 @@
+import { hasBlockingIssues, normalizeQuote, normalizeResponse, validateResponse } from './schemas';
+import { API_ENDPOINTS, SCHEMA_ISSUES } from './constants';
+import { handleMockRequest } from '../mocks/handlers';
+
+const get = (path, params) => handleMockRequest({ path, params }).data;
+
+const success = (data) => ({ status: 'success', data });
+
+describe('response schemas', () => {
+  it('match every mock API response', () => {
+    const responses = {
+      SEARCH: get(API_ENDPOINTS.SEARCH, { q: 'a' }),
+      SUGGESTIONS: get(API_ENDPOINTS.SEARCH_SUGGESTIONS, { q: 'micro' }),
+      COMPANY: get(`${API_ENDPOINTS.COMPANY_BY_TICKER}/AAPL`),
+      COMPANY_LOOKUP: get(API_ENDPOINTS.COMPANY_LOOKUP, { q: 'AAPL' }),
+      STOCK_QUOTE: get(`${API_ENDPOINTS.STOCK_QUOTE}/AAPL`),
+      STOCK_BATCH: get(API_ENDPOINTS.STOCK_BATCH, { tickers: 'AAPL,MSFT,NOPE' }),
+      FILINGS: get(`${API_ENDPOINTS.FILINGS}/320193`, { limit: 50 }),
+    };
+
+    Object.entries(responses).forEach(([endpoint, payload]) => {
+      expect([endpoint, validateResponse(payload, endpoint)]).toEqual([endpoint, []]);
+    });
+  });
+
+  it('reports missing fields, wrong types and unknown fields once per path', () => {
+    const issues = validateResponse(success({
+      results: [{ name: 'Apple Inc.', ticker: 1 }, { ticker: 'MSFT' }, { name: 'Tesla', ceo: 'x' }],
+      total: 3,
+      page: 1,
+    }), 'SEARCH');
+
+    expect(issues).toEqual([
+      { path: 'data.results[].ticker', kind: SCHEMA_ISSUES.TYPE, expected: 'string', received: 'number' },
+      { path: 'data.results[].name', kind: SCHEMA_ISSUES.MISSING, expected: 'string', received: 'undefined' },
+      { path: 'data.results[].ceo', kind: SCHEMA_ISSUES.UNKNOWN, received: 'string' },
+      { path: 'data.page', kind: SCHEMA_ISSUES.UNKNOWN, received: 'number' },
+    ]);
+    expect(hasBlockingIssues(issues)).toBe(true);
+  });
+
+  it('only blocks on unknown fields in strict mode', () => {
+    const issues = validateResponse(success({ suggestions: ['Apple'], source: 'edgar' }), 'SUGGESTIONS');
+
+    expect(issues).toHaveLength(1);
+    expect(hasBlockingIssues(issues)).toBe(false);
+    expect(hasBlockingIssues(issues, true)).toBe(true);
+  });
+
+  it('accepts bare quotes and quotes nested with extended data', () => {
+    expect(validateResponse(success({ symbol: 'AAPL', price: 190 }), 'STOCK_QUOTE')).toEqual([]);
+    expect(validateResponse(success({ quote: { symbol: 'AAPL', price: 190 }, beta: 1.2 }), 'STOCK_QUOTE')).toEqual([]);
+    expect(validateResponse(success({ quote: { symbol: 'AAPL' } }), 'STOCK_QUOTE')).toEqual([
+      { path: 'data.quote.price', kind: SCHEMA_ISSUES.MISSING, expected: 'number', received: 'undefined' },
+    ]);
+  });
+});
+
+describe('quote normalization', () => {
+  it('flattens nested quotes and fills every field', () => {
+    const quote = normalizeQuote({ quote: { symbol: 'aapl', price: 190, change: 1.5 }, beta: 1.2 });
+
+    expect(quote).toMatchObject({ symbol: 'AAPL', price: 190, change: 1.5, beta: 1.2, currency: 'USD' });
+    expect(quote.volume).toBeNull();
+    expect(quote.open_price).toBeNull();
+    expect(quote).not.toHaveProperty('quote');
+  });
+
+  it('turns batch quotes keyed by symbol into a list of quotes', () => {
+    const payload = normalizeResponse(success({
+      quotes: { AAPL: { symbol: 'AAPL', price: 190 }, MSFT: { quote: { symbol: 'MSFT', price: 410 } } },
+    }), 'STOCK_BATCH');
+
+    expect(payload.data.quotes.map(quote => [quote.symbol, quote.price])).toEqual([['AAPL', 190], ['MSFT', 410]]);
+    expect(payload.data.quotes[0]).not.toHaveProperty('open_price');
+    expect(payload.data.not_found).toEqual([]);
+  });
+
+  it('gives lookups a canonical stock quote', () => {
+    const payload = normalizeResponse(get(API_ENDPOINTS.COMPANY_LOOKUP, { q: 'MSFT' }), 'COMPANY_LOOKUP');
+
+    expect(payload.data.stock_quote).toMatchObject({ symbol: 'MSFT', currency: 'USD' });
+    expect(payload.data.stock_quote.previous_close).toEqual(expect.any(Number));
+  });
+});
@@ -0,0 +1,201 @@
+import { STORAGE_KEYS, WATCHLIST_CONFIG } from './constants';
+
+const DEFAULT_LIST_ID = 'default';
+
+// Utility Functions
+function generateListId() {
+  return `list_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function createDefaultState() {
+  return {
+    activeListId: DEFAULT_LIST_ID,
+    lists: [
+      { id: DEFAULT_LIST_ID, name: WATCHLIST_CONFIG.DEFAULT_LIST_NAME, items: [] },
+    ],
+  };
+}
+
+function toWatchlistItem(company) {
+  return {
+    ticker: company.ticker.toUpperCase(),
+    name: company.name || company.company_name || company.ticker,
+    cik: company.cik || null,
+    exchange: company.exchange || null,
+    industry: company.industry || null,
+    sector: company.sector || null,
+    addedAt: new Date().toISOString(),
+  };
+}
+
+function isValidState(value) {
+  return value &&
+    Array.isArray(value.lists) &&
+    value.lists.length > 0 &&
+    value.lists.every(list => list.id && Array.isArray(list.items));
+}
+
+function loadState() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.WATCHLISTS);
+    const parsed = stored ? JSON.parse(stored) : null;
+    return isValidState(parsed) ? parsed : createDefaultState();
+  } catch (error) {
+    console.warn('Failed to load watchlists:', error);
+    return createDefaultState();
+  }
+}
+
+function saveState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.WATCHLISTS, JSON.stringify(state));
+  } catch (error) {
+    console.warn('Failed to save watchlists:', error);
+  }
+}
+
+// Watchlist Store Class
+// Holds every named watchlist in localStorage and notifies subscribers on change,
+// so it can be read from React through useSyncExternalStore.
+class WatchlistStore {
+  constructor() {
+    this.state = loadState();
+    this.listeners = new Set();
+
+    // Keep several open tabs in sync
+    if (typeof window !== 'undefined') {
+      window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEYS.WATCHLISTS) {
+          this.state = loadState();
+          this.emit();
+        }
+      });
+    }
+  }
+
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getSnapshot = () => this.state;
+
+  emit() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  update(updater) {
+    this.state = updater(this.state);
+    saveState(this.state);
+    this.emit();
+  }
+
+  updateList(listId, updater) {
+    this.update(state => ({
+      ...state,
+      lists: state.lists.map(list => (list.id === listId ? updater(list) : list)),
+    }));
+  }
+
+  getActiveList() {
+    return this.state.lists.find(list => list.id === this.state.activeListId) || this.state.lists[0];
+  }
+
+  // List management
+  createList(name) {
+    const trimmed = name?.trim();
+    if (!trimmed || this.state.lists.length >= WATCHLIST_CONFIG.MAX_LISTS) {
+      return null;
+    }
+
+    const list = { id: generateListId(), name: trimmed, items: [] };
+    this.update(state => ({
+      activeListId: list.id,
+      lists: [...state.lists, list],
+    }));
+    return list;
+  }
+
+  renameList(listId, name) {
+    const trimmed = name?.trim();
+    if (!trimmed) return;
+
+    this.updateList(listId, list => ({ ...list, name: trimmed }));
+  }
+
+  deleteList(listId) {
+    // There is always at least one list to add companies to
+    if (this.state.lists.length <= 1) return;
+
+    this.update(state => {
+      const lists = state.lists.filter(list => list.id !== listId);
+      return {
+        activeListId: state.activeListId === listId ? lists[0].id : state.activeListId,
+        lists,
+      };
+    });
+  }
+
+  setActiveList(listId) {
+    if (!this.state.lists.some(list => list.id === listId)) return;
+
+    this.update(state => ({ ...state, activeListId: listId }));
+  }
+
+  // Item management
+  isWatched(ticker, listId = this.getActiveList().id) {
+    if (!ticker) return false;
+
+    const list = this.state.lists.find(item => item.id === listId);
+    return Boolean(list?.items.some(item => item.ticker === ticker.toUpperCase()));
+  }
+
+  addCompany(company, listId = this.getActiveList().id) {
+    if (!company?.ticker || this.isWatched(company.ticker, listId)) return;
+
+    this.updateList(listId, list => {
+      if (list.items.length >= WATCHLIST_CONFIG.MAX_ITEMS_PER_LIST) {
+        return list;
+      }
+      return { ...list, items: [...list.items, toWatchlistItem(company)] };
+    });
+  }
+
+  removeCompany(ticker, listId = this.getActiveList().id) {
+    if (!ticker) return;
+
+    const symbol = ticker.toUpperCase();
+    this.updateList(listId, list => ({
+      ...list,
+      items: list.items.filter(item => item.ticker !== symbol),
+    }));
+  }
+
+  toggleCompany(company, listId = this.getActiveList().id) {
+    if (this.isWatched(company?.ticker, listId)) {
+      this.removeCompany(company.ticker, listId);
+    } else {
+      this.addCompany(company, listId);
+    }
+  }
+
+  moveCompany(listId, fromIndex, toIndex) {
+    this.updateList(listId, list => {
+      if (fromIndex === toIndex ||
+          fromIndex < 0 || fromIndex >= list.items.length ||
+          toIndex < 0 || toIndex >= list.items.length) {
+        return list;
+      }
+
+      const items = [...list.items];
+      const [moved] = items.splice(fromIndex, 1);
+      items.splice(toIndex, 0, moved);
+      return { ...list, items };
+    });
+  }
+}
+
+// Export singleton instance
+const watchlistStore = new WatchlistStore();
+
+export default watchlistStore;
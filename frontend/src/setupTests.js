@@ -0,0 +1,3 @@
+// Adds custom jest matchers for asserting on DOM nodes, e.g.
+// expect(element).toHaveAttribute('aria-selected', 'true')
+import '@testing-library/jest-dom';
@@ -0,0 +1,171 @@
+import { ALERT_TYPES } from '../services/constants';
+import { formatCurrency, formatPercentage, formatVolume } from './formatters';
+
+const ALERT_TYPES_BY_ID = Object.values(ALERT_TYPES).reduce((acc, type) => {
+  acc[type.id] = type;
+  return acc;
+}, {});
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+/**
+ * Look up an alert type definition by id
+ */
+export const getAlertType = (typeId) => ALERT_TYPES_BY_ID[typeId] || null;
+
+/**
+ * Whether a rule is checked against quotes (as opposed to filings)
+ */
+export const isQuoteRule = (rule) => getAlertType(rule?.type)?.source === 'quote';
+
+/**
+ * Check a rule's threshold before it is saved
+ *
+ * @param {Object} rule - { ticker, cik, type, value }
+ * @returns {Object} - { isValid, error }
+ */
+export const validateAlertRule = (rule) => {
+  const type = getAlertType(rule?.type);
+
+  if (!rule?.ticker) {
+    return { isValid: false, error: 'Choose a company for the alert' };
+  }
+  if (!type) {
+    return { isValid: false, error: 'Choose what to be alerted about' };
+  }
+
+  if (type.id === ALERT_TYPES.NEW_FILING.id) {
+    if (!rule.cik) {
+      return { isValid: false, error: 'Filing alerts need the company CIK' };
+    }
+    return String(rule.value || '').trim()
+      ? { isValid: true, error: null }
+      : { isValid: false, error: 'Enter a form type, such as 8-K' };
+  }
+
+  const value = toNumber(rule.value);
+  if (value === null || value <= 0) {
+    return { isValid: false, error: `${type.valueLabel} must be a positive number` };
+  }
+
+  return { isValid: true, error: null };
+};
+
+/**
+ * Human readable summary of a rule, e.g. "AAPL price rises above $200.00"
+ */
+export const describeAlertRule = (rule) => {
+  const value = toNumber(rule.value);
+
+  switch (rule.type) {
+    case ALERT_TYPES.PRICE_ABOVE.id:
+      return `${rule.ticker} price rises above ${formatCurrency(value)}`;
+    case ALERT_TYPES.PRICE_BELOW.id:
+      return `${rule.ticker} price falls below ${formatCurrency(value)}`;
+    case ALERT_TYPES.PERCENT_CHANGE.id:
+      return `${rule.ticker} moves more than ${formatPercentage(value)} in a day`;
+    case ALERT_TYPES.VOLUME_SPIKE.id:
+      return `${rule.ticker} volume reaches ${value}× its average`;
+    case ALERT_TYPES.NEW_FILING.id:
+      return `${rule.ticker} files a new ${rule.value}`;
+    default:
+      return `${rule.ticker} alert`;
+  }
+};
+
+/**
+ * Evaluate a quote-based rule
+ *
+ * @param {Object} rule - Alert rule
+ * @param {Object} quote - Latest quote for the rule's ticker
+ * @param {number|null} averageVolume - Average daily volume, for volume spike rules
+ * @returns {Object|null} - { met, message } or null when the quote can't answer the rule
+ */
+export const evaluateQuoteRule = (rule, quote, averageVolume = null) => {
+  const threshold = toNumber(rule.value);
+  if (!quote || threshold === null) return null;
+
+  const price = toNumber(quote.price);
+  const changePercent = toNumber(quote.change_percent);
+  const volume = toNumber(quote.volume);
+
+  switch (rule.type) {
+    case ALERT_TYPES.PRICE_ABOVE.id:
+      return price === null ? null : {
+        met: price > threshold,
+        message: `${rule.ticker} is at ${formatCurrency(price)}, above ${formatCurrency(threshold)}`,
+      };
+    case ALERT_TYPES.PRICE_BELOW.id:
+      return price === null ? null : {
+        met: price < threshold,
+        message: `${rule.ticker} is at ${formatCurrency(price)}, below ${formatCurrency(threshold)}`,
+      };
+    case ALERT_TYPES.PERCENT_CHANGE.id:
+      return changePercent === null ? null : {
+        met: Math.abs(changePercent) >= threshold,
+        message: `${rule.ticker} is ${changePercent >= 0 ? 'up' : 'down'} ${formatPercentage(Math.abs(changePercent))} today`,
+      };
+    case ALERT_TYPES.VOLUME_SPIKE.id:
+      return volume === null || !averageVolume ? null : {
+        met: volume >= averageVolume * threshold,
+        message: `${rule.ticker} volume is ${formatVolume(volume)}, ${(volume / averageVolume).toFixed(1)}× its average of ${formatVolume(averageVolume)}`,
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Average daily volume from history rows, ignoring days without trading
+ */
+export const getAverageVolume = (rows = []) => {
+  const volumes = rows.map(row => toNumber(row?.volume)).filter(volume => volume > 0);
+  if (volumes.length === 0) return null;
+
+  return volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length;
+};
+
+/**
+ * Filings of the rule's form that are newer than the last one seen, newest first
+ *
+ * @param {Object} rule - New filing rule with lastAccession and filingsCheckedAt
+ * @param {Array} filings - Company filings, newest first
+ * @returns {Object} - { latestAccession, filings }
+ */
+export const findNewFilings = (rule, filings = []) => {
+  const form = String(rule.value || '').trim().toUpperCase();
+  const matching = filings.filter(filing => (filing.form || '').toUpperCase() === form);
+  const latestAccession = matching[0]?.accession_number || rule.lastAccession || null;
+
+  // The first check only records where we are; there is nothing to compare against yet
+  if (!rule.filingsCheckedAt) {
+    return { latestAccession, filings: [] };
+  }
+
+  if (!rule.lastAccession) {
+    return { latestAccession, filings: matching };
+  }
+
+  // A last seen filing that has dropped out of the page means at least the newest is new
+  const seenIndex = matching.findIndex(filing => filing.accession_number === rule.lastAccession);
+  return {
+    latestAccession,
+    filings: seenIndex === -1 ? matching.slice(0, 1) : matching.slice(0, seenIndex),
+  };
+};
+
+// Export all alert helpers as a single object for convenience
+export const alerts = {
+  type: getAlertType,
+  isQuoteRule,
+  validate: validateAlertRule,
+  describe: describeAlertRule,
+  evaluateQuote: evaluateQuoteRule,
+  averageVolume: getAverageVolume,
+  newFilings: findNewFilings,
+};
@@ -0,0 +1,258 @@
+import { formatters } from './formatters';
+import { toNumericValue } from './exporters';
+
+// Analysis labels ranked from worst to best
+const SENTIMENT_SCORES = {
+  pessimistic: 0,
+  cautious: 1,
+  neutral: 2,
+  'cautiously optimistic': 3,
+  optimistic: 4,
+};
+
+const RISK_SCORES = {
+  high: 0,
+  moderate: 1,
+  medium: 1,
+  low: 2,
+};
+
+const getQuote = (entry) => entry.data?.stock_quote || {};
+
+const getCompany = (entry) => entry.data?.company || {};
+
+const getAnalysis = (entry) => entry.data?.investment_analysis || {};
+
+const getLatestFiling = (entry, form) => (entry.filings || [])
+  .filter(filing => filing.form === form && filing.filing_date)
+  .reduce((latest, filing) => (
+    !latest || filing.filing_date > latest.filing_date ? filing : latest
+  ), null);
+
+const formatQuoteCurrency = (value, entry) => formatters.currency(toNumericValue(value), {
+  currency: getQuote(entry).currency || 'USD',
+});
+
+const scoreLabel = (scores) => (value) => {
+  const score = scores[value?.toString().toLowerCase()];
+  return score === undefined ? null : score;
+};
+
+const scoreDate = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+};
+
+const formatLabel = (value) => (value ? value.toString().replace(/\b\w/g, char => char.toUpperCase()) : 'N/A');
+
+/**
+ * Comparison rows grouped by section
+ * Each row reads a raw value from a comparison entry ({ ticker, data, filings }),
+ * formats it for display and, when `better` is set, ranks it against the other
+ * companies using `score` (numeric parsing by default).
+ */
+export const COMPARISON_SECTIONS = [
+  {
+    title: 'Quote',
+    rows: [
+      {
+        key: 'price',
+        label: 'Price',
+        value: (entry) => getQuote(entry).price,
+        format: formatQuoteCurrency,
+      },
+      {
+        key: 'change_percent',
+        label: 'Change',
+        value: (entry) => getQuote(entry).change_percent,
+        format: (value) => formatters.percentage(toNumericValue(value), { showSign: true }),
+        better: 'higher',
+      },
+      {
+        key: 'market_cap',
+        label: 'Market Cap',
+        value: (entry) => getQuote(entry).market_cap ?? getCompany(entry).market_cap,
+        format: (value) => formatters.marketCap(toNumericValue(value)),
+        better: 'higher',
+      },
+      {
+        key: 'pe_ratio',
+        label: 'P/E Ratio',
+        value: (entry) => getQuote(entry).pe_ratio,
+        format: (value) => formatters.peRatio(toNumericValue(value)),
+        // A negative P/E means losses, not a cheap stock
+        score: (value) => {
+          const number = toNumericValue(value);
+          return number > 0 ? number : null;
+        },
+        better: 'lower',
+      },
+      {
+        key: 'eps',
+        label: 'EPS',
+        value: (entry) => getQuote(entry).eps,
+        format: formatQuoteCurrency,
+        better: 'higher',
+      },
+      {
+        key: 'dividend_yield',
+        label: 'Dividend Yield',
+        value: (entry) => getQuote(entry).dividend_yield,
+        format: (value) => formatters.percentage(toNumericValue(value)),
+        better: 'higher',
+      },
+      {
+        key: 'beta',
+        label: 'Beta',
+        value: (entry) => getQuote(entry).beta,
+        format: (value) => formatters.number(toNumericValue(value)),
+        // Lower beta means a less volatile stock
+        better: 'lower',
+      },
+      {
+        key: 'fifty_two_week_range',
+        label: '52-Week Range',
+        value: (entry) => {
+          const { fifty_two_week_low: low, fifty_two_week_high: high } = getQuote(entry);
+          return low || high ? { low, high } : null;
+        },
+        format: ({ low, high }, entry) => `${formatQuoteCurrency(low, entry)} – ${formatQuoteCurrency(high, entry)}`,
+      },
+    ],
+  },
+  {
+    title: 'Company',
+    rows: [
+      {
+        key: 'sector',
+        label: 'Sector',
+        value: (entry) => getCompany(entry).sector,
+      },
+      {
+        key: 'industry',
+        label: 'Industry',
+        value: (entry) => getCompany(entry).industry,
+      },
+      {
+        key: 'employees',
+        label: 'Employees',
+        value: (entry) => getCompany(entry).employees,
+        format: (value) => formatters.largeNumber(toNumericValue(value)),
+        better: 'higher',
+      },
+    ],
+  },
+  {
+    title: 'Filings',
+    rows: ['10-K', '10-Q'].map(form => ({
+      key: `latest_${form}`,
+      label: `Latest ${form}`,
+      value: (entry) => getLatestFiling(entry, form)?.filing_date,
+      format: (value) => formatters.date(value),
+      // More recent filings mean fresher fundamentals
+      score: scoreDate,
+      better: 'higher',
+    })),
+  },
+  {
+    title: 'Analysis',
+    rows: [
+      {
+        key: 'sentiment',
+        label: 'Sentiment',
+        value: (entry) => getAnalysis(entry).summary?.overall_sentiment,
+        format: formatLabel,
+        score: scoreLabel(SENTIMENT_SCORES),
+        better: 'higher',
+      },
+      {
+        key: 'risk_level',
+        label: 'Risk Level',
+        value: (entry) => getAnalysis(entry).risk_assessment?.risk_level,
+        format: formatLabel,
+        score: scoreLabel(RISK_SCORES),
+        better: 'higher',
+      },
+    ],
+  },
+];
+
+/**
+ * Find the best and worst companies for a row
+ * Nothing is highlighted unless at least two companies have comparable values
+ * that differ.
+ *
+ * @param {Object} row - Row definition from COMPARISON_SECTIONS
+ * @param {Array} entries - Comparison entries with loaded data
+ * @returns {Object} - { best: Set of tickers, worst: Set of tickers }
+ */
+export const rankComparisonRow = (row, entries) => {
+  const best = new Set();
+  const worst = new Set();
+
+  if (!row.better) return { best, worst };
+
+  const score = row.score || toNumericValue;
+  const scored = entries
+    .map(entry => ({ ticker: entry.ticker, score: score(row.value(entry)) }))
+    .filter(item => item.score !== null && item.score !== undefined && !isNaN(item.score));
+
+  if (scored.length < 2) return { best, worst };
+
+  const scores = scored.map(item => item.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  if (max === min) return { best, worst };
+
+  const [top, bottom] = row.better === 'lower' ? [min, max] : [max, min];
+  scored.forEach(item => {
+    if (item.score === top) best.add(item.ticker);
+    if (item.score === bottom) worst.add(item.ticker);
+  });
+
+  return { best, worst };
+};
+
+/**
+ * Build display-ready comparison sections for the loaded companies
+ *
+ * @param {Array} entries - [{ ticker, data, filings }] in column order
+ * @returns {Array} - [{ title, rows: [{ key, label, cells: [{ ticker, display, rank }] }] }]
+ */
+export const buildComparisonSections = (entries) => {
+  const loaded = entries.filter(entry => entry.data);
+
+  return COMPARISON_SECTIONS.map(section => ({
+    title: section.title,
+    rows: section.rows.map(row => {
+      const { best, worst } = rankComparisonRow(row, loaded);
+
+      return {
+        key: row.key,
+        label: row.label,
+        cells: entries.map(entry => {
+          // A null display marks a column that is still loading
+          if (!entry.data) {
+            return { ticker: entry.ticker, display: entry.error ? '—' : null, rank: null };
+          }
+
+          const value = row.value(entry);
+          const hasValue = value !== null && value !== undefined && value !== '';
+
+          return {
+            ticker: entry.ticker,
+            display: hasValue ? (row.format ? row.format(value, entry) : value) : 'N/A',
+            rank: best.has(entry.ticker) ? 'best' : worst.has(entry.ticker) ? 'worst' : null,
+          };
+        }),
+      };
+    }),
+  }));
+};
+
+// Export all comparison helpers as a single object for convenience
+export const comparison = {
+  sections: COMPARISON_SECTIONS,
+  rank: rankComparisonRow,
+  build: buildComparisonSections,
+};
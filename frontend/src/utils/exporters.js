@@ -0,0 +1,282 @@
+import { format } from 'date-fns';
+import { formatters } from './formatters';
+import { DATE_FORMATS, EXPORT_FORMATS, FILING_FORMS } from '../services/constants';
+
+const formatQuoteCurrency = (value) => formatters.currency(value);
+const formatSignedPercent = (value) => formatters.percentage(value, { showSign: true });
+const formatDateTime = (value) => formatters.date(value, DATE_FORMATS.DATETIME);
+
+// [field, label, display formatter]
+const PROFILE_FIELDS = [
+  ['name', 'Company Name'],
+  ['ticker', 'Ticker', formatters.ticker],
+  ['cik', 'CIK'],
+  ['exchange', 'Exchange'],
+  ['sector', 'Sector'],
+  ['industry', 'Industry'],
+  ['market_cap', 'Market Cap', formatters.marketCap],
+  ['employees', 'Employees', formatters.largeNumber],
+  ['headquarters', 'Headquarters'],
+  ['website', 'Website'],
+  ['description', 'Description'],
+];
+
+const QUOTE_FIELDS = [
+  ['symbol', 'Symbol', formatters.ticker],
+  ['price', 'Price', formatQuoteCurrency],
+  ['change', 'Change', formatQuoteCurrency],
+  ['change_percent', 'Change %', formatSignedPercent],
+  ['volume', 'Volume', formatters.volume],
+  ['market_cap', 'Market Cap', formatters.marketCap],
+  ['open_price', 'Open', formatQuoteCurrency],
+  ['high_price', 'Day High', formatQuoteCurrency],
+  ['low_price', 'Day Low', formatQuoteCurrency],
+  ['previous_close', 'Previous Close', formatQuoteCurrency],
+  ['fifty_two_week_high', '52W High', formatQuoteCurrency],
+  ['fifty_two_week_low', '52W Low', formatQuoteCurrency],
+  ['pe_ratio', 'P/E Ratio', formatters.peRatio],
+  ['eps', 'EPS', formatQuoteCurrency],
+  ['dividend_yield', 'Dividend Yield', formatters.percentage],
+  ['beta', 'Beta', formatters.number],
+  ['market_state', 'Market State'],
+  ['last_updated', 'Last Updated', formatDateTime],
+];
+
+/**
+ * Parse a raw numeric value out of API values such as "+5.2%", "$1.2B" or "1,234"
+ */
+export const toNumericValue = (value) => {
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^([+-])?\$?([\d,]*\.?\d+)\s*([KMBT%])?$/i);
+  if (!match) return null;
+
+  const [, sign, digits, suffix] = match;
+  const multipliers = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+  const number = parseFloat(digits.replace(/,/g, '')) * (multipliers[suffix?.toUpperCase()] || 1);
+
+  return sign === '-' ? -number : number;
+};
+
+// Build "Field / Value / Raw Value" rows for a flat record
+const toFieldRows = (record, fields) => fields
+  .filter(([field]) => record[field] !== null && record[field] !== undefined && record[field] !== '')
+  .map(([field, label, display]) => ({
+    Field: label,
+    Value: display ? display(record[field]) : record[field],
+    'Raw Value': record[field],
+  }));
+
+const toLabel = (key) => key
+  .replace(/_/g, ' ')
+  .replace(/\b\w/g, char => char.toUpperCase());
+
+// Flatten nested analysis objects into "Section / Metric / Value" rows
+const flattenAnalysis = (value, section, metric, rows) => {
+  if (value === null || value === undefined) return rows;
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenAnalysis(item, section, `${metric} ${index + 1}`, rows));
+  } else if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, nested]) => {
+      flattenAnalysis(nested, section, metric ? `${metric} / ${toLabel(key)}` : toLabel(key), rows);
+    });
+  } else {
+    rows.push({
+      Section: section,
+      Metric: metric || section,
+      Value: value,
+      'Raw Value': toNumericValue(value),
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Build export sections (one per sheet) from the dashboard's company data
+ *
+ * @param {Object} companyData - Company lookup payload
+ * @param {Object} options - { filings: rows in their current table order }
+ * @returns {Array} - [{ name, rows }]
+ */
+export const buildExportSections = (companyData, options = {}) => {
+  if (!companyData) return [];
+
+  const { filings = companyData.recent_filings || [] } = options;
+  const sections = [];
+
+  if (companyData.company) {
+    sections.push({ name: 'Profile', rows: toFieldRows(companyData.company, PROFILE_FIELDS) });
+  }
+
+  if (companyData.stock_quote) {
+    sections.push({ name: 'Quote', rows: toFieldRows(companyData.stock_quote, QUOTE_FIELDS) });
+  }
+
+  if (filings.length > 0) {
+    sections.push({
+      name: 'Filings',
+      rows: filings.map(filing => ({
+        Form: filing.form,
+        'Form Name': FILING_FORMS[filing.form]?.name || '',
+        'Filed Date': formatters.date(filing.filing_date),
+        'Filing Date (ISO)': filing.filing_date || '',
+        'Period End': filing.period_end_date ? formatters.date(filing.period_end_date) : '',
+        'Period End (ISO)': filing.period_end_date || '',
+        Description: filing.description || FILING_FORMS[filing.form]?.description || '',
+        Size: filing.file_size ? formatters.fileSize(filing.file_size) : '',
+        'Size (bytes)': filing.file_size ?? '',
+        'Accession Number': filing.accession_number || '',
+        URL: filing.filing_url || '',
+      })),
+    });
+  }
+
+  if (companyData.investment_analysis) {
+    const { disclaimer, ...analysis } = companyData.investment_analysis;
+    const rows = [];
+
+    Object.entries(analysis).forEach(([key, value]) => {
+      flattenAnalysis(value, toLabel(key), '', rows);
+    });
+
+    if (disclaimer) {
+      rows.push({ Section: 'Disclaimer', Metric: 'Disclaimer', Value: disclaimer, 'Raw Value': null });
+    }
+
+    sections.push({ name: 'Analysis', rows });
+  }
+
+  return sections.filter(section => section.rows.length > 0);
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+@\t\r-]/;
+
+const escapeCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const str = value.toString();
+
+  // Neutralize text that would run as a formula; numbers such as "-1.2%" stay as they are
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str) && toNumericValue(str) === null) {
+    return `"'${str.replace(/"/g, '""')}"`;
+  }
+
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialize sections to CSV, one titled block per section
+ */
+export const sectionsToCSV = (sections) => sections
+  .map(({ name, rows }) => {
+    const headers = Object.keys(rows[0] || {});
+    const lines = [
+      escapeCSVCell(name),
+      headers.map(escapeCSVCell).join(','),
+      ...rows.map(row => headers.map(header => escapeCSVCell(row[header])).join(',')),
+    ];
+    return lines.join('\r\n');
+  })
+  .join('\r\n\r\n');
+
+/**
+ * Serialize the raw company data, with filings in their current table order
+ * Only the keys of the requested sections are included, as in CSV and XLSX.
+ */
+export const companyDataToJSON = (companyData, options = {}) => {
+  const { filings = companyData.recent_filings || [], filingsView, sections: sectionNames } = options;
+  const include = (name) => !sectionNames || sectionNames.includes(name);
+
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    ...(include('Profile') && { company: companyData.company || null }),
+    ...(include('Quote') && { stock_quote: companyData.stock_quote || null }),
+    ...(include('Filings') && { filings, filings_view: filingsView || null }),
+    ...(include('Analysis') && { investment_analysis: companyData.investment_analysis || null }),
+  }, null, 2);
+};
+
+/**
+ * Trigger a browser download for generated content
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Build a file name such as "AAPL_2024-01-31.csv"
+ */
+export const buildExportFilename = (companyData, extension, suffix = '') => {
+  const company = companyData?.company || {};
+  const base = (company.ticker || company.cik || 'company').toString().toUpperCase();
+  const date = format(new Date(), 'yyyy-MM-dd');
+
+  return `${base}${suffix ? `_${suffix}` : ''}_${date}.${extension}`;
+};
+
+/**
+ * Export company data in the requested format
+ *
+ * @param {Object} companyData - Company lookup payload
+ * @param {string} exportFormat - One of EXPORT_FORMATS
+ * @param {Object} options - { filings, filingsView, sections: names to include }
+ */
+export const exportCompanyData = async (companyData, exportFormat, options = {}) => {
+  const { sections: sectionNames } = options;
+
+  const sections = buildExportSections(companyData, options)
+    .filter(section => !sectionNames || sectionNames.includes(section.name));
+  const suffix = sectionNames?.length === 1 ? sectionNames[0].toLowerCase() : '';
+
+  switch (exportFormat) {
+    case EXPORT_FORMATS.CSV:
+      // The BOM makes Excel open the file as UTF-8
+      downloadFile(`\uFEFF${sectionsToCSV(sections)}`, buildExportFilename(companyData, 'csv', suffix), 'text/csv;charset=utf-8');
+      break;
+
+    case EXPORT_FORMATS.JSON:
+      downloadFile(companyDataToJSON(companyData, options), buildExportFilename(companyData, 'json', suffix), 'application/json');
+      break;
+
+    case EXPORT_FORMATS.XLSX: {
+      // Loaded on demand to keep the spreadsheet library out of the main bundle
+      const XLSX = await import('xlsx');
+      const workbook = XLSX.utils.book_new();
+
+      sections.forEach(({ name, rows }) => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+      });
+
+      XLSX.writeFile(workbook, buildExportFilename(companyData, 'xlsx', suffix));
+      break;
+    }
+
+    default:
+      throw new Error(`Unsupported export format: ${exportFormat}`);
+  }
+};
+
+// Export all exporters as a single object for convenience
+export const exporters = {
+  sections: buildExportSections,
+  csv: sectionsToCSV,
+  json: companyDataToJSON,
+  download: downloadFile,
+  filename: buildExportFilename,
+  company: exportCompanyData,
+  toNumeric: toNumericValue,
+};
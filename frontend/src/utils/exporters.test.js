@@ -0,0 +1,72 @@
+import * as XLSX from 'xlsx';
+import { buildExportSections, companyDataToJSON, exportCompanyData, sectionsToCSV } from './exporters';
+import { EXPORT_FORMATS } from '../services/constants';
+
+const companyData = {
+  company: { name: '=HYPERLINK("http://evil.example","Apple")', ticker: 'AAPL', cik: '320193' },
+  stock_quote: { symbol: 'AAPL', price: 190, change: -1.5, change_percent: -0.78 },
+  recent_filings: [
+    { form: '10-K', filing_date: '2024-11-01', description: '@SUM(A1:A9)', accession_number: '1' },
+    { form: '8-K', filing_date: '2024-10-01', description: '+cmd|calc', accession_number: '2' },
+  ],
+  investment_analysis: { summary: { overall_sentiment: '-neutral' } },
+};
+
+describe('sectionsToCSV', () => {
+  it('neutralizes cells that spreadsheets would run as formulas', () => {
+    const csv = sectionsToCSV(buildExportSections(companyData));
+
+    expect(csv).toContain(`"'=HYPERLINK(""http://evil.example"",""Apple"")"`);
+    expect(csv).toContain(`"'@SUM(A1:A9)"`);
+    expect(csv).toContain(`"'+cmd|calc"`);
+    expect(csv).toContain(`"'-neutral"`);
+  });
+
+  it('neutralizes cells starting with a tab or carriage return', () => {
+    const csv = sectionsToCSV([{ name: 'Notes', rows: [{ Tab: '\t=1+1', Return: '\r=1+1' }] }]);
+
+    expect(csv.split('\r\n')[2]).toBe(`"'\t=1+1","'\r=1+1"`);
+  });
+
+  it('leaves negative numbers as numbers', () => {
+    const csv = sectionsToCSV([{ name: 'Quote', rows: [{ Value: '-$1.50', 'Raw Value': -1.5 }] }]);
+
+    expect(csv.split('\r\n')[2]).toBe('-$1.50,-1.5');
+  });
+});
+
+describe('companyDataToJSON', () => {
+  it('only includes the selected sections', () => {
+    const json = JSON.parse(companyDataToJSON(companyData, { sections: ['Filings'] }));
+
+    expect(Object.keys(json)).toEqual(['exported_at', 'filings', 'filings_view']);
+    expect(json.filings).toHaveLength(2);
+  });
+
+  it('includes every section by default', () => {
+    const json = JSON.parse(companyDataToJSON(companyData));
+
+    expect(json).toMatchObject({
+      company: { ticker: 'AAPL' },
+      stock_quote: { price: 190 },
+      investment_analysis: { summary: { overall_sentiment: '-neutral' } },
+    });
+  });
+});
+
+describe('exportCompanyData', () => {
+  it('writes a workbook that reads back with one sheet per section', async () => {
+    const writeFile = jest.spyOn(XLSX, 'writeFile').mockImplementation(() => {});
+
+    await exportCompanyData(companyData, EXPORT_FORMATS.XLSX, { sections: ['Profile', 'Filings'] });
+
+    expect(writeFile).toHaveBeenCalledWith(expect.anything(), expect.stringMatching(/^AAPL_\d{4}-\d{2}-\d{2}\.xlsx$/));
+    const [workbook] = writeFile.mock.calls[0];
+    const reread = XLSX.read(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }), { type: 'buffer' });
+
+    expect(reread.SheetNames).toEqual(['Profile', 'Filings']);
+    const sections = buildExportSections(companyData);
+    expect(XLSX.utils.sheet_to_json(reread.Sheets.Profile)).toEqual(sections.find(s => s.name === 'Profile').rows);
+    expect(XLSX.utils.sheet_to_json(reread.Sheets.Filings)).toEqual(sections.find(s => s.name === 'Filings').rows);
+  });
+});
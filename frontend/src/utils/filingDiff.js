@@ -0,0 +1,267 @@
+import { FILING_DIFF_CONFIG } from '../services/constants';
+
+// Longest-common-subsequence table for the part of two sequences that differs
+const diffMiddle = (before, after) => {
+  const rows = before.length;
+  const columns = after.length;
+
+  // Too big to align, so report the whole block as replaced
+  if (rows * columns > FILING_DIFF_CONFIG.MAX_DIFF_CELLS) {
+    return [
+      ...before.map(item => ({ type: 'removed', before: item })),
+      ...after.map(item => ({ type: 'added', after: item })),
+    ];
+  }
+
+  const width = columns + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < columns) {
+    if (before[i] === after[j]) {
+      operations.push({ type: 'equal', before: before[i], after: after[j] });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'removed', before: before[i] });
+      i += 1;
+    } else {
+      operations.push({ type: 'added', after: after[j] });
+      j += 1;
+    }
+  }
+
+  while (i < rows) operations.push({ type: 'removed', before: before[i++] });
+  while (j < columns) operations.push({ type: 'added', after: after[j++] });
+
+  return operations;
+};
+
+/**
+ * Diff two sequences into equal / removed / added operations
+ *
+ * @param {Array} before - Older sequence
+ * @param {Array} after - Newer sequence
+ * @returns {Array} - [{ type, before?, after? }]
+ */
+export const diffSequence = (before, after) => {
+  // Filings mostly change in the middle, so trim the shared ends before building the table
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore -= 1;
+    endAfter -= 1;
+  }
+
+  const equal = (items) => items.map(item => ({ type: 'equal', before: item, after: item }));
+
+  return [
+    ...equal(before.slice(0, start)),
+    ...diffMiddle(before.slice(start, endBefore), after.slice(start, endAfter)),
+    ...equal(before.slice(endBefore)),
+  ];
+};
+
+/**
+ * Word-level diff of two paragraphs
+ *
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array} - Runs of [{ type: 'equal' | 'removed' | 'added', text }]
+ */
+export const diffWords = (before, after) => {
+  const tokenize = (text) => text.match(/\S+|\s+/g) || [];
+  const runs = [];
+
+  diffSequence(tokenize(before), tokenize(after)).forEach(({ type, before: removed, after: added }) => {
+    const text = type === 'removed' ? removed : added;
+    const last = runs[runs.length - 1];
+
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      runs.push({ type, text });
+    }
+  });
+
+  return runs;
+};
+
+// Share of distinct words two paragraphs have in common
+const getSimilarity = (a, b) => {
+  const wordsA = new Set(a.toLowerCase().split(' '));
+  const wordsB = new Set(b.toLowerCase().split(' '));
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared += 1;
+  });
+
+  const union = wordsA.size + wordsB.size - shared;
+  return union === 0 ? 1 : shared / union;
+};
+
+// Pair removed paragraphs with similar added ones, in order, so edits show as word diffs
+const pairChanges = (removed, added) => {
+  const rows = [];
+  let next = 0;
+
+  removed.forEach(text => {
+    const match = added.findIndex((candidate, index) => (
+      index >= next && getSimilarity(text, candidate) >= FILING_DIFF_CONFIG.SIMILARITY_THRESHOLD
+    ));
+
+    if (match === -1) {
+      rows.push({ type: 'removed', text });
+      return;
+    }
+
+    added.slice(next, match).forEach(addedText => rows.push({ type: 'added', text: addedText }));
+    rows.push({ type: 'changed', words: diffWords(text, added[match]) });
+    next = match + 1;
+  });
+
+  added.slice(next).forEach(text => rows.push({ type: 'added', text }));
+  return rows;
+};
+
+/**
+ * Paragraph-level diff, with edited paragraphs broken down by word
+ *
+ * @param {Array} before - Older paragraphs
+ * @param {Array} after - Newer paragraphs
+ * @returns {Object} - { rows: [{ type, text | words }], stats: { added, removed, changed } }
+ */
+export const diffParagraphs = (before, after) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    rows.push(...pairChanges(removed, added));
+    removed = [];
+    added = [];
+  };
+
+  diffSequence(before, after).forEach(operation => {
+    if (operation.type === 'removed') {
+      removed.push(operation.before);
+    } else if (operation.type === 'added') {
+      added.push(operation.after);
+    } else {
+      flush();
+      rows.push({ type: 'equal', text: operation.after });
+    }
+  });
+  flush();
+
+  const stats = { added: 0, removed: 0, changed: 0 };
+  rows.forEach(row => {
+    if (row.type !== 'equal') stats[row.type] += 1;
+  });
+
+  return { rows, stats };
+};
+
+/**
+ * Line up two filings' sections by key and diff each one
+ *
+ * @param {Array} beforeSections - Sections of the older filing
+ * @param {Array} afterSections - Sections of the newer filing
+ * @returns {Array} - [{ key, title, status, rows, stats }], newer filing's order first
+ */
+export const compareFilingSections = (beforeSections = [], afterSections = []) => {
+  const beforeByKey = new Map(beforeSections.map(section => [section.key, section]));
+  const afterKeys = new Set(afterSections.map(section => section.key));
+
+  const compared = afterSections.map(section => {
+    const previous = beforeByKey.get(section.key);
+    const { rows, stats } = diffParagraphs(previous?.paragraphs || [], section.paragraphs);
+    const hasChanges = stats.added + stats.removed + stats.changed > 0;
+
+    return {
+      key: section.key,
+      title: section.title,
+      status: !previous ? 'added' : hasChanges ? 'changed' : 'unchanged',
+      rows,
+      stats,
+    };
+  });
+
+  beforeSections
+    .filter(section => !afterKeys.has(section.key))
+    .forEach(section => {
+      compared.push({
+        key: section.key,
+        title: section.title,
+        status: 'removed',
+        ...diffParagraphs(section.paragraphs, []),
+      });
+    });
+
+  return compared;
+};
+
+/**
+ * Add up paragraph counts across compared sections
+ */
+export const summarizeSectionDiffs = (sections = []) => (
+  sections.reduce((totals, section) => ({
+    added: totals.added + section.stats.added,
+    removed: totals.removed + section.stats.removed,
+    changed: totals.changed + section.stats.changed,
+    sections: totals.sections + (section.status === 'unchanged' ? 0 : 1),
+  }), { added: 0, removed: 0, changed: 0, sections: 0 })
+);
+
+/**
+ * Filings of the same form as the given one, newest first
+ */
+export const getComparableFilings = (filings = [], filing) => {
+  if (!filing?.form) return [];
+
+  const seen = new Set();
+  return filings
+    .filter(item => {
+      if (item.form !== filing.form) return false;
+      const id = item.accession_number || item.filing_url;
+      if (!id || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .sort((a, b) => new Date(b.filing_date) - new Date(a.filing_date));
+};
+
+/**
+ * The most recent earlier filing of the same form, if loaded
+ */
+export const findPreviousFiling = (filings = [], filing) => (
+  getComparableFilings(filings, filing)
+    .find(item => new Date(item.filing_date) < new Date(filing.filing_date)) || null
+);
+
+// Export all diff helpers as a single object for convenience
+export const filingDiff = {
+  sequence: diffSequence,
+  words: diffWords,
+  paragraphs: diffParagraphs,
+  sections: compareFilingSections,
+  summarize: summarizeSectionDiffs,
+  comparable: getComparableFilings,
+  previous: findPreviousFiling,
+};
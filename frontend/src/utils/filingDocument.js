@@ -0,0 +1,321 @@
+import DOMPurify from 'dompurify';
+
+// "Item 1A. Risk Factors", "ITEM 7 - Management's Discussion..." and so on
+const ITEM_HEADING_PATTERN = /^(part\s+[ivx]+|item\s+\d+[a-z]?)(?:[.:\s-]|$)/i;
+const MAX_HEADING_LENGTH = 150;
+const MAX_HEADING_CHILDREN = 10; // skip containers without reading their (possibly huge) text
+const SECTION_ID_PREFIX = 'filing-section-';
+const FRONT_MATTER_TITLE = 'Cover page';
+
+// Elements that hold a paragraph of text when they have no block children
+const BLOCK_SELECTOR = 'p, div, li, tr, h1, h2, h3, h4, h5, h6, pre, blockquote';
+
+// Hidden inline XBRL data and anything executable or embedded
+const REMOVED_SELECTORS = ['ix\\:header', 'script', 'style', 'link', 'meta', 'iframe', 'object', 'embed'];
+
+const SANITIZE_OPTIONS = {
+  FORBID_TAGS: ['form', 'input', 'button', 'textarea', 'select', 'img'],
+  FORBID_ATTR: ['onerror', 'onload'],
+};
+
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const escapeHTML = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Pull the document body out of an API payload
+ * Accepts a bare string or { content | html | text, content_type }
+ */
+export const getDocumentContent = (data) => {
+  if (typeof data === 'string') return { content: data, contentType: '' };
+
+  return {
+    content: data?.content || data?.html || data?.text || '',
+    contentType: data?.content_type || '',
+  };
+};
+
+/**
+ * Guess whether a document body is HTML rather than plain text
+ */
+export const isHTMLDocument = (content, contentType = '') => {
+  if (/html|xml/i.test(contentType)) return true;
+  if (/text\/plain/i.test(contentType)) return false;
+  return /<(html|body|div|p|table|document)[\s>]/i.test(content.slice(0, 5000));
+};
+
+const inDocumentOrder = (a, b) => (
+  a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+);
+
+// Headings, plus the "Item X." paragraphs EDGAR documents use in place of headings.
+// Only the outermost short match is kept (so "<p><b>Item 1A.</b> Risk Factors</p>"
+// yields the full label), and for repeated labels (the document's own table of
+// contents lists every item) the last occurrence within the same part wins.
+const findSections = (root) => {
+  const headings = Array.from(root.querySelectorAll('h1, h2, h3, h4'));
+
+  const items = Array.from(root.querySelectorAll('p, div, td, b, strong, font, span'))
+    .filter(element => {
+      if (element.childElementCount > MAX_HEADING_CHILDREN) return false;
+      const text = normalizeText(element.textContent);
+      return text.length <= MAX_HEADING_LENGTH && ITEM_HEADING_PATTERN.test(text);
+    });
+  const outermostItems = items.filter(element => !items.some(other => other !== element && other.contains(element)));
+
+  const byLabel = new Map();
+  let part = '';
+  [...headings, ...outermostItems].sort(inDocumentOrder).forEach(element => {
+    const text = normalizeText(element.textContent);
+    if (!text || text.length > MAX_HEADING_LENGTH) return;
+
+    const label = text.toLowerCase();
+    const isPart = /^part\b/.test(label);
+    if (isPart) part = label;
+    byLabel.set(isPart ? label : `${part}|${label}`, { element, text });
+  });
+
+  return Array.from(byLabel.values()).sort((a, b) => inDocumentOrder(a.element, b.element));
+};
+
+const getLevel = (element, text) => {
+  const heading = element.tagName.match(/^H(\d)$/);
+  if (heading) return Number(heading[1]);
+  return /^part\b/i.test(text) ? 1 : 2;
+};
+
+const parseHTML = (content) => {
+  const parsed = new DOMParser().parseFromString(content, 'text/html');
+  parsed.querySelectorAll(REMOVED_SELECTORS.join(',')).forEach(element => element.remove());
+
+  const root = document.createElement('div');
+  root.innerHTML = DOMPurify.sanitize(parsed.body.innerHTML, SANITIZE_OPTIONS);
+  return root;
+};
+
+const prepareHTML = (content) => {
+  const root = parseHTML(content);
+
+  // External links leave the app in a new tab
+  root.querySelectorAll('a[href]').forEach(link => {
+    if (!link.getAttribute('href').startsWith('#')) {
+      link.setAttribute('target', '_blank');
+      link.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+
+  const toc = findSections(root).map(({ element, text }, index) => {
+    const id = `${SECTION_ID_PREFIX}${index}`;
+    element.setAttribute('id', id);
+    return { id, text, level: getLevel(element, text) };
+  });
+
+  return { html: root.innerHTML, toc };
+};
+
+const prepareText = (content) => {
+  const toc = [];
+
+  const lines = content.split(/\r?\n/).map(line => {
+    const text = normalizeText(line);
+    const escaped = escapeHTML(line);
+
+    if (text.length > 0 && text.length <= MAX_HEADING_LENGTH && ITEM_HEADING_PATTERN.test(text)) {
+      const id = `${SECTION_ID_PREFIX}${toc.length}`;
+      toc.push({ id, text, level: /^part\b/i.test(text) ? 1 : 2 });
+      return `<strong id="${id}">${escaped}</strong>`;
+    }
+
+    return escaped;
+  });
+
+  return { html: `<pre class="whitespace-pre-wrap">${lines.join('\n')}</pre>`, toc };
+};
+
+/**
+ * Turn a raw filing document into sanitized HTML with a table of contents
+ *
+ * @param {string} content - Document body as returned by the API
+ * @param {string} contentType - MIME type, when known
+ * @returns {Object} - { html, toc: [{ id, text, level }] }
+ */
+export const prepareFilingDocument = (content, contentType) => {
+  if (!content) return { html: '', toc: [] };
+
+  return isHTMLDocument(content, contentType) ? prepareHTML(content) : prepareText(content);
+};
+
+// Sections are keyed by their item number within the current part ("part ii item 1a"),
+// so the same section lines up across filings even when its title is reworded
+const createSectionCollector = () => {
+  const sections = [];
+  const byKey = new Map();
+  let part = null;
+  let current = null;
+
+  const start = (title) => {
+    const text = normalizeText(title);
+    const match = text.match(ITEM_HEADING_PATTERN);
+    let key = text.toLowerCase();
+
+    if (match) {
+      const label = match[1].toLowerCase().replace(/\s+/g, ' ');
+      if (label.startsWith('part')) {
+        part = label;
+        key = label;
+      } else {
+        key = part ? `${part} ${label}` : label;
+      }
+    }
+
+    current = byKey.get(key);
+    if (!current) {
+      current = { key, title: text, paragraphs: [] };
+      byKey.set(key, current);
+      sections.push(current);
+    }
+  };
+
+  const add = (paragraph) => {
+    const text = normalizeText(paragraph);
+    if (!text) return;
+    if (!current) start(FRONT_MATTER_TITLE);
+    current.paragraphs.push(text);
+  };
+
+  return { start, add, sections };
+};
+
+// Table cells run together in textContent, so join them explicitly
+const getBlockText = (block) => (
+  block.tagName === 'TR'
+    ? Array.from(block.children).map(cell => cell.textContent).join(' ')
+    : block.textContent
+);
+
+const startsAtOrBefore = (marker, block) => (
+  marker === block
+  || block.contains(marker)
+  || Boolean(block.compareDocumentPosition(marker) & Node.DOCUMENT_POSITION_PRECEDING)
+);
+
+const splitHTMLSections = (content) => {
+  const root = parseHTML(content);
+  const markers = findSections(root).map(section => section.element);
+  const collector = createSectionCollector();
+  let next = 0;
+  let marker = null;
+
+  root.querySelectorAll(BLOCK_SELECTOR).forEach(block => {
+    if (block.querySelector(BLOCK_SELECTOR)) return;
+
+    while (next < markers.length && startsAtOrBefore(markers[next], block)) {
+      marker = markers[next];
+      collector.start(marker.textContent);
+      next += 1;
+    }
+
+    // The heading itself isn't part of the section body
+    if (marker && (marker === block || marker.contains(block))) return;
+    collector.add(getBlockText(block));
+  });
+
+  return collector.sections;
+};
+
+const splitTextSections = (content) => {
+  const collector = createSectionCollector();
+  let buffer = [];
+
+  const flush = () => {
+    collector.add(buffer.join(' '));
+    buffer = [];
+  };
+
+  content.split(/\r?\n/).forEach(line => {
+    const text = normalizeText(line);
+
+    if (!text) {
+      flush();
+    } else if (text.length <= MAX_HEADING_LENGTH && ITEM_HEADING_PATTERN.test(text)) {
+      flush();
+      collector.start(text);
+    } else {
+      buffer.push(text);
+    }
+  });
+  flush();
+
+  return collector.sections;
+};
+
+/**
+ * Split a raw filing document into sections of plain-text paragraphs
+ *
+ * @param {string} content - Document body as returned by the API
+ * @param {string} contentType - MIME type, when known
+ * @returns {Array} - [{ key, title, paragraphs }] in document order
+ */
+export const splitFilingSections = (content, contentType) => {
+  if (!content) return [];
+
+  return isHTMLDocument(content, contentType) ? splitHTMLSections(content) : splitTextSections(content);
+};
+
+/**
+ * Wrap every case-insensitive match of a query in <mark> elements
+ *
+ * @param {HTMLElement} root - Rendered document
+ * @param {string} query - Text to find
+ * @returns {Array} - Mark elements in document order
+ */
+export const highlightMatches = (root, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!root || !needle) return [];
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeValue.toLowerCase().includes(needle)) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  const marks = [];
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const lower = text.toLowerCase();
+    const fragment = document.createDocumentFragment();
+    let cursor = 0;
+    let index = lower.indexOf(needle);
+
+    while (index !== -1) {
+      fragment.appendChild(document.createTextNode(text.slice(cursor, index)));
+
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(index, index + needle.length);
+      fragment.appendChild(mark);
+      marks.push(mark);
+
+      cursor = index + needle.length;
+      index = lower.indexOf(needle, cursor);
+    }
+
+    fragment.appendChild(document.createTextNode(text.slice(cursor)));
+    node.parentNode.replaceChild(fragment, node);
+  });
+
+  return marks;
+};
+
+// Export all document helpers as a single object for convenience
+export const filingDocument = {
+  prepare: prepareFilingDocument,
+  sections: splitFilingSections,
+  content: getDocumentContent,
+  highlight: highlightMatches,
+  isHTML: isHTMLDocument,
+};
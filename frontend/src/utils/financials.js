@@ -0,0 +1,249 @@
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+import { formatCurrency, formatLargeNumber, formatPercentage, formatDate } from './formatters';
+import { FINANCIALS_CONFIG } from '../services/constants';
+
+// Statement lines, each backed by us-gaap concepts in order of preference.
+// Companies switch concepts over the years (e.g. SalesRevenueNet to
+// RevenueFromContractWithCustomer...), so later concepts fill in older periods.
+export const FINANCIAL_STATEMENTS = [
+  {
+    id: 'income',
+    label: 'Income Statement',
+    periodType: 'duration',
+    rows: [
+      { key: 'revenue', label: 'Revenue', concepts: ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax', 'RevenueFromContractWithCustomerIncludingAssessedTax', 'SalesRevenueNet'] },
+      { key: 'costOfRevenue', label: 'Cost of revenue', concepts: ['CostOfRevenue', 'CostOfGoodsAndServicesSold', 'CostOfGoodsSold'] },
+      { key: 'grossProfit', label: 'Gross profit', concepts: ['GrossProfit'] },
+      { key: 'researchAndDevelopment', label: 'Research & development', concepts: ['ResearchAndDevelopmentExpense'] },
+      { key: 'sellingGeneralAdministrative', label: 'SG&A', concepts: ['SellingGeneralAndAdministrativeExpense'] },
+      { key: 'operatingIncome', label: 'Operating income', concepts: ['OperatingIncomeLoss'] },
+      { key: 'netIncome', label: 'Net income', concepts: ['NetIncomeLoss', 'ProfitLoss'] },
+      { key: 'epsBasic', label: 'EPS (basic)', concepts: ['EarningsPerShareBasic'], unit: 'USD/shares', format: 'perShare', additive: false },
+      { key: 'epsDiluted', label: 'EPS (diluted)', concepts: ['EarningsPerShareDiluted'], unit: 'USD/shares', format: 'perShare', additive: false },
+      { key: 'dilutedShares', label: 'Diluted shares', concepts: ['WeightedAverageNumberOfDilutedSharesOutstanding'], unit: 'shares', format: 'shares', additive: false },
+    ],
+  },
+  {
+    id: 'balance',
+    label: 'Balance Sheet',
+    periodType: 'instant',
+    rows: [
+      { key: 'cash', label: 'Cash & equivalents', concepts: ['CashAndCashEquivalentsAtCarryingValue', 'CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents'] },
+      { key: 'currentAssets', label: 'Total current assets', concepts: ['AssetsCurrent'] },
+      { key: 'totalAssets', label: 'Total assets', concepts: ['Assets'] },
+      { key: 'currentLiabilities', label: 'Total current liabilities', concepts: ['LiabilitiesCurrent'] },
+      { key: 'longTermDebt', label: 'Long-term debt', concepts: ['LongTermDebtNoncurrent', 'LongTermDebt'] },
+      { key: 'totalLiabilities', label: 'Total liabilities', concepts: ['Liabilities'] },
+      { key: 'equity', label: "Stockholders' equity", concepts: ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest'] },
+    ],
+  },
+  {
+    id: 'cashflow',
+    label: 'Cash Flow',
+    periodType: 'duration',
+    rows: [
+      { key: 'operatingCashFlow', label: 'Operating cash flow', concepts: ['NetCashProvidedByUsedInOperatingActivities'] },
+      { key: 'capitalExpenditures', label: 'Capital expenditures', concepts: ['PaymentsToAcquirePropertyPlantAndEquipment'] },
+      { key: 'investingCashFlow', label: 'Investing cash flow', concepts: ['NetCashProvidedByUsedInInvestingActivities'] },
+      { key: 'financingCashFlow', label: 'Financing cash flow', concepts: ['NetCashProvidedByUsedInFinancingActivities'] },
+      { key: 'dividends', label: 'Dividends paid', concepts: ['PaymentsOfDividends', 'PaymentsOfDividendsCommonStock'] },
+      { key: 'buybacks', label: 'Share repurchases', concepts: ['PaymentsForRepurchaseOfCommonStock'] },
+    ],
+  },
+];
+
+export const FINANCIAL_FREQUENCIES = [
+  { id: 'annual', label: 'Annual', limit: FINANCIALS_CONFIG.ANNUAL_PERIODS },
+  { id: 'quarterly', label: 'Quarterly', limit: FINANCIALS_CONFIG.QUARTERLY_PERIODS },
+];
+
+const getDurationDays = (fact) => differenceInCalendarDays(parseISO(fact.end), parseISO(fact.start));
+
+const isWithin = (days, { min, max }) => days >= min && days <= max;
+
+/**
+ * us-gaap facts from a company facts payload
+ * Accepts the SEC companyfacts shape, with or without the outer { facts } wrapper
+ */
+export const getGaapFacts = (data) => (data?.facts || data || {})['us-gaap'] || {};
+
+const matchesFrequency = (fact, frequency, periodType) => {
+  if (!fact?.end || typeof fact.val !== 'number') return false;
+
+  if (periodType === 'instant') {
+    if (fact.start) return false;
+    return frequency === 'quarterly' || FINANCIALS_CONFIG.ANNUAL_FORMS.includes(fact.form);
+  }
+
+  if (!fact.start) return false;
+  const days = getDurationDays(fact);
+  return frequency === 'annual'
+    ? isWithin(days, FINANCIALS_CONFIG.ANNUAL_DAYS)
+    : isWithin(days, FINANCIALS_CONFIG.QUARTER_DAYS);
+};
+
+// One fact per period end; the most recently filed wins so restatements show
+const collectFacts = (gaap, row, frequency, periodType) => {
+  const byEnd = new Map();
+
+  row.concepts.forEach(concept => {
+    const candidates = new Map();
+
+    (gaap[concept]?.units?.[row.unit || 'USD'] || []).forEach(fact => {
+      if (!matchesFrequency(fact, frequency, periodType)) return;
+
+      const current = candidates.get(fact.end);
+      if (!current || (fact.filed || '') > (current.filed || '')) {
+        candidates.set(fact.end, { ...fact, concept });
+      }
+    });
+
+    candidates.forEach((fact, end) => {
+      if (!byEnd.has(end)) byEnd.set(end, fact);
+    });
+  });
+
+  return byEnd;
+};
+
+// Annual reports rarely tag the fourth quarter on its own, so derive it as the
+// fiscal year less the three quarters reported before it
+const addFourthQuarters = (quarterly, annual) => {
+  annual.forEach((yearFact, end) => {
+    if (quarterly.has(end)) return;
+
+    const quarters = Array.from(quarterly.values())
+      .filter(fact => fact.start >= yearFact.start && fact.end < end);
+    if (quarters.length !== 3) return;
+
+    const lastQuarterEnd = quarters.reduce((latest, fact) => (fact.end > latest ? fact.end : latest), '');
+    quarterly.set(end, {
+      ...yearFact,
+      start: lastQuarterEnd,
+      val: yearFact.val - quarters.reduce((sum, fact) => sum + fact.val, 0),
+      derived: true,
+    });
+  });
+};
+
+const getRowFacts = (gaap, row, frequency, periodType) => {
+  const facts = collectFacts(gaap, row, frequency, periodType);
+
+  if (frequency === 'quarterly' && periodType === 'duration' && row.additive !== false) {
+    addFourthQuarters(facts, collectFacts(gaap, row, 'annual', periodType));
+  }
+
+  return facts;
+};
+
+// The same period one year earlier, allowing for 52/53-week fiscal years
+const findPriorYear = (facts, end) => {
+  const endDate = parseISO(end);
+
+  for (const [priorEnd, fact] of facts) {
+    if (isWithin(differenceInCalendarDays(endDate, parseISO(priorEnd)), FINANCIALS_CONFIG.ANNUAL_DAYS)) {
+      return fact;
+    }
+  }
+
+  return null;
+};
+
+const getGrowth = (value, prior) => {
+  if (!prior || prior.val === 0) return null;
+  return ((value - prior.val) / Math.abs(prior.val)) * 100;
+};
+
+const getPeriodLabel = (end, frequency) => (
+  frequency === 'annual' ? `FY${end.slice(0, 4)}` : formatDate(end, 'MMM yyyy')
+);
+
+/**
+ * Build one statement table from company facts
+ *
+ * @param {Object} data - Company facts payload
+ * @param {string} statementId - income | balance | cashflow
+ * @param {string} frequency - annual | quarterly
+ * @returns {Object} - { id, label, periods: [{ end, label }], rows: [{ key, label, format, cells }] }
+ */
+export const buildFinancialStatement = (data, statementId, frequency = 'annual') => {
+  const statement = FINANCIAL_STATEMENTS.find(item => item.id === statementId) || FINANCIAL_STATEMENTS[0];
+  const limit = FINANCIAL_FREQUENCIES.find(item => item.id === frequency)?.limit || FINANCIALS_CONFIG.ANNUAL_PERIODS;
+  const gaap = getGaapFacts(data);
+
+  const rowFacts = statement.rows.map(row => ({
+    row,
+    facts: getRowFacts(gaap, row, frequency, statement.periodType),
+  }));
+
+  // Most recent periods first
+  const ends = new Set();
+  rowFacts.forEach(({ facts }) => facts.forEach((fact, end) => ends.add(end)));
+  const periods = Array.from(ends)
+    .sort()
+    .reverse()
+    .slice(0, limit)
+    .map(end => ({ end, label: getPeriodLabel(end, frequency) }));
+
+  const rows = rowFacts
+    .map(({ row, facts }) => ({
+      key: row.key,
+      label: row.label,
+      format: row.format || 'currency',
+      cells: periods.map(({ end }) => {
+        const fact = facts.get(end);
+        if (!fact) return null;
+
+        return {
+          end,
+          value: fact.val,
+          growth: getGrowth(fact.val, findPriorYear(facts, end)),
+          source: {
+            accession: fact.accn,
+            form: fact.form,
+            filed: fact.filed,
+            fiscalYear: fact.fy,
+            fiscalPeriod: fact.fp,
+            concept: fact.concept,
+            start: fact.start,
+            end: fact.end,
+            derived: Boolean(fact.derived),
+          },
+        };
+      }),
+    }))
+    .filter(row => row.cells.some(Boolean));
+
+  return { id: statement.id, label: statement.label, periods, rows };
+};
+
+/**
+ * Format a statement value by row format
+ */
+export const formatFinancialValue = (value, format = 'currency') => {
+  if (value === null || value === undefined) return '—';
+
+  if (format === 'perShare') return formatCurrency(value);
+  if (format === 'shares') return formatLargeNumber(value);
+
+  // Keep the sign in front of the currency symbol ("-$1.2B")
+  const formatted = formatCurrency(Math.abs(value), { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  return value < 0 ? `-${formatted}` : formatted;
+};
+
+/**
+ * Format year-over-year growth
+ */
+export const formatGrowth = (growth) => (
+  formatPercentage(growth, { showSign: true, minimumFractionDigits: 1, maximumFractionDigits: 1 })
+);
+
+// Export all financials helpers as a single object for convenience
+export const financials = {
+  statements: FINANCIAL_STATEMENTS,
+  frequencies: FINANCIAL_FREQUENCIES,
+  build: buildFinancialStatement,
+  gaap: getGaapFacts,
+  value: formatFinancialValue,
+  growth: formatGrowth,
+};
@@ -1,5 +1,6 @@
 import { format, parseISO, isValid, formatDistanceToNow } from 'date-fns';
 import { NUMBER_FORMATS, DATE_FORMATS } from '../services/constants';
+import { parseSearchQuery, stringifySearchQuery } from './searchQuery';
 
 /**
  * Format currency values
@@ -320,12 +321,12 @@ export const truncateText = (text, maxLength = 100) => {
 
 /**
  * Format search query for display
+ * Structured terms are normalized too, e.g. 'Sector:energy  cik:320193' -> 'sector:Energy cik:0000320193'
  */
 export const formatSearchQuery = (query) => {
   if (!query) return '';
   
-  // Clean and normalize the query
-  return query.trim().replace(/\s+/g, ' ');
+  return stringifySearchQuery(parseSearchQuery(query));
 };
 
 /**
@@ -0,0 +1,49 @@
+/**
+ * Validate stock ticker symbol
+ */
+export const validateTicker = (ticker) => {
+  if (!ticker) {
+    return { isValid: false, error: 'Ticker is required' };
+  }
+
+  const tickerStr = ticker.toString().trim().toUpperCase();
+
+  // Basic format: 1-5 letters, optionally followed by dot and 1-2 letters
+  const tickerPattern = /^[A-Z]{1,5}(\.[A-Z]{1,2})?$/;
+
+  if (!tickerPattern.test(tickerStr)) {
+    return { 
+      isValid: false, 
+      error: 'Invalid ticker format. Use 1-5 letters (e.g., TSLA, BRK.A)' 
+    };
+  }
+
+  return { isValid: true, value: tickerStr };
+};
+
+/**
+ * Validate SEC CIK (Central Index Key)
+ */
+export const validateCIK = (cik) => {
+  if (!cik) {
+    return { isValid: false, error: 'CIK is required' };
+  }
+
+  const cikStr = cik.toString().trim();
+
+  // Remove any non-digit characters
+  const digitsOnly = cikStr.replace(/\D/g, '');
+
+  if (digitsOnly.length === 0) {
+    return { isValid: false, error: 'CIK must contain digits' };
+  }
+
+  if (digitsOnly.length > 10) {
+    return { isValid: false, error: 'CIK cannot be more than 10 digits' };
+  }
+
+  // Pad with leading zeros to make 10 digits
+  const paddedCIK = digitsOnly.padStart(10, '0');
+
+  return { isValid: true, value: paddedCIK };
+};
@@ -0,0 +1,211 @@
+import { format, parseISO, startOfMonth, subMonths, addMonths, isValid } from 'date-fns';
+import { INSIDER_TRANSACTION_CODES, INSIDERS_CONFIG } from '../services/constants';
+
+// Full submissions (.txt) wrap the XML in SGML, so pull the ownership document out first
+const OWNERSHIP_DOCUMENT_PATTERN = /<ownershipDocument[\s>][\s\S]*?<\/ownershipDocument>/i;
+
+const TRANSACTION_SELECTORS = [
+  { selector: 'nonDerivativeTable > nonDerivativeTransaction', derivative: false },
+  { selector: 'derivativeTable > derivativeTransaction', derivative: true },
+];
+
+// Text of the first match; most Form 4 fields wrap their content in <value>
+const readText = (element, selector) => {
+  const match = element?.querySelector(selector);
+  if (!match) return '';
+
+  const value = match.querySelector('value');
+  return (value || match).textContent.trim();
+};
+
+const readNumber = (element, selector) => {
+  const text = readText(element, selector);
+  if (!text) return null;
+
+  const number = parseFloat(text.replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+const readFlag = (element, selector) => /^(1|true)$/i.test(readText(element, selector));
+
+const getOwnerRoles = (owner) => {
+  const roles = [];
+  if (readFlag(owner, 'isDirector')) roles.push('Director');
+  if (readFlag(owner, 'isOfficer')) roles.push(readText(owner, 'officerTitle') || 'Officer');
+  if (readFlag(owner, 'isTenPercentOwner')) roles.push('10% Owner');
+  if (readFlag(owner, 'isOther')) roles.push(readText(owner, 'otherText') || 'Other');
+  return roles;
+};
+
+/**
+ * Parse a Form 4 ownership document
+ *
+ * @param {string} content - XML document, or a full submission containing one
+ * @returns {Object|null} - { periodOfReport, owners, transactions } or null if not a Form 4
+ */
+export const parseOwnershipDocument = (content) => {
+  const xml = typeof content === 'string' ? content.match(OWNERSHIP_DOCUMENT_PATTERN)?.[0] : null;
+  if (!xml) return null;
+
+  const parsed = new DOMParser().parseFromString(xml, 'application/xml');
+  const root = parsed.querySelector('ownershipDocument');
+  if (!root || parsed.querySelector('parsererror')) return null;
+
+  const owners = Array.from(root.querySelectorAll('reportingOwner')).map(owner => ({
+    name: readText(owner, 'rptOwnerName'),
+    cik: readText(owner, 'rptOwnerCik'),
+    roles: getOwnerRoles(owner),
+  }));
+
+  const transactions = TRANSACTION_SELECTORS.flatMap(({ selector, derivative }) => (
+    Array.from(root.querySelectorAll(selector)).map(transaction => ({
+      security: readText(transaction, 'securityTitle'),
+      date: readText(transaction, 'transactionDate'),
+      code: readText(transaction, 'transactionCoding > transactionCode'),
+      acquiredDisposed: readText(transaction, 'transactionAcquiredDisposedCode'),
+      shares: readNumber(transaction, 'transactionShares'),
+      price: readNumber(transaction, 'transactionPricePerShare'),
+      sharesAfter: readNumber(transaction, 'sharesOwnedFollowingTransaction'),
+      ownership: readText(transaction, 'directOrIndirectOwnership'),
+      derivative,
+    }))
+  ));
+
+  return {
+    periodOfReport: readText(root, 'periodOfReport'),
+    owners,
+    transactions,
+  };
+};
+
+/**
+ * Buy / sell direction of a transaction, from its code
+ */
+export const getTransactionDirection = (transaction) => (
+  INSIDER_TRANSACTION_CODES[transaction.code]?.direction || null
+);
+
+/**
+ * Flag trades that are large in dollars or relative to the insider's holdings
+ */
+export const isLargeTransaction = (transaction) => {
+  if (transaction.value !== null && Math.abs(transaction.value) >= INSIDERS_CONFIG.LARGE_TRANSACTION_VALUE) {
+    return true;
+  }
+
+  // Option and RSU positions are often exercised in full, so only weigh common stock holdings
+  const { shares, sharesAfter, acquiredDisposed, derivative } = transaction;
+  if (derivative || !shares || sharesAfter === null) return false;
+
+  const sharesBefore = acquiredDisposed === 'D' ? sharesAfter + shares : sharesAfter - shares;
+  return sharesBefore > 0 && shares / sharesBefore >= INSIDERS_CONFIG.LARGE_HOLDINGS_CHANGE;
+};
+
+/**
+ * Flatten a parsed Form 4 into one row per transaction, tagged with its filing
+ *
+ * @param {Object} ownership - Result of parseOwnershipDocument
+ * @param {Object} filing - Filing the document came from
+ * @returns {Array} - Transactions with insider, roles, value and flags
+ */
+export const toInsiderTransactions = (ownership, filing = {}) => {
+  if (!ownership) return [];
+
+  const insider = ownership.owners.map(owner => owner.name).filter(Boolean).join(', ') || 'Unknown';
+  const roles = Array.from(new Set(ownership.owners.flatMap(owner => owner.roles)));
+
+  return ownership.transactions.map((transaction, index) => {
+    const value = transaction.shares !== null && transaction.price
+      ? transaction.shares * transaction.price
+      : null;
+
+    const row = {
+      ...transaction,
+      id: `${filing.accession_number || filing.filing_url || ownership.periodOfReport}-${index}`,
+      date: transaction.date || ownership.periodOfReport,
+      insider,
+      roles,
+      value,
+      direction: getTransactionDirection(transaction),
+      accessionNumber: filing.accession_number,
+      filingUrl: filing.filing_url,
+    };
+
+    return { ...row, large: isLargeTransaction(row) };
+  });
+};
+
+/**
+ * Net open-market buying and selling per month, oldest first
+ *
+ * @param {Array} transactions - Rows from toInsiderTransactions
+ * @param {number} months - Months to include, ending with the current one
+ * @returns {Array} - [{ month, time, label, buyValue, sellValue, netValue, netShares, buys, sells }]
+ */
+export const aggregateMonthlyActivity = (transactions = [], months = INSIDERS_CONFIG.MONTHS) => {
+  const firstMonth = startOfMonth(subMonths(new Date(), months - 1));
+
+  const series = Array.from({ length: months }, (_, index) => {
+    const date = addMonths(firstMonth, index);
+    return {
+      month: format(date, 'yyyy-MM'),
+      time: date.getTime(),
+      label: format(date, 'MMM yyyy'),
+      buyValue: 0,
+      sellValue: 0,
+      netValue: 0,
+      netShares: 0,
+      buys: 0,
+      sells: 0,
+    };
+  });
+  const byMonth = new Map(series.map(entry => [entry.month, entry]));
+
+  transactions.forEach(transaction => {
+    if (transaction.derivative || !transaction.direction) return;
+
+    const date = parseISO(transaction.date || '');
+    const entry = isValid(date) ? byMonth.get(format(date, 'yyyy-MM')) : null;
+    if (!entry) return;
+
+    const value = transaction.value || 0;
+    const shares = transaction.shares || 0;
+
+    if (transaction.direction === 'buy') {
+      entry.buyValue += value;
+      entry.netValue += value;
+      entry.netShares += shares;
+      entry.buys += 1;
+    } else {
+      entry.sellValue += value;
+      entry.netValue -= value;
+      entry.netShares -= shares;
+      entry.sells += 1;
+    }
+  });
+
+  return series;
+};
+
+/**
+ * Totals across a monthly series
+ */
+export const summarizeInsiderActivity = (monthly = []) => (
+  monthly.reduce((totals, entry) => ({
+    buyValue: totals.buyValue + entry.buyValue,
+    sellValue: totals.sellValue + entry.sellValue,
+    netValue: totals.netValue + entry.netValue,
+    buys: totals.buys + entry.buys,
+    sells: totals.sells + entry.sells,
+  }), { buyValue: 0, sellValue: 0, netValue: 0, buys: 0, sells: 0 })
+);
+
+// Export all insider helpers as a single object for convenience
+export const insiders = {
+  parse: parseOwnershipDocument,
+  transactions: toInsiderTransactions,
+  direction: getTransactionDirection,
+  isLarge: isLargeTransaction,
+  monthly: aggregateMonthlyActivity,
+  summarize: summarizeInsiderActivity,
+};
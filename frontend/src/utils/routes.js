@@ -0,0 +1,109 @@
+import { COMPARISON_CONFIG, ROUTES } from '../services/constants';
+import { validateDate, validateFilingForm } from './validators';
+
+/**
+ * Build the search route for a free-text query, optionally pinned to a selected CIK
+ */
+export const buildSearchPath = (query, options = {}) => {
+  const trimmed = query?.toString().trim();
+  if (!trimmed) return ROUTES.HOME;
+
+  const params = new URLSearchParams({ q: trimmed });
+  if (options.cik) {
+    params.set('cik', options.cik);
+  }
+
+  return `${ROUTES.SEARCH}?${params.toString()}`;
+};
+
+/**
+ * Build the company route for a ticker symbol
+ */
+export const buildCompanyPath = (ticker) => {
+  if (!ticker) return ROUTES.HOME;
+
+  return ROUTES.COMPANY.replace(':ticker', encodeURIComponent(ticker.toUpperCase()));
+};
+
+/**
+ * Build the filings route for a ticker, optionally filtered by form types and
+ * filing date range, e.g. "/company/AAPL/filings?form=10-K,10-Q&from=2020-01-01"
+ *
+ * @param {string} ticker - Stock ticker symbol
+ * @param {Object|string} filters - { forms, from, to }, or a single form type
+ */
+export const buildFilingsPath = (ticker, filters = {}) => {
+  if (!ticker) return ROUTES.HOME;
+
+  const path = ROUTES.COMPANY_FILINGS.replace(':ticker', encodeURIComponent(ticker.toUpperCase()));
+
+  const { forms = [], from, to } = typeof filters === 'string'
+    ? { forms: filters === 'all' ? [] : [filters] }
+    : filters;
+
+  const params = [];
+  if (forms.length > 0) params.push(`form=${forms.map(encodeURIComponent).join(',')}`);
+  if (from) params.push(`from=${encodeURIComponent(from)}`);
+  if (to) params.push(`to=${encodeURIComponent(to)}`);
+
+  return params.length > 0 ? `${path}?${params.join('&')}` : path;
+};
+
+/**
+ * Read filings filters back out of the URL, dropping malformed form types and dates
+ *
+ * @param {URLSearchParams} searchParams - Current location's search params
+ * @returns {Object} - { forms, from, to }
+ */
+export const parseFilingsFilters = (searchParams) => {
+  const forms = (searchParams.get('form') || '')
+    .split(',')
+    .map(form => validateFilingForm(form.trim()))
+    .filter(result => result.isValid)
+    .map(result => result.value);
+
+  const readDate = (key) => {
+    const value = searchParams.get(key);
+    return value && validateDate(value).isValid ? value : '';
+  };
+
+  return {
+    forms: Array.from(new Set(forms)),
+    from: readDate('from'),
+    to: readDate('to'),
+  };
+};
+
+/**
+ * Parse a comma-separated ticker list (e.g. "aapl,MSFT,aapl") into unique
+ * upper-case tickers, capped at the comparison limit
+ */
+export const parseTickerList = (value) => {
+  const tickers = (value || '')
+    .split(',')
+    .map(ticker => ticker.trim().toUpperCase())
+    .filter(Boolean);
+
+  return Array.from(new Set(tickers)).slice(0, COMPARISON_CONFIG.MAX_COMPANIES);
+};
+
+/**
+ * Build the comparison route for a list of tickers, e.g. "/compare?tickers=AAPL,MSFT"
+ */
+export const buildComparePath = (tickers = []) => {
+  const list = parseTickerList(tickers.join(','));
+  if (list.length === 0) return ROUTES.COMPARE;
+
+  // Keep the commas readable in the shared URL
+  return `${ROUTES.COMPARE}?tickers=${list.map(encodeURIComponent).join(',')}`;
+};
+
+// Export all route builders as a single object for convenience
+export const routes = {
+  search: buildSearchPath,
+  company: buildCompanyPath,
+  filings: buildFilingsPath,
+  filingsFilters: parseFilingsFilters,
+  compare: buildComparePath,
+  tickers: parseTickerList,
+};
@@ -0,0 +1,320 @@
+import { SEARCH_CONFIG, SEARCH_FIELDS } from '../services/constants';
+import { validateCIK, validateTicker } from './identifiers';
+
+const FIELDS = Object.values(SEARCH_FIELDS);
+const FIELD_PATTERN = /^([a-z]+):/i;
+
+const getField = (id) => FIELDS.find(field => field.id === id.toLowerCase());
+
+const isSpace = (char) => /\s/.test(char);
+
+const quoteIfNeeded = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+// Read up to the next whitespace
+const readWord = (input, index) => {
+  let end = index;
+  while (end < input.length && !isSpace(input[end])) end += 1;
+  return { text: input.slice(index, end), end, closed: true };
+};
+
+// Read a double-quoted string; an unterminated quote runs to the end of the input
+const readQuoted = (input, index) => {
+  const close = input.indexOf('"', index + 1);
+  return close === -1
+    ? { text: input.slice(index + 1), end: input.length, closed: false }
+    : { text: input.slice(index + 1, close), end: close + 1, closed: true };
+};
+
+// Normalize a field's value, returning { value } or { error }
+const normalizeFieldValue = (field, rawValue) => {
+  const value = rawValue.trim();
+  if (!value) {
+    return { error: `Add a value after ${field.id}:` };
+  }
+
+  if (field.id === SEARCH_FIELDS.TICKER.id || field.id === SEARCH_FIELDS.CIK.id) {
+    const result = field.id === SEARCH_FIELDS.TICKER.id ? validateTicker(value) : validateCIK(value);
+    return result.isValid ? { value: result.value } : { error: result.error };
+  }
+
+  if (!field.values) {
+    return { value };
+  }
+
+  const known = field.values.find(option => option.toLowerCase() === value.toLowerCase());
+  if (known) {
+    return { value: known };
+  }
+
+  // Exchanges are a closed list; other fields fall back to matching by name
+  return field.id === SEARCH_FIELDS.EXCHANGE.id
+    ? { error: `Unknown exchange "${value}". Try ${field.values.join(', ')}` }
+    : { value };
+};
+
+/**
+ * Parse a search box query such as 'sector:energy exchange:NYSE -"oil gas"' into
+ * terms, filters and highlighted tokens. Parsing never throws; problems are
+ * reported in `errors` with the character range they apply to, and `hints`
+ * flag things worth a second look that don't stop the search.
+ *
+ * @param {string} query - Raw search box input
+ * @returns {Object} - { terms, tokens, errors, hints, text, filters, exclude, isStructured }
+ *   tokens cover the whole input (types: whitespace, operator, field, value, phrase, text)
+ */
+export const parseSearchQuery = (query = '') => {
+  const input = query ? query.toString() : '';
+  const tokens = [];
+  const terms = [];
+  const errors = [];
+  const hints = [];
+
+  const addToken = (type, start, end) => {
+    if (end > start) tokens.push({ type, text: input.slice(start, end), start, end });
+  };
+
+  let index = 0;
+  while (index < input.length) {
+    const start = index;
+
+    if (isSpace(input[index])) {
+      while (index < input.length && isSpace(input[index])) index += 1;
+      addToken('whitespace', start, index);
+      continue;
+    }
+
+    // "-" only negates when it is directly followed by a term
+    const negated = input[index] === '-' && index + 1 < input.length && !isSpace(input[index + 1]);
+    if (negated) {
+      addToken('operator', index, index + 1);
+      index += 1;
+    }
+
+    const fieldMatch = input.slice(index).match(FIELD_PATTERN);
+    const field = fieldMatch && getField(fieldMatch[1]);
+
+    if (field) {
+      const valueStart = index + fieldMatch[0].length;
+      const read = input[valueStart] === '"' ? readQuoted(input, valueStart) : readWord(input, valueStart);
+      const normalized = normalizeFieldValue(field, read.text);
+
+      addToken('field', index, valueStart);
+      addToken('value', valueStart, read.end);
+      if (!read.closed) {
+        errors.push({ message: 'Missing closing quote', start: valueStart, end: read.end });
+      } else if (normalized.error) {
+        errors.push({ message: normalized.error, start, end: read.end });
+      }
+
+      terms.push({
+        field: field.id,
+        value: normalized.value ?? read.text.trim(),
+        negated,
+        valid: !normalized.error,
+        start,
+        end: read.end,
+      });
+      index = read.end;
+    } else if (input[index] === '"') {
+      const read = readQuoted(input, index);
+
+      addToken('phrase', index, read.end);
+      if (!read.closed) {
+        errors.push({ message: 'Missing closing quote', start: index, end: read.end });
+      }
+
+      if (read.text.trim()) {
+        terms.push({ text: read.text.trim(), phrase: true, negated, valid: true, start, end: read.end });
+      }
+      index = read.end;
+    } else {
+      const read = readWord(input, index);
+
+      // Colons are common in company names ("Berkshire Hathaway: class B"), so an
+      // unknown "word:" is searched as text; "foo:bar" may be a mistyped filter
+      addToken('text', index, read.end);
+      if (fieldMatch && read.text.length > fieldMatch[0].length) {
+        hints.push({
+          message: `"${fieldMatch[1]}:" isn't a filter, searching it as text. Filters are ${FIELDS.map(item => `${item.id}:`).join(', ')}`,
+          start,
+          end: read.end,
+        });
+      }
+
+      terms.push({ text: read.text, negated, valid: true, start, end: read.end });
+      index = read.end;
+    }
+  }
+
+  // Each field can narrow the search once; exclusions can repeat
+  const seenFields = new Set();
+  terms.forEach(term => {
+    if (!term.field || term.negated) return;
+    if (seenFields.has(term.field)) {
+      errors.push({ message: `Use ${term.field}: only once`, start: term.start, end: term.end });
+    }
+    seenFields.add(term.field);
+  });
+
+  if (errors.length === 0 && terms.length > 0 && terms.every(term => term.negated)) {
+    errors.push({
+      message: 'Add a search term or filter to go with the exclusions',
+      start: 0,
+      end: input.length,
+    });
+  }
+
+  const validTerms = terms.filter(term => term.valid);
+  const filters = {};
+  const exclude = {};
+
+  validTerms.forEach(term => {
+    if (term.negated) {
+      const key = term.field || 'text';
+      exclude[key] = [...(exclude[key] || []), term.field ? term.value : term.text];
+    } else if (term.field) {
+      filters[term.field] = term.value;
+    }
+  });
+
+  return {
+    terms,
+    tokens: tokens.map(token => ({
+      ...token,
+      invalid: errors.some(error => token.type !== 'whitespace' && token.start < error.end && token.end > error.start),
+    })),
+    errors: errors.sort((a, b) => a.start - b.start),
+    hints,
+    text: validTerms.filter(term => !term.field && !term.negated).map(term => term.text).join(' '),
+    filters,
+    exclude,
+    isStructured: errors.length > 0 || terms.some(term => term.field || term.phrase || term.negated),
+  };
+};
+
+/**
+ * Turn a parsed query back into text, with field names lower-cased and values normalized
+ * e.g. 'Sector:energy  -"oil' -> 'sector:Energy -"oil"'
+ */
+export const stringifySearchQuery = (parsed) => parsed.terms
+  .map(term => {
+    const prefix = term.negated ? '-' : '';
+    if (term.field) return `${prefix}${term.field}:${quoteIfNeeded(term.value)}`;
+    return `${prefix}${term.phrase ? `"${term.text}"` : term.text}`;
+  })
+  .join(' ');
+
+/**
+ * Build params for the search endpoint from a parsed query
+ * Free text and phrases go in `q`; filters become `ticker`, `cik`, `exchange`,
+ * `sector` and `industry`; exclusions become comma-separated `exclude` (free text)
+ * and `exclude_<field>` params. Invalid terms are left out.
+ *
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} - Query params
+ */
+export const buildSearchParams = (parsed) => {
+  const params = {};
+
+  const q = parsed.terms
+    .filter(term => term.valid && !term.field && !term.negated)
+    .map(term => (term.phrase ? `"${term.text}"` : term.text))
+    .join(' ');
+  if (q) params.q = q;
+
+  Object.entries(parsed.filters).forEach(([field, value]) => {
+    params[field] = value;
+  });
+
+  Object.entries(parsed.exclude).forEach(([key, values]) => {
+    params[key === 'text' ? 'exclude' : `exclude_${key}`] = values.join(',');
+  });
+
+  return params;
+};
+
+/**
+ * A query that names exactly one company, e.g. "ticker:aapl" or "cik:320193",
+ * can skip the results list
+ *
+ * @returns {Object|null} - { ticker } or { cik }
+ */
+export const getDirectLookup = (parsed) => {
+  if (parsed.errors.length > 0 || parsed.terms.length !== 1) return null;
+
+  const [term] = parsed.terms;
+  if (term.negated) return null;
+  if (term.field === SEARCH_FIELDS.TICKER.id) return { ticker: term.value };
+  if (term.field === SEARCH_FIELDS.CIK.id) return { cik: term.value };
+  return null;
+};
+
+/**
+ * Replace a query's free text while keeping its filters and exclusions,
+ * e.g. picking the "Apple Inc." suggestion for "appl exchange:NASDAQ"
+ */
+export const replaceFreeText = (parsed, text) => stringifySearchQuery({
+  terms: [
+    { text },
+    ...parsed.terms.filter(term => term.field || term.negated),
+  ],
+});
+
+/**
+ * Autocomplete the term at the end of the query: field names ("sec" -> "sector:")
+ * and known values ("exchange:ny" -> "exchange:NYSE")
+ *
+ * @param {string} query - Raw search box input
+ * @param {number} limit - Maximum completions
+ * @returns {Array} - [{ id, label, description, query }] where query is the completed input
+ */
+export const getSearchCompletions = (query = '', limit = SEARCH_CONFIG.MAX_COMPLETIONS) => {
+  if (!query || isSpace(query[query.length - 1])) return [];
+
+  const { terms } = parseSearchQuery(query);
+  const term = terms[terms.length - 1];
+  if (!term || term.end !== query.length) return [];
+
+  const termStart = term.negated ? term.start + 1 : term.start;
+  const before = query.slice(0, termStart);
+  const typed = query.slice(termStart);
+
+  if (term.field) {
+    const field = getField(term.field);
+    if (!field.values) return [];
+
+    const partial = typed.slice(field.id.length + 1).replace(/^"/, '').replace(/"$/, '').toLowerCase();
+
+    return field.values
+      .filter(value => value.toLowerCase().startsWith(partial) && value.toLowerCase() !== partial)
+      .slice(0, limit)
+      .map(value => ({
+        id: `${field.id}:${value}`,
+        label: `${field.id}:${quoteIfNeeded(value)}`,
+        description: field.label,
+        query: `${before}${field.id}:${quoteIfNeeded(value)} `,
+      }));
+  }
+
+  if (term.phrase || !/^[a-z]+$/i.test(typed)) return [];
+
+  return FIELDS
+    .filter(field => field.id.startsWith(typed.toLowerCase()))
+    .slice(0, limit)
+    .map(field => ({
+      id: field.id,
+      label: `${field.id}:`,
+      description: field.description,
+      query: `${before}${field.id}:`,
+    }));
+};
+
+// Export all search query helpers as a single object for convenience
+export const searchQuery = {
+  parse: parseSearchQuery,
+  stringify: stringifySearchQuery,
+  toParams: buildSearchParams,
+  directLookup: getDirectLookup,
+  replaceFreeText,
+  completions: getSearchCompletions,
+};
@@ -0,0 +1,155 @@
+import {
+  buildSearchParams,
+  getDirectLookup,
+  getSearchCompletions,
+  parseSearchQuery,
+  replaceFreeText,
+  stringifySearchQuery,
+} from './searchQuery';
+
+describe('parseSearchQuery', () => {
+  it('treats plain input as free text', () => {
+    const parsed = parseSearchQuery('Tesla inc');
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.text).toBe('Tesla inc');
+    expect(parsed.filters).toEqual({});
+    expect(parsed.isStructured).toBe(false);
+  });
+
+  it('normalizes field values', () => {
+    const parsed = parseSearchQuery('Sector:energy exchange:nyse ticker:xom cik:34088');
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.filters).toEqual({
+      sector: 'Energy',
+      exchange: 'NYSE',
+      ticker: 'XOM',
+      cik: '0000034088',
+    });
+  });
+
+  it('reads quoted phrases and quoted values', () => {
+    const parsed = parseSearchQuery('"bank of america" sector:"financial services"');
+
+    expect(parsed.terms[0]).toMatchObject({ text: 'bank of america', phrase: true });
+    expect(parsed.filters).toEqual({ sector: 'Financial Services' });
+  });
+
+  it('collects negated terms as exclusions', () => {
+    const parsed = parseSearchQuery('oil -exchange:OTC -"shell company" -gas');
+
+    expect(parsed.text).toBe('oil');
+    expect(parsed.exclude).toEqual({
+      exchange: ['OTC'],
+      text: ['shell company', 'gas'],
+    });
+  });
+
+  it('leaves hyphens inside words alone', () => {
+    expect(parseSearchQuery('coca-cola').text).toBe('coca-cola');
+  });
+
+  it('reports errors with the range they cover', () => {
+    const query = 'apple cik:abc';
+    const { errors, tokens } = parseSearchQuery(query);
+
+    expect(errors).toEqual([{ message: 'CIK must contain digits', start: 6, end: query.length }]);
+    expect(tokens.filter(token => token.invalid).map(token => token.text)).toEqual(['cik:', 'abc']);
+  });
+
+  it.each([
+    ['exchange:XYZ', /Unknown exchange "XYZ"/],
+    ['sector: apple', 'Add a value after sector:'],
+    ['"bank of', 'Missing closing quote'],
+    ['ticker:AAPL ticker:MSFT', 'Use ticker: only once'],
+    ['-tesla', 'Add a search term or filter to go with the exclusions'],
+  ])('rejects %s', (query, message) => {
+    expect(parseSearchQuery(query).errors[0].message).toMatch(message);
+  });
+
+  it('searches unknown fields as text, hinting when one looks like a mistyped filter', () => {
+    const parsed = parseSearchQuery('Berkshire Hathaway: class B secter:energy');
+
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.text).toBe('Berkshire Hathaway: class B secter:energy');
+    expect(parsed.hints).toEqual([
+      { message: expect.stringMatching(/^"secter:" isn't a filter/), start: 28, end: 41 },
+    ]);
+    expect(parsed.tokens.some(token => token.invalid)).toBe(false);
+  });
+
+  it('returns tokens covering the whole input', () => {
+    const query = '-sector:energy  "oil gas" bp';
+    const { tokens } = parseSearchQuery(query);
+
+    expect(tokens.map(token => token.text).join('')).toBe(query);
+    expect(tokens.map(token => token.type)).toEqual([
+      'operator', 'field', 'value', 'whitespace', 'phrase', 'whitespace', 'text',
+    ]);
+  });
+});
+
+describe('buildSearchParams', () => {
+  it('sends free text as q and filters as their own params', () => {
+    const params = buildSearchParams(parseSearchQuery('"big oil" sector:energy -exchange:OTC -exchange:AMEX -gas'));
+
+    expect(params).toEqual({
+      q: '"big oil"',
+      sector: 'Energy',
+      exclude_exchange: 'OTC,AMEX',
+      exclude: 'gas',
+    });
+  });
+
+  it('leaves invalid terms out', () => {
+    expect(buildSearchParams(parseSearchQuery('apple cik:abc'))).toEqual({ q: 'apple' });
+  });
+});
+
+describe('stringifySearchQuery', () => {
+  it('normalizes spacing, field names and values', () => {
+    expect(stringifySearchQuery(parseSearchQuery('  Sector:energy   -"oil  gas  '))).toBe('sector:Energy -"oil  gas"');
+  });
+});
+
+describe('getDirectLookup', () => {
+  it('jumps straight to a lone ticker or CIK', () => {
+    expect(getDirectLookup(parseSearchQuery('ticker:aapl'))).toEqual({ ticker: 'AAPL' });
+    expect(getDirectLookup(parseSearchQuery('cik:320193'))).toEqual({ cik: '0000320193' });
+  });
+
+  it('searches anything else', () => {
+    expect(getDirectLookup(parseSearchQuery('apple'))).toBeNull();
+    expect(getDirectLookup(parseSearchQuery('ticker:aapl sector:technology'))).toBeNull();
+    expect(getDirectLookup(parseSearchQuery('cik:abc'))).toBeNull();
+  });
+});
+
+describe('replaceFreeText', () => {
+  it('keeps filters and exclusions', () => {
+    expect(replaceFreeText(parseSearchQuery('appl exchange:nasdaq -x'), 'Apple Inc.'))
+      .toBe('Apple Inc. exchange:NASDAQ -x');
+  });
+});
+
+describe('getSearchCompletions', () => {
+  const completedQueries = (query) => getSearchCompletions(query).map(item => item.query);
+
+  it('completes field names', () => {
+    expect(completedQueries('apple sec')).toEqual(['apple sector:']);
+    expect(completedQueries('-ex')).toEqual(['-exchange:']);
+  });
+
+  it('completes known values, quoting them when needed', () => {
+    expect(completedQueries('exchange:n')).toEqual(['exchange:NYSE ', 'exchange:NASDAQ ']);
+    expect(completedQueries('sector:"fin')).toEqual(['sector:"Financial Services" ']);
+  });
+
+  it('has nothing to offer for complete or free-form terms', () => {
+    expect(completedQueries('exchange:NYSE')).toEqual([]);
+    expect(completedQueries('industry:semi')).toEqual([]);
+    expect(completedQueries('apple')).toEqual([]);
+    expect(completedQueries('sec ')).toEqual([]);
+  });
+});
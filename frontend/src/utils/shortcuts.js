@@ -0,0 +1,126 @@
+const MODIFIER_KEYS = ['mod', 'ctrl', 'meta', 'alt', 'shift'];
+
+const KEY_LABELS = {
+  mod: null, // platform dependent, see formatShortcut
+  ctrl: 'Ctrl',
+  meta: '⌘',
+  alt: 'Alt',
+  shift: 'Shift',
+  enter: 'Enter',
+  escape: 'Esc',
+  arrowup: '↑',
+  arrowdown: '↓',
+};
+
+/**
+ * Whether the user is on macOS, where "mod" means Cmd rather than Ctrl
+ */
+export const isMacPlatform = () => (
+  typeof navigator !== 'undefined' && /mac|iphone|ipad/i.test(navigator.platform || navigator.userAgent || '')
+);
+
+/**
+ * Split a shortcut such as "mod+k" or "?" into modifiers and key
+ */
+export const parseShortcut = (shortcut) => {
+  const parts = shortcut.toLowerCase().split('+');
+  const key = parts.pop() || '+'; // "mod++" binds the plus key
+
+  return {
+    key,
+    modifiers: parts.filter(part => MODIFIER_KEYS.includes(part)),
+  };
+};
+
+/**
+ * Whether a keyboard event is a shortcut, e.g. matchesShortcut(event, 'mod+k')
+ * Shift is ignored for symbols, so "?" matches Shift+/ on any keyboard layout
+ */
+export const matchesShortcut = (event, shortcut) => {
+  const { key, modifiers } = parseShortcut(shortcut);
+  if (event.key?.toLowerCase() !== key) return false;
+
+  const mac = isMacPlatform();
+  const wants = (modifier) => modifiers.includes(modifier) ||
+    (modifier === 'meta' && mac && modifiers.includes('mod')) ||
+    (modifier === 'ctrl' && !mac && modifiers.includes('mod'));
+
+  const shiftMatches = /^[^a-z0-9]$/.test(key) && !modifiers.includes('shift')
+    ? true
+    : event.shiftKey === wants('shift');
+
+  return event.ctrlKey === wants('ctrl') &&
+    event.metaKey === wants('meta') &&
+    event.altKey === wants('alt') &&
+    shiftMatches;
+};
+
+/**
+ * Whether a shortcut uses a modifier, so it is safe to handle while typing
+ */
+export const hasModifier = (shortcut) => (
+  parseShortcut(shortcut).modifiers.some(modifier => modifier !== 'shift')
+);
+
+/**
+ * Whether focus is somewhere that takes text input
+ */
+export const isEditableTarget = (target) => {
+  if (!target) return false;
+
+  const tagName = target.tagName?.toLowerCase();
+  return tagName === 'input' ||
+    tagName === 'textarea' ||
+    tagName === 'select' ||
+    Boolean(target.isContentEditable);
+};
+
+/**
+ * Display keys for a shortcut, e.g. ['⌘', 'K'] on macOS and ['Ctrl', 'K'] elsewhere
+ */
+export const formatShortcut = (shortcut) => {
+  const { key, modifiers } = parseShortcut(shortcut);
+  const mac = isMacPlatform();
+
+  const modifierLabels = modifiers.map(modifier => (
+    modifier === 'mod' ? (mac ? '⌘' : 'Ctrl') : KEY_LABELS[modifier]
+  ));
+
+  return [...modifierLabels, KEY_LABELS[key] || key.toUpperCase()];
+};
+
+/**
+ * Filter commands by a palette query, best matches first
+ * Labels that start with the query rank above labels or keywords that contain it
+ */
+export const filterCommands = (commands, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return commands;
+
+  return commands
+    .map(command => {
+      const label = command.label.toLowerCase();
+      const keywords = (command.keywords || []).join(' ').toLowerCase();
+
+      let score = 0;
+      if (label.startsWith(needle)) score = 3;
+      else if (label.includes(needle)) score = 2;
+      else if (keywords.includes(needle)) score = 1;
+
+      return { command, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ command }) => command);
+};
+
+// Export all shortcut helpers as a single object for convenience
+export const shortcuts = {
+  isMac: isMacPlatform,
+  parse: parseShortcut,
+  matches: matchesShortcut,
+  hasModifier,
+  isEditable: isEditableTarget,
+  format: formatShortcut,
+  filter: filterCommands,
+};